@@ -119,15 +119,30 @@ SensorData currentReading;
 int logIndex = 0;
 const int MAX_LOG_ENTRIES = 100000; // With LittleFS: 100k entries = ~1MB for logs (plenty of space on 16MB flash)
 const int MAX_CHUNK_SIZE = 400; // Safe size for BLE MTU
-const int ENTRIES_PER_BATCH = 200; // Process data in smaller batches to avoid memory issues
+const int ENTRIES_PER_CHUNK = 11; // Longest entry is 33 chars, so 11 entries plus the checksum header fit in MAX_CHUNK_SIZE
+const int ENTRIES_PER_BINARY_CHUNK = 34; // Format byte + 34 packed 11-byte records plus the checksum header fit in MAX_CHUNK_SIZE
+const int LOG_RECORD_SIZE = 11; // Packed little-endian LogData: timestamp, pm1, pm2.5, pm10, battery
+const uint8_t BINARY_FORMAT_VERSION = 1;
+const int CHUNK_PROTOCOL_VERSION = 6; // 2: incremental requests ("T<timestamp>", "I<index>"), 3: addressable chunks, 4: checksummed chunks ("C1"), 5: binary chunks ("B1"), 6: notification streaming ("S<chunk>", "A<chunk>")
+const int STREAM_WINDOW = 8; // Chunks the stream may run ahead of the last acknowledged one
+const int CHUNK_FORMAT_TEXT = 0;
+const int CHUNK_FORMAT_BINARY = 1;
 
 // Chunked data transfer variables
-String loggedDataCache = "";
+// Chunk N always holds the same ENTRIES_PER_CHUNK entries, so a chunk can be re-read after a failed transfer
 int totalChunks = 0;
 int currentChunk = 0;
 int totalEntriesToSend = 0;
-int entriesProcessed = 0;
 int startEntryIndex = 0;
+bool checksumChunks = false; // Prefix chunks with "<seq>|<crc32>|" once the app asks for it
+bool binaryChunksRequested = false; // "B1" - the next prepared transfer uses packed records
+
+// Streaming transfer: chunks are pushed as notifications from the BLE task instead of read one by one
+volatile bool streamActive = false;
+volatile int streamNextChunk = 0;
+volatile int streamAckedChunk = -1;
+int chunkFormat = CHUNK_FORMAT_TEXT; // Format of the currently prepared transfer
+int entriesPerChunk = ENTRIES_PER_CHUNK;
 
 // RTC time management
 bool rtcTimeSet = false;       // Basic RTC state
@@ -157,14 +172,21 @@ bool lowPowerMode = true; // Set to false for light sleep (BLE responsive), true
 
 // Forward declarations
 void sendLoggedData();
-void prepareLoggedDataForChunking();
-void loadNextBatch();
+void prepareLoggedDataForChunking(int fromIndex = -1);
+void updateChunkInfo();
+bool readLogEntry(int actualIndex, LogData* logEntry);
+int getOldestLogIndex();
+int findFirstEntryAfter(uint32_t sinceTimestamp);
+String buildChunkData(int chunkIndex);
+size_t buildBinaryChunkData(int chunkIndex, uint8_t* buffer, size_t capacity);
+uint32_t crc32(const uint8_t* data, size_t length);
 void sendLoggedDataChunk();
 void clearFlashStorage();
 void restartAdvertising();
 void checkBLEConnection();
 void safeBLEUpdate();
 void BLETask(void *pvParameters);
+void streamLoggedDataChunks();
 void SensorTask(void *pvParameters);
 void updateSharedData(SensorData newData);
 void checkFlashHealth();
@@ -202,6 +224,9 @@ class MyServerCallbacks: public BLEServerCallbacks {
 
     void onDisconnect(BLEServer* pServer) {
       deviceConnected = false;
+      checksumChunks = false; // Next client has to opt in again
+      binaryChunksRequested = false;
+      streamActive = false;
       Serial.println("BLE Client disconnected");
       
       // Small delay before restarting advertising
@@ -221,10 +246,9 @@ class MyCharacteristicCallbacks: public BLECharacteristicCallbacks {
         Serial.println("=== LOGGED DATA READ REQUEST ===");
         sendLoggedDataChunk();
       } else if (uuid == CHUNK_INFO_UUID) {
-        // Send chunk info: "totalChunks,currentChunk"
-        String chunkInfo = String(totalChunks) + "," + String(currentChunk);
-        pCharacteristic->setValue(chunkInfo.c_str());
-        Serial.println("Chunk info read: " + chunkInfo);
+        // Send chunk info: "totalChunks,currentChunk,protocolVersion,startIndex,totalEntries,format"
+        updateChunkInfo();
+        Serial.println("Chunk info read: " + String(pCharacteristic->getValue().c_str()));
       } else if (uuid == CHUNK_REQUEST_UUID) {
         // Send current chunk request value
         String chunkRequest = String(currentChunk);
@@ -249,8 +273,55 @@ class MyCharacteristicCallbacks: public BLECharacteristicCallbacks {
       Serial.println("BLE Write received on UUID: " + uuid);
       
       if (uuid == CHUNK_REQUEST_UUID) {
-        // Handle chunk request - expect chunk number as string
+        // Handle chunk request - expect chunk number as string,
+        // or "T<unix timestamp>" / "I<log index>" to prepare only part of the log
         String chunkValue = pCharacteristic->getValue().c_str();
+
+        if (chunkValue.startsWith("T")) {
+          uint32_t sinceTimestamp = strtoul(chunkValue.substring(1).c_str(), NULL, 10);
+          Serial.println("=== PREPARING DATA SINCE TIMESTAMP " + String(sinceTimestamp) + " ===");
+          prepareLoggedDataForChunking(findFirstEntryAfter(sinceTimestamp));
+          Serial.println("Incremental data prepared. Total chunks: " + String(totalChunks));
+          return;
+        } else if (chunkValue.startsWith("C")) {
+          // "C1" enables checksummed chunks, "C0" switches back to plain text
+          checksumChunks = chunkValue.substring(1).toInt() == 1;
+          Serial.println("Chunk checksums " + String(checksumChunks ? "enabled" : "disabled"));
+          return;
+        } else if (chunkValue.startsWith("S")) {
+          // "S<chunk>" (re)starts streaming from that chunk. Streamed chunks always carry the
+          // sequence/checksum header so the app can put them back in order.
+          int fromChunk = constrain(chunkValue.substring(1).toInt(), 0, totalChunks);
+          checksumChunks = true;
+          streamNextChunk = fromChunk;
+          streamAckedChunk = fromChunk - 1;
+          streamActive = fromChunk < totalChunks;
+          Serial.println("=== STREAMING FROM CHUNK " + String(fromChunk) + " OF " + String(totalChunks) + " ===");
+          return;
+        } else if (chunkValue.startsWith("A")) {
+          // "A<chunk>" acknowledges every chunk up to and including that one
+          int ackedChunk = chunkValue.substring(1).toInt();
+          if (ackedChunk > streamAckedChunk) {
+            streamAckedChunk = ackedChunk;
+          }
+          if (streamAckedChunk >= totalChunks - 1) {
+            streamActive = false;
+            Serial.println("Stream acknowledged completely");
+          }
+          return;
+        } else if (chunkValue.startsWith("B")) {
+          // "B1" selects packed binary records for the next prepared transfer, "B0" plain text
+          binaryChunksRequested = chunkValue.substring(1).toInt() == 1;
+          Serial.println("Binary chunks " + String(binaryChunksRequested ? "requested" : "disabled"));
+          return;
+        } else if (chunkValue.startsWith("I")) {
+          int fromIndex = chunkValue.substring(1).toInt();
+          Serial.println("=== PREPARING DATA FROM INDEX " + String(fromIndex) + " ===");
+          prepareLoggedDataForChunking(fromIndex);
+          Serial.println("Indexed data prepared. Total chunks: " + String(totalChunks));
+          return;
+        }
+
         int requestedChunk = chunkValue.toInt();
         Serial.println("Chunk request received: '" + chunkValue + "' (parsed as: " + String(requestedChunk) + ")");
         
@@ -262,8 +333,7 @@ class MyCharacteristicCallbacks: public BLECharacteristicCallbacks {
         } else if (requestedChunk >= 0 && requestedChunk < totalChunks) {
           currentChunk = requestedChunk;
           // Update chunk info characteristic to reflect current chunk
-          String chunkInfo = String(totalChunks) + "," + String(currentChunk);
-          pChunkInfoCharacteristic->setValue(chunkInfo.c_str());
+          updateChunkInfo();
           Serial.println("Chunk request accepted for chunk: " + String(currentChunk) + "/" + String(totalChunks - 1));
         } else {
           Serial.println("Invalid chunk request: " + String(requestedChunk) + " (valid range: 0-" + String(totalChunks - 1) + ")");
@@ -522,6 +592,9 @@ bool initBLE() {
   // Initialize BLE with proper error handling
   BLEDevice::init("AirQ Sensor");
   
+  // Streamed chunks are sent as single notifications, which are limited to the negotiated MTU
+  BLEDevice::setMTU(517);
+  
   // Set BLE power to reduce issues
   esp_ble_tx_power_set(ESP_BLE_PWR_TYPE_DEFAULT, ESP_PWR_LVL_P3);
   
@@ -554,8 +627,10 @@ bool initBLE() {
   // Logged data characteristic
   pLoggedDataCharacteristic = pService->createCharacteristic(
                       LOGGED_DATA_UUID,
-                      BLECharacteristic::PROPERTY_READ
+                      BLECharacteristic::PROPERTY_READ |
+                      BLECharacteristic::PROPERTY_NOTIFY
                     );
+  pLoggedDataCharacteristic->addDescriptor(new BLE2902());
   pLoggedDataCharacteristic->setCallbacks(new MyCharacteristicCallbacks());
 
   // Battery characteristic
@@ -831,155 +906,215 @@ void updateBLECharacteristics() {
   }
 }
 
-void prepareLoggedDataForChunking() {
+// Oldest log index still stored (older entries were overwritten by the circular buffer)
+int getOldestLogIndex() {
+  return max(0, logIndex - MAX_LOG_ENTRIES);
+}
+
+// fromIndex < 0 prepares the whole log, otherwise only entries from that log index onwards
+void prepareLoggedDataForChunking(int fromIndex) {
   debugLogEntries(); // Debug what's actually stored
   
   // Calculate range of entries to send
-  startEntryIndex = max(0, logIndex - MAX_LOG_ENTRIES);
-  totalEntriesToSend = min(logIndex, MAX_LOG_ENTRIES);
-  entriesProcessed = 0;
+  int oldestIndex = getOldestLogIndex();
+  startEntryIndex = fromIndex < 0 ? oldestIndex : constrain(fromIndex, oldestIndex, logIndex);
+  totalEntriesToSend = logIndex - startEntryIndex;
   
   Serial.println("Preparing logged data for chunking, range: " + String(startEntryIndex) + " to " + String(logIndex));
   Serial.println("Will attempt to send up to " + String(totalEntriesToSend) + " entries");
   
-  // Estimate chunks needed (each entry ~30 chars, chunk size 400)
-  int estimatedChars = totalEntriesToSend * 30;
-  totalChunks = max(1, (estimatedChars + MAX_CHUNK_SIZE - 1) / MAX_CHUNK_SIZE);
+  // Every chunk covers a fixed range of entries. The format is locked in until the next prepare.
+  chunkFormat = binaryChunksRequested ? CHUNK_FORMAT_BINARY : CHUNK_FORMAT_TEXT;
+  entriesPerChunk = chunkFormat == CHUNK_FORMAT_BINARY ? ENTRIES_PER_BINARY_CHUNK : ENTRIES_PER_CHUNK;
+  totalChunks = (totalEntriesToSend + entriesPerChunk - 1) / entriesPerChunk;
   currentChunk = 0;
   
-  // Clear any existing cache
-  loggedDataCache = "";
-  
-  // Load first batch
-  loadNextBatch();
-  
   // Update chunk info characteristic
-  String chunkInfo = String(totalChunks) + "," + String(currentChunk);
+  updateChunkInfo();
+  
+  Serial.println("Data prepared for " + String(totalChunks) + " chunks");
+}
+
+// Chunk info format: "totalChunks,currentChunk,protocolVersion,startIndex,totalEntries,format"
+// Older apps only read the first two fields
+void updateChunkInfo() {
+  if (!pChunkInfoCharacteristic) {
+    return;
+  }
+  String chunkInfo = String(totalChunks) + "," + String(currentChunk) + "," +
+                     String(CHUNK_PROTOCOL_VERSION) + "," + String(startEntryIndex) + "," +
+                     String(totalEntriesToSend) + "," + String(chunkFormat);
   pChunkInfoCharacteristic->setValue(chunkInfo.c_str());
+}
+
+// Binary search for the first stored entry newer than the given Unix timestamp.
+// Entries are appended in time order, so timestamps increase with the log index.
+int findFirstEntryAfter(uint32_t sinceTimestamp) {
+  int low = getOldestLogIndex();
+  int high = logIndex;
   
-  Serial.println("Data prepared for estimated " + String(totalChunks) + " chunks");
+  while (low < high) {
+    int mid = low + (high - low) / 2;
+    LogData logEntry;
+    if (readLogEntry(mid, &logEntry) && logEntry.timestamp <= sinceTimestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  
+  Serial.println("First entry after " + String(sinceTimestamp) + " is at index " + String(low) + " of " + String(logIndex));
+  return low;
 }
 
-void loadNextBatch() {
-  loggedDataCache = "";
-  int batchEnd = min(entriesProcessed + ENTRIES_PER_BATCH, totalEntriesToSend);
-  int entriesLoaded = 0;
+// Read one log entry from LittleFS, or from Preferences (including the legacy format)
+bool readLogEntry(int actualIndex, LogData* logEntry) {
+  // Try LittleFS first if available
+  if (useLittleFS) {
+    *logEntry = readLogFromLittleFS(actualIndex);
+    if (logEntry->timestamp > 0) { // Check if valid data was read
+      return true;
+    }
+  }
+  
+  // Fall back to Preferences if LittleFS didn't work
+  String key = "log" + String(actualIndex % MAX_LOG_ENTRIES);
+  size_t bytesRead = preferences.getBytes(key.c_str(), logEntry, sizeof(LogData));
+  if (bytesRead == sizeof(LogData)) {
+    return true;
+  }
   
-  Serial.println("Loading batch: entries " + String(entriesProcessed) + " to " + String(batchEnd));
+  // Try legacy format for backward compatibility
+  String oldKey = "log_" + String(actualIndex % MAX_LOG_ENTRIES);
+  SensorData legacyData;
+  size_t legacyBytesRead = preferences.getBytes(oldKey.c_str(), &legacyData, sizeof(SensorData));
+  if (legacyBytesRead == sizeof(SensorData)) {
+    // Convert legacy data
+    logEntry->timestamp = legacyData.timestamp;
+    logEntry->pm1_0_env = legacyData.pm1_0_env;
+    logEntry->pm2_5_env = legacyData.pm2_5_env;
+    logEntry->pm10_0_env = legacyData.pm10_0_env;
+    logEntry->battery_level = legacyData.battery_level;
+    return true;
+  }
+  
+  return false;
+}
+
+// Build the text for one chunk straight from storage.
+// The same chunk index always yields the same entries, so retries and resumed transfers are safe.
+String buildChunkData(int chunkIndex) {
+  String chunkData = "";
+  int chunkStart = chunkIndex * entriesPerChunk;
+  int chunkEnd = min(chunkStart + entriesPerChunk, totalEntriesToSend);
   
-  for (int i = entriesProcessed; i < batchEnd; i++) {
-    int actualIndex = startEntryIndex + i;
+  for (int i = chunkStart; i < chunkEnd; i++) {
     LogData logEntry;
-    bool dataLoaded = false;
     
-    // Try LittleFS first if available
-    if (useLittleFS) {
-      logEntry = readLogFromLittleFS(actualIndex);
-      if (logEntry.timestamp > 0) { // Check if valid data was read
-        dataLoaded = true;
-      }
-    }
-    
-    // Fall back to Preferences if LittleFS didn't work
-    if (!dataLoaded) {
-      String key = "log" + String(actualIndex % MAX_LOG_ENTRIES);
-      size_t bytesRead = preferences.getBytes(key.c_str(), &logEntry, sizeof(LogData));
-      if (bytesRead == sizeof(LogData)) {
-        dataLoaded = true;
-      } else {
-        // Try legacy format for backward compatibility
-        String oldKey = "log_" + String(actualIndex % MAX_LOG_ENTRIES);
-        SensorData legacyData;
-        size_t legacyBytesRead = preferences.getBytes(oldKey.c_str(), &legacyData, sizeof(SensorData));
-        if (legacyBytesRead == sizeof(SensorData)) {
-          // Convert legacy data
-          logEntry.timestamp = legacyData.timestamp;
-          logEntry.pm1_0_env = legacyData.pm1_0_env;
-          logEntry.pm2_5_env = legacyData.pm2_5_env;
-          logEntry.pm10_0_env = legacyData.pm10_0_env;
-          logEntry.battery_level = legacyData.battery_level;
-          dataLoaded = true;
-        }
-      }
+    if (readLogEntry(startEntryIndex + i, &logEntry)) {
+      chunkData += String(logEntry.timestamp) + "," +
+                   String(logEntry.pm1_0_env) + "," +
+                   String(logEntry.pm2_5_env) + "," +
+                   String(logEntry.pm10_0_env) + "," +
+                   String(logEntry.battery_level) + ";";
     }
+  }
+  
+  return chunkData;
+}
+
+// Binary chunk: one format version byte followed by packed little-endian records.
+// Writing the fields byte by byte keeps the layout independent of struct padding.
+size_t buildBinaryChunkData(int chunkIndex, uint8_t* buffer, size_t capacity) {
+  int chunkStart = chunkIndex * entriesPerChunk;
+  int chunkEnd = min(chunkStart + entriesPerChunk, totalEntriesToSend);
+  size_t length = 0;
+  
+  buffer[length++] = BINARY_FORMAT_VERSION;
+  
+  for (int i = chunkStart; i < chunkEnd && length + LOG_RECORD_SIZE <= capacity; i++) {
+    LogData logEntry;
     
-    if (dataLoaded) {
-      loggedDataCache += String(logEntry.timestamp) + "," +
-                        String(logEntry.pm1_0_env) + "," +
-                        String(logEntry.pm2_5_env) + "," +
-                        String(logEntry.pm10_0_env) + "," +
-                        String(logEntry.battery_level) + ";";
-      entriesLoaded++;
+    if (readLogEntry(startEntryIndex + i, &logEntry)) {
+      uint8_t* record = buffer + length;
+      record[0] = logEntry.timestamp & 0xFF;
+      record[1] = (logEntry.timestamp >> 8) & 0xFF;
+      record[2] = (logEntry.timestamp >> 16) & 0xFF;
+      record[3] = (logEntry.timestamp >> 24) & 0xFF;
+      record[4] = logEntry.pm1_0_env & 0xFF;
+      record[5] = logEntry.pm1_0_env >> 8;
+      record[6] = logEntry.pm2_5_env & 0xFF;
+      record[7] = logEntry.pm2_5_env >> 8;
+      record[8] = logEntry.pm10_0_env & 0xFF;
+      record[9] = logEntry.pm10_0_env >> 8;
+      record[10] = logEntry.battery_level;
+      length += LOG_RECORD_SIZE;
     }
   }
   
-  entriesProcessed = batchEnd;
-  Serial.println("Loaded " + String(entriesLoaded) + " entries into cache (" + String(loggedDataCache.length()) + " chars)");
-  
-  if (loggedDataCache.length() == 0) {
-    loggedDataCache = "No data available";
+  return length;
+}
+
+// Standard CRC-32 (IEEE 802.3, reflected polynomial 0xEDB88320), same as the app computes
+uint32_t crc32(const uint8_t* data, size_t length) {
+  uint32_t crc = 0xFFFFFFFF;
+  for (size_t i = 0; i < length; i++) {
+    crc ^= data[i];
+    for (int bit = 0; bit < 8; bit++) {
+      crc = (crc >> 1) ^ (0xEDB88320 & (0 - (crc & 1)));
+    }
   }
+  return ~crc;
 }
 
 void sendLoggedDataChunk() {
   Serial.println("=== SEND LOGGED DATA CHUNK ===");
-  Serial.println("Cache length: " + String(loggedDataCache.length()));
   Serial.println("Current chunk: " + String(currentChunk));
   Serial.println("Total chunks: " + String(totalChunks));
   
-  if (loggedDataCache.length() == 0) {
-    Serial.println("No cached data available, preparing data...");
+  if (totalChunks == 0) {
+    Serial.println("No data prepared, preparing data...");
     prepareLoggedDataForChunking();
   }
   
-  String chunkData = "";
-  
-  // Calculate position within current cache
-  int chunkStart = currentChunk * MAX_CHUNK_SIZE;
-  int globalChunkStart = 0; // Position across all chunks ever processed
-  
-  // Check if we need to load more data
-  bool needMoreData = false;
-  if (loggedDataCache.length() < MAX_CHUNK_SIZE && entriesProcessed < totalEntriesToSend) {
-    needMoreData = true;
+  if (totalChunks == 0) {
+    pLoggedDataCharacteristic->setValue("No data available");
+    Serial.println("No data could be loaded");
+    return;
   }
   
-  // Load more data if current cache is insufficient
-  if (needMoreData) {
-    String existingData = loggedDataCache;
-    loadNextBatch();
-    // If we got more data, append it
-    if (loggedDataCache != existingData) {
-      // Continue from where we left off
-    }
+  if (currentChunk >= totalChunks) {
+    pLoggedDataCharacteristic->setValue(""); // End of data
+    Serial.println("All data has been sent");
+    return;
   }
   
-  // Extract chunk from current cache
-  if (loggedDataCache.length() > 0) {
-    int startPos = 0; // Always start from beginning of current cache
-    int endPos = min(MAX_CHUNK_SIZE, (int)loggedDataCache.length());
-    chunkData = loggedDataCache.substring(startPos, endPos);
-    
-    // Remove sent data from cache to prepare for next chunk
-    if (endPos < loggedDataCache.length()) {
-      loggedDataCache = loggedDataCache.substring(endPos);
-    } else {
-      loggedDataCache = ""; // Cache is empty, will load more on next request
-    }
-    
-    Serial.println("Sending chunk " + String(currentChunk) + "/" + String(totalChunks - 1) + 
-                   " (" + String(chunkData.length()) + " chars): '" + 
-                   chunkData.substring(0, 50) + (chunkData.length() > 50 ? "..." : "") + "'");
-  } else if (entriesProcessed >= totalEntriesToSend) {
-    chunkData = ""; // End of data
-    Serial.println("All data has been sent");
+  uint8_t payload[MAX_CHUNK_SIZE];
+  size_t payloadLength = 0;
+  
+  if (chunkFormat == CHUNK_FORMAT_BINARY) {
+    payloadLength = buildBinaryChunkData(currentChunk, payload, sizeof(payload));
   } else {
-    chunkData = "No data available";
-    Serial.println("No data could be loaded");
+    String chunkText = buildChunkData(currentChunk);
+    payloadLength = min((size_t)chunkText.length(), sizeof(payload));
+    memcpy(payload, chunkText.c_str(), payloadLength);
   }
   
-  pLoggedDataCharacteristic->setValue(chunkData.c_str());
-  Serial.println("Chunk data (" + String(chunkData.length()) + " chars) sent successfully");
+  uint8_t chunkData[MAX_CHUNK_SIZE + 24];
+  size_t chunkLength = 0;
+  
+  if (checksumChunks) {
+    // Header lets the app detect truncated, corrupted or out-of-order chunks: "<seq>|<crc32 hex>|<payload>"
+    chunkLength = snprintf((char*)chunkData, 24, "%d|%08lx|", currentChunk, (unsigned long)crc32(payload, payloadLength));
+  }
+  memcpy(chunkData + chunkLength, payload, payloadLength);
+  chunkLength += payloadLength;
+  
+  Serial.println("Sending " + String(chunkFormat == CHUNK_FORMAT_BINARY ? "binary" : "text") + " chunk " +
+                 String(currentChunk) + "/" + String(totalChunks - 1) + " (" + String(chunkLength) + " bytes)");
+  
+  pLoggedDataCharacteristic->setValue(chunkData, chunkLength);
+  Serial.println("Chunk data (" + String(chunkLength) + " bytes) sent successfully");
 }
 
 void sendLoggedData() {
@@ -1330,6 +1465,22 @@ void safeBLEUpdate() {
   }
 }
 
+// Send streamed chunks up to STREAM_WINDOW ahead of the last acknowledgement.
+// A lost or damaged chunk makes the app restart the stream from it with "S<chunk>".
+void streamLoggedDataChunks() {
+  int sentThisRound = 0;
+  
+  while (streamActive && deviceConnected && streamNextChunk < totalChunks &&
+         streamNextChunk <= streamAckedChunk + STREAM_WINDOW && sentThisRound < 4) {
+    currentChunk = streamNextChunk;
+    sendLoggedDataChunk();
+    pLoggedDataCharacteristic->notify();
+    streamNextChunk++;
+    sentThisRound++;
+    vTaskDelay(pdMS_TO_TICKS(5)); // Give the BLE stack time to queue the notification
+  }
+}
+
 // BLE Task - runs on Core 0
 void BLETask(void *pvParameters) {
   Serial.println("BLE Task starting on Core " + String(xPortGetCoreID()));
@@ -1370,8 +1521,13 @@ void BLETask(void *pvParameters) {
       }
     }
     
-    // BLE task runs every 100ms for responsive communication
-    vTaskDelay(pdMS_TO_TICKS(100));
+    // Push the next streamed chunks while the app keeps up with acknowledgements
+    if (deviceConnected && streamActive) {
+      streamLoggedDataChunks();
+    }
+    
+    // BLE task runs every 100ms for responsive communication, faster while streaming
+    vTaskDelay(pdMS_TO_TICKS(streamActive ? 5 : 100));
   }
 }
 
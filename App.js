@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   StyleSheet,
   Text,
@@ -13,12 +13,39 @@ import {
 } from 'react-native';
 import * as Device from 'expo-device';
 import BluetoothService from './services/PlatformBluetoothService';
+import {
+  createPlatformTransport,
+  SimulatedTransport,
+  ReplayTransport,
+  SIMULATOR_SCENARIOS
+} from './services/transports';
+import HistoryStore from './services/HistoryStore';
+import SettingsService from './services/SettingsService';
+import AlertService, { describeAlert } from './services/AlertService';
+import Watchdog from './services/Watchdog';
+import ReconnectManager from './services/ReconnectManager';
+import DeviceManager from './services/DeviceManager';
+import DeviceRegistry from './services/DeviceRegistry';
+import { calculateNowCastConcentrations, getNowCastAQI, NOWCAST_HOURS } from './services/NowCast';
+import { calculateExposureTotals } from './services/Exposure';
+import { calculateAQI, calculateSubIndex, getAQICategory, getAQIInfo, AQI_STANDARDS, POLLUTANTS } from './services/AirQualityIndex';
 import MetricCard from './components/MetricCard';
 import DataChart from './components/DataChart';
 import ConnectionSection from './components/ConnectionSection';
 import AirQualityDisplay from './components/AirQualityDisplay';
 import GraphModal from './components/GraphModal';
 import LoggedDataModal from './components/LoggedDataModal';
+import StatisticsModal from './components/StatisticsModal';
+import ExposureCard from './components/ExposureCard';
+import SimulatorPicker from './components/SimulatorPicker';
+import BackgroundSyncSection from './components/BackgroundSyncSection';
+import AQIStandardPicker from './components/AQIStandardPicker';
+import AlertBanner from './components/AlertBanner';
+import AlertsModal from './components/AlertsModal';
+import DevicePickerModal from './components/DevicePickerModal';
+import MultiDeviceDashboard from './components/MultiDeviceDashboard';
+import DeviceRegistryModal from './components/DeviceRegistryModal';
+import SessionImportModal from './components/SessionImportModal';
 
 const { width, height } = Dimensions.get('window');
 
@@ -29,6 +56,10 @@ export default function App() {
   const [isAutoConnecting, setIsAutoConnecting] = useState(false);
   const [autoConnectEnabled, setAutoConnectEnabled] = useState(false);
   const [error, setError] = useState(null);
+  const [simulatorScenario, setSimulatorScenario] = useState(null); // null = real sensor
+  const [isRecording, setIsRecording] = useState(false);
+  const [savedRecording, setSavedRecording] = useState(null);
+  const [reconnectStatus, setReconnectStatus] = useState(ReconnectManager.getStatus());
 
   // Sensor data state
   const [airQualityData, setAirQualityData] = useState({
@@ -51,7 +82,6 @@ export default function App() {
   const [pm1History, setPm1History] = useState([]);
   const [pm25History, setPm25History] = useState([]);
   const [pm10History, setPm10History] = useState([]);
-  const [aqiHistory, setAqiHistory] = useState([]);
   const [batteryHistory, setBatteryHistory] = useState([]);
 
   // Device info state
@@ -70,9 +100,30 @@ export default function App() {
     unit: ''
   });
 
+  // Selected regional index standard (see services/aqiStandards.js)
+  const [aqiStandard, setAqiStandard] = useState(SettingsService.get('aqiStandard'));
+
+  // NowCast concentrations from the last 12 hours of stored readings
+  const [nowCast, setNowCast] = useState(null);
+
+  // Cumulative PM2.5 exposure (today / last 7 days) and the breathing rate preset for the dose estimate
+  const [exposure, setExposure] = useState(null);
+  const [breathingRate, setBreathingRate] = useState(SettingsService.get('breathingRate'));
+
   // Logged data modal state
   const [loggedDataModalVisible, setLoggedDataModalVisible] = useState(false);
 
+  // Statistics modal state
+  const [statisticsModalVisible, setStatisticsModalVisible] = useState(false);
+
+  // Threshold alerts: rule editor and the latest alert or watchdog warning shown as an in-app banner
+  const [alertsModalVisible, setAlertsModalVisible] = useState(false);
+  const [devicePickerVisible, setDevicePickerVisible] = useState(false);
+  const [dashboardVisible, setDashboardVisible] = useState(false);
+  const [registryModalVisible, setRegistryModalVisible] = useState(false);
+  const [sessionImportVisible, setSessionImportVisible] = useState(false);
+  const [alertBanner, setAlertBanner] = useState(null); // { id, title, message }
+
   // Real-time update display state
   const [currentTime, setCurrentTime] = useState(Date.now());
 
@@ -83,8 +134,60 @@ export default function App() {
   useEffect(() => {
     bluetoothService.current = BluetoothService;
     
-    // Check if device remembering is enabled
-    setAutoConnectEnabled(bluetoothService.current.isRememberDeviceEnabled());
+    bluetoothService.current.getSavedRecording().then(setSavedRecording);
+
+    // Persist every live reading to the on-device history store
+    HistoryStore.init();
+    const detachHistory = HistoryStore.attach(bluetoothService.current);
+
+    // Check every live reading against the alert rules
+    AlertService.load();
+    const detachAlerts = AlertService.attach(bluetoothService.current);
+    const handleAlert = (alert) => {
+      if (alert.showBanner) {
+        const { title, body } = describeAlert(alert);
+        setAlertBanner({ id: alert.id, title, message: body });
+      }
+    };
+    const handleAlertCleared = (alert) => {
+      setAlertBanner(prev => (prev?.id === alert.id ? null : prev));
+    };
+    AlertService.addEventListener('alert', handleAlert);
+    AlertService.addEventListener('alertCleared', handleAlertCleared);
+
+    // Warn about stale readings, low battery and link loss
+    const detachWatchdog = Watchdog.attach(bluetoothService.current);
+    const handleWatchdogWarning = (warning) => {
+      setAlertBanner({ id: `watchdog-${warning.type}`, title: warning.title, message: warning.message });
+    };
+    const handleWatchdogRecovered = (recovery) => {
+      setAlertBanner(prev => (prev?.id.startsWith(`watchdog-${recovery.type}`) ? null : prev));
+    };
+    Watchdog.addEventListener('warning', handleWatchdogWarning);
+    Watchdog.addEventListener('recovered', handleWatchdogRecovered);
+
+    // Reconnect with backoff after a link loss
+    const detachReconnect = ReconnectManager.attach(bluetoothService.current);
+    const handleReconnectStatus = (status) => {
+      setReconnectStatus(status);
+      if (status.state === 'connected') {
+        setDeviceInfo(bluetoothService.current.getDeviceInfo());
+      }
+    };
+    ReconnectManager.addEventListener('statusChange', handleReconnectStatus);
+
+    // List the main connection in the multi-sensor dashboard
+    const detachDeviceManager = DeviceManager.attach(bluetoothService.current);
+
+    // Register every connected sensor and show its label once it has one
+    DeviceRegistry.load();
+    const detachRegistry = DeviceRegistry.attach(bluetoothService.current);
+    const handleRegistryChange = () => {
+      if (bluetoothService.current.getConnectionStatus()) {
+        setDeviceInfo(bluetoothService.current.getDeviceInfo());
+      }
+    };
+    DeviceRegistry.addEventListener('registryChange', handleRegistryChange);
 
     // Set up event listeners
     bluetoothService.current.addEventListener('connectionChange', async (connected) => {
@@ -95,6 +198,9 @@ export default function App() {
         setError(null);
         setDeviceInfo(prev => ({ ...prev, connected: false }));
       } else {
+        // Restore chart history for this device from persistent storage
+        loadStoredHistory(bluetoothService.current.getDevice()?.id);
+
         // Read initial power mode when connected
         try {
           const currentPowerMode = await bluetoothService.current.readPowerMode();
@@ -168,16 +274,6 @@ export default function App() {
         return newHistory.slice(-50);
       });
 
-      // Add to AQI history (keep last 50 readings)
-      setAqiHistory(prev => {
-        const newHistory = [...prev, {
-          time: new Date(data.timestamp).toLocaleTimeString(),
-          value: data.aqi,
-          timestamp: data.timestamp,
-          status: getAQIStatus(data.aqi)
-        }];
-        return newHistory.slice(-50);
-      });
     });
 
     bluetoothService.current.addEventListener('batteryUpdate', (data) => {
@@ -211,18 +307,79 @@ export default function App() {
       setIsAutoConnecting(attempting);
     });
 
-    // Try auto-connect if enabled
-    if (bluetoothService.current.isRememberDeviceEnabled()) {
-      handleAutoConnect();
-    }
+    // Reconnect to the remembered device if enabled
+    bluetoothService.current.loadRememberedDevice().then(({ autoConnect }) => {
+      setAutoConnectEnabled(autoConnect);
+      if (autoConnect) {
+        handleAutoConnect();
+      }
+    });
 
     return () => {
+      detachHistory();
+      detachAlerts();
+      AlertService.removeEventListener('alert', handleAlert);
+      AlertService.removeEventListener('alertCleared', handleAlertCleared);
+      detachWatchdog();
+      Watchdog.removeEventListener('warning', handleWatchdogWarning);
+      Watchdog.removeEventListener('recovered', handleWatchdogRecovered);
+      detachReconnect();
+      ReconnectManager.removeEventListener('statusChange', handleReconnectStatus);
+      detachDeviceManager();
+      DeviceManager.removeAll();
+      detachRegistry();
+      DeviceRegistry.removeEventListener('registryChange', handleRegistryChange);
       if (bluetoothService.current) {
         bluetoothService.current.disconnect();
       }
     };
   }, []);
 
+  // Follow the persisted settings
+  useEffect(() => {
+    const unsubscribe = SettingsService.subscribe(settings => {
+      setAqiStandard(settings.aqiStandard);
+      setBreathingRate(settings.breathingRate);
+    });
+    SettingsService.load();
+    return unsubscribe;
+  }, []);
+
+  // Recalculate NowCast and exposure from the history store every minute and whenever flash logs are merged
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const deviceId = bluetoothService.current?.getDevice()?.id;
+    let cancelled = false;
+    const refreshHistoryStats = async () => {
+      try {
+        const now = Date.now();
+        const readings = await HistoryStore.query({ deviceId, start: now - 7 * 24 * 60 * 60 * 1000, end: now });
+        if (!cancelled) {
+          setNowCast(calculateNowCastConcentrations(readings, now));
+          setExposure(calculateExposureTotals(readings, now));
+        }
+      } catch (error) {
+        console.error('Failed to calculate NowCast and exposure:', error);
+      }
+    };
+    const handleHistoryChange = (change) => {
+      if (change.merged) {
+        refreshHistoryStats();
+      }
+    };
+
+    refreshHistoryStats();
+    const interval = setInterval(refreshHistoryStats, 60000);
+    HistoryStore.addEventListener('historyChange', handleHistoryChange);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      HistoryStore.removeEventListener('historyChange', handleHistoryChange);
+    };
+  }, [isConnected]);
+
   // Update current time every second for real-time "time since last update" display
   useEffect(() => {
     const interval = setInterval(() => {
@@ -232,6 +389,29 @@ export default function App() {
     return () => clearInterval(interval);
   }, []);
 
+  // Seed the in-memory chart history with the most recent stored readings
+  const loadStoredHistory = async (deviceId) => {
+    try {
+      const readings = await HistoryStore.getRecent(deviceId, 50);
+      if (readings.length === 0) return;
+
+      const toPoints = (field, getStatus) => readings.map(reading => ({
+        time: new Date(reading.timestamp).toLocaleTimeString(),
+        value: reading[field],
+        timestamp: reading.timestamp,
+        status: getStatus(reading[field])
+      }));
+
+      setPm1History(toPoints('pm1', getPM25Status));
+      setPm25History(toPoints('pm25', getPM25Status));
+      setPm10History(toPoints('pm10', getPM10Status));
+      setBatteryHistory(toPoints('battery', getBatteryStatus));
+      console.log(`Restored ${readings.length} readings from history store`);
+    } catch (error) {
+      console.error('Failed to load stored history:', error);
+    }
+  };
+
   // Auto-connect function
   const handleAutoConnect = async () => {
     if (!bluetoothService.current) return;
@@ -250,15 +430,31 @@ export default function App() {
     }
   };
 
-  // Connect to device
-  const handleConnect = async () => {
+  // Connect to device: pick it from the list of nearby sensors where the platform can list them,
+  // otherwise from the browser's chooser
+  const handleConnect = () => {
     if (!bluetoothService.current) return;
 
+    if (bluetoothService.current.supportsDeviceList()) {
+      setError(null);
+      setDevicePickerVisible(true);
+    } else {
+      connectToDevice(null);
+    }
+  };
+
+  const handleSelectDevice = (device) => {
+    setDevicePickerVisible(false);
+    connectToDevice(device);
+  };
+
+  const connectToDevice = async (device) => {
     try {
+      ReconnectManager.cancel();
       setIsConnecting(true);
       setError(null);
       
-      const success = await bluetoothService.current.connect();
+      const success = await bluetoothService.current.connect(device);
       if (success) {
         const info = await bluetoothService.current.getDeviceInfo();
         setDeviceInfo(info);
@@ -320,6 +516,90 @@ export default function App() {
     }
   };
 
+  // Replaying the last recorded session is offered next to the simulator scenarios
+  const replayOptions = savedRecording ? [
+    {
+      id: 'replay',
+      icon: '⏯',
+      name: 'Replay recording',
+      description: `Plays back the BLE session recorded ${new Date(savedRecording.recordedAt).toLocaleString()} (${savedRecording.events.length} events)`,
+      speed: 1
+    },
+    {
+      id: 'replay-fast',
+      icon: '⏩',
+      name: 'Replay 10×',
+      description: 'Plays back the last recorded BLE session ten times faster',
+      speed: 10
+    }
+  ] : [];
+
+  // Switch between the real sensor, a simulated device scenario and a session replay
+  const handleSelectSimulator = async (sourceId) => {
+    if (!bluetoothService.current || sourceId === simulatorScenario) return;
+
+    const replay = replayOptions.find(option => option.id === sourceId);
+    let transport;
+    if (replay) {
+      transport = new ReplayTransport(savedRecording, { speed: replay.speed });
+    } else if (sourceId) {
+      transport = new SimulatedTransport({ scenario: sourceId });
+    } else {
+      transport = createPlatformTransport();
+    }
+
+    // Switching transports ends a running recording
+    if (isRecording) {
+      await handleToggleRecording();
+    }
+    await bluetoothService.current.setTransport(transport);
+    setSimulatorScenario(sourceId);
+    setError(null);
+  };
+
+  // Start or stop recording the BLE session for later replay
+  const handleToggleRecording = async () => {
+    if (!bluetoothService.current) return;
+
+    if (!isRecording) {
+      bluetoothService.current.startRecording();
+      setIsRecording(true);
+      return;
+    }
+
+    const session = await bluetoothService.current.stopRecording();
+    setIsRecording(false);
+    if (session) {
+      setSavedRecording(session);
+      Alert.alert(
+        'Session Recorded',
+        `${session.events.length} BLE events recorded. Pick "Replay recording" on the connect screen to play them back.`,
+        [
+          { text: 'OK' },
+          { text: 'Export', onPress: () => bluetoothService.current.exportSessionFile(session) }
+        ]
+      );
+    }
+  };
+
+  // A loaded session file replaces the saved recording, so the replay options play it back
+  const handleSessionImported = (session) => {
+    setSavedRecording(session);
+    if (simulatorScenario && replayOptions.some(option => option.id === simulatorScenario)) {
+      // The running replay still holds the previous session, so go back to the real sensor
+      handleSelectSimulator(null);
+    }
+    return session;
+  };
+
+  const handleImportSession = async (text) =>
+    handleSessionImported(await bluetoothService.current.importRecording(text));
+
+  const handlePickSessionFile = async () => {
+    const session = await bluetoothService.current.pickSessionFile();
+    return session && handleSessionImported(session);
+  };
+
   // Handle power mode change
   const handlePowerModeChange = async (lowPowerMode) => {
     try {
@@ -418,23 +698,17 @@ export default function App() {
   // Helper functions for air quality status determination
   const getPM25Status = (pm25) => {
     if (!pm25 || pm25 === 0 || isNaN(pm25)) return 'invalid';
-    if (pm25 <= 12) return 'normal';
-    if (pm25 <= 35) return 'warning';
-    return 'critical';
+    return getAQICategory(calculateSubIndex(pm25, 'pm25')).status;
   };
 
   const getPM10Status = (pm10) => {
     if (!pm10 || pm10 === 0 || isNaN(pm10)) return 'invalid';
-    if (pm10 <= 54) return 'normal';
-    if (pm10 <= 154) return 'warning';
-    return 'critical';
+    return getAQICategory(calculateSubIndex(pm10, 'pm10')).status;
   };
 
   const getAQIStatus = (aqi) => {
     if (!aqi || aqi === 0 || isNaN(aqi)) return 'invalid';
-    if (aqi <= 50) return 'normal';
-    if (aqi <= 100) return 'warning';
-    return 'critical';
+    return getAQICategory(aqi, aqiStandard).status;
   };
 
   const getBatteryStatus = (battery) => {
@@ -444,6 +718,19 @@ export default function App() {
     return 'normal';
   };
 
+  // AQI is derived from the PM readings so it always follows the selected index standard
+  const aqiInfo = getAQIInfo(airQualityData, aqiStandard);
+  const nowCastInfo = getNowCastAQI(nowCast, aqiStandard);
+  const aqiHistory = useMemo(() => pm25History.map((point, index) => {
+    const aqi = calculateAQI({ pm25: point.value, pm10: pm10History[index]?.value }, aqiStandard);
+    return {
+      time: point.time,
+      value: aqi,
+      timestamp: point.timestamp,
+      status: getAQIStatus(aqi)
+    };
+  }), [pm25History, pm10History, aqiStandard]);
+
   return (
     <SafeAreaView style={styles.container}>
       <StatusBar barStyle="light-content" backgroundColor="#000000" />
@@ -464,6 +751,15 @@ export default function App() {
               </View>
             )}
             
+            <TouchableOpacity
+              style={[styles.recordButton, isRecording && styles.recordButtonActive]}
+              onPress={handleToggleRecording}
+            >
+              <Text style={styles.recordButtonText}>
+                {isRecording ? '⏹ REC' : '⏺'}
+              </Text>
+            </TouchableOpacity>
+
             <TouchableOpacity
               style={[
                 styles.connectionButton,
@@ -484,6 +780,12 @@ export default function App() {
         </View>
       </View>
 
+      <AlertBanner
+        title={alertBanner?.title}
+        message={alertBanner?.message}
+        onDismiss={() => setAlertBanner(null)}
+      />
+
       <View style={styles.gradient}>
         <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
           {/* Show main content only when connected */}
@@ -519,13 +821,30 @@ export default function App() {
                 />
                 <MetricCard
                   title="AQI"
-                  value={airQualityData.aqi}
-                  unit=""
-                  status={getAQIStatus(airQualityData.aqi)}
+                  value={aqiInfo.aqi}
+                  unit={aqiInfo.standard}
+                  status={getAQIStatus(aqiInfo.aqi)}
+                  detail={`Dominant pollutant: ${POLLUTANTS[aqiInfo.dominantPollutant].label}`}
+                  aqiStandard={aqiStandard}
                   type="aqi"
                   onViewGraph={handleViewGraph}
                   hasGraphData={aqiHistory.length > 0}
                 />
+                <MetricCard
+                  title="NowCast"
+                  value={nowCastInfo ? nowCastInfo.aqi : 0}
+                  unit={aqiInfo.standard}
+                  status={nowCastInfo ? getAQIStatus(nowCastInfo.aqi) : 'invalid'}
+                  statusText={nowCastInfo ? null : `Collecting data (${nowCast?.hoursWithData || 0} of ${NOWCAST_HOURS} hours) - needs 2 of the last 3 hours`}
+                  detail={nowCast && `Based on ${nowCast.hoursWithData} of ${NOWCAST_HOURS} hours of data`}
+                  aqiStandard={aqiStandard}
+                  type="aqi"
+                />
+                <ExposureCard
+                  totals={exposure}
+                  breathingRate={breathingRate}
+                  onSelectBreathingRate={rateKey => SettingsService.set('breathingRate', rateKey)}
+                />
                 <MetricCard
                   title="Battery"
                   value={battery}
@@ -602,6 +921,12 @@ export default function App() {
                 </View>
               )}
 
+              <AQIStandardPicker
+                standards={AQI_STANDARDS}
+                selectedStandard={aqiStandard}
+                onSelect={standardId => SettingsService.set('aqiStandard', standardId)}
+              />
+
               {/* Power Mode Control */}
               <View style={styles.powerModeSection}>
                 <Text style={styles.sectionTitle}>Power Mode Control</Text>
@@ -687,6 +1012,54 @@ export default function App() {
                       Get historical readings from device
                     </Text>
                   </TouchableOpacity>
+
+                  <TouchableOpacity
+                    style={styles.loggedDataButton}
+                    onPress={() => setStatisticsModalVisible(true)}
+                  >
+                    <Text style={styles.loggedDataButtonText}>
+                      📈 Statistics
+                    </Text>
+                    <Text style={styles.loggedDataButtonSubtext}>
+                      Rolling means and WHO guideline report
+                    </Text>
+                  </TouchableOpacity>
+
+                  <TouchableOpacity
+                    style={styles.loggedDataButton}
+                    onPress={() => setAlertsModalVisible(true)}
+                  >
+                    <Text style={styles.loggedDataButtonText}>
+                      🔔 Alerts
+                    </Text>
+                    <Text style={styles.loggedDataButtonSubtext}>
+                      Threshold alerts and alert history
+                    </Text>
+                  </TouchableOpacity>
+
+                  <TouchableOpacity
+                    style={styles.loggedDataButton}
+                    onPress={() => setDashboardVisible(true)}
+                  >
+                    <Text style={styles.loggedDataButtonText}>
+                      📡 Sensors
+                    </Text>
+                    <Text style={styles.loggedDataButtonSubtext}>
+                      Monitor several sensors side by side
+                    </Text>
+                  </TouchableOpacity>
+
+                  <TouchableOpacity
+                    style={styles.loggedDataButton}
+                    onPress={() => setRegistryModalVisible(true)}
+                  >
+                    <Text style={styles.loggedDataButtonText}>
+                      🏷️ Known Sensors
+                    </Text>
+                    <Text style={styles.loggedDataButtonSubtext}>
+                      Labels, locations and notes for each sensor
+                    </Text>
+                  </TouchableOpacity>
                   
                   <View style={styles.loggedDataDescription}>
                     <Text style={styles.loggedDataDescText}>
@@ -733,6 +1106,8 @@ export default function App() {
                   </View>
                 </View>
               </View>
+
+              <BackgroundSyncSection />
             </>
           ) : (
             /* Disconnected State - Show only large connect button */
@@ -741,15 +1116,42 @@ export default function App() {
                 <Text style={styles.disconnectedTitle}>AirQ Monitor</Text>
                 <Text style={styles.disconnectedSubtitle}>Connect to your air quality sensor</Text>
                 
-                <TouchableOpacity
-                  style={styles.largeConnectButton}
-                  onPress={handleConnect}
+                {reconnectStatus.state === 'idle' || reconnectStatus.state === 'connected' ? (
+                  <TouchableOpacity
+                    style={styles.largeConnectButton}
+                    onPress={handleConnect}
+                    disabled={isConnecting || isAutoConnecting}
+                  >
+                    <Text style={styles.largeConnectButtonText}>
+                      {isConnecting || isAutoConnecting ? 'Connecting...' : 'Connect Device'}
+                    </Text>
+                  </TouchableOpacity>
+                ) : (
+                  /* After a link loss: reconnect progress, or a connect button once it gave up */
+                  <View style={styles.connectionSectionContainer}>
+                    <ConnectionSection
+                      isConnected={isConnected}
+                      isConnecting={isConnecting}
+                      isAutoConnecting={isAutoConnecting}
+                      autoConnectEnabled={autoConnectEnabled}
+                      deviceInfo={deviceInfo}
+                      onConnect={handleConnect}
+                      onDisconnect={handleDisconnect}
+                      onForgetDevice={handleForgetDevice}
+                      onToggleAutoConnect={handleToggleAutoConnect}
+                      reconnectStatus={reconnectStatus}
+                      onCancelReconnect={() => ReconnectManager.cancel()}
+                    />
+                  </View>
+                )}
+
+                <SimulatorPicker
+                  scenarios={[...SIMULATOR_SCENARIOS, ...replayOptions]}
+                  selectedScenario={simulatorScenario}
+                  onSelect={handleSelectSimulator}
+                  onImport={() => setSessionImportVisible(true)}
                   disabled={isConnecting || isAutoConnecting}
-                >
-                  <Text style={styles.largeConnectButtonText}>
-                    {isConnecting || isAutoConnecting ? 'Connecting...' : 'Connect Device'}
-                  </Text>
-                </TouchableOpacity>
+                />
 
                 {error && (
                   <View style={styles.errorContainer}>
@@ -770,14 +1172,58 @@ export default function App() {
         data={selectedGraphData.data}
         type={selectedGraphData.type}
         unit={selectedGraphData.unit}
+        deviceId={bluetoothService.current?.getDevice()?.id}
+        aqiStandard={aqiStandard}
       />
 
       {/* Logged Data Modal */}
       <LoggedDataModal
         visible={loggedDataModalVisible}
         onClose={() => setLoggedDataModalVisible(false)}
+        aqiStandard={aqiStandard}
         data={batteryHistory} // Pass the data to be displayed
       />
+
+      {/* Device Picker Modal */}
+      <DevicePickerModal
+        visible={devicePickerVisible}
+        onSelect={handleSelectDevice}
+        onClose={() => setDevicePickerVisible(false)}
+      />
+
+      {/* Statistics Modal */}
+      <StatisticsModal
+        visible={statisticsModalVisible}
+        onClose={() => setStatisticsModalVisible(false)}
+        deviceId={bluetoothService.current?.getDevice()?.id}
+      />
+
+      {/* Multi-Sensor Dashboard */}
+      <MultiDeviceDashboard
+        visible={dashboardVisible}
+        onClose={() => setDashboardVisible(false)}
+        aqiStandard={aqiStandard}
+      />
+
+      {/* Known Sensors Modal */}
+      <DeviceRegistryModal
+        visible={registryModalVisible}
+        onClose={() => setRegistryModalVisible(false)}
+      />
+
+      {/* Alerts Modal */}
+      <AlertsModal
+        visible={alertsModalVisible}
+        onClose={() => setAlertsModalVisible(false)}
+      />
+
+      {/* Session Import Modal */}
+      <SessionImportModal
+        visible={sessionImportVisible}
+        onClose={() => setSessionImportVisible(false)}
+        onImport={handleImportSession}
+        onPickFile={handlePickSessionFile}
+      />
     </SafeAreaView>
   );
 }
@@ -849,6 +1295,22 @@ const styles = StyleSheet.create({
   connectionButtonTextDisconnected: {
     color: '#50fa7b',
   },
+  recordButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  recordButtonActive: {
+    backgroundColor: 'rgba(255, 85, 85, 0.2)',
+    borderColor: '#ff5555',
+  },
+  recordButtonText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#ff5555',
+  },
   updateIndicator: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1172,6 +1634,9 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     lineHeight: 24,
   },
+  connectionSectionContainer: {
+    width: '100%',
+  },
   largeConnectButton: {
     backgroundColor: '#50fa7b',
     borderRadius: 24,
@@ -0,0 +1,174 @@
+import {
+  calculateSubIndex,
+  calculateAQI,
+  getAQICategory,
+  getAQIInfo,
+  getAQIStandard,
+  AQI_STANDARDS
+} from '../services/AirQualityIndex';
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+
+describe('calculateSubIndex', () => {
+  it.each([
+    [0, 0],
+    [4.5, 25],
+    [9.0, 50],
+    [9.1, 51],
+    [35.4, 100],
+    [35.5, 101],
+    [55.4, 150],
+    [55.5, 151],
+    [125.4, 200],
+    [125.5, 201],
+    [225.4, 300],
+    [225.5, 301],
+    [325.4, 500]
+  ])('PM2.5 %p μg/m³ is sub-index %p', (pm25, aqi) => {
+    expect(calculateSubIndex(pm25, 'pm25')).toBe(aqi);
+  });
+
+  it.each([
+    [0, 0],
+    [54, 50],
+    [55, 51],
+    [154, 100],
+    [155, 101],
+    [254, 150],
+    [255, 151],
+    [354, 200],
+    [355, 201],
+    [424, 300],
+    [425, 301],
+    [604, 500]
+  ])('PM10 %p μg/m³ is sub-index %p', (pm10, aqi) => {
+    expect(calculateSubIndex(pm10, 'pm10')).toBe(aqi);
+  });
+
+  it('truncates to the table precision so values between breakpoint rows are covered', () => {
+    expect(calculateSubIndex(9.05, 'pm25')).toBe(50);
+    expect(calculateSubIndex(35.49, 'pm25')).toBe(100);
+    expect(calculateSubIndex(54.9, 'pm10')).toBe(50);
+  });
+
+  it('caps concentrations beyond the scale at 500', () => {
+    expect(calculateSubIndex(900, 'pm25')).toBe(500);
+    expect(calculateSubIndex(900, 'pm10')).toBe(500);
+  });
+
+  it('returns 0 for invalid readings', () => {
+    expect(calculateSubIndex(-1, 'pm25')).toBe(0);
+    expect(calculateSubIndex(NaN, 'pm25')).toBe(0);
+    expect(calculateSubIndex(undefined, 'pm10')).toBe(0);
+  });
+});
+
+describe('calculateAQI', () => {
+  it('reports the highest pollutant sub-index', () => {
+    expect(calculateAQI({ pm25: 40, pm10: 20 })).toBe(112);
+    expect(calculateAQI({ pm25: 5, pm10: 200 })).toBe(123);
+  });
+
+  it('works with only one pollutant present', () => {
+    expect(calculateAQI({ pm25: 9.0 })).toBe(50);
+    expect(calculateAQI({ pm10: 54 })).toBe(50);
+  });
+});
+
+describe('getAQICategory', () => {
+  it.each([
+    [0, 'Good', '#00e400', 'normal'],
+    [50, 'Good', '#00e400', 'normal'],
+    [51, 'Moderate', '#ffff00', 'warning'],
+    [101, 'Unhealthy for Sensitive Groups', '#ff7e00', 'critical'],
+    [151, 'Unhealthy', '#ff0000', 'critical'],
+    [201, 'Very Unhealthy', '#8f3f97', 'critical'],
+    [301, 'Hazardous', '#7e0023', 'critical'],
+    [500, 'Hazardous', '#7e0023', 'critical']
+  ])('AQI %p is %p', (aqi, label, color, status) => {
+    expect(getAQICategory(aqi)).toMatchObject({ label, color, status });
+  });
+
+  it('has a label, color and health message for every category of every standard', () => {
+    AQI_STANDARDS.forEach(standard => standard.categories.forEach(category => {
+      expect(category).toMatchObject({
+        label: expect.any(String),
+        color: expect.stringMatching(/^#[0-9a-f]{6}$/),
+        healthMessage: expect.any(String)
+      });
+    }));
+  });
+});
+
+describe('getAQIInfo', () => {
+  it('returns index, category, color and health message for a reading', () => {
+    expect(getAQIInfo({ pm25: 40, pm10: 20 })).toEqual({
+      aqi: 112,
+      category: 'Unhealthy for Sensitive Groups',
+      color: '#ff7e00',
+      status: 'critical',
+      healthMessage: getAQIStandard('us-epa').categories[2].healthMessage,
+      dominantPollutant: 'pm25',
+      subIndices: { pm25: 112, pm10: 19 },
+      standard: 'US EPA'
+    });
+  });
+
+  it('names PM10 as dominant when its sub-index is higher', () => {
+    expect(getAQIInfo({ pm25: 5, pm10: 200 })).toMatchObject({ aqi: 123, dominantPollutant: 'pm10' });
+  });
+
+  it('prefers PM2.5 when the sub-indices tie', () => {
+    expect(getAQIInfo({ pm25: 9.0, pm10: 54 }).dominantPollutant).toBe('pm25');
+  });
+
+  it('treats a missing reading as Good with AQI 0', () => {
+    expect(getAQIInfo(null)).toMatchObject({ aqi: 0, category: 'Good' });
+  });
+});
+
+describe('regional standards', () => {
+  it.each([
+    ['eu-eaqi', { pm25: 8, pm10: 15 }, 1, 'Good'],
+    ['eu-eaqi', { pm25: 22, pm10: 15 }, 3, 'Moderate'],
+    ['eu-eaqi', { pm25: 10.05, pm10: 0 }, 1, 'Good'],
+    ['eu-eaqi', { pm25: 900, pm10: 0 }, 6, 'Extremely poor'],
+    ['uk-daqi', { pm25: 11, pm10: 0 }, 1, 'Low'],
+    ['uk-daqi', { pm25: 12, pm10: 0 }, 2, 'Low'],
+    ['uk-daqi', { pm25: 40, pm10: 0 }, 4, 'Moderate'],
+    ['uk-daqi', { pm25: 5, pm10: 80 }, 7, 'High'],
+    ['uk-daqi', { pm25: 71, pm10: 0 }, 10, 'Very High'],
+    ['in-naqi', { pm25: 30, pm10: 0 }, 50, 'Good'],
+    ['in-naqi', { pm25: 75, pm10: 0 }, 149, 'Moderate'],
+    ['in-naqi', { pm25: 0, pm10: 300 }, 250, 'Poor'],
+    ['cn-aqi', { pm25: 35, pm10: 0 }, 50, 'Excellent'],
+    ['cn-aqi', { pm25: 55, pm10: 0 }, 75, 'Good'],
+    ['cn-aqi', { pm25: 0, pm10: 200 }, 125, 'Lightly Polluted'],
+    ['ca-aqhi', { pm25: 10, pm10: 500 }, 1, 'Low Risk'],
+    ['ca-aqhi', { pm25: 45, pm10: 0 }, 5, 'Moderate Risk'],
+    ['ca-aqhi', { pm25: 100, pm10: 0 }, 10, 'High Risk'],
+    ['ca-aqhi', { pm25: 100.1, pm10: 0 }, 11, 'Very High Risk']
+  ])('%s rates %o as %p (%s)', (standardId, reading, aqi, category) => {
+    expect(getAQIInfo(reading, standardId)).toMatchObject({ aqi, category });
+  });
+
+  it('only uses the pollutants a standard covers', () => {
+    expect(getAQIInfo({ pm25: 10, pm10: 500 }, 'ca-aqhi')).toMatchObject({
+      dominantPollutant: 'pm25',
+      subIndices: { pm25: 1 }
+    });
+  });
+
+  it('falls back to US EPA for an unknown standard', () => {
+    expect(getAQIStandard('nope').id).toBe('us-epa');
+    expect(calculateAQI({ pm25: 40 }, 'nope')).toBe(112);
+  });
+});
+
+describe('PlatformBluetoothService', () => {
+  it('uses the shared AQI of both pollutants for logged entries', () => {
+    const service = new PlatformBluetoothService(new SimulatedTransport());
+    const [entry] = service.parseLoggedData('1718000000,3,5,200,87;');
+    expect(entry.aqi).toBe(calculateAQI({ pm25: 5, pm10: 200 }));
+  });
+});
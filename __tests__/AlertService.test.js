@@ -0,0 +1,157 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AlertService, evaluateRule, describeAlert } from '../services/AlertService';
+import SettingsService, { DEFAULT_SETTINGS } from '../services/SettingsService';
+
+const SECOND_MS = 1000;
+const NOW = new Date(2024, 5, 10, 12, 0, 0).getTime();
+
+const rule = {
+  id: 'pm25',
+  metric: 'pm25',
+  direction: 'above',
+  threshold: 35,
+  hysteresis: 5,
+  minDurationSeconds: 60,
+  delivery: 'banner',
+  enabled: true
+};
+
+// Feed values one per 10 seconds and collect the events
+const run = (values, testRule = rule) => {
+  let state = { active: false, pendingSince: null };
+  return values.map((value, i) => {
+    const result = evaluateRule(testRule, state, value, NOW + i * 10 * SECOND_MS);
+    state = result.state;
+    return result.event;
+  });
+};
+
+const createService = (notified = true) => {
+  const notificationService = { notify: jest.fn().mockResolvedValue(notified) };
+  return { service: new AlertService(notificationService), notificationService };
+};
+
+describe('evaluateRule', () => {
+  it('triggers only after the minimum duration above the threshold', () => {
+    const events = run([40, 40, 40, 40, 40, 40, 40]);
+    expect(events.indexOf('triggered')).toBe(6);
+    expect(events.filter(Boolean)).toEqual(['triggered']);
+  });
+
+  it('starts the minimum duration over when the value drops back', () => {
+    const events = run([40, 40, 40, 30, 40, 40, 40, 40, 40]);
+    expect(events).not.toContain('triggered');
+  });
+
+  it('clears only once the value recovers by the hysteresis margin', () => {
+    const instant = { ...rule, minDurationSeconds: 0 };
+    expect(run([40, 34, 31, 36, 30, 40], instant)).toEqual(['triggered', null, null, null, 'cleared', 'triggered']);
+  });
+
+  it('supports rules below a threshold', () => {
+    const battery = { ...rule, metric: 'battery', direction: 'below', threshold: 20, minDurationSeconds: 0 };
+    expect(run([25, 19, 22, 26, 18], battery)).toEqual([null, 'triggered', null, 'cleared', 'triggered']);
+  });
+});
+
+describe('describeAlert', () => {
+  it('names the metric, value and threshold', () => {
+    expect(describeAlert({ metric: 'pm25', direction: 'above', threshold: 35, value: 42 })).toEqual({
+      title: 'PM2.5 above 35',
+      body: 'PM2.5 is 42 μg/m³, above your alert level of 35 μg/m³.'
+    });
+  });
+
+  it('names the standard of an AQI alert', () => {
+    expect(describeAlert({ metric: 'aqi', standardId: 'uk-daqi', direction: 'above', threshold: 6, value: 7 }).title)
+      .toBe('DAQI AQI above 6');
+  });
+});
+
+describe('AlertService', () => {
+  beforeEach(() => AsyncStorage.clear());
+
+  it('records triggered and cleared alerts in the history', async () => {
+    const { service } = createService();
+    await service.load();
+    await service.removeRule('battery-low');
+    await service.updateRule('pm25-high', { minDurationSeconds: 0, delivery: 'banner' });
+
+    service.evaluate({ pm25: 50, timestamp: NOW });
+    service.evaluate({ pm25: 60, timestamp: NOW + SECOND_MS });
+    expect(service.getHistory()).toHaveLength(1);
+    expect(service.getHistory()[0]).toEqual(expect.objectContaining({ ruleId: 'pm25-high', value: 50, clearedAt: null }));
+
+    service.evaluate({ pm25: 10, timestamp: NOW + 2 * SECOND_MS });
+    expect(service.getHistory()[0].clearedAt).toBe(NOW + 2 * SECOND_MS);
+  });
+
+  it('sends a notification and falls back to a banner when it cannot be shown', async () => {
+    const delivered = createService(true);
+    const alerts = [];
+    delivered.service.addEventListener('alert', alert => alerts.push(alert));
+    await delivered.service.deliver({ ...rule, metric: 'pm10', value: 80, delivery: 'notification' });
+    expect(delivered.notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({ title: 'PM10 above 35' }));
+    expect(alerts[0].showBanner).toBe(false);
+
+    const denied = createService(false);
+    denied.service.addEventListener('alert', alert => alerts.push(alert));
+    await denied.service.deliver({ ...rule, value: 80, delivery: 'notification' });
+    expect(alerts[1].showBanner).toBe(true);
+  });
+
+  it('ignores disabled rules and readings without the metric', async () => {
+    const { service } = createService();
+    await service.updateRule('battery-low', { enabled: false });
+    await service.updateRule('pm25-high', { minDurationSeconds: 0 });
+
+    service.evaluate({ pm25: undefined, battery: 5, timestamp: NOW });
+    expect(service.getHistory()).toHaveLength(0);
+  });
+
+  it('persists rules and history', async () => {
+    const { service } = createService();
+    await service.addRule({ metric: 'aqi', direction: 'above', threshold: 150, delivery: 'banner' });
+    service.evaluate({ pm25: 150, pm10: 50, timestamp: NOW });
+
+    const reloaded = createService().service;
+    await reloaded.load();
+    expect(reloaded.getRules().map(r => r.metric)).toEqual(['pm25', 'battery', 'aqi']);
+    expect(reloaded.getHistory()).toHaveLength(1);
+  });
+
+  it('keeps evaluating an AQI rule on the standard it was set on', async () => {
+    const { service } = createService();
+    await service.removeRule('pm25-high');
+    const aqiRule = await service.addRule({ metric: 'aqi', direction: 'above', threshold: 150, delivery: 'banner' });
+    expect(aqiRule.standardId).toBe('us-epa');
+
+    await SettingsService.set('aqiStandard', 'uk-daqi');
+    service.evaluate({ pm25: 150, pm10: 50, timestamp: NOW });
+    await SettingsService.set('aqiStandard', DEFAULT_SETTINGS.aqiStandard);
+
+    expect(service.getHistory()).toEqual([expect.objectContaining({ metric: 'aqi', standardId: 'us-epa', value: 225 })]);
+  });
+
+  it('rejects invalid rules', async () => {
+    const { service } = createService();
+    await expect(service.addRule({ metric: 'co2', direction: 'above', threshold: 1000 })).rejects.toThrow('Unknown alert metric: co2');
+    await expect(service.addRule({ metric: 'pm25', direction: 'above', threshold: 'high' })).rejects.toThrow('Alert threshold must be a number');
+    await expect(service.updateRule('nope', {})).rejects.toThrow('Unknown alert rule: nope');
+  });
+
+  it('forgets pending alerts when the sensor disconnects', async () => {
+    const listeners = {};
+    const bluetoothService = {
+      addEventListener: (event, callback) => { listeners[event] = callback; },
+      removeEventListener: jest.fn()
+    };
+    const { service } = createService();
+    service.attach(bluetoothService);
+
+    listeners.airQualityUpdate({ pm25: 50, timestamp: NOW });
+    listeners.connectionChange(false);
+    listeners.airQualityUpdate({ pm25: 50, timestamp: NOW + 60 * SECOND_MS });
+    expect(service.getHistory()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  calculateRollingMeans,
+  aggregateByPeriod,
+  getWHOComplianceReport
+} from '../services/Analytics';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date(2024, 5, 10, 12, 0, 0).getTime();
+
+// One reading per hour of a local day with a constant concentration
+const fullDay = (day, pm25, pm10 = 20) => Array.from({ length: 24 }, (_, hour) => ({
+  timestamp: new Date(2024, 5, day, hour, 30).getTime(),
+  pm25,
+  pm10
+}));
+
+describe('calculateRollingMeans', () => {
+  it('averages each window ending now', () => {
+    const readings = [
+      { timestamp: NOW - 30 * 60 * 1000, pm25: 10, pm10: 20 },
+      { timestamp: NOW - 5 * HOUR_MS, pm25: 40, pm10: 50 },
+      { timestamp: NOW - 20 * HOUR_MS, pm25: 70, pm10: 80, count: 2 }
+    ];
+    const means = calculateRollingMeans(readings, NOW);
+    expect(means['1h']).toEqual({ pm25: 10, pm10: 20, readings: 1 });
+    expect(means['8h']).toEqual({ pm25: 25, pm10: 35, readings: 2 });
+    expect(means['24h']).toEqual({ pm25: 47.5, pm10: 57.5, readings: 4 });
+  });
+
+  it('reports null for windows without readings', () => {
+    expect(calculateRollingMeans([], NOW)['24h']).toEqual({ pm25: null, pm10: null, readings: 0 });
+  });
+});
+
+describe('aggregateByPeriod', () => {
+  it('groups readings into local days, oldest first', () => {
+    const readings = [...fullDay(10, 30), ...fullDay(9, 10)];
+    const days = aggregateByPeriod(readings, 'day');
+    expect(days.map(day => day.key)).toEqual(['2024-06-09', '2024-06-10']);
+    expect(days[0]).toMatchObject({ pm25: { mean: 10, min: 10, max: 10 }, readings: 24, coverage: 1 });
+  });
+
+  it('reports the share of hours with readings', () => {
+    const [day] = aggregateByPeriod(fullDay(10, 30).slice(0, 6), 'day');
+    expect(day.coverage).toBe(0.25);
+  });
+
+  it('groups readings into months', () => {
+    const readings = [
+      { timestamp: new Date(2024, 4, 31, 12).getTime(), pm25: 10, pm10: 10 },
+      { timestamp: new Date(2024, 5, 1, 12).getTime(), pm25: 20, pm10: 10 },
+      { timestamp: new Date(2024, 5, 2, 12).getTime(), pm25: 30, pm10: 10 }
+    ];
+    const months = aggregateByPeriod(readings, 'month');
+    expect(months.map(month => [month.key, month.pm25.mean])).toEqual([['2024-05', 10], ['2024-06', 25]]);
+  });
+});
+
+describe('getWHOComplianceReport', () => {
+  const days = aggregateByPeriod([
+    ...fullDay(7, 10),
+    ...fullDay(8, 30),
+    ...fullDay(9, 60),
+    ...fullDay(10, 80).slice(0, 12) // Only half a day, not counted
+  ], 'day');
+
+  it('counts days above each WHO daily level', () => {
+    const report = getWHOComplianceReport(days);
+    expect(report).toMatchObject({ daysWithData: 4, completeDays: 3 });
+    expect(report.pm25.levels.map(level => [level.key, level.exceedanceDays])).toEqual([
+      ['it1', 0],
+      ['it2', 1],
+      ['it3', 1],
+      ['it4', 2],
+      ['aqg', 2]
+    ]);
+    expect(report.pm25.levels[4].exceedances).toEqual(['2024-06-08', '2024-06-09']);
+  });
+
+  it('compares the mean of complete days with the annual levels', () => {
+    const report = getWHOComplianceReport(days, { minAnnualDays: 3 });
+    expect(report.coversYear).toBe(true);
+    expect(report.pm25.periodMean).toBe(33.3);
+    expect(report.pm25.levels.map(level => level.meetsAnnual)).toEqual([true, false, false, false, false]);
+    expect(report.pm10.periodMean).toBe(20);
+    expect(report.pm10.levels.find(level => level.key === 'aqg').exceedanceDays).toBe(0);
+  });
+
+  it('leaves the annual levels out until the complete days cover most of a year', () => {
+    const report = getWHOComplianceReport(days);
+    expect(report.coversYear).toBe(false);
+    expect(report.pm25.periodMean).toBe(33.3);
+    expect(report.pm25.levels.map(level => level.meetsAnnual)).toEqual([null, null, null, null, null]);
+  });
+
+  it('accepts a lower coverage requirement', () => {
+    expect(getWHOComplianceReport(days, { minCoverage: 0.5 }).pm25.levels[0].exceedanceDays).toBe(1);
+  });
+});
@@ -0,0 +1,90 @@
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import { runBackgroundSync } from '../services/BackgroundSync';
+import { ReconnectManager } from '../services/ReconnectManager';
+import SimulatedTransport, { SIMULATED_DEVICE } from '../services/transports/SimulatedTransport';
+import { createHistoryStore } from './fixtures/services';
+
+// Neither has a native module under jest-expo; runBackgroundSync doesn't use them
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskRegisteredAsync: jest.fn(() => Promise.resolve(false))
+}));
+jest.mock('expo-background-task', () => ({}));
+
+describe('runBackgroundSync', () => {
+  let service;
+  let historyStore;
+
+  beforeEach(() => {
+    service = new PlatformBluetoothService(new SimulatedTransport({ latencyMs: 0 }));
+    historyStore = createHistoryStore();
+  });
+
+  afterEach(async () => {
+    await service.forgetDevice();
+  });
+
+  it('does nothing without a remembered device', async () => {
+    const result = await runBackgroundSync(service, historyStore);
+
+    expect(result).toEqual({ status: 'noDevice', added: 0 });
+    expect(service.getConnectionStatus()).toBe(false);
+  });
+
+  it('connects to the remembered device, merges its log and disconnects', async () => {
+    await service.storeDeviceInfo(SIMULATED_DEVICE);
+    const syncRTCTime = jest.spyOn(service, 'syncRTCTime');
+
+    const result = await runBackgroundSync(service, historyStore);
+
+    expect(result.status).toBe('synced');
+    expect(result.added).toBeGreaterThan(0);
+    expect(syncRTCTime).toHaveBeenCalledTimes(1);
+    expect(historyStore.mergeLoggedData).toHaveBeenCalledWith(SIMULATED_DEVICE.id, expect.any(Array), { syncedUntil: null });
+    expect(service.getConnectionStatus()).toBe(false);
+  });
+
+  it('only downloads entries newer than the last archived one', async () => {
+    await service.storeDeviceInfo(SIMULATED_DEVICE);
+    await runBackgroundSync(service, historyStore);
+    const { lastLogTimestamp } = historyStore.getSyncState(SIMULATED_DEVICE.id);
+    const downloadLoggedData = jest.spyOn(service, 'downloadLoggedData');
+
+    await runBackgroundSync(service, historyStore);
+
+    expect(downloadLoggedData).toHaveBeenCalledWith({ since: lastLogTimestamp });
+  });
+
+  it('syncs the remembered device even after another one was used in the session', async () => {
+    await service.storeDeviceInfo(SIMULATED_DEVICE);
+    service.lastDevice = { id: 'SIM-AIRQ-0002', name: 'Other sensor' };
+    const quickConnect = jest.spyOn(service, 'quickConnect');
+
+    const result = await runBackgroundSync(service, historyStore);
+
+    expect(result.status).toBe('synced');
+    expect(quickConnect).toHaveBeenCalledWith(SIMULATED_DEVICE.id);
+    expect(historyStore.mergeLoggedData).toHaveBeenCalledWith(SIMULATED_DEVICE.id, expect.any(Array), { syncedUntil: null });
+  });
+
+  it('fails when the remembered device cannot be reached', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await service.storeDeviceInfo({ id: 'SIM-AIRQ-0002', name: 'Out of range' });
+
+    await expect(runBackgroundSync(service, historyStore)).rejects.toThrow('The remembered sensor could not be reached');
+    expect(historyStore.mergeLoggedData).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('leaves the foreground reconnect running when it disconnects', async () => {
+    await service.storeDeviceInfo(SIMULATED_DEVICE);
+    const manager = new ReconnectManager();
+    const detach = manager.attach(service);
+    const cancel = jest.spyOn(manager, 'cancel');
+
+    await runBackgroundSync(service, historyStore);
+
+    expect(cancel).not.toHaveBeenCalled();
+    detach();
+  });
+});
@@ -0,0 +1,68 @@
+import BlePlxTransport from '../services/transports/BlePlxTransport';
+
+// One BleManager running one scan at a time, like the native module
+const mockManager = {
+  scanCallback: null,
+  state: jest.fn(() => Promise.resolve('PoweredOn')),
+  startDeviceScan: jest.fn((uuids, options, callback) => { mockManager.scanCallback = callback; }),
+  stopDeviceScan: jest.fn(() => { mockManager.scanCallback = null; })
+};
+
+const AIRQ = { id: 'AA:BB:CC:DD:EE:01', name: 'AirQ Sensor', rssi: -60 };
+
+// Skip loading the native module; every transport shares the one manager
+const createTransport = () => {
+  const transport = new BlePlxTransport({
+    serviceUUID: '0000',
+    characteristics: [],
+    deviceName: 'AirQ Sensor',
+    deviceNamePrefix: 'AirQ'
+  });
+  transport.manager = mockManager;
+  transport.ready = Promise.resolve();
+  return transport;
+};
+
+describe('BlePlxTransport scanning', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+  });
+  afterEach(() => jest.useRealTimers());
+
+  it('stops the scan when the first device is found and cancels the scan timeout', async () => {
+    const transport = createTransport();
+    const onDeviceFound = jest.fn();
+    await transport.scan(onDeviceFound);
+
+    mockManager.scanCallback(null, AIRQ);
+    expect(onDeviceFound).toHaveBeenCalledWith(AIRQ);
+    expect(mockManager.stopDeviceScan).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(30000);
+    expect(mockManager.stopDeviceScan).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops a scan that found nothing after 30 seconds', async () => {
+    await createTransport().scan(jest.fn());
+
+    jest.advanceTimersByTime(30000);
+    expect(mockManager.stopDeviceScan).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not end a device watch that replaced a timed-out scan', async () => {
+    const transport = createTransport();
+    await transport.scan(jest.fn());
+
+    const onAdvertisement = jest.fn();
+    const stopWatching = await createTransport().watchDevices(onAdvertisement);
+    jest.advanceTimersByTime(30000);
+    expect(mockManager.stopDeviceScan).not.toHaveBeenCalled();
+
+    mockManager.scanCallback(null, AIRQ);
+    expect(onAdvertisement).toHaveBeenCalledWith(expect.objectContaining({ id: AIRQ.id, rssi: -60 }));
+
+    stopWatching();
+    expect(mockManager.stopDeviceScan).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,78 @@
+import { DeviceManager } from '../services/DeviceManager';
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+import { createHistoryStore, watchRTCSyncs } from './fixtures/services';
+
+const LAB_SENSORS = [
+  { id: 'SIM-LAB-1', name: 'AirQ Lab 1' },
+  { id: 'SIM-LAB-2', name: 'AirQ Lab 2' }
+];
+
+const createRegistry = () => ({ register: jest.fn(() => Promise.resolve()) });
+
+// Every service gets a simulated sensor of its own, in the order of LAB_SENSORS
+const createManager = (historyStore = createHistoryStore(), registry = createRegistry()) => {
+  let created = 0;
+  return new DeviceManager(() => new PlatformBluetoothService(new SimulatedTransport({
+    latencyMs: 0,
+    liveIntervalMs: 30,
+    device: LAB_SENSORS[created++ % LAB_SENSORS.length]
+  })), historyStore, registry);
+};
+
+describe('DeviceManager', () => {
+  let rtcSynced;
+  beforeEach(() => { rtcSynced = watchRTCSyncs(); });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('monitors several sensors at once with readings tagged by device', async () => {
+    const historyStore = createHistoryStore();
+    const registry = createRegistry();
+    const manager = createManager(historyStore, registry);
+    const readings = [];
+    manager.addEventListener('airQualityUpdate', reading => readings.push(reading));
+
+    await manager.addDevice(LAB_SENSORS[0]);
+    await manager.addDevice(LAB_SENSORS[1]);
+    await rtcSynced();
+
+    await new Promise(resolve => manager.addEventListener('devicesChange', devices => {
+      if (devices.every(device => device.history.length >= 2)) resolve();
+    }));
+
+    const devices = manager.getDevices();
+    expect(devices.map(device => device.id)).toEqual(['SIM-LAB-1', 'SIM-LAB-2']);
+    devices.forEach(device => {
+      expect(device).toEqual(expect.objectContaining({ connected: true, primary: false }));
+      expect(device.airQuality.pm25).toEqual(expect.any(Number));
+    });
+    expect(new Set(readings.map(reading => reading.deviceId))).toEqual(new Set(['SIM-LAB-1', 'SIM-LAB-2']));
+    expect(historyStore.attached).toEqual(['SIM-LAB-1', 'SIM-LAB-2']);
+    expect(registry.register).toHaveBeenCalledWith(expect.objectContaining({ id: 'SIM-LAB-2', name: 'AirQ Lab 2' }));
+
+    await manager.removeAll();
+    expect(manager.getDevices()).toEqual([]);
+  });
+
+  it('lists the main connection and rejects connecting a sensor twice', async () => {
+    const historyStore = createHistoryStore();
+    const manager = createManager(historyStore);
+    const primary = new PlatformBluetoothService(new SimulatedTransport({ latencyMs: 0, device: LAB_SENSORS[0] }));
+    const detach = manager.attach(primary);
+
+    await primary.connectToDevice(LAB_SENSORS[0]);
+    await rtcSynced();
+    expect(manager.getDevices()).toEqual([expect.objectContaining({ id: 'SIM-LAB-1', primary: true })]);
+    expect(historyStore.attached).toEqual([]);
+
+    await expect(manager.addDevice(LAB_SENSORS[0])).rejects.toThrow('AirQ Lab 1 is already connected');
+
+    // Removing the main connection from the list leaves it connected
+    await manager.removeDevice('SIM-LAB-1');
+    expect(primary.getConnectionStatus()).toBe(true);
+
+    await primary.disconnect();
+    expect(manager.getDevices()).toEqual([]);
+    detach();
+  });
+});
@@ -0,0 +1,70 @@
+import { DeviceRegistry, DEVICE_COLORS, validateDeviceMetadata, getDisplayName } from '../services/DeviceRegistry';
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+import { createHistoryStore, watchRTCSyncs } from './fixtures/services';
+
+const NOW = new Date(2024, 5, 10, 12, 0, 0).getTime();
+
+describe('validateDeviceMetadata', () => {
+  it('trims text and clears empty fields', () => {
+    expect(validateDeviceMetadata({ label: '  Kitchen ', notes: '', installedAt: '2024-06-01' }))
+      .toEqual({ label: 'Kitchen', notes: null, installedAt: '2024-06-01' });
+  });
+
+  it('rejects unknown fields, colors and dates', () => {
+    expect(() => validateDeviceMetadata({ owner: 'me' })).toThrow('Unknown sensor field: owner');
+    expect(() => validateDeviceMetadata({ color: 'green' })).toThrow('Sensor color must be a hex color like #50fa7b');
+    expect(() => validateDeviceMetadata({ installedAt: 'June' })).toThrow('Install date must be a date like 2024-06-10');
+  });
+});
+
+describe('DeviceRegistry', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('registers sensors with a color each and keeps user metadata across reconnects', async () => {
+    const registry = new DeviceRegistry(createHistoryStore({ 'AIRQ-1': { lastSyncAt: NOW - 1000 } }));
+    await registry.register({ id: 'AIRQ-1', name: 'AirQ Sensor' }, NOW);
+    await registry.register({ id: 'AIRQ-2', name: 'AirQ Sensor' }, NOW);
+    await registry.updateDevice('AIRQ-2', { label: 'Bedroom', location: 'Nightstand' });
+    await registry.updateDevice('AIRQ-1', { label: 'Kitchen' });
+    await registry.register({ id: 'AIRQ-1', name: 'AirQ Sensor' }, NOW + 5000);
+
+    expect(registry.getDevices().map(getDisplayName)).toEqual(['Bedroom', 'Kitchen']);
+    expect(registry.getDevice('AIRQ-1')).toEqual(expect.objectContaining({
+      label: 'Kitchen',
+      color: DEVICE_COLORS[0],
+      addedAt: NOW,
+      lastConnectedAt: NOW + 5000,
+      lastSyncAt: NOW - 1000
+    }));
+    expect(registry.getColor('AIRQ-2')).toBe(DEVICE_COLORS[1]);
+    expect(registry.getDisplayName('AIRQ-3', 'AirQ Sensor')).toBe('AirQ Sensor');
+
+    // A new instance stands in for an app restart
+    const restarted = new DeviceRegistry(createHistoryStore());
+    await restarted.load();
+    expect(restarted.getDisplayName('AIRQ-2')).toBe('Bedroom');
+
+    await registry.removeDevice('AIRQ-1');
+    await registry.removeDevice('AIRQ-2');
+    await expect(registry.updateDevice('AIRQ-1', { label: 'Hall' })).rejects.toThrow('Unknown sensor: AIRQ-1');
+  });
+
+  it('registers the sensor a Bluetooth service connects to', async () => {
+    const rtcSynced = watchRTCSyncs();
+    const registry = new DeviceRegistry(createHistoryStore());
+    const service = new PlatformBluetoothService(new SimulatedTransport({ latencyMs: 0 }));
+    const detach = registry.attach(service);
+
+    const registered = new Promise(resolve => registry.addEventListener('registryChange', devices => {
+      if (devices.length > 0) resolve(devices);
+    }));
+    await service.connectToDevice(await new Promise(resolve => service.startScanning(resolve)));
+    expect(await registered).toEqual([expect.objectContaining({ id: 'SIM-AIRQ-0001', name: 'AirQ Sensor (Simulated)' })]);
+
+    await rtcSynced();
+    await service.disconnect();
+    detach();
+    await registry.removeDevice('SIM-AIRQ-0001');
+  });
+});
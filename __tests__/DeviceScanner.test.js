@@ -0,0 +1,62 @@
+import { DeviceScanner, getRssiTrend, sortDevices } from '../services/DeviceScanner';
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport, { SIMULATED_DEVICE } from '../services/transports/SimulatedTransport';
+
+const NOW = new Date(2024, 5, 10, 12, 0, 0).getTime();
+
+describe('getRssiTrend', () => {
+  it('compares the newer half of the samples with the older half', () => {
+    expect(getRssiTrend([-80])).toBe('steady');
+    expect(getRssiTrend([-80, -79, -70, -68])).toBe('rising');
+    expect(getRssiTrend([-60, -62, -70, -72])).toBe('falling');
+    expect(getRssiTrend([-60, -61, -62, -60, -59])).toBe('steady');
+  });
+});
+
+describe('sortDevices', () => {
+  const devices = [
+    { id: 'b', name: 'AirQ Lab 2', rssi: -80, lastSeen: NOW },
+    { id: 'a', name: 'AirQ Lab 1', rssi: null, lastSeen: NOW - 5000 },
+    { id: 'c', name: 'AirQ Lab 3', rssi: -55, lastSeen: NOW - 1000 }
+  ];
+
+  it('sorts by signal, name or last seen', () => {
+    expect(sortDevices(devices, 'signal').map(device => device.id)).toEqual(['c', 'b', 'a']);
+    expect(sortDevices(devices, 'name').map(device => device.id)).toEqual(['a', 'b', 'c']);
+    expect(sortDevices(devices, 'lastSeen').map(device => device.id)).toEqual(['b', 'c', 'a']);
+    expect(() => sortDevices(devices, 'size')).toThrow('Unknown device sort order: size');
+  });
+});
+
+describe('DeviceScanner', () => {
+  it('keeps every advertiser with its recent RSSI samples and last-seen time', () => {
+    const scanner = new DeviceScanner({ rssiSamples: 3 });
+    [-70, -68, -60, -58].forEach((rssi, i) => scanner.recordAdvertisement({ id: 'a', name: 'AirQ A', rssi }, NOW + i * 1000));
+    scanner.recordAdvertisement({ id: 'b', name: 'AirQ B', rssi: -50 }, NOW + 500);
+
+    const [strongest, other] = scanner.getDevices();
+    expect(strongest).toEqual(expect.objectContaining({ id: 'b', rssi: -50, trend: 'steady' }));
+    expect(other).toEqual(expect.objectContaining({
+      id: 'a',
+      rssi: -58,
+      rssiSamples: [-68, -60, -58],
+      trend: 'rising',
+      firstSeen: NOW,
+      lastSeen: NOW + 3000
+    }));
+  });
+
+  it('lists the simulated device while scanning', async () => {
+    const service = new PlatformBluetoothService(new SimulatedTransport({ latencyMs: 0 }));
+    const scanner = new DeviceScanner();
+
+    const devices = await new Promise(resolve => {
+      scanner.addEventListener('devicesChange', list => list.length > 0 && resolve(list));
+      scanner.start(service);
+    });
+    scanner.stop();
+
+    expect(devices).toEqual([expect.objectContaining({ id: SIMULATED_DEVICE.id, rssi: expect.any(Number) })]);
+    expect(scanner.isScanning()).toBe(false);
+  });
+});
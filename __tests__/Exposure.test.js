@@ -0,0 +1,72 @@
+import {
+  integrateExposure,
+  estimateInhaledDose,
+  calculateExposureTotals
+} from '../services/Exposure';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const NOW = new Date(2024, 5, 10, 12, 0, 0).getTime();
+
+// Readings every minute with a constant concentration, ending at `end`
+const everyMinute = (end, minutes, pm25) => Array.from({ length: minutes }, (_, i) => ({
+  timestamp: end - (minutes - i) * MINUTE_MS,
+  pm25
+}));
+
+describe('integrateExposure', () => {
+  it('integrates concentration over time in μg·h/m³', () => {
+    const result = integrateExposure(everyMinute(NOW, 120, 30), { end: NOW });
+    expect(result).toEqual({ exposure: 60, hours: 2, meanConcentration: 30 });
+  });
+
+  it('holds each reading until the next one', () => {
+    const readings = [
+      { timestamp: NOW - HOUR_MS, pm25: 10 },
+      { timestamp: NOW - 50 * MINUTE_MS, pm25: 40 },
+      { timestamp: NOW - 40 * MINUTE_MS, pm25: 40 }
+    ];
+    // 10 min at 10 + 10 min at 40 + 10 min (max gap) at 40
+    expect(integrateExposure(readings, { end: NOW }).exposure).toBe(15);
+  });
+
+  it('does not count gaps longer than the maximum as exposure', () => {
+    const readings = [
+      { timestamp: NOW - 5 * HOUR_MS, pm25: 100 },
+      { timestamp: NOW - HOUR_MS, pm25: 100 }
+    ];
+    expect(integrateExposure(readings, { end: NOW })).toMatchObject({ exposure: 33.3, hours: 0.3 });
+    expect(integrateExposure(readings, { end: NOW, maxGapMs: 4 * HOUR_MS }).hours).toBe(5);
+  });
+
+  it('clips to the requested range', () => {
+    const readings = everyMinute(NOW, 120, 30);
+    expect(integrateExposure(readings, { start: NOW - HOUR_MS, end: NOW }).exposure).toBe(30);
+  });
+
+  it('is zero without readings', () => {
+    expect(integrateExposure([])).toEqual({ exposure: 0, hours: 0, meanConcentration: null });
+  });
+});
+
+describe('estimateInhaledDose', () => {
+  it('multiplies exposure by the breathing rate', () => {
+    expect(estimateInhaledDose(60, 'rest')).toBe(30);
+    expect(estimateInhaledDose(60, 'exercise')).toBe(180);
+  });
+
+  it('is null without a breathing rate preset', () => {
+    expect(estimateInhaledDose(60, null)).toBeNull();
+  });
+});
+
+describe('calculateExposureTotals', () => {
+  it('totals today since local midnight and the last 7 days', () => {
+    const yesterday = new Date(2024, 5, 9, 20, 0, 0).getTime();
+    const readings = [...everyMinute(yesterday, 60, 20), ...everyMinute(NOW, 60, 10)];
+    const totals = calculateExposureTotals(readings, NOW);
+    expect(totals.today.exposure).toBe(10);
+    // Yesterday's last reading holds for the maximum gap: 69 minutes at 20 plus 1 hour at 10
+    expect(totals.week.exposure).toBe(33);
+  });
+});
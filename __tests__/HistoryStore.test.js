@@ -0,0 +1,287 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { HistoryStore } from '../services/HistoryStore';
+import SettingsService, { DEFAULT_SETTINGS } from '../services/SettingsService';
+import { calculateAQI } from '../services/AirQualityIndex';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const reading = (timestamp, pm25, source) => ({ timestamp, pm1: 1, pm25, pm10: 10, battery: 80, aqi: 20, source });
+
+describe('HistoryStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    store = new HistoryStore();
+  });
+
+  // Appends schedule a delayed write; flushing clears the timer so jest can exit
+  afterEach(() => store.flush());
+
+  describe('append and query', () => {
+    // Recent days, so the maintenance a fresh store runs on init keeps them
+    const midnight = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+    const yesterday = new Date(midnight - DAY_MS).toISOString().split('T')[0];
+    const today = new Date(midnight).toISOString().split('T')[0];
+
+    it('buckets readings by UTC day', async () => {
+      await store.append('dev-1', reading(midnight - 1000, 5));
+      await store.append('dev-1', reading(midnight + 1000, 6));
+      await store.flush();
+
+      expect(store.getDeviceIds()).toEqual(['dev-1']);
+      expect(store.index['dev-1']).toEqual([yesterday, today]);
+      expect(JSON.parse(await AsyncStorage.getItem(`airq_history_dev-1_${yesterday}`)).readings).toHaveLength(1);
+      expect(JSON.parse(await AsyncStorage.getItem(`airq_history_dev-1_${today}`)).readings).toHaveLength(1);
+    });
+
+    it('only returns readings inside the queried range', async () => {
+      await store.append('dev-1', reading(midnight - 1000, 5));
+      await store.append('dev-1', reading(midnight + 1000, 6));
+      await store.append('dev-1', reading(midnight + 5000, 7));
+
+      const todayOnly = await store.query({ deviceId: 'dev-1', start: midnight, end: midnight + DAY_MS });
+      expect(todayOnly.map(r => r.pm25)).toEqual([6, 7]);
+
+      const window = await store.query({ deviceId: 'dev-1', start: midnight - 2000, end: midnight + 2000 });
+      expect(window.map(r => r.pm25)).toEqual([5, 6]);
+    });
+
+    it('keeps readings sorted when one arrives out of order', async () => {
+      await store.append('dev-1', reading(midnight + 5000, 7));
+      await store.append('dev-1', reading(midnight + 1000, 6));
+
+      const readings = await store.query({ deviceId: 'dev-1', start: midnight, end: midnight + DAY_MS });
+      expect(readings.map(r => r.timestamp)).toEqual([midnight + 1000, midnight + 5000]);
+    });
+
+    it('merges devices by time and tags readings with their device when no device is given', async () => {
+      await store.append('dev-1', reading(midnight + 1000, 6));
+      await store.append('dev-2', reading(midnight + 500, 9));
+
+      const readings = await store.query({ start: midnight, end: midnight + DAY_MS });
+      expect(readings.map(r => [r.deviceId, r.pm25])).toEqual([['dev-2', 9], ['dev-1', 6]]);
+    });
+
+    it('reads flushed days back from storage', async () => {
+      await store.append('dev-1', reading(midnight - 1000, 5, 'live'));
+      await store.flush();
+
+      const reloaded = new HistoryStore();
+      const readings = await reloaded.query({ deviceId: 'dev-1', start: midnight - DAY_MS, end: midnight });
+      expect(readings).toEqual([{ ...reading(midnight - 1000, 5, 'live'), aqi: calculateAQI({ pm25: 5, pm10: 10 }) }]);
+    });
+
+    it('derives the AQI on the selected standard when reading', async () => {
+      await store.append('dev-1', reading(midnight + 1000, 40, 'live'));
+      await store.flush();
+      const stored = JSON.parse(await AsyncStorage.getItem(`airq_history_dev-1_${today}`)).readings[0];
+      expect(stored.aqi).toBeUndefined();
+
+      await SettingsService.set('aqiStandard', 'uk-daqi');
+      const [daqi] = await store.getRecent('dev-1');
+      await SettingsService.set('aqiStandard', DEFAULT_SETTINGS.aqiStandard);
+      const [epa] = await store.query({ deviceId: 'dev-1', start: midnight, end: midnight + DAY_MS });
+
+      expect(daqi.aqi).toBe(calculateAQI({ pm25: 40, pm10: 10 }, 'uk-daqi'));
+      expect(epa.aqi).toBe(calculateAQI({ pm25: 40, pm10: 10 }, 'us-epa'));
+    });
+  });
+
+  describe('mergeLoggedData', () => {
+    // Log entries use Unix seconds, stored readings use millis
+    const second = Math.floor(Date.now() / 1000) - 3600;
+    const entry = (timestamp, pm25) => ({ timestamp, pm1: 1, pm25, pm10: 10, battery: 80, aqi: 20 });
+    const readAll = () => store.query({ deviceId: 'dev-1', start: (second - 60) * 1000, end: (second + 60) * 1000 });
+
+    it('ignores entries that were already downloaded', async () => {
+      await store.mergeLoggedData('dev-1', [entry(second, 5), entry(second + 10, 6)]);
+      const summary = await store.mergeLoggedData('dev-1', [entry(second + 10, 6), entry(second + 20, 7)]);
+
+      expect(summary).toEqual({ added: 1, duplicates: 1, skipped: 0 });
+      expect((await readAll()).map(r => r.pm25)).toEqual([5, 6, 7]);
+      expect(store.getLastLogTimestamp('dev-1')).toBe(second + 20);
+    });
+
+    it('does not duplicate live readings stored in the same second', async () => {
+      await store.append('dev-1', reading(second * 1000 + 400, 5, 'live'));
+      await store.append('dev-1', reading((second + 10) * 1000 + 700, 6, 'live'));
+
+      const summary = await store.mergeLoggedData('dev-1', [entry(second, 5), entry(second + 10, 6), entry(second + 20, 7)]);
+
+      expect(summary).toEqual({ added: 1, duplicates: 2, skipped: 0 });
+      expect((await readAll()).map(r => [r.pm25, r.source])).toEqual([[5, 'live'], [6, 'live'], [7, 'log']]);
+      expect(store.getLastLogTimestamp('dev-1')).toBe(second + 20);
+    });
+
+    it('moves the sync state past a download that only overlaps live data', async () => {
+      await store.append('dev-1', reading(second * 1000, 5, 'live'));
+
+      const summary = await store.mergeLoggedData('dev-1', [entry(second, 5)]);
+
+      expect(summary.added).toBe(0);
+      expect(store.getLastLogTimestamp('dev-1')).toBe(second);
+    });
+
+    it('keeps live readings appended while a download is merged into the same day', async () => {
+      const midnight = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+      await store.append('dev-1', reading(midnight + 1000, 5, 'live'));
+      await store.flush();
+
+      // After a restart the day is only in storage, so both calls have to load it
+      const restarted = new HistoryStore();
+      await restarted.init();
+      await Promise.all([
+        restarted.append('dev-1', reading(midnight + 3000, 7, 'live')),
+        restarted.mergeLoggedData('dev-1', [entry(midnight / 1000 + 2, 6)])
+      ]);
+      await restarted.flush();
+
+      const readings = await new HistoryStore().query({ deviceId: 'dev-1', start: midnight, end: midnight + DAY_MS });
+      expect(readings.map(r => [r.pm25, r.source])).toEqual([[5, 'live'], [6, 'log'], [7, 'live']]);
+    });
+
+    it('skips legacy entries without a Unix timestamp', async () => {
+      const summary = await store.mergeLoggedData('dev-1', [entry(120000, 5)]);
+      expect(summary).toEqual({ added: 0, duplicates: 0, skipped: 1 });
+    });
+  });
+
+  describe('applyRetention', () => {
+    const now = Date.UTC(2024, 6, 15, 12);
+
+    it('deletes days older than the retention window', async () => {
+      await store.append('dev-1', reading(Date.UTC(2024, 5, 10, 8), 5));
+      await store.append('dev-1', reading(Date.UTC(2024, 5, 20, 8), 6));
+      await store.append('dev-2', reading(Date.UTC(2024, 5, 12, 8), 7));
+      await store.flush();
+
+      expect(await store.applyRetention(now)).toBe(2);
+
+      expect(store.index).toEqual({ 'dev-1': ['2024-06-20'] });
+      expect(await AsyncStorage.getItem('airq_history_dev-1_2024-06-10')).toBeNull();
+      expect(await AsyncStorage.getItem('airq_history_dev-1_2024-06-20')).not.toBeNull();
+      expect(JSON.parse(await AsyncStorage.getItem('airq_history_index'))).toEqual(store.index);
+    });
+
+    it('follows a configured retention period', async () => {
+      store.configure({ retentionDays: 3 });
+      await store.append('dev-1', reading(Date.UTC(2024, 6, 11, 8), 5));
+      await store.append('dev-1', reading(Date.UTC(2024, 6, 13, 8), 6));
+
+      expect(await store.applyRetention(now)).toBe(1);
+      expect(store.index['dev-1']).toEqual(['2024-07-13']);
+    });
+  });
+
+  describe('archive', () => {
+    const now = Date.UTC(2024, 6, 15, 12);
+
+    it('keeps hourly means of the days retention deletes', async () => {
+      await store.append('dev-1', reading(Date.UTC(2024, 5, 10, 8), 10));
+      await store.append('dev-1', reading(Date.UTC(2024, 5, 10, 8, 30), 30));
+      await store.append('dev-1', reading(Date.UTC(2024, 5, 10, 9, 15), 50));
+      await store.applyRetention(now);
+
+      const archived = await store.queryArchive({ deviceId: 'dev-1', start: Date.UTC(2024, 5, 1), end: now });
+      expect(archived).toEqual([
+        expect.objectContaining({ timestamp: Date.UTC(2024, 5, 10, 8, 15), pm25: 20, count: 2 }),
+        expect.objectContaining({ timestamp: Date.UTC(2024, 5, 10, 9, 15), pm25: 50, count: 1 })
+      ]);
+      expect(await store.query({ deviceId: 'dev-1', start: Date.UTC(2024, 5, 1), end: now })).toEqual([]);
+
+      expect(JSON.parse(await AsyncStorage.getItem('airq_history_archive_dev-1_2024-06'))).toHaveLength(2);
+      expect(JSON.parse(await AsyncStorage.getItem('airq_history_archive_index'))).toEqual({ 'dev-1': ['2024-06'] });
+    });
+
+    it('replaces the archived hours of a day that is archived again', async () => {
+      await store.append('dev-1', reading(Date.UTC(2024, 5, 10, 8), 10));
+      await store.append('dev-1', reading(Date.UTC(2024, 5, 10, 9), 50));
+      await store.applyRetention(now);
+      // A late log download for the same day, deleted by the next retention run
+      await store.mergeLoggedData('dev-1', [{ timestamp: Date.UTC(2024, 5, 10, 8, 30) / 1000, pm1: 1, pm25: 30, pm10: 10, battery: 80 }]);
+      await store.applyRetention(now);
+
+      const archived = await store.queryArchive({ deviceId: 'dev-1', start: Date.UTC(2024, 5, 1), end: now });
+      expect(archived.map(r => r.pm25)).toEqual([30, 50]);
+    });
+
+    it('deletes archived months older than the archive window', async () => {
+      await store.append('dev-1', reading(Date.UTC(2024, 3, 10, 8), 10));
+      await store.append('dev-1', reading(Date.UTC(2024, 5, 10, 8), 20));
+      await store.applyRetention(now);
+
+      store.configure({ archiveDays: 60 });
+      expect(await store.pruneArchive(now)).toBe(1);
+
+      const archived = await store.queryArchive({ deviceId: 'dev-1', start: 0, end: now });
+      expect(archived.map(r => r.pm25)).toEqual([20]);
+      expect(await AsyncStorage.getItem('airq_history_archive_dev-1_2024-04')).toBeNull();
+    });
+
+    it('is removed with the rest of the history', async () => {
+      await store.append('dev-1', reading(Date.UTC(2024, 5, 10, 8), 10));
+      await store.applyRetention(now);
+      await store.clear('dev-1');
+
+      expect(await store.queryArchive({ start: 0, end: now })).toEqual([]);
+      expect(await AsyncStorage.getItem('airq_history_archive_dev-1_2024-06')).toBeNull();
+    });
+  });
+
+  describe('compact', () => {
+    const now = Date.UTC(2024, 6, 15, 12);
+    const day = Date.UTC(2024, 6, 10);
+
+    it('averages raw readings of older days into intervals', async () => {
+      await store.append('dev-1', reading(day + 0 * MINUTE_MS, 10, 'live'));
+      await store.append('dev-1', reading(day + 2 * MINUTE_MS, 20, 'log'));
+      await store.append('dev-1', reading(day + 4 * MINUTE_MS, 30, 'live'));
+      await store.append('dev-1', reading(day + 7 * MINUTE_MS, 40, 'live'));
+
+      expect(await store.compact(now)).toBe(1);
+
+      const readings = await store.query({ deviceId: 'dev-1', start: day, end: day + DAY_MS });
+      expect(readings).toEqual([
+        expect.objectContaining({
+          timestamp: day + 2 * MINUTE_MS,
+          start: day,
+          end: day + 4 * MINUTE_MS,
+          pm25: 20,
+          count: 3,
+          sources: ['live', 'log']
+        }),
+        expect.objectContaining({ timestamp: day + 7 * MINUTE_MS, pm25: 40, count: 1, sources: ['live'] })
+      ]);
+    });
+
+    it('leaves recent days and already compacted days alone', async () => {
+      await store.append('dev-1', reading(day + MINUTE_MS, 10));
+      await store.append('dev-1', reading(Date.UTC(2024, 6, 14, 8), 20));
+      await store.append('dev-1', reading(Date.UTC(2024, 6, 14, 8, 1), 30));
+
+      expect(await store.compact(now)).toBe(1);
+      expect(await store.compact(now)).toBe(0);
+
+      const recent = await store.query({ deviceId: 'dev-1', start: Date.UTC(2024, 6, 14), end: now });
+      expect(recent.map(r => r.pm25)).toEqual([20, 30]);
+      expect(recent[0].count).toBeUndefined();
+    });
+
+    it('weights compacted intervals by their count when compacting again', async () => {
+      store.configure({ compactIntervalMinutes: 5 });
+      await store.append('dev-1', reading(day, 10));
+      await store.append('dev-1', reading(day + MINUTE_MS, 10));
+      await store.append('dev-1', reading(day + 2 * MINUTE_MS, 40));
+      await store.compact(now);
+
+      store.configure({ compactIntervalMinutes: 60 });
+      await store.append('dev-1', reading(day + 10 * MINUTE_MS, 100));
+      await store.compact(now);
+
+      const readings = await store.query({ deviceId: 'dev-1', start: day, end: day + DAY_MS });
+      expect(readings).toEqual([expect.objectContaining({ pm25: 40, count: 4 })]);
+    });
+  });
+});
@@ -0,0 +1,310 @@
+import LogTransfer, {
+  crc32,
+  parseChunkFrame,
+  verifyChunkFrame,
+  ChunkIntegrityError,
+  createTransferSession,
+  resumeTransferSession,
+  countReceivedChunks,
+  getTransferSummary
+} from '../services/LogTransfer';
+import { encodeText, decodeText, parseChunkInfo, LOG_FORMAT_TEXT, LOG_FORMAT_BINARY } from '../services/AirQProtocol';
+import { TEXT_CHUNKS, CHECKSUMMED_CHUNKS, frameChunk } from './fixtures/loggedData';
+
+describe('crc32', () => {
+  it('matches the standard IEEE check value', () => {
+    expect(crc32(encodeText('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('matches the checksums computed by the firmware', () => {
+    expect(crc32(encodeText(TEXT_CHUNKS[0])).toString(16)).toBe('1460b4f9');
+    expect(crc32(encodeText(TEXT_CHUNKS[1])).toString(16)).toBe('eca4373b');
+  });
+});
+
+describe('chunk frames', () => {
+  it('splits a frame into sequence number and payload', () => {
+    const { sequence, payload } = parseChunkFrame(encodeText(CHECKSUMMED_CHUNKS[1]));
+    expect(sequence).toBe(1);
+    expect(decodeText(payload)).toBe(TEXT_CHUNKS[1]);
+  });
+
+  it('returns the payload of a valid frame', () => {
+    expect(decodeText(verifyChunkFrame(0, encodeText(CHECKSUMMED_CHUNKS[0])))).toBe(TEXT_CHUNKS[0]);
+  });
+
+  it('rejects a frame for a different chunk', () => {
+    expect(() => verifyChunkFrame(1, encodeText(CHECKSUMMED_CHUNKS[0]))).toThrow(ChunkIntegrityError);
+  });
+
+  it('rejects a corrupted payload', () => {
+    const corrupted = CHECKSUMMED_CHUNKS[0].replace('1718000060,4', '1718000060,5');
+    expect(() => verifyChunkFrame(0, encodeText(corrupted))).toThrow(ChunkIntegrityError);
+  });
+
+  it('rejects data without a header', () => {
+    expect(() => verifyChunkFrame(0, encodeText(TEXT_CHUNKS[0]))).toThrow(ChunkIntegrityError);
+  });
+});
+
+describe('parseChunkInfo', () => {
+  it('parses the full protocol 5+ chunk info', () => {
+    expect(parseChunkInfo('12,3,6,400,130,1')).toEqual({
+      totalChunks: 12,
+      currentChunk: 3,
+      protocolVersion: 6,
+      startIndex: 400,
+      totalEntries: 130,
+      format: LOG_FORMAT_BINARY
+    });
+  });
+
+  it('fills in defaults for protocol 1 firmware', () => {
+    expect(parseChunkInfo('4,0')).toEqual({
+      totalChunks: 4,
+      currentChunk: 0,
+      protocolVersion: 1,
+      startIndex: null,
+      totalEntries: null,
+      format: LOG_FORMAT_TEXT
+    });
+  });
+});
+
+// Request/response channel serving CHECKSUMMED_CHUNKS; `responses` overrides what a chunk returns, read by read
+const createChannel = (responses = {}) => {
+  let requested = null;
+  const channel = {
+    requests: [],
+    requestChunk: jest.fn(index => {
+      requested = index;
+      channel.requests.push(index);
+      return Promise.resolve();
+    }),
+    readChunk: jest.fn(() => {
+      const queue = responses[requested];
+      const response = queue && queue.length > 0 ? queue.shift() : CHECKSUMMED_CHUNKS[requested];
+      return response instanceof Error ? Promise.reject(response) : Promise.resolve(encodeText(response));
+    })
+  };
+  return channel;
+};
+
+const createSession = () => createTransferSession({
+  deviceId: 'SIM-AIRQ-0001',
+  startIndex: 0,
+  totalChunks: CHECKSUMMED_CHUNKS.length,
+  protocolVersion: 4,
+  format: LOG_FORMAT_TEXT,
+  checksummed: true
+});
+
+const FAST = { requestDelayMs: 0, baseRetryDelayMs: 0, maxRetryDelayMs: 0, verifyChunk: verifyChunkFrame };
+const CORRUPTED = CHECKSUMMED_CHUNKS[0].replace('1718000060,4', '1718000060,5');
+
+describe('LogTransfer.run', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => console.error.mockRestore());
+
+  it('downloads every chunk in order', async () => {
+    const channel = createChannel();
+    const session = createSession();
+
+    const chunks = await new LogTransfer(channel, FAST).run(session);
+
+    expect(chunks.map(decodeText)).toEqual(TEXT_CHUNKS);
+    expect(channel.requests).toEqual([0, 1]);
+    expect(getTransferSummary(session)).toEqual(expect.objectContaining({ received: 2, verified: 2, retries: 0, failed: [] }));
+  });
+
+  it('retries a corrupted chunk until a good copy arrives', async () => {
+    const channel = createChannel({ 0: [CORRUPTED] });
+    const session = createSession();
+    const events = [];
+
+    const chunks = await new LogTransfer(channel, FAST).run(session, event => events.push(event));
+
+    expect(chunks.map(decodeText)).toEqual(TEXT_CHUNKS);
+    expect(channel.requests).toEqual([0, 0, 1]);
+    expect(events.filter(event => event.type === 'retry')).toEqual([
+      expect.objectContaining({ chunkIndex: 0, attempt: 1, error: expect.any(ChunkIntegrityError) })
+    ]);
+    expect(getTransferSummary(session)).toEqual(expect.objectContaining({ retried: [0], retries: 1, failed: [] }));
+  });
+
+  it('backs off exponentially between attempts up to the maximum delay', () => {
+    const transfer = new LogTransfer(createChannel(), { baseRetryDelayMs: 250, maxRetryDelayMs: 1000 });
+    expect([1, 2, 3, 4].map(attempt => transfer.getRetryDelay(attempt))).toEqual([250, 500, 1000, 1000]);
+  });
+
+  it('skips a chunk that never validates once its retries are used up', async () => {
+    const channel = createChannel({ 0: [CORRUPTED, CORRUPTED, CORRUPTED] });
+    const session = createSession();
+    const events = [];
+
+    const chunks = await new LogTransfer(channel, { ...FAST, maxRetries: 2 }).run(session, event => events.push(event));
+
+    expect(chunks.map(decodeText)).toEqual([TEXT_CHUNKS[1]]);
+    expect(channel.requests).toEqual([0, 0, 0, 1]);
+    expect(events.filter(event => event.type === 'failed').map(event => event.chunkIndex)).toEqual([0]);
+    expect(session.chunks[0]).toBeNull();
+    expect(getTransferSummary(session)).toEqual(expect.objectContaining({ failed: [0], retries: 2 }));
+  });
+
+  it('fails the transfer when a chunk keeps hitting transport errors', async () => {
+    const linkLost = new Error('GATT read failed');
+    const channel = createChannel({ 1: [linkLost, linkLost] });
+    const session = createSession();
+
+    await expect(new LogTransfer(channel, { ...FAST, maxRetries: 1 }).run(session))
+      .rejects.toThrow('Chunk 2 of 2 failed after 2 attempts: GATT read failed');
+    expect(countReceivedChunks(session)).toBe(1);
+  });
+});
+
+describe('resuming a transfer', () => {
+  it('keeps the chunks received before an interruption except the last one', () => {
+    const session = { ...createSession(), totalChunks: 3, chunks: ['a', 'b', 'c'].map(encodeText), failedChunks: [1] };
+
+    const resumed = resumeTransferSession(session, 4);
+
+    expect(resumed.chunks.map(chunk => chunk && decodeText(chunk))).toEqual(['a', 'b', null, null]);
+    expect(resumed.totalChunks).toBe(4);
+    expect(resumed.failedChunks).toEqual([]);
+  });
+
+  it('only requests the chunks a saved session is missing', async () => {
+    const linkLost = new Error('Device disconnected');
+    const session = createSession();
+    await expect(new LogTransfer(createChannel({ 1: [linkLost] }), { ...FAST, maxRetries: 0 }).run(session)).rejects.toThrow();
+
+    const channel = createChannel();
+    const resumed = resumeTransferSession(session, CHECKSUMMED_CHUNKS.length);
+    const chunks = await new LogTransfer(channel, FAST).run(resumed);
+
+    expect(channel.requests).toEqual([1]);
+    expect(chunks.map(decodeText)).toEqual(TEXT_CHUNKS);
+  });
+});
+
+const STREAM_WINDOW = 8;
+
+// Protocol 6 device pushing checksummed chunks as notifications, never more than STREAM_WINDOW ahead of
+// the last acknowledgement. Chunks in `drop` are lost the first time they are sent; with `silent` the
+// device accepts the start command but never sends anything. Chunk requests work as usual.
+const createStreamingChannel = (totalChunks, { drop = [], silent = false } = {}) => {
+  const lost = new Set(drop);
+  let onChunk = null;
+  let next = 0;
+  let acked = -1;
+  let requested = null;
+  const payload = index => encodeText(`chunk ${index};`);
+
+  const pump = () => {
+    while (!silent && onChunk && next < totalChunks && next <= acked + STREAM_WINDOW) {
+      const index = next++;
+      channel.maxAhead = Math.max(channel.maxAhead, index - acked);
+      if (lost.delete(index)) {
+        continue;
+      }
+      const notify = onChunk;
+      Promise.resolve().then(() => notify(frameChunk(index, payload(index))));
+    }
+  };
+
+  const channel = {
+    starts: [],
+    acks: [],
+    requests: [],
+    maxAhead: 0,
+    subscribe: jest.fn(callback => {
+      onChunk = callback;
+      return Promise.resolve(() => { onChunk = null; });
+    }),
+    startStream: jest.fn(fromChunk => {
+      channel.starts.push(fromChunk);
+      next = fromChunk;
+      acked = fromChunk - 1;
+      pump();
+      return Promise.resolve();
+    }),
+    ack: jest.fn(chunkIndex => {
+      channel.acks.push(chunkIndex);
+      acked = Math.max(acked, chunkIndex);
+      pump();
+      return Promise.resolve();
+    }),
+    requestChunk: jest.fn(index => {
+      requested = index;
+      channel.requests.push(index);
+      return Promise.resolve();
+    }),
+    readChunk: jest.fn(() => Promise.resolve(frameChunk(requested, payload(requested))))
+  };
+  return channel;
+};
+
+const createStreamSession = totalChunks => createTransferSession({
+  deviceId: 'SIM-AIRQ-0001',
+  startIndex: 0,
+  totalChunks,
+  protocolVersion: 6,
+  format: LOG_FORMAT_TEXT,
+  checksummed: true
+});
+
+const STREAM_OPTIONS = { ...FAST, streamStallMs: 20, maxRetries: 2 };
+
+describe('LogTransfer.stream', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => console.error.mockRestore());
+
+  it('streams every chunk after a single start, acknowledging within the window', async () => {
+    const channel = createStreamingChannel(20);
+    const session = createStreamSession(20);
+
+    const chunks = await new LogTransfer(channel, STREAM_OPTIONS).stream(session);
+
+    expect(chunks.map(decodeText)).toEqual(Array.from({ length: 20 }, (_, index) => `chunk ${index};`));
+    expect(channel.starts).toEqual([0]);
+    expect(channel.requests).toEqual([]);
+    expect(channel.maxAhead).toBeLessThanOrEqual(STREAM_WINDOW);
+    expect(channel.acks.length).toBeGreaterThan(0);
+    expect(channel.acks).toEqual([...channel.acks].sort((a, b) => a - b));
+    expect(getTransferSummary(session)).toEqual(expect.objectContaining({ mode: 'stream', received: 20, retries: 0 }));
+  });
+
+  it('restarts the stream from a dropped chunk', async () => {
+    const channel = createStreamingChannel(12, { drop: [3] });
+    const session = createStreamSession(12);
+    const events = [];
+
+    const chunks = await new LogTransfer(channel, STREAM_OPTIONS).stream(session, event => events.push(event));
+
+    expect(chunks.map(decodeText)).toEqual(Array.from({ length: 12 }, (_, index) => `chunk ${index};`));
+    expect(channel.starts.slice(0, 2)).toEqual([0, 3]);
+    expect(events.filter(event => event.type === 'retry').map(event => event.chunkIndex)).toEqual([3]);
+    expect(getTransferSummary(session)).toEqual(expect.objectContaining({ retried: [3], failed: [] }));
+  });
+
+  it('falls back to chunk requests when the device never streams', async () => {
+    const channel = createStreamingChannel(3, { silent: true });
+    const session = createStreamSession(3);
+
+    const chunks = await new LogTransfer(channel, STREAM_OPTIONS).stream(session);
+
+    expect(chunks.map(decodeText)).toEqual(['chunk 0;', 'chunk 1;', 'chunk 2;']);
+    expect(channel.starts).toEqual([0, 0, 0]);
+    expect(channel.requests).toEqual([0, 1, 2]);
+    expect(session.mode).toBe('request');
+  });
+
+  it('uses chunk requests for a channel without notifications', async () => {
+    const { subscribe, startStream, ack, ...requestOnly } = createStreamingChannel(2);
+
+    const chunks = await new LogTransfer(requestOnly, STREAM_OPTIONS).stream(createStreamSession(2));
+
+    expect(chunks.map(decodeText)).toEqual(['chunk 0;', 'chunk 1;']);
+    expect(requestOnly.requests).toEqual([0, 1]);
+  });
+});
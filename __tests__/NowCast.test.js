@@ -0,0 +1,100 @@
+import {
+  getHourlyAverages,
+  calculateNowCast,
+  calculateNowCastConcentrations,
+  getNowCastAQI
+} from '../services/NowCast';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 10, 12, 0, 0);
+
+// Readings every 10 minutes for the given hourly PM2.5 values (most recent hour first)
+const readingsForHours = (hourlyPm25, pm10 = 20) => hourlyPm25.flatMap((pm25, hour) =>
+  pm25 === null ? [] : Array.from({ length: 6 }, (_, i) => ({
+    timestamp: NOW - hour * HOUR_MS - (i + 1) * 10 * 60 * 1000 + 1,
+    pm25,
+    pm10
+  })));
+
+describe('getHourlyAverages', () => {
+  it('averages readings per hour, most recent first', () => {
+    const readings = [
+      { timestamp: NOW - 10 * 60 * 1000, pm25: 10 },
+      { timestamp: NOW - 20 * 60 * 1000, pm25: 20 },
+      { timestamp: NOW - 90 * 60 * 1000, pm25: 40 }
+    ];
+    const hours = getHourlyAverages(readings, 'pm25', NOW);
+    expect(hours).toHaveLength(12);
+    expect(hours.slice(0, 3)).toEqual([15, 40, null]);
+  });
+
+  it('weights compacted readings by their sample count', () => {
+    const readings = [
+      { timestamp: NOW - 10 * 60 * 1000, pm25: 10, count: 3 },
+      { timestamp: NOW - 20 * 60 * 1000, pm25: 30 }
+    ];
+    expect(getHourlyAverages(readings, 'pm25', NOW)[0]).toBe(15);
+  });
+
+  it('ignores readings outside the 12-hour window', () => {
+    const readings = [
+      { timestamp: NOW + 1000, pm25: 100 },
+      { timestamp: NOW - 13 * HOUR_MS, pm25: 100 }
+    ];
+    expect(getHourlyAverages(readings, 'pm25', NOW).every(value => value === null)).toBe(true);
+  });
+});
+
+describe('calculateNowCast', () => {
+  it('equals the concentration when it is steady', () => {
+    expect(calculateNowCast(Array(12).fill(20))).toBe(20);
+  });
+
+  it('uses the minimum weight factor of 0.5 for fast changes', () => {
+    // w* = 10 / 40 is below 0.5: (40 + 0.5 * 10) / (1 + 0.5) = 30
+    expect(calculateNowCast([40, 10, ...Array(10).fill(null)])).toBe(30);
+  });
+
+  it('weights hours by min/max when concentrations change slowly', () => {
+    // w = 0.75: (40 + 0.75 * 30) / 1.75 = 35.71
+    expect(calculateNowCast([40, 30, ...Array(10).fill(null)])).toBe(35.7);
+  });
+
+  it('skips hours without data', () => {
+    // Hour 2 is missing, hour 3 keeps its weight of w^3 (w = 0.5)
+    expect(calculateNowCast([20, 20, null, 20, ...Array(8).fill(null)])).toBe(20);
+  });
+
+  it('needs two of the three most recent hours', () => {
+    expect(calculateNowCast([20, null, null, ...Array(9).fill(20)])).toBeNull();
+    expect(calculateNowCast([null, 20, 20, ...Array(9).fill(null)])).toBe(20);
+  });
+
+  it('is 0 for clean air', () => {
+    expect(calculateNowCast([0, 0, 0, ...Array(9).fill(null)])).toBe(0);
+  });
+});
+
+describe('calculateNowCastConcentrations', () => {
+  it('reports both pollutants and the data coverage', () => {
+    const nowCast = calculateNowCastConcentrations(readingsForHours([30, 30, 30, null, 30, 30]), NOW);
+    expect(nowCast).toEqual({ pm25: 30, pm10: 20, hoursWithData: 5, coverage: 5 / 12 });
+  });
+
+  it('has no estimate without recent readings', () => {
+    expect(calculateNowCastConcentrations([], NOW)).toMatchObject({ pm25: null, pm10: null, hoursWithData: 0 });
+  });
+});
+
+describe('getNowCastAQI', () => {
+  it('rates the NowCast concentrations on the selected standard', () => {
+    const nowCast = { pm25: 40, pm10: 20, hoursWithData: 12, coverage: 1 };
+    expect(getNowCastAQI(nowCast)).toMatchObject({ aqi: 112, dominantPollutant: 'pm25' });
+    expect(getNowCastAQI(nowCast, 'uk-daqi')).toMatchObject({ aqi: 4, category: 'Moderate' });
+  });
+
+  it('is null without an estimate', () => {
+    expect(getNowCastAQI(null)).toBeNull();
+    expect(getNowCastAQI({ pm25: null, pm10: null, hoursWithData: 1, coverage: 1 / 12 })).toBeNull();
+  });
+});
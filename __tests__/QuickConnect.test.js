@@ -0,0 +1,42 @@
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+import { watchRTCSyncs } from './fixtures/services';
+
+const createService = () => {
+  const transport = new SimulatedTransport({ latencyMs: 0 });
+  return { transport, service: new PlatformBluetoothService(transport) };
+};
+
+describe('quick connect', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('resolves false without a remembered device', async () => {
+    const { service } = createService();
+    await service.forgetDevice();
+    expect(await service.quickConnect()).toBe(false);
+    expect(service.getConnectionStatus()).toBe(false);
+  });
+
+  it('reconnects the device remembered by an earlier session', async () => {
+    const rtcSynced = watchRTCSyncs();
+    const first = createService();
+    expect(await first.service.connect()).toBe(true);
+    await rtcSynced();
+    await first.service.disconnect();
+
+    // A new service instance stands in for an app restart
+    const { service } = createService();
+    const attempts = [];
+    service.addEventListener('autoConnectAttempt', attempting => attempts.push(attempting));
+    const remembered = await service.loadRememberedDevice();
+    expect(remembered).toEqual(expect.objectContaining({ id: first.service.getStoredDeviceInfo().id, autoConnect: true }));
+
+    expect(await service.quickConnect()).toBe(true);
+    expect(service.getConnectionStatus()).toBe(true);
+    expect(attempts).toEqual([true, false]);
+
+    await rtcSynced();
+    await service.disconnect();
+    await service.forgetDevice();
+  });
+});
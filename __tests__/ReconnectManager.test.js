@@ -0,0 +1,223 @@
+import { ReconnectManager, getBackoffDelay } from '../services/ReconnectManager';
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+import { watchRTCSyncs } from './fixtures/services';
+
+// Minimal Bluetooth service whose reconnect() fails until told otherwise
+const createFakeService = () => {
+  const listeners = {};
+  return {
+    succeed: false,
+    reconnect: jest.fn(function () {
+      return this.succeed ? Promise.resolve(true) : Promise.reject(new Error('Device not found'));
+    }),
+    addEventListener: (event, callback) => { listeners[event] = callback; },
+    removeEventListener: jest.fn(),
+    emit: (event, data) => listeners[event]?.(data)
+  };
+};
+
+// Fake service whose reconnect() hangs until the test settles it, or until disconnect() aborts it
+const createHangingService = ({ abortable = true } = {}) => {
+  const service = createFakeService();
+  const pending = [];
+  service.reconnect = jest.fn(() => new Promise((resolve, reject) => pending.push({ resolve, reject })));
+  service.disconnect = jest.fn(() => {
+    if (abortable) {
+      const cancelled = Object.assign(new Error('Connection cancelled'), { cancelled: true });
+      pending.splice(0).forEach(attempt => attempt.reject(cancelled));
+    }
+    return Promise.resolve();
+  });
+  service.settle = () => pending.shift().resolve(true);
+  return service;
+};
+
+// Let pending reconnect promises settle between timer steps
+const flush = () => Promise.resolve().then(() => Promise.resolve());
+
+describe('getBackoffDelay', () => {
+  it('doubles up to the maximum delay', () => {
+    const options = { initialDelayMs: 1000, multiplier: 2, maxDelayMs: 10000 };
+    expect([1, 2, 3, 4, 5, 6].map(attempt => getBackoffDelay(attempt, options)))
+      .toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+  });
+});
+
+describe('ReconnectManager', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('retries with backoff until the device is back', async () => {
+    jest.useFakeTimers();
+    const service = createFakeService();
+    const manager = new ReconnectManager({ initialDelayMs: 1000, multiplier: 2, maxDelayMs: 30000 });
+    const states = [];
+    manager.addEventListener('statusChange', status => states.push(status.state));
+    manager.attach(service);
+
+    service.emit('disconnected', { intentional: false, timestamp: Date.now() });
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(service.reconnect).toHaveBeenCalledTimes(1);
+    expect(manager.getStatus()).toEqual(expect.objectContaining({ state: 'waiting', attempt: 1, error: 'Device not found' }));
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(service.reconnect).toHaveBeenCalledTimes(1);
+
+    service.succeed = true;
+    await jest.advanceTimersByTimeAsync(1);
+    await flush();
+    expect(service.reconnect).toHaveBeenCalledTimes(2);
+    expect(manager.getStatus().state).toBe('connected');
+    expect(states).toEqual(['waiting', 'connecting', 'waiting', 'connecting', 'connected']);
+  });
+
+  it('gives up after the configured window', async () => {
+    jest.useFakeTimers();
+    const service = createFakeService();
+    const manager = new ReconnectManager({ initialDelayMs: 1000, multiplier: 2, maxDelayMs: 30000, giveUpAfterMs: 10000 });
+    manager.attach(service);
+
+    service.emit('disconnected', { intentional: false, timestamp: Date.now() });
+    await jest.advanceTimersByTimeAsync(60000);
+
+    // Attempts at 1 s, 3 s and 7 s; the next one would be at 15 s
+    expect(service.reconnect).toHaveBeenCalledTimes(3);
+    expect(manager.getStatus()).toEqual(expect.objectContaining({ state: 'failed', attempt: 3 }));
+  });
+
+  it('does not reconnect after disconnect() and stops when cancelled', async () => {
+    jest.useFakeTimers();
+    const service = createFakeService();
+    const manager = new ReconnectManager();
+    manager.attach(service);
+
+    service.emit('disconnected', { intentional: true, timestamp: Date.now() });
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(service.reconnect).not.toHaveBeenCalled();
+
+    service.emit('disconnected', { intentional: false, timestamp: Date.now() });
+    manager.cancel();
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(service.reconnect).not.toHaveBeenCalled();
+    expect(manager.getStatus().state).toBe('idle');
+  });
+
+  it('aborts an attempt that times out before starting the next one', async () => {
+    jest.useFakeTimers();
+    const service = createHangingService();
+    const manager = new ReconnectManager({ initialDelayMs: 1000, attemptTimeoutMs: 5000 });
+    manager.attach(service);
+
+    service.emit('disconnected', { intentional: false, timestamp: Date.now() });
+    await jest.advanceTimersByTimeAsync(1000 + 5000);
+    expect(service.disconnect).toHaveBeenCalledTimes(1);
+    expect(manager.getStatus()).toEqual(expect.objectContaining({ state: 'waiting', error: 'Reconnect attempt timed out' }));
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(service.reconnect).toHaveBeenCalledTimes(2);
+  });
+
+  it('waits for a timed-out attempt that cannot be aborted to settle', async () => {
+    jest.useFakeTimers();
+    const service = createHangingService({ abortable: false });
+    const manager = new ReconnectManager({ initialDelayMs: 1000, attemptTimeoutMs: 5000 });
+    manager.attach(service);
+
+    service.emit('disconnected', { intentional: false, timestamp: Date.now() });
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(service.reconnect).toHaveBeenCalledTimes(1);
+    expect(manager.getStatus().state).toBe('connecting');
+
+    // The late connection was abandoned, so it is closed again before the next attempt
+    service.settle();
+    await flush();
+    expect(service.disconnect).toHaveBeenCalledTimes(2);
+    expect(manager.getStatus().state).toBe('waiting');
+  });
+
+  it('closes a connection that completes after cancel()', async () => {
+    jest.useFakeTimers();
+    const service = createHangingService({ abortable: false });
+    const manager = new ReconnectManager({ initialDelayMs: 1000 });
+    manager.attach(service);
+
+    service.emit('disconnected', { intentional: false, timestamp: Date.now() });
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(manager.getStatus().state).toBe('connecting');
+
+    manager.cancel();
+    expect(manager.getStatus().state).toBe('idle');
+    service.settle();
+    await flush();
+    await flush();
+
+    expect(service.disconnect).toHaveBeenCalledTimes(2);
+    expect(manager.getStatus().state).toBe('idle');
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(service.reconnect).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops retrying when the user disconnects during an attempt', async () => {
+    jest.useFakeTimers();
+    const service = createHangingService();
+    const manager = new ReconnectManager({ initialDelayMs: 1000 });
+    manager.attach(service);
+
+    service.emit('disconnected', { intentional: false, timestamp: Date.now() });
+    await jest.advanceTimersByTimeAsync(1000);
+    await service.disconnect();
+    await flush();
+
+    expect(manager.getStatus().state).toBe('idle');
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(service.reconnect).toHaveBeenCalledTimes(1);
+  });
+
+  it('reconnects the simulated device and resumes live data', async () => {
+    const rtcSynced = watchRTCSyncs();
+    const transport = new SimulatedTransport({ latencyMs: 0, liveIntervalMs: 50 });
+    const service = new PlatformBluetoothService(transport);
+    const manager = new ReconnectManager({ initialDelayMs: 10 });
+    const detach = manager.attach(service);
+
+    await service.connectToDevice(await new Promise(resolve => transport.scan(resolve)));
+    await rtcSynced();
+    transport.dropConnection('Test link loss');
+    expect(service.getConnectionStatus()).toBe(false);
+
+    await new Promise(resolve => manager.addEventListener('statusChange', status => {
+      if (status.state === 'connected') resolve();
+    }));
+    expect(service.getConnectionStatus()).toBe(true);
+
+    const reading = await new Promise(resolve => service.addEventListener('airQualityUpdate', resolve));
+    expect(reading.pm25).toEqual(expect.any(Number));
+
+    await rtcSynced();
+    await service.disconnect();
+    detach();
+  });
+});
+
+describe('disconnect() during a connect', () => {
+  it('cancels the connect instead of leaving the link open', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const transport = new SimulatedTransport({ latencyMs: 20 });
+    const service = new PlatformBluetoothService(transport);
+    const device = await new Promise(resolve => transport.scan(resolve));
+
+    const connecting = service.connectToDevice(device);
+    const errors = [];
+    service.addEventListener('error', message => errors.push(message));
+    await service.disconnect();
+
+    await expect(connecting).rejects.toEqual(expect.objectContaining({ cancelled: true }));
+    expect(service.getConnectionStatus()).toBe(false);
+    expect(transport.isConnected()).toBe(false);
+    expect(errors).toEqual([]);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,137 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+import ReplayTransport from '../services/transports/ReplayTransport';
+import { parseSession, bytesToHex, SESSION_FORMAT } from '../services/transports/RecordingTransport';
+import { CHUNK_REQUEST_UUID, LOGGED_DATA_UUID, encodeText } from '../services/AirQProtocol';
+
+const START = new Date('2025-06-10T08:00:00Z').getTime();
+
+const pmValues = list => list.map(({ pm1, pm25, pm10, battery }) => ({ pm1, pm25, pm10, battery }));
+const logValues = list => list.map(({ timestamp, pm1, pm25, pm10, battery }) => ({ timestamp, pm1, pm25, pm10, battery }));
+
+// Resolve a promise that waits on timers by moving the fake clock on
+const settle = async (promise, ms) => {
+  await jest.advanceTimersByTimeAsync(ms);
+  return promise;
+};
+
+// Connect, receive live data for a few seconds, download the log and disconnect
+const runSession = async (service, device) => {
+  const readings = [];
+  service.addEventListener('airQualityUpdate', reading => readings.push(reading));
+
+  await settle(service.connectToDevice(device), 500);
+  await jest.advanceTimersByTimeAsync(2000);
+  const logged = await settle(service.downloadLoggedData(), 5000);
+  await service.disconnect();
+  return { readings, logged };
+};
+
+const recordSession = async (simulator) => {
+  const service = new PlatformBluetoothService(simulator);
+  service.startRecording();
+  const device = await settle(new Promise(resolve => simulator.scan(resolve)), 300);
+  const result = await runSession(service, device);
+  return { ...result, session: await service.stopRecording() };
+};
+
+describe('session record and replay', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.useFakeTimers({ now: START });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.error.mockRestore();
+  });
+
+  it.each([
+    ['binary records', false],
+    ['text records', true]
+  ])('replays live data and a log download of %s from an exported session', async (name, textLog) => {
+    const simulator = new SimulatedTransport({ latencyMs: 0, liveIntervalMs: 1000, historyHours: 1 });
+    if (textLog) {
+      // Firmware before protocol 5 ignores the request for binary records
+      const handleChunkRequest = simulator.handleChunkRequest.bind(simulator);
+      jest.spyOn(simulator, 'handleChunkRequest').mockImplementation(command => {
+        if (!command.startsWith('B')) handleChunkRequest(command);
+      });
+    }
+    const recorded = await recordSession(simulator);
+    expect(recorded.readings.length).toBeGreaterThan(2);
+    expect(logValues(recorded.logged)).toEqual(logValues(simulator.log.slice(0, recorded.logged.length)));
+
+    // Another device loads the exported file and replays it from the same wall clock time
+    jest.setSystemTime(START);
+    const service = new PlatformBluetoothService(new SimulatedTransport({ latencyMs: 0 }));
+    const session = await service.importRecording(JSON.stringify(recorded.session));
+    expect(await service.getSavedRecording()).toEqual(session);
+
+    const replay = new ReplayTransport(session);
+    await service.setTransport(replay);
+    const parseLoggedData = jest.spyOn(service, 'parseLoggedData');
+    const replayed = await runSession(service, null);
+
+    expect(pmValues(replayed.readings)).toEqual(pmValues(recorded.readings));
+    expect(logValues(replayed.logged)).toEqual(logValues(recorded.logged));
+    expect(replayed.logged[0].date).toEqual(recorded.logged[0].date);
+    expect(parseLoggedData).toHaveBeenCalledTimes(textLog ? 1 : 0);
+    expect(replay.mismatches).toEqual([]);
+  });
+
+  it('holds a notification back until the write recorded before it is replayed', async () => {
+    const replay = new ReplayTransport({
+      format: SESSION_FORMAT,
+      version: 1,
+      device: { id: 'AIRQ-1', name: 'AirQ' },
+      characteristics: [{ uuid: CHUNK_REQUEST_UUID, notify: false }, { uuid: LOGGED_DATA_UUID, notify: true }],
+      events: [
+        { t: 0, type: 'connect' },
+        { t: 100, type: 'write', uuid: CHUNK_REQUEST_UUID, value: bytesToHex(encodeText('S0')) },
+        { t: 105, type: 'notify', uuid: LOGGED_DATA_UUID, value: 'aa' },
+        { t: 110, type: 'notify', uuid: LOGGED_DATA_UUID, value: 'bb' }
+      ]
+    });
+    await replay.connect();
+    const received = [];
+    await replay.subscribe(LOGGED_DATA_UUID, value => received.push(bytesToHex(value)));
+
+    // The app is slower than during recording and only asks for the stream after a second
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(received).toEqual([]);
+
+    await replay.write(CHUNK_REQUEST_UUID, encodeText('S0'));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(received).toEqual(['aa', 'bb']);
+  });
+
+  it('reports writes that differ from the recording', async () => {
+    const recorded = await recordSession(new SimulatedTransport({ latencyMs: 0, liveIntervalMs: 1000, historyHours: 1 }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Replaying an hour later syncs a different time to the RTC than was recorded
+    jest.setSystemTime(START + 3600 * 1000);
+    const replay = new ReplayTransport(parseSession(JSON.stringify(recorded.session)), { speed: 10 });
+    const service = new PlatformBluetoothService(replay);
+    await settle(service.connectToDevice(null), 100);
+    await service.disconnect();
+
+    expect(replay.mismatches).toEqual([
+      expect.objectContaining({ actual: bytesToHex(encodeText(String(START / 1000 + 3600))) })
+    ]);
+    console.warn.mockRestore();
+  });
+
+  it('rejects files that are not session recordings', async () => {
+    const service = new PlatformBluetoothService(new SimulatedTransport({ latencyMs: 0 }));
+
+    await expect(service.importRecording('not json')).rejects.toThrow('Session file is not valid JSON');
+    await expect(service.importRecording('{"format":"csv"}')).rejects.toThrow('Not an AirQ BLE session recording');
+    await expect(service.importRecording(JSON.stringify({ format: SESSION_FORMAT, version: 99, events: [], characteristics: [] })))
+      .rejects.toThrow('Session format version 99 is newer than this app supports');
+    expect(await service.getSavedRecording()).toBeNull();
+  });
+});
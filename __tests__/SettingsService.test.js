@@ -0,0 +1,36 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SettingsService, DEFAULT_SETTINGS } from '../services/SettingsService';
+
+describe('SettingsService', () => {
+  beforeEach(() => AsyncStorage.clear());
+
+  it('starts with the defaults', () => {
+    expect(new SettingsService().get('aqiStandard')).toBe(DEFAULT_SETTINGS.aqiStandard);
+  });
+
+  it('persists changes and notifies listeners', async () => {
+    const settings = new SettingsService();
+    const listener = jest.fn();
+    settings.subscribe(listener);
+
+    await settings.set('aqiStandard', 'uk-daqi');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ aqiStandard: 'uk-daqi' }));
+
+    const reloaded = new SettingsService();
+    await reloaded.load();
+    expect(reloaded.get('aqiStandard')).toBe('uk-daqi');
+  });
+
+  it('stops notifying removed listeners', async () => {
+    const settings = new SettingsService();
+    const listener = jest.fn();
+    settings.subscribe(listener)();
+
+    await settings.set('aqiStandard', 'eu-eaqi');
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown settings', async () => {
+    await expect(new SettingsService().set('nope', 1)).rejects.toThrow('Unknown setting: nope');
+  });
+});
@@ -0,0 +1,85 @@
+import { Watchdog, classifyBattery } from '../services/Watchdog';
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+import { watchRTCSyncs } from './fixtures/services';
+
+const NOW = new Date(2024, 5, 10, 12, 0, 0).getTime();
+
+// A watchdog with its warnings collected; the check timer is left to the tests
+const createWatchdog = (options) => {
+  const watchdog = new Watchdog(options);
+  const events = [];
+  watchdog.addEventListener('warning', warning => events.push(warning.type));
+  watchdog.addEventListener('recovered', recovery => events.push(`${recovery.type} recovered`));
+  return { watchdog, events };
+};
+
+describe('classifyBattery', () => {
+  it('uses the battery card levels', () => {
+    expect(classifyBattery(80)).toBe('normal');
+    expect(classifyBattery(49)).toBe('warning');
+    expect(classifyBattery(19)).toBe('critical');
+  });
+
+  it('only recovers past the hysteresis margin', () => {
+    expect(classifyBattery(22, 'critical')).toBe('critical');
+    expect(classifyBattery(30, 'critical')).toBe('warning');
+    expect(classifyBattery(52, 'warning')).toBe('warning');
+    expect(classifyBattery(56, 'warning')).toBe('normal');
+  });
+});
+
+describe('Watchdog', () => {
+  afterEach(() => jest.useRealTimers());
+
+  it('warns once readings are older than the multiple of the expected interval', () => {
+    jest.useFakeTimers();
+    const { watchdog, events } = createWatchdog({ expectedIntervalMs: 10000, staleMultiplier: 3 });
+    watchdog.start(NOW);
+
+    watchdog.check(NOW + 30000);
+    expect(events).toEqual([]);
+
+    watchdog.check(NOW + 31000);
+    watchdog.check(NOW + 40000);
+    expect(events).toEqual(['stale']);
+
+    watchdog.recordReading(NOW + 45000);
+    expect(events).toEqual(['stale', 'stale recovered']);
+    watchdog.stop();
+  });
+
+  it('warns when the battery gets worse', () => {
+    const { watchdog, events } = createWatchdog();
+    [80, 49, 45, 52, 19, 18, 60].forEach(level => watchdog.recordBattery(level, NOW));
+    expect(events).toEqual(['batteryWarning', 'batteryCritical', 'battery recovered']);
+  });
+
+  it('warns about a link loss but not about disconnect()', async () => {
+    const transport = new SimulatedTransport({ latencyMs: 0 });
+    const service = new PlatformBluetoothService(transport);
+    // Also let the RTC sync started on connect finish before the link goes away
+    const rtcSynced = watchRTCSyncs();
+    const connect = async () => {
+      await service.connectToDevice(await new Promise(resolve => transport.scan(resolve)));
+      await rtcSynced();
+    };
+    const { watchdog, events } = createWatchdog();
+    const detach = watchdog.attach(service);
+
+    await connect();
+    await service.disconnect();
+    expect(events).toEqual([]);
+
+    await connect();
+    transport.dropConnection('Test link loss');
+    expect(events).toEqual(['linkLost']);
+
+    await connect();
+    expect(events).toEqual(['linkLost', 'linkLost recovered']);
+
+    await service.disconnect();
+    detach();
+    jest.restoreAllMocks();
+  });
+});
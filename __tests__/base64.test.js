@@ -0,0 +1,22 @@
+import { decodeBase64, encodeBase64 } from '../services/transports/BlePlxTransport';
+import { encodeText, decodeText } from '../services/AirQProtocol';
+
+describe('base64 helpers', () => {
+  it('encodes characteristic values the way ble-plx expects', () => {
+    expect(encodeBase64(encodeText('T1718000000'))).toBe('VDE3MTgwMDAwMDA=');
+    expect(encodeBase64(new Uint8Array(0))).toBe('');
+  });
+
+  it('decodes text characteristic values', () => {
+    expect(decodeText(decodeBase64('NCw3LDExLDky'))).toBe('4,7,11,92');
+  });
+
+  it('keeps binary values intact', () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+    expect(decodeBase64(encodeBase64(bytes))).toEqual(bytes);
+  });
+
+  it('decodes a single battery byte', () => {
+    expect(decodeBase64('Vw==')).toEqual(Uint8Array.of(87));
+  });
+});
@@ -0,0 +1,185 @@
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+import { HistoryStore } from '../services/HistoryStore';
+import { LOG_FORMAT_BINARY } from '../services/AirQProtocol';
+import { BINARY_CHUNK_HEX, hexToBytes, encodeBinaryRecords, frameChunk } from './fixtures/loggedData';
+
+// Protocol 5 firmware answering 'B1' with checksummed binary chunks
+const createBinaryChannel = (chunks) => {
+  let requested = null;
+
+  const channel = {
+    commands: [],
+    requestDelayMs: 0,
+    write: jest.fn(command => {
+      channel.commands.push(command);
+      if (/^\d+$/.test(command)) {
+        requested = parseInt(command, 10);
+      }
+      return Promise.resolve();
+    }),
+    readChunkInfo: jest.fn(() => Promise.resolve({
+      totalChunks: chunks.length,
+      currentChunk: 0,
+      protocolVersion: 5,
+      startIndex: 0,
+      totalEntries: null,
+      format: LOG_FORMAT_BINARY
+    })),
+    readChunk: jest.fn(() => Promise.resolve(frameChunk(requested, chunks[requested]))),
+    subscribe: jest.fn(() => Promise.resolve(() => {}))
+  };
+  return channel;
+};
+
+// Protocol 5 firmware holding a log: '-1' or 'T<since>' prepares the entries after a timestamp, two per chunk.
+// Chunks listed in damaged fail their CRC on every read.
+const createLogDevice = (log, damaged = []) => {
+  let chunks = [];
+  let requested = null;
+
+  const channel = {
+    commands: [],
+    damaged: new Set(damaged),
+    requestDelayMs: 0,
+    write: jest.fn(command => {
+      channel.commands.push(command);
+      if (command === '-1' || command.startsWith('T')) {
+        const since = command === '-1' ? 0 : parseInt(command.slice(1), 10);
+        const pending = log.filter(entry => entry.timestamp > since);
+        chunks = [];
+        for (let i = 0; i < pending.length; i += 2) {
+          chunks.push(encodeBinaryRecords(pending.slice(i, i + 2)));
+        }
+      } else if (/^\d+$/.test(command)) {
+        requested = parseInt(command, 10);
+      }
+      return Promise.resolve();
+    }),
+    readChunkInfo: jest.fn(() => Promise.resolve({
+      totalChunks: chunks.length,
+      currentChunk: 0,
+      protocolVersion: 5,
+      startIndex: 0,
+      totalEntries: null,
+      format: LOG_FORMAT_BINARY
+    })),
+    readChunk: jest.fn(() => {
+      const frame = frameChunk(requested, chunks[requested]);
+      if (channel.damaged.has(requested)) {
+        frame[frame.length - 1] ^= 0xFF;
+      }
+      return Promise.resolve(frame);
+    })
+  };
+  return channel;
+};
+
+const createService = () => {
+  const service = new PlatformBluetoothService(new SimulatedTransport({ latencyMs: 0 }));
+  // Skip the second the firmware gets to prepare the log
+  jest.spyOn(service, 'prepareChunks').mockImplementation((channel, command) => channel.write(command));
+  return service;
+};
+
+describe('downloadLoggedData', () => {
+  it('reports a failed download through the error event', async () => {
+    const service = new PlatformBluetoothService(new SimulatedTransport({ latencyMs: 0 }));
+    jest.spyOn(service, 'downloadLoggedDataFromDevice').mockRejectedValue(new Error('Link lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const errors = [];
+    service.addEventListener('error', message => errors.push(message));
+
+    await expect(service.downloadLoggedData({ since: 1718000000 })).rejects.toThrow('Link lost');
+    expect(errors).toEqual(['Failed to download logged data: Link lost']);
+    console.error.mockRestore();
+  });
+});
+
+describe('binary log transfer', () => {
+  const entries = [
+    { timestamp: 1718000000, pm1: 3, pm25: 5, pm10: 7, battery: 87 },
+    { timestamp: 1718000060, pm1: 300, pm25: 1024, pm10: 65535, battery: 100 },
+    { timestamp: 4294967295, pm1: 0, pm25: 0, pm10: 0, battery: 0 }
+  ];
+  const readings = list => list.map(({ timestamp, pm1, pm25, pm10, battery }) => ({ timestamp, pm1, pm25, pm10, battery }));
+
+  it('packs entries into 11-byte little-endian records', () => {
+    const bytes = encodeBinaryRecords(entries.slice(0, 1));
+    expect(bytes).toHaveLength(12);
+    expect(Array.from(bytes)).toEqual(Array.from(hexToBytes(BINARY_CHUNK_HEX.slice(0, 24))));
+  });
+
+  it('round-trips entries through a binary download', async () => {
+    const service = createService();
+    const channel = createBinaryChannel([encodeBinaryRecords(entries.slice(0, 2)), encodeBinaryRecords(entries.slice(2))]);
+
+    const downloaded = await service.downloadLoggedDataChunked(channel, jest.fn());
+
+    expect(channel.commands).toEqual(['B1', '-1', 'C1', '0', '1']);
+    expect(readings(downloaded)).toEqual(entries);
+    expect(downloaded[1].date).toEqual(new Date(1718000060 * 1000));
+  });
+
+  it('requests chunks one by one from firmware without streaming', async () => {
+    const service = createService();
+    const channel = createBinaryChannel([encodeBinaryRecords(entries)]);
+
+    await service.downloadLoggedDataChunked(channel, jest.fn());
+
+    expect(channel.subscribe).not.toHaveBeenCalled();
+    expect(channel.commands.filter(command => /^[SA]/.test(command))).toEqual([]);
+  });
+
+  it('rejects a binary download of an unknown format version', async () => {
+    const service = createService();
+    const channel = createBinaryChannel([encodeBinaryRecords(entries, 2)]);
+
+    await expect(service.downloadLoggedDataChunked(channel, jest.fn()))
+      .rejects.toThrow('Unsupported binary log format version 2');
+  });
+});
+
+describe('damaged chunks', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Runs the download and its retry backoff on fake timers, then merges it like LoggedDataModal does
+  const sync = async (service, store, channel) => {
+    const since = store.getLastLogTimestamp(null) || null;
+    const download = service.downloadLoggedDataChunked(channel, jest.fn(), since);
+    await jest.runAllTimersAsync();
+    const entries = await download;
+    await store.mergeLoggedData(null, entries, { syncedUntil: service.getLastTransferSummary().syncedUntil });
+  };
+
+  it('requests a skipped middle chunk again on the next incremental download', async () => {
+    const start = Math.floor(Date.now() / 1000) - 3600;
+    const log = [0, 1, 2, 3, 4, 5].map(i => ({ timestamp: start + i * 60, pm1: i, pm25: i, pm10: i, battery: 90 }));
+    const service = createService();
+    const store = new HistoryStore();
+    const channel = createLogDevice(log, [1]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await sync(service, store, channel);
+    expect(service.getLastTransferSummary()).toEqual(expect.objectContaining({ failed: [1], syncedUntil: log[1].timestamp }));
+    expect(store.getLastLogTimestamp(null)).toBe(log[1].timestamp);
+
+    channel.damaged.clear();
+    channel.commands = [];
+    await sync(service, store, channel);
+
+    expect(channel.commands).toContain(`T${log[1].timestamp}`);
+    const stored = await store.query({ start: start * 1000, end: (start + 3600) * 1000 });
+    expect(stored.map(reading => reading.timestamp / 1000)).toEqual(log.map(entry => entry.timestamp));
+    expect(store.getLastLogTimestamp(null)).toBe(log[5].timestamp);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,66 @@
+// Logged data payloads as sent by the AirQ firmware
+
+import { crc32 } from '../../services/LogTransfer';
+import { encodeText } from '../../services/AirQProtocol';
+
+// Text chunks of a protocol 3+ transfer: 11 "timestamp,pm1,pm25,pm10,battery;" entries per chunk
+export const TEXT_CHUNKS = [
+  '1718000000,3,5,7,87;1718000060,4,6,8,87;1718000120,5,7,9,87;1718000180,6,8,10,87;' +
+  '1718000240,3,9,11,86;1718000300,4,10,12,86;1718000360,5,11,13,86;1718000420,6,5,14,86;' +
+  '1718000480,3,6,15,85;1718000540,4,7,7,85;1718000600,5,8,8,85;',
+  '1718000660,6,9,9,85;1718000720,3,10,10,84;'
+];
+
+// The same two chunks with the "<seq>|<crc32>|" header of checksummed transfers (protocol 4+)
+export const CHECKSUMMED_CHUNKS = [
+  `0|1460b4f9|${TEXT_CHUNKS[0]}`,
+  `1|eca4373b|${TEXT_CHUNKS[1]}`
+];
+
+// Protocol 1 firmware cut the log into fixed-size pieces, so entries can straddle chunks
+export const SPLIT_CHUNKS = [
+  '1718000000,3,5,7,87;1718000060,4,',
+  '6,8,87;1718000120,5,7,9',
+  ',87;'
+];
+
+// Binary chunk (protocol 5+): format version byte followed by 11-byte little-endian records
+export const BINARY_CHUNK_HEX =
+  '01' +
+  '8099666603000500070057' +
+  'bc99666604000600080057' +
+  'f899666605000700090057';
+
+// Entries logged before the RTC was synced carry millis() since boot instead of a Unix time
+export const LEGACY_MILLIS_DATA = '120000,2,4,6,90;180000,2,5,7,90;';
+
+// What the firmware sends when nothing has been logged yet
+export const NO_DATA_SENTINEL = 'No data available';
+
+// Wrap a payload in the "<seq>|<crc32>|" header of checksummed transfers
+export const frameChunk = (index, payload) => {
+  const header = encodeText(`${index}|${crc32(payload).toString(16).padStart(8, '0')}|`);
+  const bytes = new Uint8Array(header.length + payload.length);
+  bytes.set(header);
+  bytes.set(payload, header.length);
+  return bytes;
+};
+
+export const hexToBytes = (hex) => Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+
+// Pack entries the way the firmware does for 'B1': version byte, then per entry a uint32 timestamp,
+// uint16 pm1, pm25 and pm10 and a uint8 battery level, all little-endian
+export const encodeBinaryRecords = (entries, version = 1) => {
+  const bytes = new Uint8Array(1 + entries.length * 11);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, version);
+  entries.forEach(({ timestamp, pm1, pm25, pm10, battery }, index) => {
+    const offset = 1 + index * 11;
+    view.setUint32(offset, timestamp, true);
+    view.setUint16(offset + 4, pm1, true);
+    view.setUint16(offset + 6, pm25, true);
+    view.setUint16(offset + 8, pm10, true);
+    view.setUint8(offset + 10, battery);
+  });
+  return bytes;
+};
@@ -0,0 +1,35 @@
+// Test doubles for the services other services depend on
+
+import { PlatformBluetoothService } from '../../services/PlatformBluetoothService';
+
+// In-memory stand-in for HistoryStore. syncState is the per-device flash-log sync state
+// ({ lastLogTimestamp, lastSyncAt }); merged entries move it forward like the real store does.
+export const createHistoryStore = (syncState = {}) => {
+  const store = {
+    attached: [], // IDs of the devices whose live readings are being persisted
+    syncState: { ...syncState },
+    init: jest.fn(() => Promise.resolve()),
+    attach: jest.fn((service) => {
+      store.attached.push(service.getDevice().id);
+      return () => {};
+    }),
+    getSyncState: jest.fn(deviceId => store.syncState[deviceId] || null),
+    getLastLogTimestamp: jest.fn(deviceId => store.syncState[deviceId]?.lastLogTimestamp || 0),
+    mergeLoggedData: jest.fn((deviceId, entries, { syncedUntil = null } = {}) => {
+      const previous = store.getLastLogTimestamp(deviceId);
+      const merged = Math.max(previous, ...entries.map(entry => entry.timestamp));
+      const newest = syncedUntil === null ? merged : Math.max(previous, Math.min(merged, syncedUntil));
+      store.syncState[deviceId] = { lastLogTimestamp: newest, lastSyncAt: Date.now() };
+      return Promise.resolve({ added: entries.length, duplicates: 0, skipped: 0 });
+    })
+  };
+  return store;
+};
+
+// Connecting starts an RTC sync without waiting for it. Returns a function that resolves once every
+// sync started so far has finished, so tests can await it instead of sleeping before a disconnect.
+// Restore with jest.restoreAllMocks().
+export const watchRTCSyncs = () => {
+  const syncRTCTime = jest.spyOn(PlatformBluetoothService.prototype, 'syncRTCTime');
+  return () => Promise.all(syncRTCTime.mock.results.map(result => Promise.resolve(result.value).catch(() => {})));
+};
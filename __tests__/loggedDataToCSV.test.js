@@ -0,0 +1,31 @@
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+import { TEXT_CHUNKS } from './fixtures/loggedData';
+
+describe('loggedDataToCSV', () => {
+  const service = new PlatformBluetoothService(new SimulatedTransport());
+
+  it('exports entries with a header row', () => {
+    const entries = service.parseLoggedData(TEXT_CHUNKS.join(''));
+    expect(service.loggedDataToCSV(entries)).toMatchSnapshot();
+  });
+
+  it('computes the AQI column on the requested standard', () => {
+    const entries = service.parseLoggedData('1718000000,3,30,40,87;');
+    const [header, row] = service.loggedDataToCSV(entries, 'uk-daqi').split('\n');
+    expect(header.endsWith('AQI (DAQI)')).toBe(true);
+    expect(row.endsWith(',3')).toBe(true);
+  });
+
+  it('starts every row with the sensor name when given', () => {
+    const entries = service.parseLoggedData('1718000000,3,30,40,87;');
+    const [header, row] = service.loggedDataToCSV(entries, 'us-epa', 'Kitchen, "north"').split('\n');
+    expect(header.startsWith('Sensor,Timestamp,')).toBe(true);
+    expect(row.startsWith('"Kitchen, ""north""",1718000000,')).toBe(true);
+  });
+
+  it('exports nothing for an empty log', () => {
+    expect(service.loggedDataToCSV([])).toBe('');
+    expect(service.loggedDataToCSV(null)).toBe('');
+  });
+});
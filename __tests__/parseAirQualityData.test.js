@@ -0,0 +1,64 @@
+import { parseAirQualityData } from '../components/AirQualityDisplay';
+import { parseLiveData } from '../services/AirQProtocol';
+import BluetoothService from '../services/BluetoothService';
+import { encodeText } from '../services/AirQProtocol';
+
+jest.mock('react-native-ble-manager', () => ({
+  start: jest.fn(() => Promise.resolve()),
+  addListener: jest.fn()
+}));
+
+describe('parseLiveData', () => {
+  it('parses the live data characteristic', () => {
+    expect(parseLiveData('4,7,11,92')).toEqual({ pm1: 4, pm25: 7, pm10: 11, battery: 92 });
+  });
+
+  it('tolerates whitespace and decimals', () => {
+    expect(parseLiveData(' 4.5, 7.25 ,11,92 ')).toEqual({ pm1: 4.5, pm25: 7.25, pm10: 11, battery: 92 });
+  });
+
+  it('treats unparseable fields as 0', () => {
+    expect(parseLiveData('x,7,,92')).toEqual({ pm1: 0, pm25: 7, pm10: 0, battery: 92 });
+  });
+
+  it('rejects values with missing fields', () => {
+    expect(parseLiveData('4,7,11')).toBeNull();
+    expect(parseLiveData('')).toBeNull();
+  });
+});
+
+describe('AirQualityDisplay parseAirQualityData', () => {
+  it('parses "pm1,pm2.5,pm10,battery"', () => {
+    expect(parseAirQualityData('4,7,11,92')).toEqual({ pm1: 4, pm25: 7, pm10: 11, battery: 92 });
+  });
+
+  it('falls back to the separately reported battery level', () => {
+    expect(parseAirQualityData('4,7,11', 64)).toEqual({ pm1: 4, pm25: 7, pm10: 11, battery: 64 });
+  });
+
+  it('returns zeros for missing or non-string data', () => {
+    const zeros = { pm1: 0, pm25: 0, pm10: 0, battery: 0 };
+    expect(parseAirQualityData(null)).toEqual(zeros);
+    expect(parseAirQualityData('')).toEqual(zeros);
+    expect(parseAirQualityData({ pm25: 7 })).toEqual(zeros);
+  });
+});
+
+describe('BluetoothService parseAirQualityData', () => {
+  const service = new BluetoothService();
+
+  it('parses the notification bytes', () => {
+    expect(service.parseAirQualityData(Array.from(encodeText('4,7,11,35')))).toEqual({
+      pm1: 4,
+      pm25: 7,
+      pm10: 11,
+      aqi: 35,
+      error: null
+    });
+  });
+
+  it('reports missing and malformed data', () => {
+    expect(service.parseAirQualityData([]).error).toBe('No data');
+    expect(service.parseAirQualityData(Array.from(encodeText('4,7'))).error).toBe('Invalid data format');
+  });
+});
@@ -0,0 +1,118 @@
+import { PlatformBluetoothService } from '../services/PlatformBluetoothService';
+import SimulatedTransport from '../services/transports/SimulatedTransport';
+import { verifyChunkFrame } from '../services/LogTransfer';
+import { encodeText, LOG_FORMAT_TEXT, LOG_FORMAT_BINARY } from '../services/AirQProtocol';
+import {
+  TEXT_CHUNKS,
+  CHECKSUMMED_CHUNKS,
+  SPLIT_CHUNKS,
+  BINARY_CHUNK_HEX,
+  LEGACY_MILLIS_DATA,
+  NO_DATA_SENTINEL,
+  hexToBytes
+} from './fixtures/loggedData';
+
+describe('parseLoggedData', () => {
+  const service = new PlatformBluetoothService(new SimulatedTransport());
+
+  it('parses every entry of a text chunk', () => {
+    const entries = service.parseLoggedData(TEXT_CHUNKS[0]);
+
+    expect(entries).toHaveLength(11);
+    expect(entries[0]).toEqual({
+      timestamp: 1718000000,
+      date: new Date(1718000000 * 1000),
+      pm1: 3,
+      pm25: 5,
+      pm10: 7,
+      battery: 87,
+      aqi: 28
+    });
+    expect(entries[10].timestamp).toBe(1718000600);
+  });
+
+  it('returns no entries for empty data', () => {
+    expect(service.parseLoggedData('')).toEqual([]);
+    expect(service.parseLoggedData('  ')).toEqual([]);
+    expect(service.parseLoggedData(null)).toEqual([]);
+  });
+
+  it('treats the "No data available" sentinel as an empty log', () => {
+    expect(service.parseLoggedData(NO_DATA_SENTINEL)).toEqual([]);
+  });
+
+  it('skips incomplete entries', () => {
+    const entries = service.parseLoggedData('1718000000,3,5,7,87;1718000060,4,6;;');
+    expect(entries.map(entry => entry.timestamp)).toEqual([1718000000]);
+  });
+
+  it('dates legacy millis timestamps relative to now', () => {
+    const now = new Date('2024-06-10T12:00:00Z').getTime();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    const entries = service.parseLoggedData(LEGACY_MILLIS_DATA);
+
+    expect(entries.map(entry => entry.timestamp)).toEqual([120000, 180000]);
+    expect(entries[0].date).toEqual(new Date(now - 120));
+    Date.now.mockRestore();
+  });
+});
+
+describe('decodeLogChunks', () => {
+  const service = new PlatformBluetoothService(new SimulatedTransport());
+
+  it('joins text chunks before parsing so split entries survive', () => {
+    const entries = service.decodeLogChunks(SPLIT_CHUNKS.map(encodeText), LOG_FORMAT_TEXT);
+
+    expect(entries.map(entry => [entry.timestamp, entry.pm1, entry.pm25, entry.pm10, entry.battery])).toEqual([
+      [1718000000, 3, 5, 7, 87],
+      [1718000060, 4, 6, 8, 87],
+      [1718000120, 5, 7, 9, 87]
+    ]);
+  });
+
+  it('decodes checksummed chunks once their frames are verified', () => {
+    const payloads = CHECKSUMMED_CHUNKS.map((frame, index) => verifyChunkFrame(index, encodeText(frame)));
+    const entries = service.decodeLogChunks(payloads, LOG_FORMAT_TEXT);
+
+    expect(entries).toHaveLength(13);
+    expect(entries[12].timestamp).toBe(1718000720);
+  });
+
+  it('decodes packed binary chunks', () => {
+    const entries = service.decodeLogChunks([hexToBytes(BINARY_CHUNK_HEX)], LOG_FORMAT_BINARY);
+
+    expect(entries.map(entry => [entry.timestamp, entry.pm1, entry.pm25, entry.pm10, entry.battery])).toEqual([
+      [1718000000, 3, 5, 7, 87],
+      [1718000060, 4, 6, 8, 87],
+      [1718000120, 5, 7, 9, 87]
+    ]);
+  });
+
+  it('matches the text format for the same entries', () => {
+    const text = service.decodeLogChunks([encodeText(TEXT_CHUNKS[0])], LOG_FORMAT_TEXT).slice(0, 3);
+    const binary = service.decodeLogChunks([hexToBytes(BINARY_CHUNK_HEX)], LOG_FORMAT_BINARY);
+    expect(binary).toEqual(text);
+  });
+
+  it('rejects binary chunks of an unknown format version', () => {
+    const chunk = hexToBytes(BINARY_CHUNK_HEX);
+    chunk[0] = 2;
+    expect(() => service.decodeLogChunks([chunk], LOG_FORMAT_BINARY)).toThrow('Unsupported binary log format version 2');
+  });
+
+  it('ignores a trailing partial binary record', () => {
+    const entries = service.parseBinaryLoggedData(hexToBytes(BINARY_CHUNK_HEX.slice(0, -4)));
+    expect(entries).toHaveLength(2);
+  });
+});
+
+describe('filterEntriesSince', () => {
+  const service = new PlatformBluetoothService(new SimulatedTransport());
+
+  it('keeps only entries after the last sync', () => {
+    const entries = service.parseLoggedData(TEXT_CHUNKS[1]);
+    expect(service.filterEntriesSince(entries, 1718000660).map(entry => entry.timestamp)).toEqual([1718000720]);
+    expect(service.filterEntriesSince(entries, null)).toBe(entries);
+  });
+});
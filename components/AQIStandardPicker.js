@@ -0,0 +1,88 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+// Choose the regional index the AQI card, charts, logged data and CSV export are shown in
+const AQIStandardPicker = ({ standards, selectedStandard, onSelect }) => {
+  const selected = standards.find(standard => standard.id === selectedStandard) || standards[0];
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Air Quality Index</Text>
+      <View style={styles.options}>
+        {standards.map(standard => {
+          const isSelected = standard.id === selected.id;
+          return (
+            <TouchableOpacity
+              key={standard.id}
+              style={[styles.option, isSelected && styles.optionSelected]}
+              onPress={() => onSelect(standard.id)}
+            >
+              <Text style={[styles.optionText, isSelected && styles.optionTextSelected]}>
+                {standard.shortName}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <Text style={styles.name}>{selected.name}</Text>
+      <Text style={styles.description}>{selected.description}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 30,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#a6a6b8',
+    marginBottom: 12,
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -4,
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 12,
+    margin: 4,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  optionSelected: {
+    backgroundColor: 'rgba(189, 147, 249, 0.2)',
+    borderColor: '#bd93f9',
+  },
+  optionText: {
+    fontSize: 13,
+    color: '#f8f8f2',
+  },
+  optionTextSelected: {
+    fontWeight: '700',
+  },
+  name: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#f8f8f2',
+    marginTop: 10,
+  },
+  description: {
+    fontSize: 13,
+    color: '#a6a6b8',
+    marginTop: 4,
+    lineHeight: 18,
+  },
+});
+
+export default AQIStandardPicker;
@@ -1,45 +1,33 @@
 import React from 'react';
 import { View, Text, StyleSheet, ScrollView, Platform } from 'react-native';
 import MetricCard from './MetricCard';
+import { getAQIInfo, getAQICategory, calculateSubIndex, POLLUTANTS } from '../services/AirQualityIndex';
+
+// Parse air quality data (format: "pm1,pm2.5,pm10,battery")
+export const parseAirQualityData = (data, batteryLevel) => {
+  if (!data || typeof data !== 'string') {
+    return { pm1: 0, pm25: 0, pm10: 0, battery: 0 };
+  }
+  
+  const values = data.split(',');
+  return {
+    pm1: parseFloat(values[0]) || 0,
+    pm25: parseFloat(values[1]) || 0,
+    pm10: parseFloat(values[2]) || 0,
+    battery: parseFloat(values[3]) || batteryLevel || 0
+  };
+};
 
 const AirQualityDisplay = ({ 
   airQualityData, 
   batteryLevel, 
   powerMode, 
   isConnected, 
-  lastUpdate 
+  lastUpdate,
+  aqiStandard
 }) => {
-  // Parse air quality data (format: "pm1,pm2.5,pm10,battery")
-  const parseAirQualityData = (data) => {
-    if (!data || typeof data !== 'string') {
-      return { pm1: 0, pm25: 0, pm10: 0, battery: 0 };
-    }
-    
-    const values = data.split(',');
-    return {
-      pm1: parseFloat(values[0]) || 0,
-      pm25: parseFloat(values[1]) || 0,
-      pm10: parseFloat(values[2]) || 0,
-      battery: parseFloat(values[3]) || batteryLevel || 0
-    };
-  };
-
-  // Calculate AQI from PM2.5 (simplified US EPA formula)
-  const calculateAQI = (pm25) => {
-    if (pm25 <= 12) return Math.round(pm25 * 50 / 12);
-    if (pm25 <= 35.4) return Math.round(50 + (pm25 - 12) * 50 / 23.4);
-    if (pm25 <= 55.4) return Math.round(100 + (pm25 - 35.4) * 50 / 20);
-    if (pm25 <= 150.4) return Math.round(150 + (pm25 - 55.4) * 100 / 95);
-    if (pm25 <= 250.4) return Math.round(200 + (pm25 - 150.4) * 100 / 100);
-    return Math.round(300 + (pm25 - 250.4) * 100 / 149.6);
-  };
-
-  // Get air quality status based on PM2.5 levels
-  const getAirQualityStatus = (pm25) => {
-    if (pm25 <= 15) return 'normal';
-    if (pm25 <= 25) return 'warning';
-    return 'critical';
-  };
+  // PM cards use the US EPA sub-index bands like the main dashboard; PM1.0 has none and borrows PM2.5's
+  const getPMStatus = (value, pollutant) => getAQICategory(calculateSubIndex(value, pollutant)).status;
 
   // Get power mode display text
   const getPowerModeText = (mode) => {
@@ -48,9 +36,8 @@ const AirQualityDisplay = ({
     return 'Unknown';
   };
 
-  const data = parseAirQualityData(airQualityData);
-  const aqi = calculateAQI(data.pm25);
-  const airQualityStatus = getAirQualityStatus(data.pm25);
+  const data = parseAirQualityData(airQualityData, batteryLevel);
+  const { aqi, status: aqiStatus, dominantPollutant, standard, category, color, healthMessage } = getAQIInfo(data, aqiStandard);
 
   if (!isConnected) {
     return (
@@ -77,7 +64,7 @@ const AirQualityDisplay = ({
           title="PM2.5"
           value={data.pm25}
           unit="µg/m³"
-          status={airQualityStatus}
+          status={getPMStatus(data.pm25, 'pm25')}
           icon="🫁"
           lastUpdate={lastUpdate}
           precision={1}
@@ -88,7 +75,7 @@ const AirQualityDisplay = ({
           title="PM10"
           value={data.pm10}
           unit="µg/m³"
-          status={getAirQualityStatus(data.pm10 / 2)} // PM10 has different thresholds
+          status={getPMStatus(data.pm10, 'pm10')}
           icon="💨"
           lastUpdate={lastUpdate}
           precision={1}
@@ -102,7 +89,7 @@ const AirQualityDisplay = ({
           title="PM1.0"
           value={data.pm1}
           unit="µg/m³"
-          status={getAirQualityStatus(data.pm1 * 1.5)} // PM1.0 adjusted scale
+          status={getPMStatus(data.pm1, 'pm25')}
           icon="💨"
           lastUpdate={lastUpdate}
           precision={1}
@@ -112,8 +99,10 @@ const AirQualityDisplay = ({
         <MetricCard
           title="AQI"
           value={aqi}
-          unit="US EPA"
-          status={aqi <= 50 ? 'normal' : aqi <= 100 ? 'warning' : 'critical'}
+          unit={standard}
+          status={aqiStatus}
+          aqiStandard={aqiStandard}
+          detail={`Dominant pollutant: ${POLLUTANTS[dominantPollutant].label}`}
           icon="📊"
           lastUpdate={lastUpdate}
           precision={0}
@@ -150,19 +139,13 @@ const AirQualityDisplay = ({
       {/* Air Quality Summary */}
       <View style={styles.summaryCard}>
         <Text style={styles.summaryTitle}>Air Quality Summary</Text>
-        <View style={[styles.summaryIndicator, { backgroundColor: getAirQualityStatus(data.pm25) === 'normal' ? '#4ade80' : getAirQualityStatus(data.pm25) === 'warning' ? '#fbbf24' : '#f87171' }]}>
+        <View style={[styles.summaryIndicator, { backgroundColor: color }]}>
           <Text style={styles.summaryStatus}>
-            {data.pm25 <= 15 ? 'GOOD' : data.pm25 <= 25 ? 'MODERATE' : data.pm25 <= 50 ? 'POOR' : 'VERY POOR'}
+            {category.toUpperCase()}
           </Text>
         </View>
         <Text style={styles.summaryDescription}>
-          {data.pm25 <= 15 
-            ? 'Air quality is satisfactory and poses little or no health risk.'
-            : data.pm25 <= 25 
-            ? 'Air quality is acceptable for most people.'
-            : data.pm25 <= 50 
-            ? 'Members of sensitive groups may experience health effects.'
-            : 'Health risk for everyone. Limit outdoor activities.'}
+          {healthMessage}
         </Text>
       </View>
     </ScrollView>
@@ -0,0 +1,60 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+// In-app banner for threshold alerts and watchdog warnings
+const AlertBanner = ({ title, message, onDismiss }) => {
+  if (!title) return null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.title}>🔔 {title}</Text>
+        <Text style={styles.message}>{message}</Text>
+      </View>
+      <TouchableOpacity style={styles.dismissButton} onPress={onDismiss}>
+        <Text style={styles.dismissButtonText}>×</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 85, 85, 0.15)',
+    borderBottomWidth: 1,
+    borderBottomColor: '#ff5555',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  content: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#ff5555',
+  },
+  message: {
+    fontSize: 13,
+    color: '#f8f8f2',
+    marginTop: 2,
+  },
+  dismissButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#ff5555',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 12,
+  },
+  dismissButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+});
+
+export default AlertBanner;
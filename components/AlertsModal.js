@@ -0,0 +1,405 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  TextInput
+} from 'react-native';
+import AlertService, {
+  ALERT_METRICS,
+  ALERT_DIRECTIONS,
+  ALERT_DELIVERIES,
+  describeAlert
+} from '../services/AlertService';
+import { getAQIStandard } from '../services/AirQualityIndex';
+
+const EMPTY_FORM = {
+  metric: 'pm25',
+  direction: 'above',
+  threshold: '',
+  hysteresis: '0',
+  minDurationSeconds: '0',
+  delivery: 'notification'
+};
+
+// Threshold alert rules and the history of triggered alerts
+const AlertsModal = ({ visible, onClose }) => {
+  const [rules, setRules] = useState(AlertService.getRules());
+  const [history, setHistory] = useState(AlertService.getHistory());
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    setRules(AlertService.getRules());
+    setHistory(AlertService.getHistory());
+    AlertService.addEventListener('rulesChange', setRules);
+    AlertService.addEventListener('historyChange', setHistory);
+    return () => {
+      AlertService.removeEventListener('rulesChange', setRules);
+      AlertService.removeEventListener('historyChange', setHistory);
+    };
+  }, [visible]);
+
+  // AQI rules name the standard their threshold was set on
+  const getRuleLabel = (rule) => (rule.standardId
+    ? `${getAQIStandard(rule.standardId).shortName} ${ALERT_METRICS[rule.metric].label}`
+    : ALERT_METRICS[rule.metric].label);
+
+  const formatLevel = (metric, value) => {
+    const { unit } = ALERT_METRICS[metric];
+    return unit ? `${value} ${unit}` : `${value}`;
+  };
+
+  const handleAddRule = async () => {
+    try {
+      await AlertService.addRule({
+        metric: form.metric,
+        direction: form.direction,
+        threshold: parseFloat(form.threshold),
+        hysteresis: parseFloat(form.hysteresis),
+        minDurationSeconds: parseFloat(form.minDurationSeconds),
+        delivery: form.delivery
+      });
+      setForm(EMPTY_FORM);
+      setError(null);
+    } catch (addError) {
+      setError(addError.message);
+    }
+  };
+
+  const renderChips = (options, selected, getLabel, onSelect) => (
+    <View style={styles.chips}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.chip, option === selected && styles.chipSelected]}
+          onPress={() => onSelect(option)}
+        >
+          <Text style={[styles.chipText, option === selected && styles.chipTextSelected]}>
+            {getLabel(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderInput = (label, field) => (
+    <View style={styles.inputRow}>
+      <Text style={styles.inputLabel}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={form[field]}
+        onChangeText={text => setForm(prev => ({ ...prev, [field]: text }))}
+        keyboardType="numeric"
+        placeholderTextColor="#666"
+        placeholder="0"
+      />
+    </View>
+  );
+
+  const renderRules = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Alert Rules</Text>
+      {rules.length === 0 && (
+        <Text style={styles.emptyText}>No alert rules yet.</Text>
+      )}
+      {rules.map(rule => (
+        <View key={rule.id} style={styles.ruleRow}>
+          <View style={styles.ruleInfo}>
+            <Text style={styles.ruleTitle}>
+              {getRuleLabel(rule)} {rule.direction} {formatLevel(rule.metric, rule.threshold)}
+            </Text>
+            <Text style={styles.ruleDetail}>
+              Hysteresis {rule.hysteresis} • after {rule.minDurationSeconds}s • {rule.delivery}
+            </Text>
+          </View>
+          <Switch
+            value={rule.enabled}
+            onValueChange={enabled => AlertService.updateRule(rule.id, { enabled })}
+            trackColor={{ false: '#374151', true: '#8b5cf6' }}
+            thumbColor={rule.enabled ? '#ffffff' : '#9ca3af'}
+            ios_backgroundColor="#374151"
+          />
+          <TouchableOpacity style={styles.removeButton} onPress={() => AlertService.removeRule(rule.id)}>
+            <Text style={styles.removeButtonText}>×</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderNewRule = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>New Alert</Text>
+      {renderChips(Object.keys(ALERT_METRICS), form.metric, metric => ALERT_METRICS[metric].label,
+        metric => setForm(prev => ({ ...prev, metric })))}
+      {renderChips(ALERT_DIRECTIONS, form.direction, direction => direction,
+        direction => setForm(prev => ({ ...prev, direction })))}
+      {renderInput(ALERT_METRICS[form.metric].unit ? `Threshold (${ALERT_METRICS[form.metric].unit})` : 'Threshold', 'threshold')}
+      {renderInput('Hysteresis', 'hysteresis')}
+      {renderInput('Minimum duration (s)', 'minDurationSeconds')}
+      {renderChips(ALERT_DELIVERIES, form.delivery, delivery => delivery,
+        delivery => setForm(prev => ({ ...prev, delivery })))}
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+
+      <TouchableOpacity style={styles.addButton} onPress={handleAddRule}>
+        <Text style={styles.addButtonText}>Add Alert</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderHistory = () => (
+    <View style={styles.section}>
+      <View style={styles.historyHeader}>
+        <Text style={styles.sectionTitle}>History</Text>
+        {history.length > 0 && (
+          <TouchableOpacity onPress={() => AlertService.clearHistory()}>
+            <Text style={styles.clearText}>Clear</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {history.length === 0 && (
+        <Text style={styles.emptyText}>No alerts have been triggered.</Text>
+      )}
+      {history.map(alert => (
+        <View key={alert.id} style={styles.historyRow}>
+          <Text style={styles.historyTime}>{new Date(alert.timestamp).toLocaleString()}</Text>
+          <Text style={styles.historyText}>{describeAlert(alert).body}</Text>
+          <Text style={[styles.historyStatus, alert.clearedAt ? styles.cleared : styles.active]}>
+            {alert.clearedAt ? `Cleared ${new Date(alert.clearedAt).toLocaleTimeString()}` : 'Active'}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Alerts</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalContent}>
+            {renderRules()}
+            {renderNewRule()}
+            {renderHistory()}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#000',
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#fff',
+    width: '90%',
+    maxWidth: 600,
+    maxHeight: '80%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  modalContent: {
+    maxHeight: 500,
+    paddingTop: 15,
+  },
+  section: {
+    backgroundColor: '#111',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#333',
+    padding: 15,
+    marginHorizontal: 20,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#888',
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  ruleInfo: {
+    flex: 1,
+  },
+  ruleTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  ruleDetail: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  removeButton: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    borderWidth: 1,
+    borderColor: '#ff4444',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 10,
+  },
+  removeButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#ff4444',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -4,
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    margin: 4,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  chipSelected: {
+    backgroundColor: 'rgba(189, 147, 249, 0.2)',
+    borderColor: '#bd93f9',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#f8f8f2',
+  },
+  chipTextSelected: {
+    fontWeight: '700',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  inputLabel: {
+    fontSize: 13,
+    color: '#ccc',
+  },
+  input: {
+    width: 100,
+    borderWidth: 1,
+    borderColor: '#333',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    color: '#fff',
+    textAlign: 'right',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ff4444',
+    marginBottom: 8,
+  },
+  addButton: {
+    backgroundColor: '#bd93f9',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  addButtonText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  historyHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  clearText: {
+    fontSize: 13,
+    color: '#bd93f9',
+  },
+  historyRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#222',
+    paddingVertical: 8,
+  },
+  historyTime: {
+    fontSize: 11,
+    color: '#888',
+  },
+  historyText: {
+    fontSize: 13,
+    color: '#fff',
+    marginTop: 2,
+  },
+  historyStatus: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  active: {
+    color: '#ff4444',
+  },
+  cleared: {
+    color: '#4CAF50',
+  },
+});
+
+export default AlertsModal;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, Switch, StyleSheet } from 'react-native';
+import BackgroundSync from '../services/BackgroundSync';
+
+const STATUS_TEXT = {
+  synced: 'Synced',
+  noDevice: 'No remembered sensor',
+  busy: 'Skipped, app was connected to another sensor',
+  failed: 'Failed'
+};
+
+const describeLastRun = (lastRun) => {
+  if (!lastRun) return 'Never';
+  const time = new Date(lastRun.at).toLocaleString();
+  if (lastRun.status === 'synced') return `${time} • ${lastRun.added} new readings`;
+  if (lastRun.status === 'failed') return `${time} • Failed: ${lastRun.error}`;
+  return `${time} • ${STATUS_TEXT[lastRun.status] || lastRun.status}`;
+};
+
+// Toggle for the background log sync; hidden where the OS offers no background tasks (web, Expo Go)
+const BackgroundSyncSection = () => {
+  const [available, setAvailable] = useState(false);
+  const [enabled, setEnabled] = useState(false);
+  const [lastRun, setLastRun] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let mounted = true;
+    (async () => {
+      const isAvailable = await BackgroundSync.isAvailable();
+      if (!mounted || !isAvailable) return;
+      const [isEnabled, run] = await Promise.all([BackgroundSync.isEnabled(), BackgroundSync.getLastRun()]);
+      if (!mounted) return;
+      setAvailable(true);
+      setEnabled(isEnabled);
+      setLastRun(run);
+    })().catch(loadError => console.warn('Failed to load background sync state:', loadError));
+    return () => { mounted = false; };
+  }, []);
+
+  const handleToggle = async (value) => {
+    setError(null);
+    try {
+      if (value) {
+        await BackgroundSync.enable();
+      } else {
+        await BackgroundSync.disable();
+      }
+      setEnabled(value);
+    } catch (toggleError) {
+      setError(toggleError.message);
+    }
+  };
+
+  if (!available) {
+    return null;
+  }
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Background Sync</Text>
+      <View style={styles.container}>
+        <View style={styles.toggleRow}>
+          <View style={styles.toggleInfo}>
+            <Text style={styles.toggleLabel}>Sync while the app is closed</Text>
+            <Text style={styles.toggleSubtext}>
+              Reconnects to the remembered sensor, syncs its clock and downloads new log entries
+            </Text>
+          </View>
+          <Switch
+            value={enabled}
+            onValueChange={handleToggle}
+            trackColor={{ false: '#333', true: '#8be9fd' }}
+            thumbColor="#f8f8f2"
+          />
+        </View>
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <Text style={styles.label}>Last run:</Text>
+        <Text style={styles.value}>{describeLastRun(lastRun)}</Text>
+        <Text style={styles.descText}>
+          • The system decides when it runs, at most every 15 minutes{'\n'}
+          • Needs a remembered sensor within Bluetooth range
+        </Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    backgroundColor: 'rgba(0, 0, 0, 0.9)',
+    borderRadius: 24,
+    padding: 24,
+    marginBottom: 30,
+    borderWidth: 1,
+    borderColor: 'rgba(139, 233, 253, 0.2)',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#f8f8f2',
+    marginBottom: 16,
+  },
+  container: {
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(139, 233, 253, 0.3)',
+    paddingTop: 16,
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  toggleInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  toggleLabel: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#8be9fd',
+    marginBottom: 4,
+  },
+  toggleSubtext: {
+    fontSize: 12,
+    color: '#a6a6b8',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ff4444',
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#a6a6b8',
+    marginBottom: 4,
+  },
+  value: {
+    fontSize: 14,
+    color: '#f8f8f2',
+    marginBottom: 16,
+  },
+  descText: {
+    fontSize: 12,
+    color: '#a6a6b8',
+    lineHeight: 18,
+  },
+});
+
+export default BackgroundSyncSection;
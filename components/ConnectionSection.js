@@ -22,26 +22,33 @@ const ConnectionSection = ({
   onDisconnect,
   onForgetDevice,
   onToggleAutoConnect,
+  reconnectStatus,
+  onCancelReconnect,
 }) => {
+  const isReconnecting = reconnectStatus?.state === 'waiting' || reconnectStatus?.state === 'connecting';
+  const isBusy = isConnecting || isAutoConnecting || isReconnecting;
+
   const getStatusText = () => {
+    if (isReconnecting) return 'Reconnecting...';
     if (isAutoConnecting) return 'Auto-connecting...';
     if (isConnecting) return 'Connecting...';
     if (isConnected) return `Connected to ${deviceInfo.name || 'AirQ Sensor'}`;
     return 'Disconnected';
   };
   const getStatusColor = () => {
-    if (isConnecting || isAutoConnecting) return '#fbbf24'; // yellow
+    if (isBusy) return '#fbbf24'; // yellow
     if (isConnected) return '#4ade80'; // green
     return '#f87171'; // red
   };
 
   const getUnifiedButtonColor = () => {
-    if (isConnecting || isAutoConnecting) return '#fbbf24'; // yellow
+    if (isBusy) return '#fbbf24'; // yellow
     if (isConnected) return '#ef4444'; // red for disconnect
     return '#4ade80'; // green for connect
   };
 
   const getUnifiedButtonText = () => {
+    if (isReconnecting) return 'Reconnecting...';
     if (isAutoConnecting) return 'Auto-connecting...';
     if (isConnecting) return 'Connecting...';
     if (isConnected) return `Connected • ${deviceInfo.name || 'AirQ'}`;
@@ -53,6 +60,17 @@ const ConnectionSection = ({
     return onConnect;
   };
 
+  // Progress of the automatic reconnect after a link loss
+  const getReconnectText = () => {
+    const { state, attempt, nextAttemptAt } = reconnectStatus;
+    if (state === 'connecting') return `Reconnecting to ${deviceInfo.name || 'AirQ'} (attempt ${attempt})...`;
+    if (state === 'waiting') {
+      const seconds = Math.max(0, Math.ceil((nextAttemptAt - Date.now()) / 1000));
+      return `Connection lost - next attempt in ${seconds}s`;
+    }
+    return `Could not reconnect after ${attempt} attempt${attempt === 1 ? '' : 's'}`;
+  };
+
   return (
     <View style={styles.container}>
       {/* Error Display */}
@@ -69,11 +87,11 @@ const ConnectionSection = ({
           style={({ pressed }) => [
             styles.unifiedButton,
             { backgroundColor: getUnifiedButtonColor() },
-            (isConnecting || isAutoConnecting) && styles.buttonDisabled,
+            isBusy && styles.buttonDisabled,
             pressed && { opacity: 0.8 }
           ]}
           onPress={getUnifiedButtonAction()}
-          disabled={isConnecting || isAutoConnecting}
+          disabled={isBusy}
         >
           <View style={styles.unifiedButtonContent}>
             <View style={[styles.statusDot, { backgroundColor: '#ffffff' }]} />
@@ -83,6 +101,29 @@ const ConnectionSection = ({
           </View>
         </WebCompatiblePressable>
         
+        {/* Automatic reconnect */}
+        {(isReconnecting || reconnectStatus?.state === 'failed') && (
+          <View style={styles.reconnectContainer}>
+            <Text style={styles.reconnectText}>{getReconnectText()}</Text>
+            {reconnectStatus.error && (
+              <Text style={styles.reconnectError}>Last error: {reconnectStatus.error}</Text>
+            )}
+            {isReconnecting && (
+              <WebCompatiblePressable
+                style={({ pressed }) => [
+                  styles.forgetButton,
+                  pressed && { opacity: 0.8 }
+                ]}
+                onPress={onCancelReconnect}
+              >
+                <View style={[styles.buttonGradient, styles.forgetButtonGradient]}>
+                  <Text style={styles.buttonText}>Stop Reconnecting</Text>
+                </View>
+              </WebCompatiblePressable>
+            )}
+          </View>
+        )}
+
         {/* Secondary controls */}
         {isConnected && (
           <WebCompatiblePressable
@@ -278,6 +319,25 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     overflow: 'hidden',
   },
+  reconnectContainer: {
+    backgroundColor: 'rgba(251, 191, 36, 0.1)',
+    borderColor: 'rgba(251, 191, 36, 0.3)',
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 10,
+  },
+  reconnectText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fbbf24',
+  },
+  reconnectError: {
+    fontSize: 12,
+    color: '#ffffff',
+    opacity: 0.7,
+    marginTop: 4,
+  },
   autoConnectContainer: {
     flexDirection: 'row',
     alignItems: 'center',
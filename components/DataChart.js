@@ -11,7 +11,7 @@ import { LineChart } from 'react-native-chart-kit';
 
 const { width } = Dimensions.get('window');
 
-const DataChart = ({ data, title, color, unit, chartWidth }) => {
+const DataChart = ({ data, title, color, getDotColor, unit, chartWidth, maxPoints = 20 }) => {
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(50)).current;
 
@@ -46,7 +46,7 @@ const DataChart = ({ data, title, color, unit, chartWidth }) => {
       };
     }
 
-    const recentData = data.slice(-20);
+    const recentData = data.slice(-maxPoints);
     
     const labels = recentData.map((_, index) => {
       if (index % 4 === 0) {
@@ -166,6 +166,7 @@ const DataChart = ({ data, title, color, unit, chartWidth }) => {
             withHorizontalLabels={true}
             withVerticalLabels={false}
             withDots={true}
+            getDotColor={getDotColor}
             withShadow={true}
             withScrollableDot={false}
           />
@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator
+} from 'react-native';
+import BluetoothService from '../services/PlatformBluetoothService';
+import DeviceScanner, { DEVICE_SORT_ORDERS, sortDevices } from '../services/DeviceScanner';
+import DeviceRegistry, { getDisplayName } from '../services/DeviceRegistry';
+
+const TREND_ARROWS = { rising: '↑', falling: '↓', steady: '→' };
+
+// Colour for an RSSI in dBm
+const getSignalColor = (rssi) => {
+  if (rssi === null) return '#888';
+  if (rssi >= -65) return '#50fa7b';
+  if (rssi >= -80) return '#f1fa8c';
+  return '#ff5555';
+};
+
+const formatLastSeen = (lastSeen, now) => {
+  const seconds = Math.max(0, Math.round((now - lastSeen) / 1000));
+  if (seconds < 2) return 'just now';
+  if (seconds < 60) return `${seconds}s ago`;
+  return `${Math.floor(seconds / 60)}m ago`;
+};
+
+// Live list of every nearby AirQ sensor to pick one to connect to
+const DevicePickerModal = ({ visible, onSelect, onClose }) => {
+  const [devices, setDevices] = useState([]);
+  const [scanning, setScanning] = useState(false);
+  const [sortBy, setSortBy] = useState('signal');
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!visible) return;
+
+    setError(null);
+    DeviceScanner.addEventListener('devicesChange', setDevices);
+    DeviceScanner.addEventListener('scanningChange', setScanning);
+    DeviceScanner.start(BluetoothService).catch(scanError => setError(scanError.message));
+
+    // Keep the last-seen times current between advertisements
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+
+    return () => {
+      clearInterval(timer);
+      DeviceScanner.stop();
+      DeviceScanner.removeEventListener('devicesChange', setDevices);
+      DeviceScanner.removeEventListener('scanningChange', setScanning);
+    };
+  }, [visible]);
+
+  const renderSortOrders = () => (
+    <View style={styles.chips}>
+      {Object.entries(DEVICE_SORT_ORDERS).map(([order, label]) => (
+        <TouchableOpacity
+          key={order}
+          style={[styles.chip, sortBy === order && styles.chipSelected]}
+          onPress={() => setSortBy(order)}
+        >
+          <Text style={[styles.chipText, sortBy === order && styles.chipTextSelected]}>{label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  // Known sensors show their registry label, location and colour
+  const renderDevice = (device) => {
+    const known = DeviceRegistry.getDevice(device.id);
+    return (
+      <TouchableOpacity key={device.id} style={styles.deviceRow} onPress={() => onSelect(device.device)}>
+        <View style={[styles.colorDot, { backgroundColor: known?.color || 'transparent' }]} />
+        <View style={styles.deviceInfo}>
+          <Text style={styles.deviceName}>{known ? getDisplayName(known) : device.name || 'Unnamed AirQ'}</Text>
+          <Text style={styles.deviceId}>{known?.location ? `${known.location} • ${device.id}` : device.id}</Text>
+        </View>
+        <View style={styles.signalInfo}>
+          <Text style={[styles.signalText, { color: getSignalColor(device.rssi) }]}>
+            {device.rssi === null ? '—' : `${device.rssi} dBm`} {TREND_ARROWS[device.trend]}
+          </Text>
+          <Text style={styles.lastSeenText}>{formatLastSeen(device.lastSeen, now)}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Nearby Sensors</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalContent}>
+            <View style={styles.section}>
+              <View style={styles.statusRow}>
+                {scanning && <ActivityIndicator size="small" color="#bd93f9" />}
+                <Text style={styles.statusText}>
+                  {scanning ? `Scanning… ${devices.length} found` : `${devices.length} found`}
+                </Text>
+              </View>
+              {renderSortOrders()}
+
+              {error && <Text style={styles.errorText}>{error}</Text>}
+              {!error && devices.length === 0 && (
+                <Text style={styles.emptyText}>Looking for AirQ sensors. Make sure they are powered on and nearby.</Text>
+              )}
+              {sortDevices(devices, sortBy).map(renderDevice)}
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#000',
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#fff',
+    width: '90%',
+    maxWidth: 600,
+    maxHeight: '80%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  modalContent: {
+    maxHeight: 500,
+    paddingTop: 15,
+  },
+  section: {
+    backgroundColor: '#111',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#333',
+    padding: 15,
+    marginHorizontal: 20,
+    marginBottom: 15,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  statusText: {
+    fontSize: 13,
+    color: '#a6a6b8',
+    marginLeft: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -4,
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    margin: 4,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  chipSelected: {
+    backgroundColor: 'rgba(189, 147, 249, 0.2)',
+    borderColor: '#bd93f9',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#f8f8f2',
+  },
+  chipTextSelected: {
+    fontWeight: '700',
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#888',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ff4444',
+  },
+  deviceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#222',
+  },
+  colorDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 10,
+  },
+  deviceInfo: {
+    flex: 1,
+  },
+  deviceName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  deviceId: {
+    fontSize: 11,
+    color: '#888',
+    marginTop: 2,
+  },
+  signalInfo: {
+    alignItems: 'flex-end',
+    marginLeft: 10,
+  },
+  signalText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  lastSeenText: {
+    fontSize: 11,
+    color: '#888',
+    marginTop: 2,
+  },
+});
+
+export default DevicePickerModal;
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  TextInput
+} from 'react-native';
+import DeviceRegistry, { DEVICE_COLORS, getDisplayName } from '../services/DeviceRegistry';
+
+const toForm = (device) => ({
+  label: device.label || '',
+  location: device.location || '',
+  color: device.color,
+  installedAt: device.installedAt || '',
+  notes: device.notes || ''
+});
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Never');
+
+// Known sensors with their labels, locations, colours, install dates and notes
+const DeviceRegistryModal = ({ visible, onClose }) => {
+  const [devices, setDevices] = useState(DeviceRegistry.getDevices());
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    setDevices(DeviceRegistry.getDevices());
+    DeviceRegistry.addEventListener('registryChange', setDevices);
+    return () => DeviceRegistry.removeEventListener('registryChange', setDevices);
+  }, [visible]);
+
+  const handleEdit = (device) => {
+    setError(null);
+    if (editingId === device.id) {
+      setEditingId(null);
+      return;
+    }
+    setEditingId(device.id);
+    setForm(toForm(device));
+  };
+
+  const handleSave = async () => {
+    try {
+      await DeviceRegistry.updateDevice(editingId, form);
+      setEditingId(null);
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleForget = async (deviceId) => {
+    await DeviceRegistry.removeDevice(deviceId);
+    setEditingId(null);
+  };
+
+  const renderInput = (label, field, options = {}) => (
+    <View style={styles.inputRow}>
+      <Text style={styles.inputLabel}>{label}</Text>
+      <TextInput
+        style={[styles.input, options.multiline && styles.inputMultiline]}
+        value={form[field]}
+        onChangeText={text => setForm(prev => ({ ...prev, [field]: text }))}
+        placeholderTextColor="#666"
+        {...options}
+      />
+    </View>
+  );
+
+  const renderForm = (device) => (
+    <View style={styles.form}>
+      {renderInput('Label', 'label', { placeholder: device.name || 'Kitchen' })}
+      {renderInput('Location', 'location', { placeholder: 'Shelf by the window' })}
+      {renderInput('Installed', 'installedAt', { placeholder: 'YYYY-MM-DD' })}
+      {renderInput('Notes', 'notes', { multiline: true })}
+
+      <View style={styles.colors}>
+        {DEVICE_COLORS.map(color => (
+          <TouchableOpacity
+            key={color}
+            style={[styles.colorSwatch, { backgroundColor: color }, form.color === color && styles.colorSwatchSelected]}
+            onPress={() => setForm(prev => ({ ...prev, color }))}
+          />
+        ))}
+      </View>
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+
+      <View style={styles.formButtons}>
+        <TouchableOpacity style={styles.forgetButton} onPress={() => handleForget(device.id)}>
+          <Text style={styles.forgetButtonText}>Forget</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+          <Text style={styles.saveButtonText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderDevice = (device) => (
+    <View key={device.id} style={styles.deviceRow}>
+      <TouchableOpacity style={styles.deviceHeader} onPress={() => handleEdit(device)}>
+        <View style={[styles.colorDot, { backgroundColor: device.color }]} />
+        <View style={styles.deviceInfo}>
+          <Text style={styles.deviceName}>{getDisplayName(device)}</Text>
+          <Text style={styles.deviceDetail}>
+            {[device.location, device.id].filter(Boolean).join(' • ')}
+          </Text>
+          <Text style={styles.deviceDetail}>
+            Last connected {formatTime(device.lastConnectedAt)} • Last sync {formatTime(device.lastSyncAt)}
+          </Text>
+          {device.installedAt && <Text style={styles.deviceDetail}>Installed {device.installedAt}</Text>}
+          {device.notes && <Text style={styles.deviceNotes}>{device.notes}</Text>}
+        </View>
+        <Text style={styles.editText}>{editingId === device.id ? 'Close' : 'Edit'}</Text>
+      </TouchableOpacity>
+      {editingId === device.id && renderForm(device)}
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Known Sensors</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalContent}>
+            <View style={styles.section}>
+              {devices.length === 0 && (
+                <Text style={styles.emptyText}>Sensors are added here the first time you connect to them.</Text>
+              )}
+              {devices.map(renderDevice)}
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#000',
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#fff',
+    width: '90%',
+    maxWidth: 600,
+    maxHeight: '80%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  modalContent: {
+    maxHeight: 500,
+    paddingTop: 15,
+  },
+  section: {
+    backgroundColor: '#111',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#333',
+    padding: 15,
+    marginHorizontal: 20,
+    marginBottom: 15,
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#888',
+  },
+  deviceRow: {
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#222',
+  },
+  deviceHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  colorDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginTop: 4,
+    marginRight: 10,
+  },
+  deviceInfo: {
+    flex: 1,
+  },
+  deviceName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  deviceDetail: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  deviceNotes: {
+    fontSize: 12,
+    color: '#a6a6b8',
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  editText: {
+    fontSize: 13,
+    color: '#bd93f9',
+    marginLeft: 10,
+  },
+  form: {
+    marginTop: 10,
+    marginLeft: 22,
+  },
+  inputRow: {
+    marginBottom: 8,
+  },
+  inputLabel: {
+    fontSize: 12,
+    color: '#a6a6b8',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#333',
+    borderRadius: 6,
+    color: '#fff',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+  },
+  inputMultiline: {
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  colors: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginVertical: 6,
+  },
+  colorSwatch: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    marginRight: 8,
+    marginBottom: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  colorSwatchSelected: {
+    borderColor: '#fff',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ff4444',
+    marginBottom: 8,
+  },
+  formButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  forgetButton: {
+    borderWidth: 1,
+    borderColor: '#ff4444',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 10,
+  },
+  forgetButtonText: {
+    fontSize: 14,
+    color: '#ff4444',
+  },
+  saveButton: {
+    backgroundColor: '#8b5cf6',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  saveButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+});
+
+export default DeviceRegistryModal;
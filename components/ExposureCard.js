@@ -0,0 +1,148 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Platform } from 'react-native';
+import { BREATHING_RATES, estimateInhaledDose } from '../services/Exposure';
+
+// Cumulative PM2.5 exposure today and over the last 7 days, with an optional inhaled dose estimate
+const ExposureCard = ({ totals, breathingRate, onSelectBreathingRate }) => {
+  const periods = [
+    { key: 'today', label: 'Today' },
+    { key: 'week', label: 'Last 7 days' }
+  ];
+  const options = [{ key: null, label: 'Off' }, ...BREATHING_RATES];
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>PM2.5 Exposure µg·h/m³</Text>
+
+      <View style={styles.periods}>
+        {periods.map(({ key, label }) => {
+          const total = totals?.[key];
+          const dose = total ? estimateInhaledDose(total.exposure, breathingRate) : null;
+          return (
+            <View key={key} style={styles.period}>
+              <Text style={styles.periodLabel}>{label}</Text>
+              <Text style={styles.value}>{total ? Math.round(total.exposure) : 0}</Text>
+              <Text style={styles.detail}>
+                {total && total.hours > 0
+                  ? `${total.hours} h of data • mean ${total.meanConcentration} µg/m³`
+                  : 'No data yet'}
+              </Text>
+              {dose !== null && (
+                <Text style={styles.dose}>≈ {dose} µg inhaled</Text>
+              )}
+            </View>
+          );
+        })}
+      </View>
+
+      <Text style={styles.optionsLabel}>Breathing rate for dose estimate</Text>
+      <View style={styles.options}>
+        {options.map(option => {
+          const isSelected = option.key === (breathingRate || null);
+          return (
+            <TouchableOpacity
+              key={option.key || 'off'}
+              style={[styles.option, isSelected && styles.optionSelected]}
+              onPress={() => onSelectBreathingRate(option.key)}
+            >
+              <Text style={[styles.optionText, isSelected && styles.optionTextSelected]}>
+                {option.m3PerHour ? `${option.label} (${option.m3PerHour} m³/h)` : option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginVertical: 10,
+    padding: 20,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: 'rgba(255, 255, 255, 0.8)',
+    backgroundColor: 'rgba(0, 0, 0, 1)',
+    ...Platform.select({
+      ios: {
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 4 },
+        shadowOpacity: 0.3,
+        shadowRadius: 8,
+      },
+      android: {
+        elevation: 8,
+      },
+      web: {
+        boxShadow: '0 4px 8px rgba(0, 0, 0, 0.3)',
+      }
+    }),
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ffffff',
+    marginBottom: 15,
+  },
+  periods: {
+    flexDirection: 'row',
+    marginBottom: 15,
+  },
+  period: {
+    flex: 1,
+  },
+  periodLabel: {
+    fontSize: 12,
+    color: '#a6a6b8',
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+  },
+  value: {
+    fontSize: 48,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+  detail: {
+    fontSize: 12,
+    color: '#a6a6b8',
+  },
+  dose: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#ffb86c',
+    marginTop: 4,
+  },
+  optionsLabel: {
+    fontSize: 12,
+    color: '#a6a6b8',
+    marginBottom: 8,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -4,
+  },
+  option: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    margin: 4,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  optionSelected: {
+    backgroundColor: 'rgba(189, 147, 249, 0.2)',
+    borderColor: '#bd93f9',
+  },
+  optionText: {
+    fontSize: 12,
+    color: '#f8f8f2',
+  },
+  optionTextSelected: {
+    fontWeight: '700',
+  },
+});
+
+export default ExposureCard;
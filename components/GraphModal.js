@@ -1,4 +1,4 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -10,12 +10,29 @@ import {
 } from 'react-native';
 import WebCompatiblePressable from './WebCompatiblePressable';
 import DataChart from './DataChart';
+import HistoryStore, { downsampleReadings } from '../services/HistoryStore';
+import DeviceRegistry from '../services/DeviceRegistry';
+import { calculateAQI, getAQICategory } from '../services/AirQualityIndex';
 
 const { width, height } = Dimensions.get('window');
 
-const GraphModal = ({ visible, onClose, title, data, type, unit }) => {
+const HOUR_MS = 60 * 60 * 1000;
+
+// Chart ranges: "Live" shows the in-memory readings, the rest query the history store
+const RANGES = [
+  { key: 'live', label: 'Live' },
+  { key: '24h', label: '24h', durationMs: 24 * HOUR_MS },
+  { key: '7d', label: '7d', durationMs: 7 * 24 * HOUR_MS },
+  { key: '30d', label: '30d', durationMs: 30 * 24 * HOUR_MS },
+];
+
+const MAX_HISTORY_POINTS = 60;
+
+const GraphModal = ({ visible, onClose, title, data, type, unit, deviceId, aqiStandard }) => {
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(height)).current;
+  const [range, setRange] = useState('live');
+  const [historyData, setHistoryData] = useState([]);
 
   useEffect(() => {
     if (visible) {
@@ -48,6 +65,51 @@ const GraphModal = ({ visible, onClose, title, data, type, unit }) => {
     }
   }, [visible]);
 
+  // Reset to the live view whenever a different metric is opened
+  useEffect(() => {
+    if (visible) {
+      setRange('live');
+    }
+  }, [visible, type]);
+
+  // Load stored readings for the selected range
+  useEffect(() => {
+    const selectedRange = RANGES.find(r => r.key === range);
+    if (!visible || !selectedRange?.durationMs) {
+      return;
+    }
+
+    let cancelled = false;
+    const loadHistory = async () => {
+      try {
+        const now = Date.now();
+        const readings = await HistoryStore.query({
+          deviceId: deviceId || null,
+          start: now - selectedRange.durationMs,
+          end: now
+        });
+        const points = downsampleReadings(readings, MAX_HISTORY_POINTS).map(reading => ({
+          time: new Date(reading.timestamp).toLocaleString(),
+          // Stored AQI values may be on another standard, so recompute them from the PM readings
+          value: type === 'aqi' ? calculateAQI(reading, aqiStandard) : reading[type],
+          timestamp: reading.timestamp
+        }));
+        if (!cancelled) {
+          setHistoryData(points);
+        }
+      } catch (error) {
+        console.error('Failed to load history for chart:', error);
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, range, type, deviceId, aqiStandard]);
+
+  const chartData = range === 'live' ? data : historyData;
+
   const getGraphColor = (type) => {
     switch (type) {
       case 'pm1': return '#8b5cf6';  // purple for PM1.0
@@ -59,6 +121,9 @@ const GraphModal = ({ visible, onClose, title, data, type, unit }) => {
     }
   };
 
+  // AQI points are colored by their category on the selected index standard
+  const getDotColor = type === 'aqi' ? value => getAQICategory(value, aqiStandard).color : undefined;
+
   const formatChartTitle = (title) => {
     switch (title) {
       case 'PM1.0': return 'PM1.0 Historical Data';
@@ -95,7 +160,14 @@ const GraphModal = ({ visible, onClose, title, data, type, unit }) => {
         >
           {/* Header */}
           <View style={styles.header}>
-            <Text style={styles.modalTitle}>{formatChartTitle(title)}</Text>
+            <View style={styles.titleContainer}>
+              <Text style={styles.modalTitle}>{formatChartTitle(title)}</Text>
+              {deviceId && (
+                <Text style={[styles.sensorLabel, { color: DeviceRegistry.getColor(deviceId) || '#a6a6b8' }]}>
+                  {DeviceRegistry.getDisplayName(deviceId)}
+                </Text>
+              )}
+            </View>
             <WebCompatiblePressable
               style={styles.closeButton}
               onPress={onClose}
@@ -104,14 +176,31 @@ const GraphModal = ({ visible, onClose, title, data, type, unit }) => {
             </WebCompatiblePressable>
           </View>
 
+          {/* Range Selector */}
+          <View style={styles.rangeSelector}>
+            {RANGES.map(r => (
+              <WebCompatiblePressable
+                key={r.key}
+                style={[styles.rangeButton, range === r.key && styles.rangeButtonActive]}
+                onPress={() => setRange(r.key)}
+              >
+                <Text style={[styles.rangeButtonText, range === r.key && styles.rangeButtonTextActive]}>
+                  {r.label}
+                </Text>
+              </WebCompatiblePressable>
+            ))}
+          </View>
+
           {/* Chart */}
           <View style={styles.chartContainer}>
             <DataChart
               title={formatChartTitle(title)}
-              data={data}
+              data={chartData}
               color={getGraphColor(type)}
+              getDotColor={getDotColor}
               unit={unit}
               chartWidth={width * 0.85 - 40}
+              maxPoints={range === 'live' ? 20 : MAX_HISTORY_POINTS}
             />
           </View>
 
@@ -119,19 +208,19 @@ const GraphModal = ({ visible, onClose, title, data, type, unit }) => {
           <View style={styles.footer}>
             <View style={styles.statRow}>
               <View style={styles.statItem}>
-                <Text style={styles.statValue}>{data ? data.length : 0}</Text>
+                <Text style={styles.statValue}>{chartData ? chartData.length : 0}</Text>
                 <Text style={styles.statLabel}>Data Points</Text>
               </View>
               <View style={styles.statItem}>
                 <Text style={styles.statValue}>
-                  {data && data.length > 0 ? data[data.length - 1].value?.toFixed(1) || '0' : '0'}
+                  {chartData && chartData.length > 0 ? chartData[chartData.length - 1].value?.toFixed(1) || '0' : '0'}
                 </Text>
                 <Text style={styles.statLabel}>Current Value</Text>
               </View>
               <View style={styles.statItem}>
                 <Text style={styles.statValue}>
-                  {data && data.length > 1 ? 
-                    Math.abs(data[data.length - 1].value - data[data.length - 2].value).toFixed(1) : '0'}
+                  {chartData && chartData.length > 1 ? 
+                    Math.abs(chartData[chartData.length - 1].value - chartData[chartData.length - 2].value).toFixed(1) : '0'}
                 </Text>
                 <Text style={styles.statLabel}>Last Change</Text>
               </View>
@@ -182,11 +271,18 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: 'rgba(255, 255, 255, 0.1)',
   },
+  titleContainer: {
+    flex: 1,
+  },
   modalTitle: {
     fontSize: 20,
     fontWeight: '700',
     color: '#ffffff',
-    flex: 1,
+  },
+  sensorLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 2,
   },
   closeButton: {
     width: 40,
@@ -202,6 +298,31 @@ const styles = StyleSheet.create({
     color: '#ffffff',
     fontWeight: 'bold',
   },
+  rangeSelector: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    paddingTop: 15,
+    gap: 8,
+  },
+  rangeButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  rangeButtonActive: {
+    backgroundColor: 'rgba(80, 250, 123, 0.2)',
+    borderColor: '#50fa7b',
+  },
+  rangeButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#a6a6b8',
+  },
+  rangeButtonTextActive: {
+    color: '#50fa7b',
+  },
   chartContainer: {
     padding: 20,
     paddingHorizontal: 20,
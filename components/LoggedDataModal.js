@@ -11,11 +11,20 @@ import {
   Platform
 } from 'react-native';
 import PlatformBluetoothService from '../services/PlatformBluetoothService';
+import HistoryStore, { readingsToLoggedEntries } from '../services/HistoryStore';
+import DeviceRegistry from '../services/DeviceRegistry';
+import { getAQIInfo } from '../services/AirQualityIndex';
 
-const LoggedDataModal = ({ visible, onClose }) => {
+const LoggedDataModal = ({ visible, onClose, aqiStandard }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [loggedData, setLoggedData] = useState(null);
   const [error, setError] = useState(null);
+  const [mergeSummary, setMergeSummary] = useState(null);
+  const [lastSyncTimestamp, setLastSyncTimestamp] = useState(0);
+  const [infoMessage, setInfoMessage] = useState(null);
+  const [lastSince, setLastSince] = useState(null);
+  const [canResume, setCanResume] = useState(false);
+  const [transferSummary, setTransferSummary] = useState(null);
   const [downloadProgress, setDownloadProgress] = useState({
     progress: 0,
     message: '',
@@ -27,6 +36,9 @@ const LoggedDataModal = ({ visible, onClose }) => {
   useEffect(() => {
     const handleDownloadProgress = (progressData) => {
       setDownloadProgress(progressData);
+      if (progressData.summary) {
+        setTransferSummary(progressData.summary);
+      }
     };
 
     // Add progress listener
@@ -38,9 +50,33 @@ const LoggedDataModal = ({ visible, onClose }) => {
     };
   }, []);
 
-  const handleDownloadData = async () => {
+  // Look up the newest archived log entry for this device so we can offer an incremental download
+  useEffect(() => {
+    if (!visible) return;
+
+    const loadSyncState = async () => {
+      await HistoryStore.init();
+      const deviceId = PlatformBluetoothService.getDevice()?.id;
+      setLastSyncTimestamp(HistoryStore.getLastLogTimestamp(deviceId));
+    };
+    loadSyncState();
+  }, [visible]);
+
+  // incremental: only fetch entries newer than the last archived one
+  const handleDownloadData = (incremental = lastSyncTimestamp > 0) => {
+    downloadLogs(incremental ? lastSyncTimestamp : null);
+  };
+
+  // since: Unix seconds of the newest entry we already have, or null for the entire log.
+  // Retrying with the same value lets the service resume from the chunks it already received.
+  const downloadLogs = async (since) => {
     setIsLoading(true);
     setError(null);
+    setInfoMessage(null);
+    setMergeSummary(null);
+    setTransferSummary(null);
+    setLastSince(since);
+    setCanResume(false);
     setDownloadProgress({
       progress: 0,
       message: 'Starting download...',
@@ -50,31 +86,56 @@ const LoggedDataModal = ({ visible, onClose }) => {
     });
 
     try {
-      const data = await PlatformBluetoothService.downloadLoggedData();
+      const data = await PlatformBluetoothService.downloadLoggedData({ since });
       
       if (data && data.length > 0) {
         setLoggedData(data);
         console.log(`Downloaded ${data.length} logged data entries`);
+
+        // Merge into the local archive so repeated syncs build one continuous history
+        const deviceId = PlatformBluetoothService.getDevice()?.id;
+        const summary = await HistoryStore.mergeLoggedData(deviceId, data, {
+          syncedUntil: PlatformBluetoothService.getLastTransferSummary()?.syncedUntil
+        });
+        setMergeSummary(summary);
+        setLastSyncTimestamp(HistoryStore.getLastLogTimestamp(deviceId));
+        setCanResume(!!PlatformBluetoothService.getPendingTransfer(deviceId, since));
+      } else if (since) {
+        setInfoMessage(`No new readings since ${formatDate(new Date(since * 1000))}`);
       } else {
         setError('No logged data found on device');
       }
     } catch (err) {
       console.error('Failed to download logged data:', err);
+      // Chunks received before the failure are kept by the service, so retrying picks up where it stopped
+      setCanResume(!!PlatformBluetoothService.getPendingTransfer(undefined, since));
       setError('Failed to download logged data: ' + err.message);
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Exports carry the sensor's registry label in a Sensor column and in the file name
+  const getExportSensorName = () => {
+    const device = PlatformBluetoothService.getDevice();
+    return device ? DeviceRegistry.getDisplayName(device.id, device.name) : null;
+  };
+
+  const getExportFilename = (kind, sensorName) => {
+    const slug = (sensorName || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return `airq_${slug ? `${slug}_` : ''}${kind}_${new Date().toISOString().split('T')[0]}.csv`;
+  };
+
   const handleExportCSV = () => {
     if (!loggedData || loggedData.length === 0) {
       Alert.alert('No Data', 'No logged data to export');
       return;
     }
 
+    const sensorName = getExportSensorName();
     if (Platform.OS === 'web') {
-      const filename = `airq_logged_data_${new Date().toISOString().split('T')[0]}.csv`;
-      const success = PlatformBluetoothService.downloadLoggedDataAsFile(loggedData, filename);
+      const filename = getExportFilename('logged_data', sensorName);
+      const success = PlatformBluetoothService.downloadLoggedDataAsFile(loggedData, filename, sensorName);
       
       if (success) {
         Alert.alert('Success', 'CSV file downloaded successfully');
@@ -83,14 +144,44 @@ const LoggedDataModal = ({ visible, onClose }) => {
       }
     } else {
       // For mobile platforms, you could implement sharing via react-native-share
-      const csvContent = PlatformBluetoothService.loggedDataToCSV(loggedData);
+      const csvContent = PlatformBluetoothService.loggedDataToCSV(loggedData, undefined, sensorName);
       Alert.alert('CSV Data', 'CSV export on mobile not yet implemented. Data:\n\n' + csvContent.substring(0, 200) + '...');
     }
   };
 
+  // Export everything archived for this device, not just the last download
+  const handleExportHistoryCSV = async () => {
+    try {
+      const deviceId = PlatformBluetoothService.getDevice()?.id;
+      const readings = await HistoryStore.query({ deviceId: deviceId || null, start: 0 });
+      const entries = readingsToLoggedEntries(readings);
+
+      if (entries.length === 0) {
+        Alert.alert('No Data', 'No archived history to export');
+        return;
+      }
+
+      const sensorName = getExportSensorName();
+      if (Platform.OS === 'web') {
+        const filename = getExportFilename('history', sensorName);
+        const success = PlatformBluetoothService.downloadLoggedDataAsFile(entries, filename, sensorName);
+        Alert.alert(success ? 'Success' : 'Error', success ? 'CSV file downloaded successfully' : 'Failed to download CSV file');
+      } else {
+        const csvContent = PlatformBluetoothService.loggedDataToCSV(entries, undefined, sensorName);
+        Alert.alert('CSV Data', 'CSV export on mobile not yet implemented. Data:\n\n' + csvContent.substring(0, 200) + '...');
+      }
+    } catch (err) {
+      console.error('Failed to export history:', err);
+      Alert.alert('Error', 'Failed to export history: ' + err.message);
+    }
+  };
+
   const handleClose = () => {
     setLoggedData(null);
     setError(null);
+    setInfoMessage(null);
+    setMergeSummary(null);
+    setTransferSummary(null);
     setDownloadProgress({
       progress: 0,
       message: '',
@@ -105,24 +196,6 @@ const LoggedDataModal = ({ visible, onClose }) => {
     return date.toLocaleString();
   };
 
-  const getAQIColor = (aqi) => {
-    if (aqi <= 50) return '#00e400'; // Good - Green
-    if (aqi <= 100) return '#ffff00'; // Moderate - Yellow
-    if (aqi <= 150) return '#ff7e00'; // Unhealthy for Sensitive Groups - Orange
-    if (aqi <= 200) return '#ff0000'; // Unhealthy - Red
-    if (aqi <= 300) return '#8f3f97'; // Very Unhealthy - Purple
-    return '#7e0023'; // Hazardous - Maroon
-  };
-
-  const getAQICategory = (aqi) => {
-    if (aqi <= 50) return 'Good';
-    if (aqi <= 100) return 'Moderate';
-    if (aqi <= 150) return 'Unhealthy for Sensitive Groups';
-    if (aqi <= 200) return 'Unhealthy';
-    if (aqi <= 300) return 'Very Unhealthy';
-    return 'Hazardous';
-  };
-
   return (
     <Modal
       visible={visible}
@@ -144,16 +217,34 @@ const LoggedDataModal = ({ visible, onClose }) => {
               <View style={styles.downloadSection}>
                 <Text style={styles.downloadDescription}>
                   Download logged data from your AirQ device's flash storage.
-                  This will retrieve all available readings (device stores up to 10,000 entries).
+                  {lastSyncTimestamp > 0
+                    ? ` Last synced reading: ${formatDate(new Date(lastSyncTimestamp * 1000))}.`
+                    : ' This will retrieve all available readings (device stores up to 10,000 entries).'}
                 </Text>
+
+                {infoMessage && !isLoading && (
+                  <Text style={styles.infoText}>{infoMessage}</Text>
+                )}
                 
                 {!isLoading ? (
-                  <TouchableOpacity
-                    style={styles.downloadButton}
-                    onPress={handleDownloadData}
-                  >
-                    <Text style={styles.downloadButtonText}>Download Data</Text>
-                  </TouchableOpacity>
+                  <>
+                    <TouchableOpacity
+                      style={styles.downloadButton}
+                      onPress={() => handleDownloadData()}
+                    >
+                      <Text style={styles.downloadButtonText}>
+                        {lastSyncTimestamp > 0 ? 'Download New Data' : 'Download Data'}
+                      </Text>
+                    </TouchableOpacity>
+                    {lastSyncTimestamp > 0 && (
+                      <TouchableOpacity
+                        style={styles.secondaryButton}
+                        onPress={() => handleDownloadData(false)}
+                      >
+                        <Text style={styles.secondaryButtonText}>Download Entire Log</Text>
+                      </TouchableOpacity>
+                    )}
+                  </>
                 ) : (
                   <View style={styles.progressSection}>
                     <View style={styles.progressHeader}>
@@ -179,6 +270,12 @@ const LoggedDataModal = ({ visible, onClose }) => {
                         Using chunked transfer for reliable data download
                       </Text>
                     )}
+
+                    {downloadProgress.retries > 0 && (
+                      <Text style={styles.progressDetail}>
+                        {downloadProgress.retries} chunk {downloadProgress.retries === 1 ? 'retry' : 'retries'} so far
+                      </Text>
+                    )}
                   </View>
                 )}
               </View>
@@ -189,10 +286,10 @@ const LoggedDataModal = ({ visible, onClose }) => {
                 <Text style={styles.errorText}>{error}</Text>
                 <TouchableOpacity
                   style={styles.retryButton}
-                  onPress={handleDownloadData}
+                  onPress={() => downloadLogs(lastSince)}
                   disabled={isLoading}
                 >
-                  <Text style={styles.retryButtonText}>Retry</Text>
+                  <Text style={styles.retryButtonText}>{canResume ? 'Resume Download' : 'Retry'}</Text>
                 </TouchableOpacity>
               </View>
             )}
@@ -211,38 +308,83 @@ const LoggedDataModal = ({ visible, onClose }) => {
                   </TouchableOpacity>
                 </View>
 
-                <ScrollView style={styles.dataList}>
-                  {loggedData.map((entry, index) => (
-                    <View key={index} style={styles.dataEntry}>
-                      <Text style={styles.dataDate}>
-                        {formatDate(entry.date)}
+                {mergeSummary && (
+                  <View style={styles.mergeSummary}>
+                    <Text style={styles.mergeSummaryText}>
+                      Archived {mergeSummary.added} new reading{mergeSummary.added === 1 ? '' : 's'}
+                      {mergeSummary.duplicates > 0 ? ` • ${mergeSummary.duplicates} already saved` : ''}
+                      {mergeSummary.skipped > 0 ? ` • ${mergeSummary.skipped} without valid time` : ''}
+                    </Text>
+                    <TouchableOpacity onPress={handleExportHistoryCSV}>
+                      <Text style={styles.mergeSummaryLink}>Export full history</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+
+                {transferSummary && (
+                  <View style={styles.mergeSummary}>
+                    <Text style={styles.mergeSummaryText}>
+                      {transferSummary.checksummed
+                        ? `${transferSummary.verified} of ${transferSummary.totalChunks} chunks verified`
+                        : `${transferSummary.received} of ${transferSummary.totalChunks} chunks received (device firmware does not send checksums)`}
+                      {transferSummary.retried.length > 0 ? ` • ${transferSummary.retried.length} retried` : ''}
+                      {transferSummary.failed.length > 0 ? ` • ${transferSummary.failed.length} failed` : ''}
+                    </Text>
+                    {transferSummary.bytesPerSecond > 0 && (
+                      <Text style={styles.mergeSummaryText}>
+                        {transferSummary.mode === 'stream' ? 'Streamed' : 'Requested'} {(transferSummary.bytesReceived / 1024).toFixed(1)} KB
+                        {' '}in {(transferSummary.durationMs / 1000).toFixed(1)}s
+                        {' '}({PlatformBluetoothService.formatThroughput(transferSummary.bytesPerSecond)})
                       </Text>
-                      <View style={styles.dataMetrics}>
-                        <View style={styles.metricRow}>
-                          <Text style={styles.metricLabel}>PM2.5:</Text>
-                          <Text style={styles.metricValue}>{entry.pm25.toFixed(1)} μg/m³</Text>
-                        </View>
-                        <View style={styles.metricRow}>
-                          <Text style={styles.metricLabel}>AQI:</Text>
-                          <Text style={[styles.metricValue, { color: getAQIColor(entry.aqi) }]}>
-                            {entry.aqi} ({getAQICategory(entry.aqi)})
-                          </Text>
-                        </View>
-                        <View style={styles.metricRow}>
-                          <Text style={styles.metricLabel}>PM1.0:</Text>
-                          <Text style={styles.metricValue}>{entry.pm1.toFixed(1)} μg/m³</Text>
-                        </View>
-                        <View style={styles.metricRow}>
-                          <Text style={styles.metricLabel}>PM10:</Text>
-                          <Text style={styles.metricValue}>{entry.pm10.toFixed(1)} μg/m³</Text>
-                        </View>
-                        <View style={styles.metricRow}>
-                          <Text style={styles.metricLabel}>Battery:</Text>
-                          <Text style={styles.metricValue}>{entry.battery.toFixed(0)}%</Text>
+                    )}
+                    {transferSummary.failed.length > 0 && (
+                      <Text style={styles.mergeSummaryText}>
+                        Failed chunks: {transferSummary.failed.map(index => index + 1).join(', ')}
+                      </Text>
+                    )}
+                    {canResume && (
+                      <TouchableOpacity onPress={() => downloadLogs(lastSince)}>
+                        <Text style={styles.mergeSummaryLink}>Download failed chunks again</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                )}
+
+                <ScrollView style={styles.dataList}>
+                  {loggedData.map((entry, index) => {
+                    const aqiInfo = getAQIInfo(entry, aqiStandard);
+                    return (
+                      <View key={index} style={styles.dataEntry}>
+                        <Text style={styles.dataDate}>
+                          {formatDate(entry.date)}
+                        </Text>
+                        <View style={styles.dataMetrics}>
+                          <View style={styles.metricRow}>
+                            <Text style={styles.metricLabel}>PM2.5:</Text>
+                            <Text style={styles.metricValue}>{entry.pm25.toFixed(1)} μg/m³</Text>
+                          </View>
+                          <View style={styles.metricRow}>
+                            <Text style={styles.metricLabel}>{aqiInfo.standard}:</Text>
+                            <Text style={[styles.metricValue, { color: aqiInfo.color }]}>
+                              {aqiInfo.aqi} ({aqiInfo.category})
+                            </Text>
+                          </View>
+                          <View style={styles.metricRow}>
+                            <Text style={styles.metricLabel}>PM1.0:</Text>
+                            <Text style={styles.metricValue}>{entry.pm1.toFixed(1)} μg/m³</Text>
+                          </View>
+                          <View style={styles.metricRow}>
+                            <Text style={styles.metricLabel}>PM10:</Text>
+                            <Text style={styles.metricValue}>{entry.pm10.toFixed(1)} μg/m³</Text>
+                          </View>
+                          <View style={styles.metricRow}>
+                            <Text style={styles.metricLabel}>Battery:</Text>
+                            <Text style={styles.metricValue}>{entry.battery.toFixed(0)}%</Text>
+                          </View>
                         </View>
                       </View>
-                    </View>
-                  ))}
+                    );
+                  })}
                 </ScrollView>
               </View>
             )}
@@ -317,6 +459,25 @@ const styles = StyleSheet.create({
     minWidth: 150,
     alignItems: 'center',
   },
+  secondaryButton: {
+    marginTop: 12,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#666',
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#ccc',
+  },
+  infoText: {
+    fontSize: 14,
+    color: '#4CAF50',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
   disabledButton: {
     backgroundColor: '#666',
   },
@@ -371,6 +532,24 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#fff',
   },
+  mergeSummary: {
+    backgroundColor: '#111',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#333',
+    padding: 12,
+    marginBottom: 15,
+  },
+  mergeSummaryText: {
+    fontSize: 13,
+    color: '#ccc',
+    marginBottom: 6,
+  },
+  mergeSummaryLink: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+  },
   dataList: {
     maxHeight: 300,
   },
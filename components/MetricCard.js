@@ -8,10 +8,11 @@ import {
   Platform,
 } from 'react-native';
 import WebCompatiblePressable from './WebCompatiblePressable';
+import { getAQICategory } from '../services/AirQualityIndex';
 
 const { width } = Dimensions.get('window');
 
-const MetricCard = ({ title, value, unit, status, precision = 0, type, onViewGraph, hasGraphData = false }) => {
+const MetricCard = ({ title, value, unit, status, precision = 0, type, detail, statusText, aqiStandard, onViewGraph, hasGraphData = false }) => {
   const pulseAnim = useRef(new Animated.Value(1)).current;
   const valueAnim = useRef(new Animated.Value(0)).current;
   const glowAnim = useRef(new Animated.Value(0)).current;
@@ -121,12 +122,10 @@ const MetricCard = ({ title, value, unit, status, precision = 0, type, onViewGra
         return 'Good battery level';
       
       case 'AQI':
-        if (value <= 50) return 'Good - Air quality satisfactory';
-        if (value <= 100) return 'Moderate - Acceptable for most people';
-        if (value <= 150) return 'Unhealthy for sensitive groups';
-        if (value <= 200) return 'Unhealthy - Everyone may experience effects';
-        if (value <= 300) return 'Very unhealthy - Health alert';
-        return 'Hazardous - Emergency conditions';
+      case 'NowCast': {
+        const category = getAQICategory(value, aqiStandard);
+        return `${category.label} - ${category.healthMessage}`;
+      }
       
       default:
         return 'Reading available';
@@ -189,6 +188,10 @@ const MetricCard = ({ title, value, unit, status, precision = 0, type, onViewGra
           {(value && !isNaN(value)) ? (precision > 0 ? value.toFixed(precision) : Math.round(value)) : 0}
         </Animated.Text>
       </View>
+
+      {detail && value > 0 ? (
+        <Text style={styles.detailText}>{detail}</Text>
+      ) : null}
       
       <View style={styles.statusContainer}>
         <Animated.View 
@@ -204,7 +207,7 @@ const MetricCard = ({ title, value, unit, status, precision = 0, type, onViewGra
           ]} 
         />
         <Text style={[styles.statusText, { color: getStatusColor(status) }]}>
-          {getStatusText(title, value, status)}
+          {statusText || getStatusText(title, value, status)}
         </Text>
       </View>
     </Animated.View>
@@ -292,6 +295,12 @@ const styles = StyleSheet.create({
     opacity: 0.7,
     marginLeft: 5,
   },
+  detailText: {
+    fontSize: 13,
+    color: '#a6a6b8',
+    marginTop: -8,
+    marginBottom: 12,
+  },
   statusContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView
+} from 'react-native';
+import MetricCard from './MetricCard';
+import DevicePickerModal from './DevicePickerModal';
+import BluetoothService from '../services/PlatformBluetoothService';
+import DeviceManager from '../services/DeviceManager';
+import DeviceRegistry from '../services/DeviceRegistry';
+import { calculateSubIndex, getAQICategory, getAQIInfo } from '../services/AirQualityIndex';
+
+const getPMStatus = (value, pollutant) => {
+  if (!value || isNaN(value)) return 'invalid';
+  return getAQICategory(calculateSubIndex(value, pollutant)).status;
+};
+
+const getBatteryStatus = (battery) => {
+  if (!battery || isNaN(battery)) return 'invalid';
+  if (battery < 20) return 'critical';
+  if (battery < 50) return 'warning';
+  return 'normal';
+};
+
+const formatPowerMode = (powerMode) => {
+  if (powerMode === '1') return 'Low Power';
+  if (powerMode === '0') return 'Responsive';
+  return 'Unknown';
+};
+
+// Every connected sensor side by side, each with its own metric cards
+const MultiDeviceDashboard = ({ visible, onClose, aqiStandard }) => {
+  const [devices, setDevices] = useState(DeviceManager.getDevices());
+  const [pickerVisible, setPickerVisible] = useState(false);
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    setDevices(DeviceManager.getDevices());
+    DeviceManager.addEventListener('devicesChange', setDevices);
+    return () => DeviceManager.removeEventListener('devicesChange', setDevices);
+  }, [visible]);
+
+  const addDevice = async (device) => {
+    setPickerVisible(false);
+    setAdding(true);
+    setError(null);
+    try {
+      await DeviceManager.addDevice(device);
+    } catch (addError) {
+      setError(addError.message);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  // Pick from the nearby sensors where the platform can list them, otherwise from the browser's chooser
+  const handleAddSensor = () => {
+    if (BluetoothService.supportsDeviceList()) {
+      setPickerVisible(true);
+    } else {
+      addDevice(null);
+    }
+  };
+
+  const handleRemove = (deviceId) => {
+    DeviceManager.removeDevice(deviceId).catch(removeError => setError(removeError.message));
+  };
+
+  const renderDevice = (device) => {
+    const reading = device.airQuality || {};
+    const aqiInfo = device.airQuality ? getAQIInfo(reading, aqiStandard) : { aqi: 0, standard: '' };
+    const known = DeviceRegistry.getDevice(device.id);
+
+    return (
+      <View key={device.id} style={[styles.deviceColumn, known?.color && { borderTopColor: known.color }]}>
+        <View style={styles.deviceHeader}>
+          <View style={[styles.statusDot, device.connected ? styles.statusDotConnected : styles.statusDotDisconnected]} />
+          <View style={styles.deviceInfo}>
+            <Text style={styles.deviceName} numberOfLines={1}>{DeviceRegistry.getDisplayName(device.id, device.name)}</Text>
+            <Text style={styles.deviceId} numberOfLines={1}>
+              {device.primary ? 'Main connection • ' : ''}{known?.location || device.id}
+            </Text>
+          </View>
+          {!device.primary && (
+            <TouchableOpacity style={styles.removeButton} onPress={() => handleRemove(device.id)}>
+              <Text style={styles.removeButtonText}>×</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        <Text style={styles.deviceDetail}>
+          {device.connected ? `${device.history.length} readings` : 'Disconnected'}
+        </Text>
+
+        <MetricCard title="PM1.0" value={reading.pm1 || 0} unit="μg/m³" status={getPMStatus(reading.pm1, 'pm25')} type="pm1" />
+        <MetricCard title="PM2.5" value={reading.pm25 || 0} unit="μg/m³" status={getPMStatus(reading.pm25, 'pm25')} type="pm25" />
+        <MetricCard title="PM10" value={reading.pm10 || 0} unit="μg/m³" status={getPMStatus(reading.pm10, 'pm10')} type="pm10" />
+        <MetricCard
+          title="AQI"
+          value={aqiInfo.aqi}
+          unit={aqiInfo.standard}
+          status={aqiInfo.aqi ? getAQICategory(aqiInfo.aqi, aqiStandard).status : 'invalid'}
+          aqiStandard={aqiStandard}
+          type="aqi"
+        />
+        <MetricCard title="Battery" value={device.battery || 0} unit="%" status={getBatteryStatus(device.battery)} type="battery" />
+        <MetricCard title="Power Mode" value={formatPowerMode(device.powerMode)} unit="" status="normal" type="power" />
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Sensors</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.toolbar}>
+            <Text style={styles.toolbarText}>{devices.length} connected</Text>
+            <TouchableOpacity style={styles.addButton} onPress={handleAddSensor} disabled={adding}>
+              <Text style={styles.addButtonText}>{adding ? 'Connecting...' : '+ Add Sensor'}</Text>
+            </TouchableOpacity>
+          </View>
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          <ScrollView style={styles.modalContent}>
+            {devices.length === 0 ? (
+              <Text style={styles.emptyText}>No sensors connected. Add one to start monitoring.</Text>
+            ) : (
+              <ScrollView horizontal contentContainerStyle={styles.deviceColumns}>
+                {devices.map(renderDevice)}
+              </ScrollView>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+
+      <DevicePickerModal
+        visible={pickerVisible}
+        onSelect={addDevice}
+        onClose={() => setPickerVisible(false)}
+      />
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#000',
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#fff',
+    width: '95%',
+    maxWidth: 1200,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 15,
+  },
+  toolbarText: {
+    fontSize: 14,
+    color: '#a6a6b8',
+  },
+  addButton: {
+    backgroundColor: '#8b5cf6',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  addButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ff4444',
+    paddingHorizontal: 20,
+    paddingTop: 8,
+  },
+  modalContent: {
+    maxHeight: 650,
+    paddingTop: 15,
+  },
+  emptyText: {
+    fontSize: 13,
+    color: '#888',
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  deviceColumns: {
+    paddingHorizontal: 15,
+    paddingBottom: 15,
+  },
+  deviceColumn: {
+    width: 260,
+    marginHorizontal: 5,
+    padding: 12,
+    backgroundColor: '#111',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#333',
+    borderTopWidth: 3,
+  },
+  deviceHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
+  },
+  statusDotConnected: {
+    backgroundColor: '#50fa7b',
+  },
+  statusDotDisconnected: {
+    backgroundColor: '#ff5555',
+  },
+  deviceInfo: {
+    flex: 1,
+  },
+  deviceName: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  deviceId: {
+    fontSize: 11,
+    color: '#888',
+    marginTop: 2,
+  },
+  deviceDetail: {
+    fontSize: 12,
+    color: '#a6a6b8',
+    marginTop: 6,
+    marginBottom: 8,
+  },
+  removeButton: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    borderWidth: 1,
+    borderColor: '#ff4444',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 10,
+  },
+  removeButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#ff4444',
+  },
+});
+
+export default MultiDeviceDashboard;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  TextInput,
+  Platform
+} from 'react-native';
+
+// Load an exported BLE session for replay, from a file on web or pasted JSON on any platform
+const SessionImportModal = ({ visible, onClose, onImport, onPickFile }) => {
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setText('');
+      setError(null);
+    }
+  }, [visible]);
+
+  const runImport = async (load) => {
+    setError(null);
+    try {
+      const session = await load();
+      if (session) {
+        onClose();
+      }
+    } catch (importError) {
+      setError(importError.message);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Load Session</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.modalContent}>
+            {Platform.OS === 'web' && (
+              <TouchableOpacity style={styles.button} onPress={() => runImport(onPickFile)}>
+                <Text style={styles.buttonText}>Choose session file…</Text>
+              </TouchableOpacity>
+            )}
+
+            <Text style={styles.label}>Or paste the session JSON</Text>
+            <TextInput
+              style={styles.input}
+              value={text}
+              onChangeText={setText}
+              placeholder='{"format": "airq-ble-session", ...}'
+              placeholderTextColor="#666"
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+
+            {error && <Text style={styles.errorText}>{error}</Text>}
+
+            <TouchableOpacity
+              style={[styles.button, !text.trim() && styles.buttonDisabled]}
+              onPress={() => runImport(() => onImport(text))}
+              disabled={!text.trim()}
+            >
+              <Text style={styles.buttonText}>Load pasted session</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#000',
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#fff',
+    width: '90%',
+    maxWidth: 600,
+    maxHeight: '80%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  label: {
+    fontSize: 13,
+    color: '#888',
+    marginBottom: 8,
+  },
+  input: {
+    height: 160,
+    borderWidth: 1,
+    borderColor: '#333',
+    borderRadius: 8,
+    backgroundColor: '#111',
+    color: '#fff',
+    padding: 10,
+    fontSize: 12,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ff4444',
+    marginTop: 10,
+  },
+  button: {
+    backgroundColor: '#bd93f9',
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 15,
+    marginBottom: 5,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  buttonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+});
+
+export default SessionImportModal;
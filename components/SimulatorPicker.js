@@ -0,0 +1,98 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+// Choose between the real sensor, a simulated device scenario or a recorded session replay
+const SimulatorPicker = ({ scenarios, selectedScenario, onSelect, onImport, disabled }) => {
+  const options = [
+    { id: null, name: 'Real sensor', description: 'Connect to an AirQ device over Bluetooth' },
+    ...scenarios
+  ];
+  const selected = options.find(option => option.id === selectedScenario) || options[0];
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Device Source</Text>
+      <View style={styles.options}>
+        {options.map(option => {
+          const isSelected = option.id === selected.id;
+          return (
+            <TouchableOpacity
+              key={option.id || 'real'}
+              style={[styles.option, isSelected && styles.optionSelected]}
+              onPress={() => onSelect(option.id)}
+              disabled={disabled}
+            >
+              <Text style={[styles.optionText, isSelected && styles.optionTextSelected]}>
+                {option.id ? `${option.icon || '🧪'} ${option.name}` : option.name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <Text style={styles.description}>{selected.description}</Text>
+      {onImport && (
+        <TouchableOpacity onPress={onImport} disabled={disabled}>
+          <Text style={styles.importText}>Load a recorded session…</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 10,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#a6a6b8',
+    marginBottom: 12,
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -4,
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 12,
+    margin: 4,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  optionSelected: {
+    backgroundColor: 'rgba(189, 147, 249, 0.2)',
+    borderColor: '#bd93f9',
+  },
+  optionText: {
+    fontSize: 13,
+    color: '#f8f8f2',
+  },
+  optionTextSelected: {
+    fontWeight: '700',
+  },
+  description: {
+    fontSize: 13,
+    color: '#a6a6b8',
+    marginTop: 10,
+    lineHeight: 18,
+  },
+  importText: {
+    fontSize: 13,
+    color: '#bd93f9',
+    marginTop: 10,
+    fontWeight: '600',
+  },
+});
+
+export default SimulatorPicker;
@@ -0,0 +1,317 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  ScrollView
+} from 'react-native';
+import HistoryStore from '../services/HistoryStore';
+import DeviceRegistry from '../services/DeviceRegistry';
+import {
+  ROLLING_WINDOWS,
+  MIN_DAILY_COVERAGE,
+  MIN_ANNUAL_DAYS,
+  calculateRollingMeans,
+  aggregateByPeriod,
+  getWHOComplianceReport
+} from '../services/Analytics';
+import { POLLUTANTS } from '../services/AirQualityIndex';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Rolling means, WHO guideline compliance and daily/monthly means of the stored history.
+// Days past the retention window come from the hourly archive, so the report covers up to a year.
+const StatisticsModal = ({ visible, onClose, deviceId }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [statistics, setStatistics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    let cancelled = false;
+    const loadStatistics = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        await HistoryStore.init();
+        const now = Date.now();
+        const retainedFrom = now - HistoryStore.policy.retentionDays * DAY_MS;
+        const readings = await HistoryStore.query({ deviceId: deviceId || null, start: retainedFrom, end: now });
+        const archived = await HistoryStore.queryArchive({ deviceId: deviceId || null, start: now - YEAR_MS, end: retainedFrom });
+        const longTerm = [...archived, ...readings];
+        const days = aggregateByPeriod(longTerm, 'day');
+        if (!cancelled) {
+          setStatistics({
+            rolling: calculateRollingMeans(readings, now),
+            days,
+            months: aggregateByPeriod(longTerm, 'month'),
+            who: getWHOComplianceReport(days)
+          });
+        }
+      } catch (loadError) {
+        console.error('Failed to compute statistics:', loadError);
+        if (!cancelled) {
+          setError('Failed to load the stored history.');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadStatistics();
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, deviceId]);
+
+  const formatMean = (value) => (value === null || value === undefined ? '–' : `${value.toFixed(1)} μg/m³`);
+
+  const renderRollingMeans = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Rolling Means</Text>
+      <View style={styles.tableRow}>
+        <Text style={[styles.tableCell, styles.tableHeader]}>Window</Text>
+        <Text style={[styles.tableCell, styles.tableHeader]}>PM2.5</Text>
+        <Text style={[styles.tableCell, styles.tableHeader]}>PM10</Text>
+      </View>
+      {ROLLING_WINDOWS.map(({ key, label }) => (
+        <View key={key} style={styles.tableRow}>
+          <Text style={styles.tableCell}>{label}</Text>
+          <Text style={styles.tableCell}>{formatMean(statistics.rolling[key].pm25)}</Text>
+          <Text style={styles.tableCell}>{formatMean(statistics.rolling[key].pm10)}</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderCompliance = (pollutant) => {
+    const report = statistics.who[pollutant];
+    return (
+      <View key={pollutant} style={styles.section}>
+        <Text style={styles.sectionTitle}>WHO 2021 - {POLLUTANTS[pollutant].label}</Text>
+        {report.levels.map(level => (
+          <View key={level.key} style={styles.levelRow}>
+            <Text style={styles.levelLabel}>
+              {level.label} ({level.dailyLimit} μg/m³)
+            </Text>
+            <Text style={[styles.levelValue, level.exceedanceDays > 0 ? styles.exceeded : styles.met]}>
+              {level.exceedanceDays} day{level.exceedanceDays === 1 ? '' : 's'} above
+            </Text>
+          </View>
+        ))}
+        <Text style={styles.note}>
+          Mean of {statistics.who.completeDays} complete day{statistics.who.completeDays === 1 ? '' : 's'}: {formatMean(report.periodMean)}
+          {report.periodMean !== null && (statistics.who.coversYear
+            ? ` (annual guideline ${report.levels[report.levels.length - 1].annualLimit} μg/m³)`
+            : `. The annual guideline needs ${MIN_ANNUAL_DAYS} complete days in the last year.`)}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderAggregates = (title, periods) => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {periods.slice().reverse().map(period => (
+        <View key={period.key} style={styles.tableRow}>
+          <Text style={styles.tableCell}>{period.key}</Text>
+          <Text style={styles.tableCell}>{formatMean(period.pm25?.mean)}</Text>
+          <Text style={styles.tableCell}>{formatMean(period.pm10?.mean)}</Text>
+          <Text style={[styles.tableCell, styles.coverageCell]}>{Math.round(period.coverage * 100)}%</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>
+              {deviceId ? `Statistics • ${DeviceRegistry.getDisplayName(deviceId)}` : 'Statistics'}
+            </Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalContent}>
+            {isLoading && (
+              <View style={styles.messageSection}>
+                <ActivityIndicator size="small" color="#007AFF" />
+              </View>
+            )}
+
+            {error && !isLoading && (
+              <View style={styles.messageSection}>
+                <Text style={styles.errorText}>{error}</Text>
+              </View>
+            )}
+
+            {statistics && !isLoading && statistics.days.length === 0 && (
+              <View style={styles.messageSection}>
+                <Text style={styles.messageText}>
+                  No stored readings yet. Statistics appear once live readings or downloaded logs are saved.
+                </Text>
+              </View>
+            )}
+
+            {statistics && !isLoading && statistics.days.length > 0 && (
+              <>
+                {renderRollingMeans()}
+                <Text style={styles.intro}>
+                  {statistics.who.completeDays} of {statistics.who.daysWithData} days have readings for at
+                  least {Math.round(MIN_DAILY_COVERAGE * 24)} hours and count towards the WHO report.
+                </Text>
+                {['pm25', 'pm10'].map(renderCompliance)}
+                {renderAggregates('Daily Means (PM2.5, PM10, coverage)', statistics.days)}
+                {renderAggregates('Monthly Means (PM2.5, PM10, coverage)', statistics.months)}
+              </>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#000',
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#fff',
+    width: '90%',
+    maxWidth: 600,
+    maxHeight: '80%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  closeButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  modalContent: {
+    maxHeight: 500,
+  },
+  messageSection: {
+    padding: 20,
+    alignItems: 'center',
+  },
+  messageText: {
+    fontSize: 16,
+    color: '#ccc',
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#ff4444',
+    textAlign: 'center',
+  },
+  intro: {
+    fontSize: 13,
+    color: '#ccc',
+    paddingHorizontal: 20,
+    marginBottom: 10,
+    lineHeight: 18,
+  },
+  section: {
+    backgroundColor: '#111',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#333',
+    padding: 15,
+    marginHorizontal: 20,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 10,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    marginBottom: 5,
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 13,
+    color: '#fff',
+  },
+  tableHeader: {
+    color: '#888',
+    fontWeight: 'bold',
+  },
+  coverageCell: {
+    flex: 0.5,
+    color: '#888',
+    textAlign: 'right',
+  },
+  levelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 5,
+  },
+  levelLabel: {
+    fontSize: 13,
+    color: '#ccc',
+  },
+  levelValue: {
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  exceeded: {
+    color: '#ff4444',
+  },
+  met: {
+    color: '#4CAF50',
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 8,
+  },
+});
+
+export default StatisticsModal;
@@ -1,6 +1,11 @@
 import { registerRootComponent } from 'expo';
 
 import App from './App';
+import { defineBackgroundSyncTask } from './services/BackgroundSync';
+
+// Background tasks have to be defined before the app is registered, also when the OS starts
+// the app in the background just to run one
+defineBackgroundSyncTask();
 
 // registerRootComponent calls AppRegistry.registerComponent('main', () => App);
 // It also ensures that whether you load the app in Expo Go or in a native build,
@@ -0,0 +1,7 @@
+// The services log every BLE step; keep test output readable
+global.console.log = jest.fn();
+global.console.warn = jest.fn();
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
@@ -0,0 +1,79 @@
+// AirQ BLE protocol definitions shared by the service and every transport
+// UUIDs must match the AirQ Arduino code
+
+export const AIRQ_SERVICE_UUID = '12345678-1234-1234-1234-123456789abc';
+export const LIVE_DATA_UUID = '12345678-1234-1234-1234-123456789abd';
+export const LOGGED_DATA_UUID = '12345678-1234-1234-1234-123456789abe';
+export const BATTERY_UUID = '12345678-1234-1234-1234-123456789abf';
+export const POWER_MODE_UUID = '12345678-1234-1234-1234-123456789ac0';
+export const RTC_TIME_UUID = '12345678-1234-1234-1234-123456789ac1';
+export const CHUNK_INFO_UUID = '12345678-1234-1234-1234-123456789ac2';
+export const CHUNK_REQUEST_UUID = '87654321-4321-4321-4321-cba987654321';
+
+export const CHARACTERISTICS = [
+  { name: 'Live Data', uuid: LIVE_DATA_UUID },
+  { name: 'Logged Data', uuid: LOGGED_DATA_UUID },
+  { name: 'Battery', uuid: BATTERY_UUID },
+  { name: 'Power Mode', uuid: POWER_MODE_UUID },
+  { name: 'RTC Time', uuid: RTC_TIME_UUID },
+  { name: 'Chunk Info', uuid: CHUNK_INFO_UUID },
+  { name: 'Chunk Request', uuid: CHUNK_REQUEST_UUID }
+];
+
+export const DEVICE_NAME = 'AirQ Sensor';
+export const DEVICE_NAME_PREFIX = 'AirQ';
+
+// Logged data chunk formats (reported in the 6th chunk info field, firmware protocol 5+)
+export const LOG_FORMAT_TEXT = 0;
+export const LOG_FORMAT_BINARY = 1;
+export const BINARY_FORMAT_VERSION = 1;
+export const LOG_RECORD_SIZE = 11; // uint32 timestamp, uint16 pm1, uint16 pm2.5, uint16 pm10, uint8 battery
+
+// Every text value the device exchanges is plain ASCII, so no TextEncoder/TextDecoder is needed
+// (they are not available on every JS engine)
+export const encodeText = (text) => {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xFF;
+  }
+  return bytes;
+};
+
+export const decodeText = (bytes) => {
+  let result = '';
+  for (let i = 0; i < bytes.length; i++) {
+    result += String.fromCharCode(bytes[i]);
+  }
+  return result;
+};
+
+// Parse live data "pm1,pm25,pm10,battery". Returns null for incomplete values.
+export const parseLiveData = (dataString) => {
+  const values = dataString.split(',').map(val => parseFloat(val.trim()));
+  if (values.length < 4) {
+    return null;
+  }
+  return {
+    pm1: values[0] || 0,
+    pm25: values[1] || 0,
+    pm10: values[2] || 0,
+    battery: values[3] || 0
+  };
+};
+
+// Parse "totalChunks,currentChunk[,protocolVersion,startIndex,totalEntries[,format]]".
+// Firmware before protocol 2 only sends the first two fields, before protocol 5 no format.
+export const parseChunkInfo = (chunkInfoString) => {
+  const [totalChunks, currentChunk, protocolVersion, startIndex, totalEntries, format] = chunkInfoString
+    .split(',')
+    .map(s => parseInt(s.trim()));
+
+  return {
+    totalChunks: totalChunks || 0,
+    currentChunk: currentChunk || 0,
+    protocolVersion: protocolVersion || 1,
+    startIndex: isNaN(startIndex) ? null : startIndex,
+    totalEntries: isNaN(totalEntries) ? null : totalEntries,
+    format: format === LOG_FORMAT_BINARY ? LOG_FORMAT_BINARY : LOG_FORMAT_TEXT
+  };
+};
@@ -0,0 +1,78 @@
+// Air Quality Index
+// Computes the index of a reading on any of the regional standards in ./aqiStandards, plus the
+// category (label, color, health message) every screen shows for it. All AQI numbers and labels
+// in the app come from here. Functions default to US EPA when no standard id is passed.
+
+import { AQI_STANDARDS, DEFAULT_AQI_STANDARD, getAQIStandard } from './aqiStandards';
+
+export { AQI_STANDARDS, DEFAULT_AQI_STANDARD, getAQIStandard };
+
+export const POLLUTANTS = {
+  pm25: { label: 'PM2.5' },
+  pm10: { label: 'PM10' }
+};
+
+// Linear interpolation within the breakpoint row the concentration falls into.
+// Readings above the table are reported as the top of the scale; invalid readings as 0.
+// Pollutants the standard does not cover also give 0.
+export const calculateSubIndex = (concentration, pollutant, standardId = DEFAULT_AQI_STANDARD) => {
+  const standard = getAQIStandard(standardId);
+  const table = standard.pollutants[pollutant];
+  if (!table || typeof concentration !== 'number' || isNaN(concentration) || concentration < 0) {
+    return 0;
+  }
+
+  const scale = 10 ** table.decimals;
+  const truncated = Math.floor(concentration * scale + 1e-9) / scale; // 1e-9 absorbs floating point error
+  const row = table.breakpoints.find(bp => truncated <= bp.concentration[1]);
+  if (!row) {
+    return standard.maxIndex;
+  }
+
+  const [cLow, cHigh] = row.concentration;
+  const [iLow, iHigh] = row.aqi;
+  return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (truncated - cLow) + iLow);
+};
+
+// Sub-index of every pollutant the standard covers in a reading ({ pm25, pm10 })
+export const calculateSubIndices = (reading, standardId = DEFAULT_AQI_STANDARD) => {
+  const subIndices = {};
+  for (const pollutant of Object.keys(getAQIStandard(standardId).pollutants)) {
+    subIndices[pollutant] = calculateSubIndex(reading?.[pollutant], pollutant, standardId);
+  }
+  return subIndices;
+};
+
+// The pollutant with the highest sub-index sets the AQI; PM2.5 wins ties
+const findDominantPollutant = (subIndices) =>
+  Object.keys(subIndices).reduce((dominant, pollutant) =>
+    (subIndices[pollutant] > subIndices[dominant] ? pollutant : dominant));
+
+export const calculateAQI = (reading, standardId = DEFAULT_AQI_STANDARD) => {
+  const subIndices = calculateSubIndices(reading, standardId);
+  return subIndices[findDominantPollutant(subIndices)];
+};
+
+export const getAQICategory = (aqi, standardId = DEFAULT_AQI_STANDARD) => {
+  const { categories } = getAQIStandard(standardId);
+  return categories.find(category => aqi <= category.maxAqi) || categories[categories.length - 1];
+};
+
+// Everything the UI shows for a reading ({ pm25, pm10 })
+export const getAQIInfo = (reading, standardId = DEFAULT_AQI_STANDARD) => {
+  const standard = getAQIStandard(standardId);
+  const subIndices = calculateSubIndices(reading, standard.id);
+  const dominantPollutant = findDominantPollutant(subIndices);
+  const aqi = subIndices[dominantPollutant];
+  const { label, color, status, healthMessage } = getAQICategory(aqi, standard.id);
+  return {
+    aqi,
+    category: label,
+    color,
+    status,
+    healthMessage,
+    dominantPollutant,
+    subIndices,
+    standard: standard.shortName
+  };
+};
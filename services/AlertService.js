@@ -0,0 +1,319 @@
+// Threshold alerts
+// User-defined rules per metric, evaluated against every airQualityUpdate. A rule triggers once
+// its metric has been past the threshold for minDurationSeconds and only re-arms after the value
+// has recovered past the threshold by the hysteresis margin, so a reading hovering around the
+// threshold does not fire over and over. Triggered alerts are delivered as a local notification
+// or an in-app banner and kept in a persisted history list.
+
+import StorageService from './StorageService';
+import NotificationService from './NotificationService';
+import SettingsService from './SettingsService';
+import { calculateAQI, getAQIStandard } from './AirQualityIndex';
+
+const RULES_KEY = 'airq_alert_rules';
+const HISTORY_KEY = 'airq_alert_history';
+const MAX_HISTORY = 100;
+
+export const ALERT_METRICS = {
+  pm1: { label: 'PM1.0', unit: 'μg/m³' },
+  pm25: { label: 'PM2.5', unit: 'μg/m³' },
+  pm10: { label: 'PM10', unit: 'μg/m³' },
+  aqi: { label: 'AQI', unit: '' },
+  battery: { label: 'Battery', unit: '%' }
+};
+
+export const ALERT_DIRECTIONS = ['above', 'below'];
+export const ALERT_DELIVERIES = ['notification', 'banner'];
+
+export const DEFAULT_ALERT_RULES = [
+  { id: 'pm25-high', metric: 'pm25', direction: 'above', threshold: 35.5, hysteresis: 5, minDurationSeconds: 60, delivery: 'notification', enabled: true },
+  { id: 'battery-low', metric: 'battery', direction: 'below', threshold: 20, hysteresis: 5, minDurationSeconds: 0, delivery: 'banner', enabled: true }
+];
+
+const isNumber = value => typeof value === 'number' && !isNaN(value);
+
+// Throws if a rule can't be evaluated
+export const validateRule = (rule) => {
+  if (!ALERT_METRICS[rule.metric]) {
+    throw new Error(`Unknown alert metric: ${rule.metric}`);
+  }
+  if (!ALERT_DIRECTIONS.includes(rule.direction)) {
+    throw new Error(`Unknown alert direction: ${rule.direction}`);
+  }
+  if (!ALERT_DELIVERIES.includes(rule.delivery)) {
+    throw new Error(`Unknown alert delivery: ${rule.delivery}`);
+  }
+  if (!isNumber(rule.threshold)) {
+    throw new Error('Alert threshold must be a number');
+  }
+  if (!isNumber(rule.hysteresis) || rule.hysteresis < 0) {
+    throw new Error('Alert hysteresis must be a non-negative number');
+  }
+  if (!isNumber(rule.minDurationSeconds) || rule.minDurationSeconds < 0) {
+    throw new Error('Alert minimum duration must be a non-negative number');
+  }
+};
+
+// AQI rules keep the standard their threshold was set on (standardId), so switching the selected
+// standard later does not change what the threshold means
+const getRuleValue = (rule, reading) => (rule.metric === 'aqi' && rule.standardId
+  ? calculateAQI(reading, rule.standardId)
+  : reading[rule.metric]);
+
+// Advance one rule's state with a new value. state is { active, pendingSince }.
+// Returns the next state and 'triggered', 'cleared' or null.
+export const evaluateRule = (rule, state, value, timestamp) => {
+  const sign = rule.direction === 'above' ? 1 : -1;
+  const exceeds = sign * (value - rule.threshold) > 0;
+
+  if (state.active) {
+    const recovered = sign * (rule.threshold - value) >= rule.hysteresis;
+    return recovered
+      ? { state: { active: false, pendingSince: null }, event: 'cleared' }
+      : { state, event: null };
+  }
+
+  if (!exceeds) {
+    return { state: { active: false, pendingSince: null }, event: null };
+  }
+
+  const pendingSince = state.pendingSince ?? timestamp;
+  if (timestamp - pendingSince >= rule.minDurationSeconds * 1000) {
+    return { state: { active: true, pendingSince: null }, event: 'triggered' };
+  }
+  return { state: { active: false, pendingSince }, event: null };
+};
+
+// Notification/banner text for a triggered alert
+export const describeAlert = (alert) => {
+  const { unit } = ALERT_METRICS[alert.metric];
+  const label = alert.standardId
+    ? `${getAQIStandard(alert.standardId).shortName} ${ALERT_METRICS[alert.metric].label}`
+    : ALERT_METRICS[alert.metric].label;
+  const value = `${alert.value}${unit ? ` ${unit}` : ''}`;
+  const threshold = `${alert.threshold}${unit ? ` ${unit}` : ''}`;
+  return {
+    title: `${label} ${alert.direction} ${alert.threshold}`,
+    body: `${label} is ${value}, ${alert.direction} your alert level of ${threshold}.`
+  };
+};
+
+class AlertService {
+  constructor(notificationService = NotificationService) {
+    this.notificationService = notificationService;
+    this.rules = DEFAULT_ALERT_RULES.map(rule => ({ ...rule }));
+    this.history = [];
+    this.states = {};          // rule id -> { active, pendingSince }
+    this.activeAlerts = {};    // rule id -> history entry of the alert that is still active
+    this.loading = null;
+
+    this.listeners = {
+      alert: [],
+      alertCleared: [],
+      rulesChange: [],
+      historyChange: []
+    };
+  }
+
+  // Event listener management
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // Read the stored rules and history once; later calls return the same promise
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const rules = await StorageService.getJSON(RULES_KEY, null);
+        if (rules) {
+          this.rules = rules;
+        }
+        this.history = await StorageService.getJSON(HISTORY_KEY, []);
+        this.emit('rulesChange', this.getRules());
+        this.emit('historyChange', this.getHistory());
+      })();
+    }
+    return this.loading;
+  }
+
+  // Evaluate every live reading emitted by a Bluetooth service; returns a detach function
+  attach(bluetoothService) {
+    const handleAirQualityUpdate = (data) => {
+      this.evaluate(data);
+    };
+    const handleConnectionChange = (connected) => {
+      if (!connected) {
+        this.reset();
+      }
+    };
+
+    bluetoothService.addEventListener('airQualityUpdate', handleAirQualityUpdate);
+    bluetoothService.addEventListener('connectionChange', handleConnectionChange);
+
+    return () => {
+      bluetoothService.removeEventListener('airQualityUpdate', handleAirQualityUpdate);
+      bluetoothService.removeEventListener('connectionChange', handleConnectionChange);
+    };
+  }
+
+  // Forget pending and active alerts, e.g. when the sensor disconnects
+  reset() {
+    this.states = {};
+    this.activeAlerts = {};
+  }
+
+  evaluate(reading) {
+    const timestamp = reading.timestamp || Date.now();
+
+    this.rules.forEach(rule => {
+      const value = getRuleValue(rule, reading);
+      if (!rule.enabled || !isNumber(value)) return;
+
+      const previous = this.states[rule.id] || { active: false, pendingSince: null };
+      const { state, event } = evaluateRule(rule, previous, value, timestamp);
+      this.states[rule.id] = state;
+
+      if (event === 'triggered') {
+        this.trigger(rule, value, timestamp);
+      } else if (event === 'cleared') {
+        this.clear(rule, timestamp);
+      }
+    });
+  }
+
+  trigger(rule, value, timestamp) {
+    const alert = {
+      id: `${rule.id}-${timestamp}`,
+      ruleId: rule.id,
+      metric: rule.metric,
+      direction: rule.direction,
+      threshold: rule.threshold,
+      ...(rule.standardId ? { standardId: rule.standardId } : {}),
+      value,
+      delivery: rule.delivery,
+      timestamp,
+      clearedAt: null
+    };
+
+    this.activeAlerts[rule.id] = alert;
+    this.addToHistory(alert);
+    this.deliver(alert);
+  }
+
+  clear(rule, timestamp) {
+    const alert = this.activeAlerts[rule.id];
+    delete this.activeAlerts[rule.id];
+    if (!alert) return;
+
+    this.history = this.history.map(entry => (entry.id === alert.id ? { ...entry, clearedAt: timestamp } : entry));
+    this.saveHistory();
+    this.emit('alertCleared', { ...alert, clearedAt: timestamp });
+  }
+
+  // Local notification if the rule asks for one and it can be shown, otherwise an in-app banner
+  async deliver(alert) {
+    let notified = false;
+    if (alert.delivery === 'notification') {
+      notified = await this.notificationService.notify(describeAlert(alert));
+    }
+    this.emit('alert', { ...alert, showBanner: !notified });
+  }
+
+  addToHistory(alert) {
+    this.history = [alert, ...this.history].slice(0, MAX_HISTORY);
+    this.saveHistory();
+  }
+
+  async saveHistory() {
+    this.emit('historyChange', this.getHistory());
+    try {
+      await StorageService.setJSON(HISTORY_KEY, this.history);
+    } catch (error) {
+      console.error('Failed to save alert history:', error);
+    }
+  }
+
+  async saveRules() {
+    this.emit('rulesChange', this.getRules());
+    try {
+      await StorageService.setJSON(RULES_KEY, this.rules);
+    } catch (error) {
+      console.error('Failed to save alert rules:', error);
+    }
+  }
+
+  getRules() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  getHistory() {
+    return [...this.history];
+  }
+
+  async addRule(rule) {
+    const newRule = {
+      hysteresis: 0,
+      minDurationSeconds: 0,
+      delivery: 'notification',
+      enabled: true,
+      ...rule,
+      id: rule.id || `${rule.metric}-${Date.now()}`
+    };
+    if (newRule.metric === 'aqi' && !newRule.standardId) {
+      newRule.standardId = SettingsService.get('aqiStandard');
+    }
+    validateRule(newRule);
+
+    this.rules = [...this.rules, newRule];
+    await this.saveRules();
+    return newRule;
+  }
+
+  async updateRule(id, changes) {
+    const rule = this.rules.find(r => r.id === id);
+    if (!rule) {
+      throw new Error(`Unknown alert rule: ${id}`);
+    }
+    const updated = { ...rule, ...changes, id };
+    if (updated.metric === 'aqi' && !updated.standardId) {
+      updated.standardId = SettingsService.get('aqiStandard');
+    }
+    validateRule(updated);
+
+    // A changed rule starts over, so it can't stay triggered on a level that no longer applies
+    delete this.states[id];
+    delete this.activeAlerts[id];
+    this.rules = this.rules.map(r => (r.id === id ? updated : r));
+    await this.saveRules();
+    return updated;
+  }
+
+  async removeRule(id) {
+    delete this.states[id];
+    delete this.activeAlerts[id];
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    await this.saveRules();
+  }
+
+  async clearHistory() {
+    this.history = [];
+    await this.saveHistory();
+  }
+}
+
+export { AlertService };
+export default new AlertService();
@@ -0,0 +1,151 @@
+// Air quality analytics
+// Rolling means, daily/monthly aggregates and a WHO 2021 guideline compliance report, computed
+// from HistoryStore readings. Compacted readings count with their sample count. Days and months
+// are local calendar periods, since that is what "a day above the guideline" means to the user.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const ROLLING_WINDOWS = [
+  { key: '1h', label: '1 hour', durationMs: HOUR_MS },
+  { key: '8h', label: '8 hours', durationMs: 8 * HOUR_MS },
+  { key: '24h', label: '24 hours', durationMs: 24 * HOUR_MS }
+];
+
+// A day counts towards the compliance report once readings cover this share of its hours
+export const MIN_DAILY_COVERAGE = 0.75;
+
+// The WHO annual levels are only compared with a mean over at least this many complete days
+export const MIN_ANNUAL_DAYS = Math.ceil(365 * MIN_DAILY_COVERAGE);
+
+// WHO global air quality guidelines 2021 (μg/m³): interim targets 1-4 and the guideline level
+export const WHO_LEVELS = [
+  { key: 'it1', label: 'Interim target 1', pm25: { daily: 75, annual: 35 }, pm10: { daily: 150, annual: 70 } },
+  { key: 'it2', label: 'Interim target 2', pm25: { daily: 50, annual: 25 }, pm10: { daily: 100, annual: 50 } },
+  { key: 'it3', label: 'Interim target 3', pm25: { daily: 37.5, annual: 15 }, pm10: { daily: 75, annual: 30 } },
+  { key: 'it4', label: 'Interim target 4', pm25: { daily: 25, annual: 10 }, pm10: { daily: 50, annual: 20 } },
+  { key: 'aqg', label: 'Guideline', pm25: { daily: 15, annual: 5 }, pm10: { daily: 45, annual: 15 } }
+];
+
+const POLLUTANT_KEYS = ['pm25', 'pm10'];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Count-weighted mean, min and max of one pollutant, or null without readings
+const summarize = (readings, pollutant) => {
+  let sum = 0;
+  let count = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  readings.forEach(reading => {
+    const value = reading[pollutant];
+    if (typeof value !== 'number' || isNaN(value)) return;
+    const weight = reading.count || 1;
+    sum += value * weight;
+    count += weight;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+
+  return count > 0 ? { mean: round1(sum / count), min, max } : null;
+};
+
+// Mean of each pollutant over the given window ending at now
+export const calculateRollingMeans = (readings, now = Date.now()) => {
+  const means = {};
+  ROLLING_WINDOWS.forEach(({ key, durationMs }) => {
+    const inWindow = readings.filter(r => r.timestamp > now - durationMs && r.timestamp <= now);
+    means[key] = {
+      pm25: summarize(inWindow, 'pm25')?.mean ?? null,
+      pm10: summarize(inWindow, 'pm10')?.mean ?? null,
+      readings: inWindow.reduce((total, r) => total + (r.count || 1), 0)
+    };
+  });
+  return means;
+};
+
+const pad = n => String(n).padStart(2, '0');
+
+const PERIODS = {
+  day: {
+    key: date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    start: date => new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+    next: start => new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1)
+  },
+  month: {
+    key: date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`,
+    start: date => new Date(date.getFullYear(), date.getMonth(), 1),
+    next: start => new Date(start.getFullYear(), start.getMonth() + 1, 1)
+  }
+};
+
+// Group readings into local days or months, oldest first.
+// coverage is the share of the period's hours that have at least one reading.
+export const aggregateByPeriod = (readings, period = 'day') => {
+  const { key: getKey, start: getStart, next: getNext } = PERIODS[period];
+  const groups = new Map();
+
+  readings.forEach(reading => {
+    const date = new Date(reading.timestamp);
+    const key = getKey(date);
+    if (!groups.has(key)) {
+      groups.set(key, { start: getStart(date), readings: [], hours: new Set() });
+    }
+    const group = groups.get(key);
+    group.readings.push(reading);
+    group.hours.add(Math.floor(reading.timestamp / HOUR_MS));
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, group]) => {
+      const start = group.start.getTime();
+      const end = getNext(group.start).getTime();
+      return {
+        key,
+        start,
+        end,
+        pm25: summarize(group.readings, 'pm25'),
+        pm10: summarize(group.readings, 'pm10'),
+        readings: group.readings.reduce((total, r) => total + (r.count || 1), 0),
+        coverage: Math.min(group.hours.size / Math.round((end - start) / HOUR_MS), 1)
+      };
+    });
+};
+
+// Days above each WHO daily level and the mean over all complete days. That mean is only compared with
+// the annual levels once the complete days cover most of a year; meetsAnnual is null until then.
+// The WHO daily levels are 99th percentiles, so 3-4 days above them per year are still compliant.
+export const getWHOComplianceReport = (dailyAggregates, { minCoverage = MIN_DAILY_COVERAGE, minAnnualDays = MIN_ANNUAL_DAYS } = {}) => {
+  const completeDays = dailyAggregates.filter(day => day.coverage >= minCoverage);
+  const report = {
+    daysWithData: dailyAggregates.length,
+    completeDays: completeDays.length,
+    coversYear: completeDays.length >= minAnnualDays
+  };
+
+  POLLUTANT_KEYS.forEach(pollutant => {
+    const days = completeDays.filter(day => day[pollutant]);
+    const periodMean = days.length > 0
+      ? round1(days.reduce((total, day) => total + day[pollutant].mean, 0) / days.length)
+      : null;
+
+    report[pollutant] = {
+      periodMean,
+      levels: WHO_LEVELS.map(level => {
+        const exceedances = days.filter(day => day[pollutant].mean > level[pollutant].daily);
+        return {
+          key: level.key,
+          label: level.label,
+          dailyLimit: level[pollutant].daily,
+          annualLimit: level[pollutant].annual,
+          exceedanceDays: exceedances.length,
+          exceedances: exceedances.map(day => day.key),
+          meetsAnnual: periodMean === null || !report.coversYear ? null : periodMean <= level[pollutant].annual
+        };
+      })
+    };
+  });
+
+  return report;
+};
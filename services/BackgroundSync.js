@@ -0,0 +1,146 @@
+// Background logging
+// On Android and iOS a background task keeps the history complete while the app is closed. Each
+// run connects to the remembered sensor by its stored ID, which syncs the RTC (the firmware logs
+// nothing until its clock has been set over BLE), pulls the log entries newer than the last
+// archived one into HistoryStore and disconnects again. The OS decides when the task runs:
+// minimumIntervalMinutes is only a lower bound, and iOS may hold runs back for hours.
+// Tasks must be defined when the JS bundle loads, so index.js calls defineBackgroundSyncTask().
+
+import { Platform } from 'react-native';
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+import StorageService from './StorageService';
+import BluetoothService from './PlatformBluetoothService';
+import HistoryStore from './HistoryStore';
+
+export const BACKGROUND_SYNC_TASK = 'airq-background-sync';
+const LAST_RUN_KEY = 'airq_background_sync_last_run';
+
+const DEFAULT_OPTIONS = {
+  minimumIntervalMinutes: 15 // The shortest interval Android and iOS allow
+};
+
+// One sync of the remembered sensor. Resolves with { status, added }: status is 'synced',
+// 'noDevice' without a remembered sensor or 'busy' while the app is connected to another one.
+export const runBackgroundSync = async (bluetoothService = BluetoothService, historyStore = HistoryStore) => {
+  await historyStore.init();
+  const { id } = await bluetoothService.loadRememberedDevice();
+  if (!id) {
+    return { status: 'noDevice', added: 0 };
+  }
+
+  // The app may be open and connected already; then the connection is left as it is
+  const wasConnected = bluetoothService.getConnectionStatus();
+  if (wasConnected && bluetoothService.getDevice()?.id !== id) {
+    return { status: 'busy', added: 0 };
+  }
+  // Connecting syncs the RTC
+  if (!wasConnected && !(await bluetoothService.quickConnect(id))) {
+    throw new Error('The remembered sensor could not be reached');
+  }
+
+  try {
+    if (bluetoothService.getDevice()?.id !== id) {
+      throw new Error('Connected to a different sensor than the remembered one');
+    }
+    const since = historyStore.getLastLogTimestamp(id) || null;
+    const entries = await bluetoothService.downloadLoggedData({ since });
+    const summary = entries && entries.length > 0
+      ? await historyStore.mergeLoggedData(id, entries, {
+        syncedUntil: bluetoothService.getLastTransferSummary()?.syncedUntil
+      })
+      : { added: 0 };
+    return { status: 'synced', added: summary.added };
+  } finally {
+    if (!wasConnected) {
+      await bluetoothService.disconnect({ background: true });
+    }
+  }
+};
+
+class BackgroundSync {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  // Override the minimum interval; takes effect the next time the task is enabled
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  async isAvailable() {
+    if (Platform.OS === 'web') {
+      return false;
+    }
+    try {
+      return await BackgroundTask.getStatusAsync() === BackgroundTask.BackgroundTaskStatus.Available;
+    } catch (error) {
+      console.warn('Background tasks are unavailable:', error.message);
+      return false;
+    }
+  }
+
+  isEnabled() {
+    return TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK);
+  }
+
+  async enable() {
+    if (!(await this.isAvailable())) {
+      throw new Error('Background tasks are not available on this device');
+    }
+    await BackgroundTask.registerTaskAsync(BACKGROUND_SYNC_TASK, {
+      minimumInterval: this.options.minimumIntervalMinutes
+    });
+    console.log(`Background sync scheduled at most every ${this.options.minimumIntervalMinutes} minutes`);
+  }
+
+  async disable() {
+    if (await this.isEnabled()) {
+      await BackgroundTask.unregisterTaskAsync(BACKGROUND_SYNC_TASK);
+    }
+  }
+
+  // Outcome of the last background run: { at, status, added, error }
+  getLastRun() {
+    return StorageService.getJSON(LAST_RUN_KEY, null);
+  }
+
+  // Run one sync and record how it went; never throws, so the task can report its result
+  async run() {
+    const startedAt = Date.now();
+    let lastRun;
+    try {
+      const { status, added } = await runBackgroundSync();
+      lastRun = { at: startedAt, status, added, error: null };
+      console.log(`Background sync ${status}: ${added} new readings`);
+    } catch (error) {
+      console.error('Background sync failed:', error);
+      lastRun = { at: startedAt, status: 'failed', added: 0, error: error.message };
+    }
+
+    try {
+      await StorageService.setJSON(LAST_RUN_KEY, lastRun);
+    } catch (error) {
+      console.error('Failed to save background sync result:', error);
+    }
+    return lastRun;
+  }
+}
+
+const backgroundSync = new BackgroundSync();
+
+// Define the background task; must run at module scope of the entry point, before the app renders
+export const defineBackgroundSyncTask = () => {
+  if (Platform.OS === 'web') {
+    return;
+  }
+  TaskManager.defineTask(BACKGROUND_SYNC_TASK, async () => {
+    const { status } = await backgroundSync.run();
+    return status === 'failed'
+      ? BackgroundTask.BackgroundTaskResult.Failed
+      : BackgroundTask.BackgroundTaskResult.Success;
+  });
+};
+
+export { BackgroundSync };
+export default backgroundSync;
@@ -190,17 +190,15 @@ class BluetoothService {
     }
   }
 
-  // Connect to device
-  async connect() {
+  // Connect to the device picked in the device picker, or else to the first one found
+  async connect(pickedDevice = null) {
     try {
-      const devices = await this.scanForDevices();
+      const devices = pickedDevice ? [pickedDevice] : await this.scanForDevices();
       
       if (devices.length === 0) {
         throw new Error('No AirQ devices found. Make sure your device is powered on and nearby.');
       }
 
-      // For now, connect to the first found device
-      // In a real app, you'd show a device picker
       const device = devices[0];
       await this.connectToDevice(device.id, device.name);
       
@@ -0,0 +1,240 @@
+// Multi-device monitoring
+// Holds several sensor connections at once. Each sensor gets its own PlatformBluetoothService
+// over its own transport, so it has its own characteristic handles and notification stream.
+// The latest reading, battery level, power mode and a short reading history are kept per
+// sensor, and every event is re-emitted tagged with the sensor's device ID. Readings of added
+// sensors are persisted to HistoryStore under their own device ID. The app's main connection is
+// listed too once the manager is attached to it.
+
+import { PlatformBluetoothService } from './PlatformBluetoothService';
+import HistoryStore from './HistoryStore';
+import DeviceRegistry from './DeviceRegistry';
+
+const DEFAULT_OPTIONS = {
+  maxHistory: 360 // Readings kept per sensor: one hour at the firmware's 10 s interval
+};
+
+class DeviceManager {
+  constructor(createService = () => new PlatformBluetoothService(), historyStore = HistoryStore, registry = DeviceRegistry, options = {}) {
+    this.createService = createService;
+    this.historyStore = historyStore;
+    this.registry = registry;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.entries = new Map(); // deviceId -> connection state
+
+    this.listeners = {
+      devicesChange: [],
+      connectionChange: [],
+      airQualityUpdate: [],
+      batteryUpdate: [],
+      powerModeUpdate: [],
+      error: []
+    };
+  }
+
+  // Event listener management
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // Override the history length
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  // List the main connection of a Bluetooth service alongside the added sensors.
+  // The manager never disconnects it; returns a detach function.
+  attach(bluetoothService) {
+    const handleConnectionChange = (connected) => {
+      if (connected) {
+        this.trackPrimary(bluetoothService);
+      }
+    };
+    const handleDisconnected = (info) => {
+      // After a link loss the entry stays, marked disconnected, until the service reconnects
+      if (info.intentional) {
+        this.untrack(info.deviceId);
+      }
+    };
+
+    bluetoothService.addEventListener('connectionChange', handleConnectionChange);
+    bluetoothService.addEventListener('disconnected', handleDisconnected);
+    if (bluetoothService.getConnectionStatus()) {
+      this.trackPrimary(bluetoothService);
+    }
+
+    return () => {
+      bluetoothService.removeEventListener('connectionChange', handleConnectionChange);
+      bluetoothService.removeEventListener('disconnected', handleDisconnected);
+      for (const entry of [...this.entries.values()]) {
+        if (entry.service === bluetoothService) {
+          this.untrack(entry.id);
+        }
+      }
+    };
+  }
+
+  // The main connection may have moved to another sensor since it was last seen
+  trackPrimary(bluetoothService) {
+    const deviceId = bluetoothService.getDevice()?.id;
+    for (const entry of [...this.entries.values()]) {
+      if (entry.service === bluetoothService && entry.id !== deviceId) {
+        this.untrack(entry.id);
+      }
+    }
+    if (deviceId && !this.entries.has(deviceId)) {
+      this.track(bluetoothService, { owned: false });
+    }
+  }
+
+  // Connect one more sensor: the one picked in the device picker, or else the first one a scan
+  // (on web, the browser's chooser) finds. Resolves with the device ID.
+  async addDevice(device = null) {
+    const service = this.createService();
+    const target = device || await new Promise((resolve, reject) => {
+      service.startScanning(resolve).catch(reject);
+    });
+
+    if (this.entries.has(target.id)) {
+      throw new Error(`${target.name || target.id} is already connected`);
+    }
+
+    await service.connectToDevice(target);
+    const entry = this.track(service, { owned: true });
+    this.registry.register(service.getDevice()).catch(error => console.error('Failed to register sensor:', error));
+    return entry.id;
+  }
+
+  async removeDevice(deviceId) {
+    const entry = this.entries.get(deviceId);
+    if (!entry) {
+      throw new Error(`Unknown device: ${deviceId}`);
+    }
+
+    this.untrack(deviceId);
+    if (entry.owned) {
+      await entry.service.disconnect();
+    }
+  }
+
+  // Disconnect every added sensor; the main connection is left alone
+  async removeAll() {
+    const owned = [...this.entries.values()].filter(entry => entry.owned);
+    await Promise.all(owned.map(entry => this.removeDevice(entry.id)));
+  }
+
+  track(service, { owned }) {
+    const device = service.getDevice();
+    const entry = {
+      id: device.id,
+      name: device.name || device.id,
+      service,
+      owned,
+      connected: service.getConnectionStatus(),
+      airQuality: null,
+      battery: null,
+      powerMode: null,
+      history: []
+    };
+
+    const handlers = {
+      connectionChange: (connected) => {
+        entry.connected = connected;
+        this.emit('connectionChange', { deviceId: entry.id, connected });
+        this.emitDevicesChange();
+      },
+      airQualityUpdate: (data) => {
+        entry.airQuality = data;
+        entry.history = [...entry.history, data].slice(-this.options.maxHistory);
+        if (typeof data.battery === 'number' && data.battery > 0) {
+          entry.battery = data.battery;
+        }
+        this.emit('airQualityUpdate', { ...data, deviceId: entry.id });
+        this.emitDevicesChange();
+      },
+      batteryUpdate: (data) => {
+        entry.battery = data.batteryLevel;
+        this.emit('batteryUpdate', { ...data, deviceId: entry.id });
+        this.emitDevicesChange();
+      },
+      powerModeUpdate: (data) => {
+        entry.powerMode = data.powerMode;
+        this.emit('powerModeUpdate', { ...data, deviceId: entry.id });
+        this.emitDevicesChange();
+      },
+      error: (message) => {
+        this.emit('error', { deviceId: entry.id, message });
+      }
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => service.addEventListener(event, handler));
+    // The main connection's readings are already stored by whoever owns it
+    const detachHistory = owned ? this.historyStore.attach(service) : null;
+    entry.detach = () => {
+      Object.entries(handlers).forEach(([event, handler]) => service.removeEventListener(event, handler));
+      detachHistory?.();
+    };
+
+    this.entries.set(entry.id, entry);
+    this.emitDevicesChange();
+    return entry;
+  }
+
+  untrack(deviceId) {
+    const entry = this.entries.get(deviceId);
+    if (!entry) return;
+
+    entry.detach();
+    this.entries.delete(deviceId);
+    this.emitDevicesChange();
+  }
+
+  emitDevicesChange() {
+    this.emit('devicesChange', this.getDevices());
+  }
+
+  // Per-sensor state for display; the main connection comes first
+  getDevices() {
+    return [...this.entries.values()]
+      .sort((a, b) => Number(a.owned) - Number(b.owned))
+      .map(({ id, name, owned, connected, airQuality, battery, powerMode, history }) => ({
+        id,
+        name,
+        primary: !owned,
+        connected,
+        airQuality,
+        battery,
+        powerMode,
+        history
+      }));
+  }
+
+  getService(deviceId) {
+    return this.entries.get(deviceId)?.service || null;
+  }
+
+  async setPowerMode(deviceId, lowPowerMode) {
+    const service = this.getService(deviceId);
+    if (!service) {
+      throw new Error(`Unknown device: ${deviceId}`);
+    }
+    await service.writePowerMode(lowPowerMode);
+  }
+}
+
+export { DeviceManager };
+export default new DeviceManager();
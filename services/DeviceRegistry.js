@@ -0,0 +1,178 @@
+// Known sensors
+// Persistent registry of every sensor the app has connected to, with metadata the user assigns:
+// a label, location, colour, install date and notes. Every AirQ advertises the same name, so the
+// picker, charts, exports and the multi-sensor dashboard show the label instead. Sensors are
+// registered on connect; last-sync times come from the flash-log sync state in HistoryStore.
+
+import StorageService from './StorageService';
+import HistoryStore from './HistoryStore';
+
+const REGISTRY_KEY = 'airq_device_registry';
+
+// Assigned in turn to newly registered sensors
+export const DEVICE_COLORS = ['#8be9fd', '#50fa7b', '#ffb86c', '#ff79c6', '#bd93f9', '#f1fa8c', '#ff5555', '#6272a4'];
+
+const TEXT_FIELDS = ['label', 'location', 'notes'];
+const EDITABLE_FIELDS = [...TEXT_FIELDS, 'color', 'installedAt'];
+
+// Check user-edited metadata and normalise it: text is trimmed and empty values become null
+export const validateDeviceMetadata = (changes) => {
+  const metadata = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (!EDITABLE_FIELDS.includes(field)) {
+      throw new Error(`Unknown sensor field: ${field}`);
+    }
+    const text = typeof value === 'string' ? value.trim() : value;
+    if (text === '' || text === null || text === undefined) {
+      metadata[field] = null;
+      continue;
+    }
+
+    if (TEXT_FIELDS.includes(field) && typeof text !== 'string') {
+      throw new Error(`Sensor ${field} must be text`);
+    }
+    if (field === 'color' && !/^#[0-9a-f]{6}$/i.test(text)) {
+      throw new Error('Sensor color must be a hex color like #50fa7b');
+    }
+    if (field === 'installedAt' && !(/^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(new Date(`${text}T00:00:00`).getTime()))) {
+      throw new Error('Install date must be a date like 2024-06-10');
+    }
+    metadata[field] = text;
+  }
+  return metadata;
+};
+
+// Name to show for a sensor: its label, else its advertised name, else its ID
+export const getDisplayName = (device) => device?.label || device?.name || device?.id || 'Unknown sensor';
+
+class DeviceRegistry {
+  constructor(historyStore = HistoryStore) {
+    this.historyStore = historyStore;
+    this.devices = {}; // deviceId -> record
+    this.loading = null;
+
+    this.listeners = {
+      registryChange: []
+    };
+  }
+
+  // Event listener management
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // Load the registry once; later calls return the same promise
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        this.devices = await StorageService.getJSON(REGISTRY_KEY, {}) || {};
+        this.emit('registryChange', this.getDevices());
+      })();
+    }
+    return this.loading;
+  }
+
+  async save() {
+    this.emit('registryChange', this.getDevices());
+    try {
+      await StorageService.setJSON(REGISTRY_KEY, this.devices);
+    } catch (error) {
+      console.error('Failed to save device registry:', error);
+    }
+  }
+
+  // Register every sensor a Bluetooth service connects to; returns a detach function
+  attach(bluetoothService) {
+    const handleConnectionChange = (connected) => {
+      const device = connected ? bluetoothService.getDevice() : null;
+      if (device) {
+        this.register(device).catch(error => console.error('Failed to register sensor:', error));
+      }
+    };
+
+    bluetoothService.addEventListener('connectionChange', handleConnectionChange);
+    return () => bluetoothService.removeEventListener('connectionChange', handleConnectionChange);
+  }
+
+  // Add a sensor on first connect and update its advertised name and last-connected time after that
+  async register({ id, name }, now = Date.now()) {
+    await this.load();
+    const existing = this.devices[id];
+    this.devices[id] = existing
+      ? { ...existing, name: name || existing.name, lastConnectedAt: now }
+      : {
+        id,
+        name: name || null,
+        label: null,
+        location: null,
+        color: DEVICE_COLORS[Object.keys(this.devices).length % DEVICE_COLORS.length],
+        installedAt: null,
+        notes: null,
+        addedAt: now,
+        lastConnectedAt: now
+      };
+    await this.save();
+    return this.getDevice(id);
+  }
+
+  async updateDevice(id, changes) {
+    await this.load();
+    if (!this.devices[id]) {
+      throw new Error(`Unknown sensor: ${id}`);
+    }
+    this.devices[id] = { ...this.devices[id], ...validateDeviceMetadata(changes) };
+    await this.save();
+    return this.getDevice(id);
+  }
+
+  // Forget a sensor's metadata; its stored history is kept
+  async removeDevice(id) {
+    await this.load();
+    if (!this.devices[id]) {
+      throw new Error(`Unknown sensor: ${id}`);
+    }
+    delete this.devices[id];
+    await this.save();
+  }
+
+  getDevice(id) {
+    const record = this.devices[id];
+    if (!record) {
+      return null;
+    }
+    return { ...record, lastSyncAt: this.historyStore.getSyncState(id)?.lastSyncAt || null };
+  }
+
+  // Known sensors by display name
+  getDevices() {
+    return Object.keys(this.devices)
+      .map(id => this.getDevice(id))
+      .sort((a, b) => getDisplayName(a).localeCompare(getDisplayName(b)) || a.id.localeCompare(b.id));
+  }
+
+  // Label (or advertised name) for a device ID, e.g. for chart titles and file names
+  getDisplayName(id, fallbackName = null) {
+    return getDisplayName(this.devices[id] || { id, name: fallbackName });
+  }
+
+  getColor(id) {
+    return this.devices[id]?.color || null;
+  }
+}
+
+export { DeviceRegistry };
+export default new DeviceRegistry();
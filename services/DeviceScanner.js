@@ -0,0 +1,144 @@
+// Nearby device list
+// Collects the advertisements of every AirQ sensor in range while the device picker is open:
+// name, ID, the last rssiSamples RSSI values (for the signal trend) and when each was last seen.
+// Devices that stop advertising stay in the list with their last-seen time.
+
+const DEFAULT_OPTIONS = {
+  rssiSamples: 10,       // RSSI values kept per device
+  trendThresholdDb: 3    // Change between the older and newer half of the samples that counts as a trend
+};
+
+export const DEVICE_SORT_ORDERS = {
+  signal: 'Signal',
+  name: 'Name',
+  lastSeen: 'Last seen'
+};
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// 'rising', 'falling' or 'steady', comparing the newer half of the RSSI samples with the older half
+export const getRssiTrend = (samples, thresholdDb = DEFAULT_OPTIONS.trendThresholdDb) => {
+  if (samples.length < 2) {
+    return 'steady';
+  }
+  const half = Math.floor(samples.length / 2);
+  const change = mean(samples.slice(-half)) - mean(samples.slice(0, half));
+  if (change >= thresholdDb) return 'rising';
+  if (change <= -thresholdDb) return 'falling';
+  return 'steady';
+};
+
+// Strongest signal, name or most recently seen first. Devices without an RSSI sort last by signal.
+export const sortDevices = (devices, sortBy = 'signal') => {
+  const byName = (a, b) => (a.name || '').localeCompare(b.name || '') || a.id.localeCompare(b.id);
+  const comparators = {
+    signal: (a, b) => (b.rssi ?? -Infinity) - (a.rssi ?? -Infinity) || byName(a, b),
+    name: byName,
+    lastSeen: (a, b) => b.lastSeen - a.lastSeen || byName(a, b)
+  };
+  const comparator = comparators[sortBy];
+  if (!comparator) {
+    throw new Error(`Unknown device sort order: ${sortBy}`);
+  }
+  return [...devices].sort(comparator);
+};
+
+class DeviceScanner {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.devices = new Map();
+    this.stopWatching = null;
+    this.scanning = false;
+
+    this.listeners = {
+      devicesChange: [],
+      scanningChange: []
+    };
+  }
+
+  // Event listener management
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // Override the number of RSSI samples or the trend threshold
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  isScanning() {
+    return this.scanning;
+  }
+
+  // Start a fresh list from the advertisements seen by a Bluetooth service
+  async start(bluetoothService) {
+    this.stop();
+    this.devices.clear();
+    this.emit('devicesChange', []);
+
+    this.scanning = true;
+    this.emit('scanningChange', true);
+    try {
+      const stopWatching = await bluetoothService.watchDevices(advertisement => this.recordAdvertisement(advertisement));
+      if (!this.scanning) {
+        stopWatching(); // stop() was called while the scan was starting
+        return;
+      }
+      this.stopWatching = stopWatching;
+    } catch (error) {
+      this.scanning = false;
+      this.emit('scanningChange', false);
+      throw error;
+    }
+  }
+
+  stop() {
+    this.stopWatching?.();
+    this.stopWatching = null;
+    if (this.scanning) {
+      this.scanning = false;
+      this.emit('scanningChange', false);
+    }
+  }
+
+  recordAdvertisement({ id, name, rssi, device }, now = Date.now()) {
+    const previous = this.devices.get(id);
+    const samples = previous ? previous.rssiSamples : [];
+    const rssiSamples = typeof rssi === 'number'
+      ? [...samples, rssi].slice(-this.options.rssiSamples)
+      : samples;
+
+    this.devices.set(id, {
+      id,
+      name: name || previous?.name || null,
+      rssi: typeof rssi === 'number' ? rssi : previous?.rssi ?? null,
+      rssiSamples,
+      trend: getRssiTrend(rssiSamples, this.options.trendThresholdDb),
+      firstSeen: previous?.firstSeen ?? now,
+      lastSeen: now,
+      device: device || previous?.device || { id, name }
+    });
+    this.emit('devicesChange', this.getDevices());
+  }
+
+  getDevices(sortBy = 'signal') {
+    return sortDevices([...this.devices.values()], sortBy);
+  }
+}
+
+export { DeviceScanner };
+export default new DeviceScanner();
@@ -0,0 +1,61 @@
+// Personal exposure
+// Integrates PM2.5 over time (μg·h/m³) from HistoryStore readings, live and merged flash logs
+// alike. Each reading holds until the next one, but never for longer than maxGapMs, so time
+// without data (sensor off, out of range) does not count as exposure. With a breathing rate the
+// exposure converts to an estimated inhaled dose in μg.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_MAX_GAP_MS = 10 * 60 * 1000;
+
+// Typical adult ventilation rates (m³/h), after the US EPA Exposure Factors Handbook
+export const BREATHING_RATES = [
+  { key: 'rest', label: 'Rest', m3PerHour: 0.5 },
+  { key: 'light', label: 'Light activity', m3PerHour: 1.2 },
+  { key: 'exercise', label: 'Exercise', m3PerHour: 3.0 }
+];
+
+export const getBreathingRate = (key) => BREATHING_RATES.find(rate => rate.key === key) || null;
+
+// Exposure over [start, end): concentration × time summed over the covered intervals
+export const integrateExposure = (readings, { start = -Infinity, end = Infinity, pollutant = 'pm25', maxGapMs = DEFAULT_MAX_GAP_MS } = {}) => {
+  const samples = readings
+    .filter(reading => typeof reading[pollutant] === 'number' && !isNaN(reading[pollutant]))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  let exposure = 0;
+  let coveredMs = 0;
+  samples.forEach((reading, i) => {
+    const next = samples[i + 1];
+    const from = Math.max(reading.timestamp, start);
+    const until = Math.min(next ? next.timestamp : Infinity, reading.timestamp + maxGapMs, end);
+    if (until <= from) return;
+
+    exposure += reading[pollutant] * (until - from) / HOUR_MS;
+    coveredMs += until - from;
+  });
+
+  return {
+    exposure: Math.round(exposure * 10) / 10,
+    hours: Math.round((coveredMs / HOUR_MS) * 10) / 10,
+    meanConcentration: coveredMs > 0 ? Math.round((exposure / (coveredMs / HOUR_MS)) * 10) / 10 : null
+  };
+};
+
+// Inhaled dose (μg) for an exposure and a breathing rate preset, or null without a preset
+export const estimateInhaledDose = (exposure, breathingRateKey) => {
+  const rate = getBreathingRate(breathingRateKey);
+  return rate ? Math.round(exposure * rate.m3PerHour) : null;
+};
+
+// Exposure since local midnight and over the last 7 days
+export const calculateExposureTotals = (readings, now = Date.now(), options = {}) => {
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+
+  return {
+    today: integrateExposure(readings, { ...options, start: midnight.getTime(), end: now }),
+    week: integrateExposure(readings, { ...options, start: now - 7 * DAY_MS, end: now })
+  };
+};
@@ -0,0 +1,591 @@
+// Persistent time-series store for air quality readings
+// Readings are bucketed per device and per UTC day, so range queries only load the days they cover
+
+import StorageService from './StorageService';
+import SettingsService from './SettingsService';
+import { calculateAQI } from './AirQualityIndex';
+
+const INDEX_KEY = 'airq_history_index';
+const SYNC_STATE_KEY = 'airq_history_sync';
+const BUCKET_PREFIX = 'airq_history';
+const ARCHIVE_INDEX_KEY = 'airq_history_archive_index';
+const ARCHIVE_PREFIX = 'airq_history_archive';
+const DEFAULT_DEVICE_ID = 'unknown';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MIN_UNIX_TIMESTAMP = 1609459200; // Jan 1, 2021 - older log timestamps are legacy millis values
+
+// Retention and compaction defaults
+const DEFAULT_POLICY = {
+  retentionDays: 30,          // Days are deleted once they are older than this
+  archiveDays: 400,           // Hourly means of deleted days are kept this long for long-term statistics
+  compactAfterDays: 2,        // Raw readings older than this are averaged into intervals
+  compactIntervalMinutes: 5,  // Width of a compacted interval
+  flushDelayMs: 10000         // How long appended readings wait before being written
+};
+
+const getDayKey = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+
+const getBucketKey = (deviceId, day) => `${BUCKET_PREFIX}_${deviceId}_${day}`;
+
+const getMonthKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 7);
+
+const getArchiveKey = (deviceId, month) => `${ARCHIVE_PREFIX}_${deviceId}_${month}`;
+
+// Only PM values are stored. The AQI is derived when reading, on the standard selected now, because
+// stored indices would mix the scales of every standard the user has picked over time.
+const withAQI = (reading) => ({ ...reading, aqi: calculateAQI(reading, SettingsService.get('aqiStandard')) });
+
+// Average a list of readings into a single record, weighting already-compacted records by their count
+const averageReadings = (readings) => {
+  const totals = { timestamp: 0, pm1: 0, pm25: 0, pm10: 0, battery: 0 };
+  let count = 0;
+
+  readings.forEach(reading => {
+    const weight = reading.count || 1;
+    Object.keys(totals).forEach(field => {
+      totals[field] += (reading[field] || 0) * weight;
+    });
+    count += weight;
+  });
+
+  const sources = [...new Set(readings.flatMap(reading => reading.sources || [reading.source]))];
+
+  return {
+    timestamp: Math.round(totals.timestamp / count),
+    start: Math.min(...readings.map(reading => reading.start || reading.timestamp)),
+    end: Math.max(...readings.map(reading => reading.end || reading.timestamp)),
+    pm1: Math.round((totals.pm1 / count) * 10) / 10,
+    pm25: Math.round((totals.pm25 / count) * 10) / 10,
+    pm10: Math.round((totals.pm10 / count) * 10) / 10,
+    battery: Math.round(totals.battery / count),
+    count: count,
+    sources: sources
+  };
+};
+
+// Reduce a reading list to at most maxPoints by averaging neighbouring readings (for charts)
+export const downsampleReadings = (readings, maxPoints) => {
+  if (!readings || readings.length <= maxPoints) {
+    return readings || [];
+  }
+
+  const groupSize = Math.ceil(readings.length / maxPoints);
+  const result = [];
+  for (let i = 0; i < readings.length; i += groupSize) {
+    result.push(averageReadings(readings.slice(i, i + groupSize)));
+  }
+  return result;
+};
+
+class HistoryStore {
+  constructor() {
+    this.policy = { ...DEFAULT_POLICY };
+    this.index = {};            // deviceId -> sorted list of day keys
+    this.archiveIndex = {};     // deviceId -> sorted list of archived UTC months
+    this.syncState = {};        // deviceId -> { lastLogTimestamp, lastSyncAt }
+    this.buckets = new Map();   // bucket key -> loaded bucket
+    this.bucketLoads = new Map(); // bucket key -> pending storage read
+    this.dirtyBuckets = new Set();
+    this.flushTimer = null;
+    this.initPromise = null;
+
+    this.listeners = {
+      historyChange: []
+    };
+  }
+
+  // Event listener management
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // Override retention/compaction settings
+  configure(policy) {
+    this.policy = { ...this.policy, ...policy };
+  }
+
+  // Load the bucket index and run maintenance once per app start
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        this.index = await StorageService.getJSON(INDEX_KEY, {});
+        this.syncState = await StorageService.getJSON(SYNC_STATE_KEY, {});
+        this.archiveIndex = await StorageService.getJSON(ARCHIVE_INDEX_KEY, {});
+        console.log(`History store loaded: ${Object.keys(this.index).length} device(s)`);
+        await this.runMaintenance();
+      })();
+    }
+    return this.initPromise;
+  }
+
+  // Append every live reading emitted by a Bluetooth service; returns a detach function
+  attach(bluetoothService) {
+    const handleAirQualityUpdate = (data) => {
+      const deviceId = bluetoothService.getDevice()?.id;
+      this.append(deviceId, data).catch(error => {
+        console.error('Failed to store reading:', error);
+      });
+    };
+
+    bluetoothService.addEventListener('airQualityUpdate', handleAirQualityUpdate);
+
+    return () => {
+      bluetoothService.removeEventListener('airQualityUpdate', handleAirQualityUpdate);
+      this.flush();
+    };
+  }
+
+  // Load a bucket from cache or storage. Concurrent calls share one read, so they all get the same
+  // bucket object and none of them replaces readings another caller has already added.
+  async loadBucket(deviceId, day) {
+    const key = getBucketKey(deviceId, day);
+    if (!this.buckets.has(key)) {
+      if (!this.bucketLoads.has(key)) {
+        this.bucketLoads.set(key, StorageService.getJSON(key, null).finally(() => this.bucketLoads.delete(key)));
+      }
+      const stored = await this.bucketLoads.get(key);
+      if (!this.buckets.has(key)) {
+        this.buckets.set(key, stored || { deviceId, day, compacted: false, readings: [] });
+      }
+    }
+    return this.buckets.get(key);
+  }
+
+  markDirty(deviceId, day) {
+    const days = this.index[deviceId] || [];
+    if (!days.includes(day)) {
+      this.index[deviceId] = [...days, day].sort();
+    }
+    this.dirtyBuckets.add(getBucketKey(deviceId, day));
+    this.scheduleFlush();
+  }
+
+  // Add a single reading to the store
+  async append(deviceId, reading) {
+    await this.init();
+
+    const id = deviceId || DEFAULT_DEVICE_ID;
+    const timestamp = reading.timestamp || Date.now();
+    const day = getDayKey(timestamp);
+    const bucket = await this.loadBucket(id, day);
+
+    const record = {
+      timestamp: timestamp,
+      pm1: reading.pm1 || 0,
+      pm25: reading.pm25 || 0,
+      pm10: reading.pm10 || 0,
+      battery: reading.battery || 0,
+      source: reading.source || 'live'
+    };
+
+    // Live readings almost always arrive in order, so only sort when they don't
+    const last = bucket.readings[bucket.readings.length - 1];
+    bucket.readings.push(record);
+    if (last && last.timestamp > timestamp) {
+      bucket.readings.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    bucket.compacted = false;
+
+    this.markDirty(id, day);
+    this.emit('historyChange', { deviceId: id, timestamp });
+  }
+
+  // Merge entries downloaded from the device's flash log (see parseLoggedData).
+  // Entries are keyed by device and Unix timestamp, so downloading the same log again adds nothing.
+  // Pass the transfer summary's syncedUntil when damaged chunks were skipped: the sync point then stops
+  // before the gap, so the next incremental download fetches it again.
+  async mergeLoggedData(deviceId, entries, { syncedUntil = null } = {}) {
+    await this.init();
+
+    const id = deviceId || DEFAULT_DEVICE_ID;
+    const summary = { added: 0, duplicates: 0, skipped: 0 };
+    const byDay = new Map();
+
+    (entries || []).forEach(entry => {
+      // Legacy millis timestamps have no absolute time, so they cannot be placed in the archive
+      if (!entry.timestamp || entry.timestamp < MIN_UNIX_TIMESTAMP) {
+        summary.skipped++;
+        return;
+      }
+      const timestamp = entry.timestamp * 1000;
+      const day = getDayKey(timestamp);
+      if (!byDay.has(day)) {
+        byDay.set(day, []);
+      }
+      byDay.get(day).push({ ...entry, timestamp });
+    });
+
+    const previousTimestamp = this.syncState[id]?.lastLogTimestamp || 0;
+    let newestTimestamp = previousTimestamp;
+
+    for (const [day, dayEntries] of byDay) {
+      const bucket = await this.loadBucket(id, day);
+
+      // Seconds already archived (live or from earlier downloads), plus compacted ranges that contain log data
+      const knownSeconds = new Set(
+        bucket.readings
+          .filter(reading => !reading.sources)
+          .map(reading => Math.floor(reading.timestamp / 1000))
+      );
+      const compactedRanges = bucket.readings.filter(reading => reading.sources?.includes('log'));
+
+      let addedToBucket = 0;
+      dayEntries.forEach(entry => {
+        const second = Math.floor(entry.timestamp / 1000);
+        newestTimestamp = Math.max(newestTimestamp, second);
+        const inCompactedRange = compactedRanges.some(
+          range => entry.timestamp >= range.start && entry.timestamp <= range.end
+        );
+        if (knownSeconds.has(second) || inCompactedRange) {
+          summary.duplicates++;
+          return;
+        }
+
+        knownSeconds.add(second);
+        bucket.readings.push({
+          timestamp: entry.timestamp,
+          pm1: entry.pm1 || 0,
+          pm25: entry.pm25 || 0,
+          pm10: entry.pm10 || 0,
+          battery: entry.battery || 0,
+          source: 'log'
+        });
+        addedToBucket++;
+      });
+
+      if (addedToBucket > 0) {
+        bucket.readings.sort((a, b) => a.timestamp - b.timestamp);
+        bucket.compacted = false;
+        this.markDirty(id, day);
+        summary.added += addedToBucket;
+      }
+    }
+
+    if (syncedUntil !== null) {
+      newestTimestamp = Math.max(previousTimestamp, Math.min(newestTimestamp, syncedUntil));
+    }
+    this.syncState[id] = { lastLogTimestamp: newestTimestamp, lastSyncAt: Date.now() };
+    await StorageService.setJSON(SYNC_STATE_KEY, this.syncState);
+    await this.flush();
+
+    console.log(`Merged logged data for ${id}: ${summary.added} added, ${summary.duplicates} duplicates, ${summary.skipped} skipped`);
+    if (summary.added > 0) {
+      this.emit('historyChange', { deviceId: id, merged: summary.added });
+    }
+    return summary;
+  }
+
+  // Newest flash-log timestamp (Unix seconds) already archived for a device
+  getLastLogTimestamp(deviceId) {
+    return this.syncState[deviceId || DEFAULT_DEVICE_ID]?.lastLogTimestamp || 0;
+  }
+
+  getSyncState(deviceId) {
+    return this.syncState[deviceId || DEFAULT_DEVICE_ID] || null;
+  }
+
+  // Get readings for a device (or all devices when deviceId is null) between two timestamps (ms)
+  async query({ deviceId = null, start = 0, end = Date.now() } = {}) {
+    await this.init();
+
+    const deviceIds = deviceId ? [deviceId] : Object.keys(this.index);
+    const startDay = getDayKey(start);
+    const endDay = getDayKey(end);
+    const results = [];
+
+    for (const id of deviceIds) {
+      const days = (this.index[id] || []).filter(day => day >= startDay && day <= endDay);
+      for (const day of days) {
+        const bucket = await this.loadBucket(id, day);
+        bucket.readings.forEach(reading => {
+          if (reading.timestamp >= start && reading.timestamp <= end) {
+            results.push(deviceId ? withAQI(reading) : { ...withAQI(reading), deviceId: id });
+          }
+        });
+      }
+    }
+
+    if (deviceIds.length > 1) {
+      results.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    return results;
+  }
+
+  // Get the most recent readings for a device, newest last
+  async getRecent(deviceId, limit = 50) {
+    await this.init();
+
+    const id = deviceId || DEFAULT_DEVICE_ID;
+    const days = this.index[id] || [];
+    let results = [];
+
+    for (let i = days.length - 1; i >= 0 && results.length < limit; i--) {
+      const bucket = await this.loadBucket(id, days[i]);
+      results = [...bucket.readings, ...results];
+    }
+    return results.slice(-limit).map(withAQI);
+  }
+
+  // Hourly means of days the retention has deleted, between two timestamps (ms), for long-term statistics.
+  // Each one carries the count of readings it averages, like a compacted reading.
+  async queryArchive({ deviceId = null, start = 0, end = Date.now() } = {}) {
+    await this.init();
+
+    const deviceIds = deviceId ? [deviceId] : Object.keys(this.archiveIndex);
+    const startMonth = getMonthKey(start);
+    const endMonth = getMonthKey(end);
+    const results = [];
+
+    for (const id of deviceIds) {
+      const months = (this.archiveIndex[id] || []).filter(month => month >= startMonth && month <= endMonth);
+      for (const month of months) {
+        const readings = await StorageService.getJSON(getArchiveKey(id, month), []);
+        readings.forEach(reading => {
+          if (reading.timestamp >= start && reading.timestamp <= end) {
+            results.push(deviceId ? withAQI(reading) : { ...withAQI(reading), deviceId: id });
+          }
+        });
+      }
+    }
+
+    if (deviceIds.length > 1) {
+      results.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    return results;
+  }
+
+  getDeviceIds() {
+    return Object.keys(this.index);
+  }
+
+  // Delete days that are older than the retention window, keeping their hourly means in the archive
+  async applyRetention(now = Date.now()) {
+    const cutoffDay = getDayKey(now - this.policy.retentionDays * DAY_MS);
+    let removed = 0;
+
+    for (const deviceId of Object.keys(this.index)) {
+      const expired = this.index[deviceId].filter(day => day < cutoffDay);
+      for (const day of expired) {
+        const key = getBucketKey(deviceId, day);
+        await this.archiveDay(deviceId, await this.loadBucket(deviceId, day));
+        await StorageService.removeItem(key);
+        this.buckets.delete(key);
+        this.dirtyBuckets.delete(key);
+        removed++;
+      }
+
+      this.index[deviceId] = this.index[deviceId].filter(day => day >= cutoffDay);
+      if (this.index[deviceId].length === 0) {
+        delete this.index[deviceId];
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`History retention removed ${removed} day(s) of readings`);
+      await StorageService.setJSON(INDEX_KEY, this.index);
+    }
+    await this.pruneArchive(now);
+    return removed;
+  }
+
+  // Average a day that is about to be deleted into one reading per hour and add it to its month in the archive.
+  // Hours that are archived already are replaced, so an interrupted retention run can't duplicate them.
+  async archiveDay(deviceId, bucket) {
+    if (bucket.readings.length === 0) {
+      return;
+    }
+
+    const hours = new Map();
+    bucket.readings.forEach(reading => {
+      const hour = Math.floor(reading.timestamp / HOUR_MS);
+      if (!hours.has(hour)) {
+        hours.set(hour, []);
+      }
+      hours.get(hour).push(reading);
+    });
+
+    const month = bucket.day.slice(0, 7);
+    const key = getArchiveKey(deviceId, month);
+    const archived = await StorageService.getJSON(key, []);
+    const readings = [
+      ...archived.filter(reading => !hours.has(Math.floor(reading.timestamp / HOUR_MS))),
+      ...[...hours.values()].map(averageReadings)
+    ].sort((a, b) => a.timestamp - b.timestamp);
+    await StorageService.setJSON(key, readings);
+
+    const months = this.archiveIndex[deviceId] || [];
+    if (!months.includes(month)) {
+      this.archiveIndex[deviceId] = [...months, month].sort();
+      await StorageService.setJSON(ARCHIVE_INDEX_KEY, this.archiveIndex);
+    }
+  }
+
+  // Delete archived months that lie entirely before the archive window
+  async pruneArchive(now = Date.now()) {
+    const cutoffMonth = getMonthKey(now - this.policy.archiveDays * DAY_MS);
+    let removed = 0;
+
+    for (const deviceId of Object.keys(this.archiveIndex)) {
+      for (const month of this.archiveIndex[deviceId].filter(m => m < cutoffMonth)) {
+        await StorageService.removeItem(getArchiveKey(deviceId, month));
+        removed++;
+      }
+
+      this.archiveIndex[deviceId] = this.archiveIndex[deviceId].filter(month => month >= cutoffMonth);
+      if (this.archiveIndex[deviceId].length === 0) {
+        delete this.archiveIndex[deviceId];
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`History archive removed ${removed} month(s) of hourly means`);
+      await StorageService.setJSON(ARCHIVE_INDEX_KEY, this.archiveIndex);
+    }
+    return removed;
+  }
+
+  // Average raw readings of older days into fixed intervals to keep storage small
+  async compact(now = Date.now()) {
+    const cutoffDay = getDayKey(now - this.policy.compactAfterDays * DAY_MS);
+    const intervalMs = this.policy.compactIntervalMinutes * 60 * 1000;
+    let compactedDays = 0;
+
+    for (const deviceId of Object.keys(this.index)) {
+      for (const day of this.index[deviceId].filter(d => d < cutoffDay)) {
+        const bucket = await this.loadBucket(deviceId, day);
+        if (bucket.compacted) {
+          continue;
+        }
+
+        const groups = new Map();
+        bucket.readings.forEach(reading => {
+          const slot = Math.floor(reading.timestamp / intervalMs);
+          if (!groups.has(slot)) {
+            groups.set(slot, []);
+          }
+          groups.get(slot).push(reading);
+        });
+
+        const before = bucket.readings.length;
+        bucket.readings = [...groups.values()].map(averageReadings);
+        bucket.compacted = true;
+        this.markDirty(deviceId, day);
+        compactedDays++;
+
+        console.log(`Compacted ${deviceId} ${day}: ${before} -> ${bucket.readings.length} readings`);
+      }
+    }
+
+    if (compactedDays > 0) {
+      await this.flush();
+    }
+    return compactedDays;
+  }
+
+  async runMaintenance(now = Date.now()) {
+    try {
+      await this.applyRetention(now);
+      await this.compact(now);
+    } catch (error) {
+      console.error('History maintenance failed:', error);
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.policy.flushDelayMs);
+  }
+
+  // Write all modified buckets and the index to storage
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const dirty = [...this.dirtyBuckets];
+    this.dirtyBuckets.clear();
+    if (dirty.length === 0) {
+      return;
+    }
+
+    try {
+      for (const key of dirty) {
+        const bucket = this.buckets.get(key);
+        if (bucket) {
+          await StorageService.setJSON(key, bucket);
+        }
+      }
+      await StorageService.setJSON(INDEX_KEY, this.index);
+    } catch (error) {
+      console.error('Failed to write history to storage:', error);
+      dirty.forEach(key => this.dirtyBuckets.add(key));
+      return;
+    }
+
+    // Only keep today's buckets cached; older days are reloaded on demand
+    const today = getDayKey(Date.now());
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.day !== today && !this.dirtyBuckets.has(key)) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  // Remove all stored history for one device, or everything
+  async clear(deviceId = null) {
+    const deviceIds = deviceId ? [deviceId] : [...new Set([...Object.keys(this.index), ...Object.keys(this.archiveIndex)])];
+    for (const id of deviceIds) {
+      for (const day of this.index[id] || []) {
+        const key = getBucketKey(id, day);
+        await StorageService.removeItem(key);
+        this.buckets.delete(key);
+        this.dirtyBuckets.delete(key);
+      }
+      for (const month of this.archiveIndex[id] || []) {
+        await StorageService.removeItem(getArchiveKey(id, month));
+      }
+      delete this.index[id];
+      delete this.archiveIndex[id];
+      delete this.syncState[id];
+    }
+    await StorageService.setJSON(INDEX_KEY, this.index);
+    await StorageService.setJSON(ARCHIVE_INDEX_KEY, this.archiveIndex);
+    await StorageService.setJSON(SYNC_STATE_KEY, this.syncState);
+    this.emit('historyChange', { deviceId, cleared: true });
+  }
+}
+
+// Convert stored readings into the entry format returned by parseLoggedData (for CSV export)
+export const readingsToLoggedEntries = (readings) => readings.map(reading => ({
+  timestamp: Math.floor(reading.timestamp / 1000),
+  date: new Date(reading.timestamp),
+  pm1: reading.pm1,
+  pm25: reading.pm25,
+  pm10: reading.pm10,
+  battery: reading.battery,
+  aqi: reading.aqi
+}));
+
+export { HistoryStore };
+export default new HistoryStore();
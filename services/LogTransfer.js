@@ -0,0 +1,413 @@
+// Chunked log transfer engine
+// Fetches logged data chunk by chunk, retrying failed chunks with exponential backoff.
+// Received chunks are kept on the transfer session so an interrupted download can resume later.
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 4,          // Attempts per chunk after the first one
+  baseRetryDelayMs: 250,  // Backoff doubles after every failed attempt
+  maxRetryDelayMs: 4000,
+  requestDelayMs: 300,    // Time the device needs between a chunk request and the read
+  streamStallMs: 3000,    // Restart a stream that delivered nothing for this long
+  ackInterval: 4,         // Acknowledge streamed chunks in batches; the device runs at most 8 chunks ahead
+  verifyChunk: (index, bytes) => bytes // Returns the chunk payload, throws a ChunkIntegrityError if it is damaged
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Thrown for chunks that arrived but failed validation. These are re-requested like
+// transport errors, but a chunk that never validates is skipped instead of aborting the transfer.
+export class ChunkIntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChunkIntegrityError';
+  }
+}
+
+// CRC-32 (IEEE 802.3), matches crc32() in the firmware
+const CRC_TABLE = (() => {
+  const table = new Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// The header is ASCII even when the payload is binary, so only the first bytes are decoded
+const MAX_HEADER_LENGTH = 24;
+
+// Split a checksummed chunk ("<seq>|<crc32 hex>|<payload>", firmware protocol 4+) and check its CRC
+export const parseChunkFrame = (bytes) => {
+  const head = String.fromCharCode(...bytes.subarray(0, MAX_HEADER_LENGTH));
+  const match = /^(\d+)\|([0-9a-fA-F]{8})\|/.exec(head);
+  if (!match) {
+    throw new ChunkIntegrityError('Chunk has no checksum header');
+  }
+
+  const sequence = parseInt(match[1], 10);
+  const payload = bytes.slice(match[0].length);
+  const expected = parseInt(match[2], 16);
+  const actual = crc32(payload);
+  if (actual !== expected) {
+    throw new ChunkIntegrityError(`Chunk ${sequence} checksum mismatch (expected ${match[2]}, got ${actual.toString(16).padStart(8, '0')})`);
+  }
+
+  return { sequence, payload };
+};
+
+// Validate a checksummed chunk that was requested by index and return its payload bytes
+export const verifyChunkFrame = (index, bytes) => {
+  const { sequence, payload } = parseChunkFrame(bytes);
+  if (sequence !== index) {
+    throw new ChunkIntegrityError(`Expected chunk ${index} but received chunk ${sequence}`);
+  }
+  return payload;
+};
+
+// Everything needed to continue a transfer: which slice of the log was prepared and what arrived so far
+export const createTransferSession = ({ deviceId, since = null, startIndex, totalChunks, protocolVersion, format, checksummed = false }) => ({
+  deviceId,
+  since,
+  startIndex,
+  totalChunks,
+  protocolVersion,
+  format,
+  checksummed,
+  chunks: new Array(totalChunks).fill(null),
+  retries: 0,
+  retriedChunks: [],
+  failedChunks: [],
+  mode: 'request',
+  bytesReceived: 0,
+  transferMs: 0,
+  createdAt: Date.now()
+});
+
+// Carry received chunks over to a freshly prepared transfer of the same log slice.
+// The previous last chunk may have been partially filled and can have grown since, so it is fetched again.
+export const resumeTransferSession = (session, totalChunks) => {
+  const chunks = new Array(totalChunks).fill(null);
+  const reusable = Math.min(session.totalChunks - 1, totalChunks);
+  for (let i = 0; i < reusable; i++) {
+    chunks[i] = session.chunks[i];
+  }
+  return { ...session, totalChunks, chunks, failedChunks: [] };
+};
+
+export const countReceivedChunks = session =>
+  session.chunks.filter(chunk => chunk !== null).length;
+
+// Final report of a transfer: which chunks passed the checksum, needed retries or never arrived intact
+export const getTransferSummary = (session) => {
+  const received = countReceivedChunks(session);
+  return {
+    totalChunks: session.totalChunks,
+    received,
+    verified: session.checksummed ? received : 0,
+    retried: [...session.retriedChunks],
+    failed: [...session.failedChunks],
+    retries: session.retries,
+    checksummed: session.checksummed,
+    mode: session.mode,
+    bytesReceived: session.bytesReceived,
+    durationMs: session.transferMs,
+    bytesPerSecond: getBytesPerSecond(session.bytesReceived, session.transferMs)
+  };
+};
+
+export const getBytesPerSecond = (bytes, ms) => (ms > 0 ? Math.round((bytes * 1000) / ms) : 0);
+
+class LogTransfer {
+  // channel: { requestChunk(index), readChunk() } - both return promises, readChunk resolves to a Uint8Array.
+  // Streaming additionally needs { subscribe(onChunk) -> unsubscribe, startStream(fromChunk), ack(chunkIndex) }.
+  constructor(channel, options = {}) {
+    this.channel = channel;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  getRetryDelay(attempt) {
+    const { baseRetryDelayMs, maxRetryDelayMs } = this.options;
+    return Math.min(baseRetryDelayMs * 2 ** (attempt - 1), maxRetryDelayMs);
+  }
+
+  async fetchChunk(index) {
+    await this.channel.requestChunk(index);
+    await wait(this.options.requestDelayMs);
+    const bytes = (await this.channel.readChunk()) || new Uint8Array(0);
+    this.runBytes += bytes.length;
+    return this.options.verifyChunk(index, bytes);
+  }
+
+  // Fetch one chunk, retrying with backoff. Returns null for a chunk that never passed validation
+  // and throws once a transport error has used up all attempts.
+  async fetchChunkWithRetry(session, index, onProgress) {
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await this.fetchChunk(index);
+      } catch (error) {
+        if (attempt >= this.options.maxRetries) {
+          if (error instanceof ChunkIntegrityError) {
+            console.error(`Chunk ${index} failed validation after ${attempt + 1} attempts:`, error.message);
+            session.failedChunks.push(index);
+            onProgress({ type: 'failed', chunkIndex: index, error });
+            return null;
+          }
+
+          const failure = new Error(`Chunk ${index + 1} of ${session.totalChunks} failed after ${attempt + 1} attempts: ${error.message}`);
+          failure.chunkIndex = index;
+          failure.cause = error;
+          throw failure;
+        }
+
+        attempt++;
+        session.retries++;
+        if (!session.retriedChunks.includes(index)) {
+          session.retriedChunks.push(index);
+        }
+        const delay = this.getRetryDelay(attempt);
+        console.warn(`Chunk ${index} failed (${error.message}), retry ${attempt}/${this.options.maxRetries} in ${delay}ms`);
+        onProgress({ type: 'retry', chunkIndex: index, attempt, delay, error });
+        await wait(delay);
+      }
+    }
+  }
+
+  // Download every chunk the session is still missing and return the received payloads in order.
+  // Chunks that failed validation are left empty on the session so a later resume can fetch them again.
+  async run(session, onProgress = () => {}) {
+    session.failedChunks = [];
+    session.mode = 'request';
+    const startedAt = Date.now();
+    this.runBytes = 0;
+
+    try {
+      for (let index = 0; index < session.totalChunks; index++) {
+        if (session.chunks[index] !== null) {
+          continue;
+        }
+
+        onProgress({
+          type: 'request',
+          chunkIndex: index,
+          received: countReceivedChunks(session),
+          bytesPerSecond: getBytesPerSecond(this.runBytes, Date.now() - startedAt)
+        });
+        const chunk = await this.fetchChunkWithRetry(session, index, onProgress);
+        if (chunk !== null) {
+          session.chunks[index] = chunk;
+          console.log(`Received chunk ${index}: ${chunk.length} bytes`);
+        }
+      }
+    } finally {
+      session.bytesReceived += this.runBytes;
+      session.transferMs += Date.now() - startedAt;
+    }
+
+    return session.chunks.filter(chunk => chunk !== null);
+  }
+
+  // First chunk at or after `from` that is still missing and hasn't been given up on, -1 when done
+  findNextMissing(session, from) {
+    for (let index = from; index < session.totalChunks; index++) {
+      if (session.chunks[index] === null && !session.failedChunks.includes(index)) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  // Streaming download: the device pushes checksummed chunks as notifications after a single start
+  // command and never runs more than a window ahead of our acknowledgements. A lost, damaged or stalled
+  // chunk restarts the stream from that chunk. Falls back to run() when notifications can't be used.
+  async stream(session, onProgress = () => {}) {
+    if (!this.channel.subscribe) {
+      return this.run(session, onProgress);
+    }
+
+    const { maxRetries, streamStallMs, ackInterval } = this.options;
+    session.failedChunks = [];
+    const startedAt = Date.now();
+    let streamBytes = 0;
+    let expected = -1;       // Lowest chunk index still missing
+    let attempts = 0;        // Restarts spent on the current expected chunk
+    let recovering = false;  // Chunks still in flight from before a restart are not gaps
+    let delivered = false;   // Whether streaming produced anything usable at all
+    let sinceAck = 0;
+    let stallTimer = null;
+    let restartTimer = null; // Separate from the stall timer so chunks still in flight don't cancel a restart
+    let unsubscribe = null;
+    let writeQueue = Promise.resolve();
+    let settle;
+    let done = false;
+
+    const result = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+
+    // GATT writes must not overlap, so acknowledgements and restarts are queued
+    const send = (operation) => {
+      writeQueue = writeQueue.then(operation);
+      return writeQueue.catch(error => {
+        writeQueue = Promise.resolve();
+        throw error;
+      });
+    };
+
+    const finish = (error, fallback = false) => {
+      if (done) return;
+      done = true;
+      clearTimeout(stallTimer);
+      clearTimeout(restartTimer);
+      session.bytesReceived += streamBytes;
+      session.transferMs += Date.now() - startedAt;
+      Promise.resolve(unsubscribe && unsubscribe()).catch(() => {});
+
+      if (fallback) {
+        console.warn('Streaming delivered no data, falling back to chunk requests:', error?.message);
+        this.run(session, onProgress).then(settle.resolve, settle.reject);
+      } else if (error) {
+        settle.reject(error);
+      } else {
+        settle.resolve(session.chunks.filter(chunk => chunk !== null));
+      }
+    };
+
+    const watchForStall = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => restart(new Error(`No data for ${streamStallMs}ms`)), streamStallMs);
+    };
+
+    const start = (fromChunk) => {
+      sinceAck = 0;
+      watchForStall();
+      send(() => this.channel.startStream(fromChunk)).catch(error => restart(error));
+    };
+
+    const restart = (error) => {
+      if (done) return;
+      clearTimeout(stallTimer);
+      clearTimeout(restartTimer);
+
+      if (attempts >= maxRetries) {
+        if (!delivered) {
+          finish(error, true);
+          return;
+        }
+
+        if (!(error instanceof ChunkIntegrityError)) {
+          const failure = new Error(`Chunk ${expected + 1} of ${session.totalChunks} failed after ${attempts + 1} attempts: ${error.message}`);
+          failure.chunkIndex = expected;
+          failure.cause = error;
+          finish(failure);
+          return;
+        }
+
+        // Give up on a chunk that never validates and carry on with the rest
+        console.error(`Chunk ${expected} failed validation after ${attempts + 1} attempts:`, error.message);
+        session.failedChunks.push(expected);
+        onProgress({ type: 'failed', chunkIndex: expected, error });
+        attempts = 0;
+        expected = this.findNextMissing(session, expected + 1);
+        if (expected === -1) {
+          finish();
+          return;
+        }
+      } else {
+        attempts++;
+        session.retries++;
+        if (!session.retriedChunks.includes(expected)) {
+          session.retriedChunks.push(expected);
+        }
+        console.warn(`Stream restart at chunk ${expected} (${error.message}), attempt ${attempts}/${maxRetries}`);
+        onProgress({ type: 'retry', chunkIndex: expected, attempt: attempts, delay: this.getRetryDelay(attempts), error });
+      }
+
+      recovering = true;
+      const restartAt = expected;
+      restartTimer = setTimeout(() => start(restartAt), this.getRetryDelay(Math.max(attempts, 1)));
+    };
+
+    const handleChunk = (bytes) => {
+      if (done) return;
+      streamBytes += bytes.length;
+
+      let frame;
+      try {
+        frame = parseChunkFrame(bytes);
+      } catch (error) {
+        restart(error);
+        return;
+      }
+
+      const { sequence, payload } = frame;
+      if (sequence >= session.totalChunks || session.chunks[sequence] !== null) {
+        return; // Duplicate from before a restart
+      }
+
+      session.chunks[sequence] = payload;
+      delivered = true;
+      watchForStall();
+
+      if (sequence === expected) {
+        recovering = false;
+        attempts = 0;
+        expected = this.findNextMissing(session, expected + 1);
+      } else if (sequence > expected && !recovering) {
+        // Chunk `expected` never arrived - keep this one and go back for the gap
+        restart(new Error(`Chunk ${expected} was skipped`));
+      }
+
+      onProgress({
+        type: 'chunk',
+        chunkIndex: sequence,
+        received: countReceivedChunks(session),
+        bytesPerSecond: getBytesPerSecond(streamBytes, Date.now() - startedAt)
+      });
+
+      if (expected === -1) {
+        send(() => this.channel.ack(session.totalChunks - 1)).catch(() => {});
+        finish();
+        return;
+      }
+
+      if (expected > sequence + 1 && !recovering) {
+        // The next chunks are already here from an earlier transfer - skip ahead
+        start(expected);
+      } else if (++sinceAck >= ackInterval) {
+        sinceAck = 0;
+        send(() => this.channel.ack(expected - 1)).catch(error => console.warn('Stream ack failed:', error.message));
+      }
+    };
+
+    expected = this.findNextMissing(session, 0);
+    if (expected === -1) {
+      return session.chunks.filter(chunk => chunk !== null);
+    }
+
+    try {
+      unsubscribe = await this.channel.subscribe(handleChunk);
+    } catch (error) {
+      console.warn('Logged data notifications unavailable, using chunk requests:', error.message);
+      return this.run(session, onProgress);
+    }
+
+    session.mode = 'stream';
+    start(expected);
+    return result;
+  }
+}
+
+export default LogTransfer;
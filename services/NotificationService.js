@@ -0,0 +1,90 @@
+// Cross-platform local notifications
+// Uses the browser Notification API on web and expo-notifications on mobile
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+class NotificationService {
+  constructor() {
+    this.isWeb = Platform.OS === 'web';
+    this.permissionPromise = null;
+  }
+
+  // Check if this platform can show local notifications at all
+  isSupported() {
+    if (this.isWeb) {
+      return typeof window !== 'undefined' && 'Notification' in window;
+    }
+    return true;
+  }
+
+  // Ask for permission once; later calls return the same answer
+  requestPermission() {
+    if (!this.permissionPromise) {
+      this.permissionPromise = this.askPermission().catch(error => {
+        console.error('Failed to request notification permission:', error);
+        this.permissionPromise = null;
+        return false;
+      });
+    }
+    return this.permissionPromise;
+  }
+
+  async askPermission() {
+    if (!this.isSupported()) {
+      return false;
+    }
+
+    if (this.isWeb) {
+      if (window.Notification.permission === 'granted') {
+        return true;
+      }
+      if (window.Notification.permission === 'denied') {
+        return false;
+      }
+      return (await window.Notification.requestPermission()) === 'granted';
+    }
+
+    // Show notifications while the app is in the foreground too
+    Notifications.setNotificationHandler({
+      handleNotification: async () => ({
+        shouldShowBanner: true,
+        shouldShowList: true,
+        shouldPlaySound: true,
+        shouldSetBadge: false
+      })
+    });
+
+    const current = await Notifications.getPermissionsAsync();
+    if (current.granted) {
+      return true;
+    }
+    const requested = await Notifications.requestPermissionsAsync();
+    return requested.granted;
+  }
+
+  // Show a notification right away. Returns false if it could not be shown.
+  async notify({ title, body }) {
+    if (!(await this.requestPermission())) {
+      return false;
+    }
+
+    try {
+      if (this.isWeb) {
+        new window.Notification(title, { body });
+      } else {
+        await Notifications.scheduleNotificationAsync({
+          content: { title, body },
+          trigger: null
+        });
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to show notification:', error);
+      return false;
+    }
+  }
+}
+
+export { NotificationService };
+export default new NotificationService();
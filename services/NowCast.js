@@ -0,0 +1,81 @@
+// NowCast
+// US EPA NowCast for particulate matter: a weighted average of the last 12 hourly means. The
+// weight factor shrinks when concentrations change quickly, so the estimate follows a rising
+// smoke plume within an hour or two without jumping around with every 10-second sample.
+// Works on HistoryStore readings, so live readings and merged flash logs both count.
+
+import { getAQIInfo, DEFAULT_AQI_STANDARD } from './AirQualityIndex';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const NOWCAST_HOURS = 12;
+const MIN_WEIGHT_FACTOR = 0.5; // EPA minimum for PM2.5 and PM10
+const MIN_RECENT_HOURS = 2;    // Of the 3 most recent hours, at least this many need data
+
+// Hourly means of one pollutant for the 12 hours before now, most recent hour first.
+// Hours without readings are null. Compacted readings count with their sample count.
+export const getHourlyAverages = (readings, pollutant, now = Date.now()) => {
+  const totals = Array.from({ length: NOWCAST_HOURS }, () => ({ sum: 0, count: 0 }));
+
+  readings.forEach(reading => {
+    const value = reading[pollutant];
+    const hour = Math.floor((now - reading.timestamp) / HOUR_MS);
+    if (hour < 0 || hour >= NOWCAST_HOURS || typeof value !== 'number' || isNaN(value)) {
+      return;
+    }
+    const weight = reading.count || 1;
+    totals[hour].sum += value * weight;
+    totals[hour].count += weight;
+  });
+
+  return totals.map(({ sum, count }) => (count > 0 ? sum / count : null));
+};
+
+// NowCast concentration from hourly means (most recent first), or null without enough recent data
+export const calculateNowCast = (hourlyAverages) => {
+  const recentHours = hourlyAverages.slice(0, 3).filter(value => value !== null).length;
+  if (recentHours < MIN_RECENT_HOURS) {
+    return null;
+  }
+
+  const values = hourlyAverages.filter(value => value !== null);
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  if (max === 0) {
+    return 0;
+  }
+
+  const weightFactor = Math.max(min / max, MIN_WEIGHT_FACTOR);
+  let weightedSum = 0;
+  let weightTotal = 0;
+  hourlyAverages.forEach((value, hour) => {
+    if (value === null) return;
+    const weight = weightFactor ** hour;
+    weightedSum += weight * value;
+    weightTotal += weight;
+  });
+
+  return Math.floor((weightedSum / weightTotal) * 10) / 10; // EPA truncates to 0.1 μg/m³
+};
+
+// NowCast concentrations for PM2.5 and PM10 plus how much of the 12-hour window had data
+export const calculateNowCastConcentrations = (readings, now = Date.now()) => {
+  const pm25Hours = getHourlyAverages(readings, 'pm25', now);
+  const pm10Hours = getHourlyAverages(readings, 'pm10', now);
+  const hoursWithData = pm25Hours.filter(value => value !== null).length;
+
+  return {
+    pm25: calculateNowCast(pm25Hours),
+    pm10: calculateNowCast(pm10Hours),
+    hoursWithData,
+    coverage: hoursWithData / NOWCAST_HOURS
+  };
+};
+
+// NowCast AQI on the given index standard, or null while there is not enough recent data
+export const getNowCastAQI = (nowCast, standardId = DEFAULT_AQI_STANDARD) => {
+  if (!nowCast || nowCast.pm25 === null) {
+    return null;
+  }
+  return getAQIInfo(nowCast, standardId);
+};
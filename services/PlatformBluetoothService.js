@@ -1,19 +1,39 @@
 // Platform-aware Bluetooth Service for Expo React Native
-// Supports both mobile (react-native-ble-plx) and web (Web Bluetooth API)
-
-import { Platform } from 'react-native';
-
-// BLE Service and Characteristic UUIDs (matching AirQ Arduino code)
-const AIRQ_SERVICE_UUID = '12345678-1234-1234-1234-123456789abc';
-const LIVE_DATA_UUID = '12345678-1234-1234-1234-123456789abd';
-const LOGGED_DATA_UUID = '12345678-1234-1234-1234-123456789abe';
-const BATTERY_UUID = '12345678-1234-1234-1234-123456789abf';
-const POWER_MODE_UUID = '12345678-1234-1234-1234-123456789ac0';
-const RTC_TIME_UUID = '12345678-1234-1234-1234-123456789ac1';
-const CHUNK_INFO_UUID = '12345678-1234-1234-1234-123456789ac2';
-const CHUNK_REQUEST_UUID = '87654321-4321-4321-4321-cba987654321';
-
-const DEVICE_NAME = 'AirQ Sensor';
+// All AirQ protocol logic lives here, on top of a BLE transport
+// (react-native-ble-plx on mobile, Web Bluetooth on web - see ./transports)
+
+import { Platform, Share } from 'react-native';
+import LogTransfer, {
+  createTransferSession,
+  resumeTransferSession,
+  countReceivedChunks,
+  getTransferSummary,
+  verifyChunkFrame,
+  ChunkIntegrityError
+} from './LogTransfer';
+import {
+  LIVE_DATA_UUID,
+  LOGGED_DATA_UUID,
+  BATTERY_UUID,
+  POWER_MODE_UUID,
+  RTC_TIME_UUID,
+  CHUNK_INFO_UUID,
+  CHUNK_REQUEST_UUID,
+  DEVICE_NAME,
+  LOG_FORMAT_BINARY,
+  BINARY_FORMAT_VERSION,
+  LOG_RECORD_SIZE,
+  encodeText,
+  decodeText,
+  parseLiveData,
+  parseChunkInfo
+} from './AirQProtocol';
+import { calculateAQI, getAQIInfo, getAQIStandard } from './AirQualityIndex';
+import StorageService from './StorageService';
+import SettingsService from './SettingsService';
+import DeviceRegistry from './DeviceRegistry';
+import { createPlatformTransport } from './transports';
+import RecordingTransport, { parseSession } from './transports/RecordingTransport';
 
 // Storage keys for device persistence
 const STORAGE_KEYS = {
@@ -22,10 +42,18 @@ const STORAGE_KEYS = {
   AUTO_CONNECT: 'airq_auto_connect'
 };
 
+// Last recorded BLE session, kept so it can be replayed later
+const SESSION_RECORDING_KEY = 'airq_ble_session';
+
 class PlatformBluetoothService {
-  constructor() {
+  constructor(transport = createPlatformTransport()) {
     this.isWeb = Platform.OS === 'web';
+    // Every transport is wrapped so a session recording can be started at any time
+    this.transport = new RecordingTransport(transport);
     this.device = null;
+    this.lastDevice = null; // Kept after a link loss so it can be reconnected without scanning
+    this.rememberedDevice = { id: null, name: null, autoConnect: false };
+    this.rememberedDeviceLoading = null;
     this.isConnected = false;
     this.airQualityCallback = null;
     this.batteryCallback = null;
@@ -33,7 +61,13 @@ class PlatformBluetoothService {
     this.connectionCallback = null;
     this.errorCallback = null;
     this.autoConnectAttemptCallback = null;
-    
+    this.notificationUnsubscribers = [];
+    this.removeDisconnectListener = null;
+    this.disconnectRequested = false; // Set by disconnect() so a link loss can be told apart from it
+    this.connectionPending = false; // A transport connect is in progress
+    this.pendingTransfer = null; // Partially downloaded log, kept so the next download can resume
+    this.lastTransferSummary = null; // Verified/retried/failed chunks of the last chunked download
+
     // Event listeners storage
     this.listeners = {
       connectionChange: [],
@@ -42,267 +76,214 @@ class PlatformBluetoothService {
       powerModeUpdate: [],
       error: [],
       autoConnectAttempt: [],
-      downloadProgress: []
+      downloadProgress: [],
+      disconnected: []
     };
-    
-    // Initialize platform-specific service
-    if (this.isWeb) {
-      this.initWebService();
-    } else {
-      this.initMobileService();
-    }  }
+  }
 
-  // Event listener management
-  addEventListener(event, callback) {
-    if (this.listeners[event]) {
-      this.listeners[event].push(callback);
+  // Swap the BLE transport, e.g. for the simulated device. Drops the current connection first.
+  async setTransport(transport) {
+    if (this.isConnected) {
+      await this.disconnect();
+    }
+    const recording = this.transport.isRecording() ? this.transport.stop() : null;
+    this.transport = new RecordingTransport(transport);
+    this.lastDevice = null;
+    this.pendingTransfer = null; // A partial log from another device can't be resumed
+    if (recording) {
+      await this.saveRecording(recording);
     }
   }
 
-  removeEventListener(event, callback) {
-    if (this.listeners[event]) {
-      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
-    }
+  getTransport() {
+    return this.transport.transport;
   }
 
-  emit(event, data) {
-    if (this.listeners[event]) {
-      this.listeners[event].forEach(callback => callback(data));
+  // Record every characteristic read, write and notification until stopRecording()
+  startRecording() {
+    if (!this.transport.isRecording()) {
+      this.transport.start();
     }
   }
 
-  // Initialize Web Bluetooth service
-  initWebService() {
-    this.server = null;
-    this.liveDataCharacteristic = null;
-    this.loggedDataCharacteristic = null;
-    this.batteryCharacteristic = null;
-    this.powerModeCharacteristic = null;
-    this.rtcTimeCharacteristic = null;
-    this.chunkInfoCharacteristic = null;
-    this.chunkRequestCharacteristic = null;
+  isRecording() {
+    return this.transport.isRecording();
   }
 
-  // Initialize mobile BLE service
-  async initMobileService() {
+  // Stop recording and keep the session for replay. Returns the session.
+  async stopRecording() {
+    if (!this.transport.isRecording()) {
+      return null;
+    }
+    const session = this.transport.stop();
+    await this.saveRecording(session);
+    return session;
+  }
+
+  async saveRecording(session) {
     try {
-      const { BleManager } = await import('react-native-ble-plx');
-      const { PermissionsAndroid } = await import('react-native');
-      
-      this.manager = new BleManager();
-      this.PermissionsAndroid = PermissionsAndroid;
+      await StorageService.setJSON(SESSION_RECORDING_KEY, session);
     } catch (error) {
-      console.error('Failed to initialize mobile BLE service:', error);
+      console.error('Failed to save BLE session recording:', error);
     }
   }
 
-  // Check if Bluetooth is supported
-  isSupported() {
-    if (this.isWeb) {
-      return 'bluetooth' in navigator;
-    }
-    return this.manager !== null;
+  getSavedRecording() {
+    return StorageService.getJSON(SESSION_RECORDING_KEY, null);
   }
 
-  // Storage helpers (cross-platform)
-  getStorageItem(key) {
-    if (this.isWeb) {
-      return localStorage.getItem(key);
-    } else {
-      // For React Native, you would use AsyncStorage
-      // For now, we'll use a simple in-memory storage
-      return this._storage?.[key] || null;
-    }
+  // Load an exported session file (text or parsed JSON) as the saved recording so it can be
+  // replayed. Throws when the file isn't a session recording.
+  async importRecording(text) {
+    const session = parseSession(text);
+    await this.saveRecording(session);
+    console.log(`Imported BLE session recorded ${session.recordedAt} (${session.events.length} events)`);
+    return session;
   }
 
-  setStorageItem(key, value) {
-    if (this.isWeb) {
-      localStorage.setItem(key, value);
-    } else {
-      // For React Native, you would use AsyncStorage
-      // For now, we'll use a simple in-memory storage
-      if (!this._storage) this._storage = {};
-      this._storage[key] = value;
+  // Let the user pick an exported session file and import it (web only). Resolves to the
+  // session, or null when no file was chosen.
+  pickSessionFile() {
+    if (!this.isWeb) {
+      console.warn('File picking only available on web platform');
+      return Promise.resolve(null);
     }
+
+    return new Promise((resolve, reject) => {
+      const input = document.createElement('input');
+      input.setAttribute('type', 'file');
+      input.setAttribute('accept', 'application/json,.json');
+      input.onchange = () => {
+        const file = input.files && input.files[0];
+        if (!file) {
+          resolve(null);
+          return;
+        }
+        file.text().then(text => this.importRecording(text)).then(resolve, reject);
+      };
+      input.click();
+    });
   }
 
-  removeStorageItem(key) {
-    if (this.isWeb) {
-      localStorage.removeItem(key);
-    } else {
-      if (this._storage) {
-        delete this._storage[key];
-      }
+  // Check if Bluetooth is supported
+  isSupported() {
+    return this.transport.isSupported();
+  }
+
+  // Remembered device, persisted through StorageService. The getters are synchronous and read
+  // the copy loaded by loadRememberedDevice().
+  loadRememberedDevice() {
+    if (!this.rememberedDeviceLoading) {
+      this.rememberedDeviceLoading = (async () => {
+        const [id, name, autoConnect] = await Promise.all([
+          StorageService.getItem(STORAGE_KEYS.DEVICE_ID),
+          StorageService.getItem(STORAGE_KEYS.DEVICE_NAME),
+          StorageService.getItem(STORAGE_KEYS.AUTO_CONNECT)
+        ]);
+        this.rememberedDevice = { id, name, autoConnect: autoConnect === 'true' };
+        return { ...this.rememberedDevice };
+      })().catch(error => {
+        console.error('Failed to load the remembered device:', error);
+        this.rememberedDeviceLoading = null;
+        return { ...this.rememberedDevice };
+      });
     }
+    return this.rememberedDeviceLoading;
   }
 
   // Device remembering functions
   isRememberDeviceEnabled() {
-    return this.getStorageItem(STORAGE_KEYS.AUTO_CONNECT) === 'true';
+    return this.rememberedDevice.autoConnect;
   }
 
-  setRememberDevice(enabled) {
-    this.setStorageItem(STORAGE_KEYS.AUTO_CONNECT, enabled.toString());
+  async setRememberDevice(enabled) {
+    this.rememberedDevice = { ...this.rememberedDevice, autoConnect: enabled };
+    await StorageService.setItem(STORAGE_KEYS.AUTO_CONNECT, enabled.toString());
   }
 
   getStoredDeviceInfo() {
-    const deviceId = this.getStorageItem(STORAGE_KEYS.DEVICE_ID);
-    const deviceName = this.getStorageItem(STORAGE_KEYS.DEVICE_NAME);
-    return deviceId ? { id: deviceId, name: deviceName } : null;
+    const { id, name } = this.rememberedDevice;
+    return id ? { id, name } : null;
   }
 
-  storeDeviceInfo(device) {
-    this.setStorageItem(STORAGE_KEYS.DEVICE_ID, device.id);
-    this.setStorageItem(STORAGE_KEYS.DEVICE_NAME, device.name || DEVICE_NAME);
-    this.setStorageItem(STORAGE_KEYS.AUTO_CONNECT, 'true');
+  async storeDeviceInfo(device) {
+    this.rememberedDevice = { id: device.id, name: device.name || DEVICE_NAME, autoConnect: true };
+    await Promise.all([
+      StorageService.setItem(STORAGE_KEYS.DEVICE_ID, this.rememberedDevice.id),
+      StorageService.setItem(STORAGE_KEYS.DEVICE_NAME, this.rememberedDevice.name),
+      StorageService.setItem(STORAGE_KEYS.AUTO_CONNECT, 'true')
+    ]);
     console.log('Device info stored for quick connect');
   }
 
-  clearStoredDeviceInfo() {
-    this.removeStorageItem(STORAGE_KEYS.DEVICE_ID);
-    this.removeStorageItem(STORAGE_KEYS.DEVICE_NAME);
-    this.removeStorageItem(STORAGE_KEYS.AUTO_CONNECT);
+  async clearStoredDeviceInfo() {
+    this.rememberedDevice = { id: null, name: null, autoConnect: false };
+    await Promise.all(Object.values(STORAGE_KEYS).map(key => StorageService.removeItem(key)));
   }
 
-  // Platform-specific scanning methods
   async startScanning(onDeviceFound) {
-    if (this.isWeb) {
-      return this.startWebScanning(onDeviceFound);
-    } else {
-      return this.startMobileScanning(onDeviceFound);
-    }
-  }
-
-  // Web Bluetooth scanning
-  async startWebScanning(onDeviceFound) {
     try {
-      if (!this.isSupported()) {
-        throw new Error('Web Bluetooth is not supported in this browser');
-      }
-
-      console.log('Starting Web Bluetooth scan...');
-      
-      const device = await navigator.bluetooth.requestDevice({
-        filters: [
-          { name: DEVICE_NAME },
-          { namePrefix: 'AirQ' }
-        ],
-        optionalServices: [
-          AIRQ_SERVICE_UUID
-        ]
-      });
-
-      console.log('Web Bluetooth device selected:', device.name, device.id);
-      onDeviceFound(device);
-      
+      await this.transport.scan(onDeviceFound);
     } catch (error) {
-      console.error('Web Bluetooth scan error:', error);
+      console.error('BLE scan error:', error);
       throw error;
     }
   }
 
-  // Mobile BLE scanning
-  async startMobileScanning(onDeviceFound) {
+  async connectToDevice(device) {
     try {
-      const hasPermissions = await this.requestMobilePermissions();
-      if (!hasPermissions) {
-        throw new Error('Bluetooth permissions not granted');
-      }
-
-      const state = await this.manager.state();
-      if (state !== 'PoweredOn') {
-        throw new Error('Bluetooth is not enabled');
-      }
-
-      console.log('Starting mobile BLE scan...');
-      
-      this.manager.startDeviceScan(null, null, (error, device) => {
-        if (error) {
-          console.error('Mobile BLE scan error:', error);
-          return;
-        }
-
-        if (device && (device.name === DEVICE_NAME || device.name?.includes('AirQ'))) {
-          console.log('Found AirQ device:', device.id);
-          this.manager.stopDeviceScan();
-          onDeviceFound(device);
-        }
-      });
-
-      // Stop scanning after 30 seconds
-      setTimeout(() => {
-        this.manager.stopDeviceScan();
-      }, 30000);
-
+      return await this.openConnection(() => this.transport.connect(device));
     } catch (error) {
-      console.error('Mobile BLE scan error:', error);
+      if (!error.cancelled) {
+        this.emit('error', error.message);
+      }
       throw error;
     }
   }
 
-  // Request mobile permissions
-  async requestMobilePermissions() {
-    if (Platform.OS === 'android' && this.PermissionsAndroid) {
-      const granted = await this.PermissionsAndroid.requestMultiple([
-        this.PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-        this.PermissionsAndroid.PERMISSIONS.BLUETOOTH_SCAN,
-        this.PermissionsAndroid.PERMISSIONS.BLUETOOTH_CONNECT,
-      ]);
-      
-      return Object.values(granted).every(
-        permission => permission === this.PermissionsAndroid.RESULTS.GRANTED
-      );
-    }
-    return true;
-  }
-
-  // Platform-specific connection methods
-  async connectToDevice(device) {
-    if (this.isWeb) {
-      return this.connectWebDevice(device);
-    } else {
-      return this.connectMobileDevice(device);
+  // Connect again to the last connected (or remembered) device without scanning. Failures are
+  // only thrown, not emitted, so retries don't flood the UI with errors.
+  async reconnect() {
+    await this.loadRememberedDevice();
+    const device = this.lastDevice || this.getStoredDeviceInfo();
+    if (!device) {
+      throw new Error('No remembered device to reconnect to');
     }
+    return this.openConnection(() => this.transport.reconnect(device.id));
   }
 
-  // Web Bluetooth connection
-  async connectWebDevice(device) {
+  // Open the link, then set up notifications (or polling) and sync the RTC
+  async openConnection(connectTransport) {
     try {
-      console.log('Connecting to Web Bluetooth device:', device.id);
-      
-      this.device = device;
-      
-      // Handle disconnection events before connecting
-      device.addEventListener('gattserverdisconnected', () => {
-        console.log('Web Bluetooth device disconnected');
-        this.stopPolling();
-        this.isConnected = false;
-        this.device = null;
-        this.server = null;
-        if (this.connectionCallback) {
-          this.connectionCallback(false);
-        }
-        this.emit('connectionChange', false);
-      });
-      
-      // Connect to GATT server
-      this.server = await device.gatt.connect();
-      console.log('Web Bluetooth connected successfully');
-      
-      // Add a small delay to ensure connection is stable
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Check if still connected
-      if (!this.server || !this.server.connected) {
-        throw new Error('Connection lost immediately after connecting');
+      this.disconnectRequested = false;
+      this.connectionPending = true;
+      try {
+        await connectTransport();
+      } catch (error) {
+        if (!this.disconnectRequested) throw error;
+      } finally {
+        this.connectionPending = false;
       }
-      
+
+      // disconnect() was called while the link was coming up; don't leave it open
+      if (this.disconnectRequested) {
+        await this.transport.disconnect();
+        const error = new Error('Connection cancelled');
+        error.cancelled = true;
+        throw error;
+      }
+
+      this.device = this.transport.getDevice();
+      this.lastDevice = this.device;
       this.isConnected = true;
-      
+
+      this.removeDisconnectListener?.();
+      this.removeDisconnectListener = this.transport.onDisconnect(() => this.handleDisconnected());
+
       // Set up notifications with error handling - don't let this fail the connection
       try {
-        const notificationsSuccess = await this.setupWebNotifications();
-        
+        const notificationsSuccess = await this.setupNotifications();
+
         if (!notificationsSuccess) {
           console.log('Notifications failed, falling back to polling...');
           this.startPolling();
@@ -311,441 +292,173 @@ class PlatformBluetoothService {
         }
       } catch (error) {
         console.error('Notification setup failed, but continuing with connection:', error);
-        // Connection is still valid even if notifications fail
         console.log('Starting polling as fallback mechanism...');
         this.startPolling();
       }
-      
+
+      // Automatically sync time when connected
+      if (this.transport.hasCharacteristic(RTC_TIME_UUID)) {
+        this.syncRTCTime().catch(() => {});
+      }
+
       if (this.connectionCallback) {
         this.connectionCallback(true);
       }
-      
+
       this.emit('connectionChange', true);
 
       return true;
     } catch (error) {
-      console.error('Web Bluetooth connection error:', error);
+      console.error('BLE connection error:', error);
       this.isConnected = false;
       this.device = null;
-      this.server = null;
-      this.emit('error', error.message);
       throw error;
     }
   }
 
-  // Mobile BLE connection
-  async connectMobileDevice(device) {
-    try {
-      console.log('Connecting to mobile BLE device:', device.id);
-      
-      this.device = await device.connect();
-      console.log('Mobile BLE connected successfully');
-      
-      // Discover services and characteristics
-      await this.device.discoverAllServicesAndCharacteristics();
-      console.log('Mobile BLE services discovered');
-      
-      this.isConnected = true;
-      
-      // Set up notifications
-      const notificationsSuccess = await this.setupMobileNotifications();
-      
-      if (!notificationsSuccess) {
-        console.log('Notifications failed, falling back to polling...');
-        this.startMobilePolling();
-      } else {
-        console.log('Using BLE notifications - no polling needed');
-      }
-      
-      if (this.connectionCallback) {
-        this.connectionCallback(true);
-      }
-      
-      this.emit('connectionChange', true);      // Handle disconnection
-      this.device.onDisconnected(() => {
-        console.log('Mobile BLE device disconnected');
-        this.isConnected = false;
-        this.device = null;
-        if (this.connectionCallback) {
-          this.connectionCallback(false);
-        }
-        this.emit('connectionChange', false);
-      });
-
-      return true;    } catch (error) {
-      console.error('Mobile BLE connection error:', error);
-      this.isConnected = false;
-      this.device = null;
-      this.emit('error', error.message);
-      throw error;
+  // The transport reported the link as closed. Unless disconnect() asked for it, this is a link loss.
+  handleDisconnected() {
+    const device = this.device;
+    this.stopPolling();
+    this.clearNotifications();
+    this.isConnected = false;
+    this.device = null;
+    if (this.connectionCallback) {
+      this.connectionCallback(false);
     }
+    this.emit('connectionChange', false);
+    this.emit('disconnected', {
+      deviceId: device?.id,
+      intentional: this.disconnectRequested,
+      timestamp: Date.now()
+    });
   }
 
-  // Web Bluetooth notifications setup
-  async setupWebNotifications() {
+  // Subscribe to live data, battery and power mode. Live data is required for notifications
+  // to count as working; battery and power mode are optional.
+  async setupNotifications() {
+    console.log('Setting up BLE notifications...');
     let notificationsSetup = false;
-    
-    try {
-      console.log('Setting up Web Bluetooth notifications...');
-      
-      // Check if server is still connected
-      if (!this.server || !this.server.connected) {
-        console.error('GATT server is not connected');
+
+    const subscribe = async (uuid, name, onValue) => {
+      if (!this.transport.hasCharacteristic(uuid)) {
+        console.error(`${name} characteristic not available`);
         return false;
       }
-      
-      // Get AirQ Service with better error handling
-      let airqService;
       try {
-        airqService = await this.server.getPrimaryService(AIRQ_SERVICE_UUID);
-        console.log('AirQ service found');
-        
-        // Debug: List all available characteristics
-        await this.debugListCharacteristics();
+        this.notificationUnsubscribers.push(await this.transport.subscribe(uuid, onValue));
+        console.log(`${name} notifications started successfully`);
+        return true;
       } catch (error) {
-        console.error('Failed to get AirQ service:', error);
-        console.log('Available services might be limited. Trying to continue...');
+        console.error(`Failed to start ${name.toLowerCase()} notifications:`, error);
         return false;
       }
-      
-      // Set up Live Data characteristic (most important)
-      try {
-        this.liveDataCharacteristic = await airqService.getCharacteristic(LIVE_DATA_UUID);
-        
-        // Try to start notifications
-        try {
-          await this.liveDataCharacteristic.startNotifications();
-          console.log('Live data notifications started successfully');
-          notificationsSetup = true;
-          
-          this.liveDataCharacteristic.addEventListener('characteristicvaluechanged', (event) => {
-            const value = event.target.value;
-            const dataString = new TextDecoder().decode(value);
-            console.log('Received AirQ data via notification:', dataString);
-            
-            // Parse comma-separated values: "pm1,pm25,pm10,battery"
-            const values = dataString.split(',').map(val => parseFloat(val.trim()));
-            
-            if (values.length >= 4) {
-              const pm25 = values[1] || 0;
-              const calculatedAqi = this.calculateAQI(pm25);
-              
-              const eventData = {
-                pm1: values[0] || 0,
-                pm25: pm25,
-                pm10: values[2] || 0,
-                battery: values[3] || 0,
-                aqi: calculatedAqi,
-                error: null,
-                timestamp: Date.now()
-              };
-              
-              if (this.airQualityCallback) {
-                this.airQualityCallback(eventData);
-              }
-              
-              this.emit('airQualityUpdate', eventData);
-            }
-          });
-        } catch (notifError) {
-          console.error('Failed to start live data notifications:', notifError);
-          // Try to read the characteristic directly as fallback
-          try {
-            const value = await this.liveDataCharacteristic.readValue();
-            const dataString = new TextDecoder().decode(value);
-            console.log('Read live data directly:', dataString);
-          } catch (readError) {
-            console.error('Failed to read live data:', readError);
-          }
-        }
-      } catch (error) {
-        console.error('Failed to get live data characteristic:', error);
-      }
+    };
 
-      // Set up Battery characteristic (optional)
-      try {
-        this.batteryCharacteristic = await airqService.getCharacteristic(BATTERY_UUID);
-        
-        try {
-          await this.batteryCharacteristic.startNotifications();
-          console.log('Battery notifications started successfully');
-          
-          this.batteryCharacteristic.addEventListener('characteristicvaluechanged', (event) => {
-            const value = event.target.value;
-            const data = new Uint8Array(value.buffer);
-            const batteryLevel = data[0];
-            
-            const eventData = {
-              batteryLevel: batteryLevel,
-              timestamp: Date.now()
-            };
-            
-            if (this.batteryCallback) {
-              this.batteryCallback(batteryLevel);
-            }
-            
-            this.emit('batteryUpdate', eventData);
-          });
-        } catch (notifError) {
-          console.error('Failed to start battery notifications:', notifError);
-        }
-      } catch (error) {
-        console.error('Failed to get battery characteristic:', error);
-      }
+    notificationsSetup = await subscribe(LIVE_DATA_UUID, 'Live data', (bytes) => {
+      const dataString = decodeText(bytes);
+      console.log('Received AirQ data via notification:', dataString);
+      this.handleLiveData(dataString);
+    });
 
-      // Set up Power Mode characteristic (optional)
-      try {
-        this.powerModeCharacteristic = await airqService.getCharacteristic(POWER_MODE_UUID);
-        
-        try {
-          await this.powerModeCharacteristic.startNotifications();
-          console.log('Power mode notifications started successfully');
-          
-          this.powerModeCharacteristic.addEventListener('characteristicvaluechanged', (event) => {
-            const value = event.target.value;
-            const modeString = new TextDecoder().decode(value);
-            
-            const eventData = {
-              powerMode: modeString.trim(),
-              timestamp: Date.now()
-            };
-            
-            if (this.powerModeCallback) {
-              this.powerModeCallback(modeString.trim());
-            }
-            
-            this.emit('powerModeUpdate', eventData);
-          });
-        } catch (notifError) {
-          console.error('Failed to start power mode notifications:', notifError);
-        }
-      } catch (error) {
-        console.error('Failed to get power mode characteristic:', error);
-      }
+    await subscribe(BATTERY_UUID, 'Battery', (bytes) => {
+      const batteryLevel = bytes[0];
 
-      // Set up Logged Data characteristic (for data download)
-      try {
-        this.loggedDataCharacteristic = await airqService.getCharacteristic(LOGGED_DATA_UUID);
-        console.log('Logged data characteristic set up successfully');
-      } catch (error) {
-        console.error('Failed to get logged data characteristic:', error);
-      }
+      const eventData = {
+        deviceId: this.device?.id ?? null,
+        batteryLevel: batteryLevel,
+        timestamp: Date.now()
+      };
 
-      // Set up RTC Time characteristic (for time synchronization)
-      try {
-        this.rtcTimeCharacteristic = await airqService.getCharacteristic(RTC_TIME_UUID);
-        console.log('RTC time characteristic set up successfully');
-        
-        // Automatically sync time when connected
-        this.syncRTCTime();
-      } catch (error) {
-        console.error('Failed to get RTC time characteristic:', error);
+      if (this.batteryCallback) {
+        this.batteryCallback(batteryLevel);
       }
 
-      // Set up chunk management characteristics
-      try {
-        console.log('Attempting to get chunk info characteristic...');
-        this.chunkInfoCharacteristic = await airqService.getCharacteristic(CHUNK_INFO_UUID);
-        console.log('✅ Chunk info characteristic set up successfully');
-      } catch (error) {
-        console.error('❌ Failed to get chunk info characteristic:', error);
-        this.chunkInfoCharacteristic = null;
-      }
+      this.emit('batteryUpdate', eventData);
+    });
 
-      try {
-        console.log('Attempting to get chunk request characteristic...');
-        this.chunkRequestCharacteristic = await airqService.getCharacteristic(CHUNK_REQUEST_UUID);
-        console.log('✅ Chunk request characteristic set up successfully');
-      } catch (error) {
-        console.error('❌ Failed to get chunk request characteristic:', error);
-        this.chunkRequestCharacteristic = null;
+    await subscribe(POWER_MODE_UUID, 'Power mode', (bytes) => {
+      const modeString = decodeText(bytes).trim();
+
+      const eventData = {
+        deviceId: this.device?.id ?? null,
+        powerMode: modeString,
+        timestamp: Date.now()
+      };
+
+      if (this.powerModeCallback) {
+        this.powerModeCallback(modeString);
       }
 
-      console.log('Web Bluetooth notifications setup completed');
-      return notificationsSetup;
-    } catch (error) {
-      console.error('Error setting up Web Bluetooth notifications:', error);
-      // Don't throw - just log and continue
-      console.log('Continuing with limited notification support...');
-      return false;
-    }
+      this.emit('powerModeUpdate', eventData);
+    });
+
+    console.log('BLE notifications setup completed');
+    return notificationsSetup;
   }
 
-  // Mobile BLE notifications setup
-  async setupMobileNotifications() {
-    try {
-      console.log('Setting up mobile BLE notifications...');
-      
-      // Live Data notifications
-      await this.device.monitorCharacteristicForService(
-        AIRQ_SERVICE_UUID,
-        LIVE_DATA_UUID,
-        (error, characteristic) => {
-          if (error) {
-            console.error('Live data notification error:', error);
-            this.emit('error', 'Live data notification error: ' + error.message);
-            return;
-          }
-
-          if (characteristic?.value) {
-            const dataString = this.decodeBase64ToString(characteristic.value);
-            console.log('Received AirQ data via notification:', dataString);
-            
-            // Parse comma-separated values: "pm1,pm25,pm10,battery"
-            const values = dataString.split(',').map(val => parseFloat(val.trim()));
-            
-            if (values.length >= 4) {
-              const pm25 = values[1] || 0;
-              const calculatedAqi = this.calculateAQI(pm25);
-              
-              const eventData = {
-                pm1: values[0] || 0,
-                pm25: pm25,
-                pm10: values[2] || 0,
-                battery: values[3] || 0,
-                aqi: calculatedAqi,
-                error: null,
-                timestamp: Date.now()
-              };
-              
-              if (this.airQualityCallback) {
-                this.airQualityCallback(eventData);
-              }
-              
-              this.emit('airQualityUpdate', eventData);
-            }
-          }
-        }
-      );
-      console.log('Live data notifications set up successfully');
-
-      // Battery notifications
-      await this.device.monitorCharacteristicForService(
-        AIRQ_SERVICE_UUID,
-        BATTERY_UUID,
-        (error, characteristic) => {
-          if (error) {
-            console.error('Battery notification error:', error);
-            this.emit('error', 'Battery notification error: ' + error.message);
-            return;
-          }
-
-          if (characteristic?.value) {
-            const data = this.decodeBase64(characteristic.value);
-            const batteryLevel = data[0];
-            
-            const eventData = {
-              batteryLevel: batteryLevel,
-              timestamp: Date.now()
-            };
-            
-            if (this.batteryCallback) {
-              this.batteryCallback(batteryLevel);
-            }
-            
-            this.emit('batteryUpdate', eventData);
-          }
-        }
-      );
-      console.log('Battery notifications set up successfully');
-
-      // Power Mode notifications
-      await this.device.monitorCharacteristicForService(
-        AIRQ_SERVICE_UUID,
-        POWER_MODE_UUID,
-        (error, characteristic) => {
-          if (error) {
-            console.error('Power mode notification error:', error);
-            this.emit('error', 'Power mode notification error: ' + error.message);
-            return;
-          }
-
-          if (characteristic?.value) {
-            const modeString = this.decodeBase64ToString(characteristic.value);
-            
-            const eventData = {
-              powerMode: modeString.trim(),
-              timestamp: Date.now()
-            };
-            
-            if (this.powerModeCallback) {
-              this.powerModeCallback(modeString.trim());
-            }
-            
-            this.emit('powerModeUpdate', eventData);
-          }
-        }
-      );
-      console.log('Power mode notifications set up successfully');
+  clearNotifications() {
+    const unsubscribers = this.notificationUnsubscribers;
+    this.notificationUnsubscribers = [];
+    unsubscribers.forEach(unsubscribe => {
+      Promise.resolve(unsubscribe()).catch(error => console.warn('Failed to stop notifications:', error.message));
+    });
+  }
 
-      console.log('All mobile BLE notifications set up successfully');
-      return true;
-    } catch (error) {
-      console.error('Error setting up mobile BLE notifications:', error);
-      throw error;
+  // Parse a live data value ("pm1,pm25,pm10,battery") from a notification or poll
+  handleLiveData(dataString) {
+    const reading = parseLiveData(dataString);
+    if (!reading) {
+      return;
+    }
+
+    const { aqi, dominantPollutant } = getAQIInfo(reading, SettingsService.get('aqiStandard'));
+    const eventData = {
+      deviceId: this.device?.id ?? null,
+      ...reading,
+      aqi,
+      dominantPollutant,
+      error: null,
+      timestamp: Date.now()
+    };
+
+    if (this.airQualityCallback) {
+      this.airQualityCallback(eventData);
     }
+
+    this.emit('airQualityUpdate', eventData);
   }
 
-  // Helper methods for mobile BLE
-  decodeBase64(base64String) {
-    let binaryString = '';
-    if (typeof atob === 'function') {
-      binaryString = atob(base64String);
-    } else if (typeof Buffer !== 'undefined') {
-      binaryString = Buffer.from(base64String, 'base64').toString('binary');
-    } else {
-      throw new Error('Base64 decoding not supported');
-    }
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
-    return bytes;
-  }
-
-  decodeBase64ToString(base64String) {
-    if (typeof atob === 'function') {
-      return atob(base64String);
-    } else if (typeof Buffer !== 'undefined') {
-      return Buffer.from(base64String, 'base64').toString('utf-8');
-    }
-    throw new Error('Base64 decoding not supported');
-  }
-
-  encodeBase64(str) {
-    if (typeof btoa === 'function') {
-      return btoa(str);
-    } else if (typeof Buffer !== 'undefined') {
-      return Buffer.from(str, 'binary').toString('base64');
-    }
-    throw new Error('Base64 encoding not supported');
-  }
-
-  // Disconnect from device
-  async disconnect() {
+  // Disconnect from device. A background task closing its own session passes { background: true },
+  // which is passed on with the disconnected event.
+  async disconnect({ background = false } = {}) {
+    const device = this.isConnected ? this.device : null;
+    this.disconnectRequested = true;
     try {
-      this.stopPolling(); // This will work for both web and mobile polling
-      
+      this.stopPolling();
+
+      // We emit connectionChange ourselves below, so don't let the transport report it a second time
+      this.removeDisconnectListener?.();
+      this.removeDisconnectListener = null;
+
       if (this.device && this.isConnected) {
-        if (this.isWeb) {
-          if (this.server && this.server.connected) {
-            this.server.disconnect();
-          }
-          console.log('Disconnected from Web Bluetooth device');
-        } else {
-          await this.device.cancelConnection();
-          console.log('Disconnected from mobile BLE device');
-        }
+        this.clearNotifications();
+        await this.transport.disconnect();
+      } else if (this.connectionPending) {
+        // Abort a connect that is still in progress, where the transport can
+        await this.transport.disconnect();
       }
-        this.device = null;
-      this.server = null;
+      this.device = null;
       this.isConnected = false;
-      
+
       if (this.connectionCallback) {
         this.connectionCallback(false);
       }
-      
+
       this.emit('connectionChange', false);
+      if (device) {
+        this.emit('disconnected', { deviceId: device.id, intentional: true, background, timestamp: Date.now() });
+      }
     } catch (error) {
       console.error('Disconnect error:', error);
       this.emit('error', 'Disconnect error: ' + error.message);
@@ -803,34 +516,43 @@ class PlatformBluetoothService {
 
   // Auto-connect support
   supportsAutoConnect() {
-    // Web Bluetooth doesn't support silent auto-connect
-    return !this.isWeb;
+    // Web Bluetooth can only without a user gesture where the browser has getDevices()
+    return this.transport.supportsAutoConnect;
   }
 
-  async autoConnect() {
-    if (this.isWeb || !this.supportsAutoConnect()) {
-      console.log('Auto-connect not supported on this platform');
-      return false;
+  // Whether nearby devices can be listed in the app, rather than in the browser's chooser
+  supportsDeviceList() {
+    return Boolean(this.transport.supportsDeviceList);
+  }
+
+  // Report every advertisement from a nearby AirQ device ({ id, name, rssi, device }).
+  // Resolves with a function that stops watching.
+  watchDevices(onAdvertisement) {
+    if (!this.supportsDeviceList()) {
+      return Promise.reject(new Error('Listing nearby devices is not supported here'));
     }
+    return this.transport.watchDevices(onAdvertisement);
+  }
 
-    // Mobile auto-connect implementation would go here
-    // For now, return false to require manual connection
-    return false;
+  // Connect to the remembered device without user interaction
+  autoConnect() {
+    return this.quickConnect();
   }
 
   // Methods expected by App.js
-  connect() {
+  // Connect to the device picked in the device list, or else to the first one a scan finds
+  connect(device = null) {
     return new Promise(async (resolve, reject) => {
       try {
-        const deviceFound = await new Promise((resolveDevice, rejectDevice) => {
-          this.startScanning((device) => {
-            resolveDevice(device);
+        const deviceFound = device || await new Promise((resolveDevice, rejectDevice) => {
+          this.startScanning((found) => {
+            resolveDevice(found);
           }).catch(rejectDevice);
         });
 
         const connected = await this.connectToDevice(deviceFound);
         if (connected) {
-          this.storeDeviceInfo(deviceFound);
+          await this.storeDeviceInfo(deviceFound);
         }
         resolve(connected);
       } catch (error) {
@@ -840,68 +562,51 @@ class PlatformBluetoothService {
     });
   }
 
-  quickConnect() {
-    return new Promise(async (resolve, reject) => {
-      try {
-        if (!this.supportsAutoConnect()) {
-          resolve(false);
-          return;
-        }
+  // Connect straight to the remembered device (or the given device ID) without scanning. Resolves
+  // false when there is nothing to connect to or the device can't be reached, e.g. on app launch.
+  async quickConnect(deviceId = null) {
+    const id = deviceId || (await this.loadRememberedDevice()).id;
+    if (!id || !this.supportsAutoConnect()) {
+      return false;
+    }
 
-        this.emit('autoConnectAttempt', true);
-        
-        // For now, return false as auto-connect is not fully implemented
-        this.emit('autoConnectAttempt', false);
-        resolve(false);
-      } catch (error) {
-        this.emit('autoConnectAttempt', false);
-        this.emit('error', error.message);
-        reject(error);
-      }
-    });
+    this.emit('autoConnectAttempt', true);
+    try {
+      return await this.openConnection(() => this.transport.reconnect(id));
+    } catch (error) {
+      console.warn('Quick connect failed:', error.message);
+      return false;
+    } finally {
+      this.emit('autoConnectAttempt', false);
+    }
   }
 
   getDeviceInfo() {
     return {
-      name: this.device?.name || 'Unknown Device',
+      name: this.device ? DeviceRegistry.getDisplayName(this.device.id, this.device.name) : 'Unknown Device',
       connected: this.isConnected,
       services: ['Air Quality', 'Battery', 'Power Mode']
     };
   }
 
-  forgetDevice() {
-    this.clearStoredDeviceInfo();
+  async forgetDevice() {
+    this.lastDevice = null;
+    this.pendingTransfer = null;
+    await this.clearStoredDeviceInfo();
   }
 
   // Write power mode to device
   async writePowerMode(lowPowerMode) {
     try {
       const value = lowPowerMode ? '1' : '0';
-      
-      if (this.isWeb) {
-        if (this.powerModeCharacteristic && this.server && this.server.connected) {
-          const encoder = new TextEncoder();
-          const data = encoder.encode(value);
-          await this.powerModeCharacteristic.writeValue(data);
-          console.log('Power mode written to device (Web):', value);
-          return true;
-        } else {
-          throw new Error('Power mode characteristic not available or device disconnected');
-        }
-      } else {
-        if (this.device) {
-          const base64Value = this.encodeBase64(value);
-          await this.device.writeCharacteristicWithResponseForService(
-            AIRQ_SERVICE_UUID,
-            POWER_MODE_UUID,
-            base64Value
-          );
-          console.log('Power mode written to device (Mobile):', value);
-          return true;
-        }
+
+      if (!this.isConnected || !this.transport.hasCharacteristic(POWER_MODE_UUID)) {
+        throw new Error('Power mode characteristic not available or device disconnected');
       }
-      
-      throw new Error('Power mode characteristic not available');
+
+      await this.transport.write(POWER_MODE_UUID, encodeText(value));
+      console.log('Power mode written to device:', value);
+      return true;
     } catch (error) {
       console.error('Failed to write power mode:', error);
       this.emit('error', 'Failed to write power mode: ' + error.message);
@@ -912,25 +617,11 @@ class PlatformBluetoothService {
   // Read current power mode from device
   async readPowerMode() {
     try {
-      if (this.isWeb) {
-        if (this.powerModeCharacteristic && this.server && this.server.connected) {
-          const value = await this.powerModeCharacteristic.readValue();
-          const modeString = new TextDecoder().decode(value);
-          return modeString.trim();
-        }
-      } else {
-        if (this.device) {
-          const characteristic = await this.device.readCharacteristicForService(
-            AIRQ_SERVICE_UUID,
-            POWER_MODE_UUID
-          );
-          if (characteristic && characteristic.value) {
-            return this.decodeBase64ToString(characteristic.value).trim();
-          }
-        }
+      if (!this.isConnected || !this.transport.hasCharacteristic(POWER_MODE_UUID)) {
+        return null;
       }
-      
-      return null;
+
+      return decodeText(await this.transport.read(POWER_MODE_UUID)).trim();
     } catch (error) {
       console.error('Failed to read power mode:', error);
       return null;
@@ -941,15 +632,16 @@ class PlatformBluetoothService {
   async syncRTCTime() {
     try {
       console.log('Syncing RTC time with device...');
-      
+
+      if (!this.isConnected || !this.transport.hasCharacteristic(RTC_TIME_UUID)) {
+        throw new Error('Device not connected or RTC time characteristic not available');
+      }
+
       // Get current time as Unix timestamp
       const currentTime = Math.floor(Date.now() / 1000);
-      
-      if (this.isWeb) {
-        return this.syncRTCTimeWeb(currentTime);
-      } else {
-        return this.syncRTCTimeMobile(currentTime);
-      }
+      await this.transport.write(RTC_TIME_UUID, encodeText(currentTime.toString()));
+      console.log('RTC time synced successfully:', new Date(currentTime * 1000));
+      return true;
     } catch (error) {
       console.error('Failed to sync RTC time:', error);
       this.emit('error', 'Failed to sync RTC time: ' + error.message);
@@ -957,100 +649,22 @@ class PlatformBluetoothService {
     }
   }
 
-  // Web Bluetooth RTC time sync
-  async syncRTCTimeWeb(timestamp) {
-    if (!this.rtcTimeCharacteristic || !this.server || !this.server.connected) {
-      throw new Error('Device not connected or RTC time characteristic not available');
-    }
-
-    try {
-      const encoder = new TextEncoder();
-      const data = encoder.encode(timestamp.toString());
-      await this.rtcTimeCharacteristic.writeValue(data);
-      console.log('RTC time synced successfully (Web):', new Date(timestamp * 1000));
-      return true;
-    } catch (error) {
-      console.error('Web Bluetooth RTC time sync error:', error);
-      throw error;
-    }
-  }
-
-  // Mobile BLE RTC time sync
-  async syncRTCTimeMobile(timestamp) {
-    if (!this.device) {
-      throw new Error('Device not connected');
-    }
-
-    try {
-      const base64Value = this.encodeBase64(timestamp.toString());
-      await this.device.writeCharacteristicWithResponseForService(
-        AIRQ_SERVICE_UUID,
-        RTC_TIME_UUID,
-        base64Value
-      );
-      console.log('RTC time synced successfully (Mobile):', new Date(timestamp * 1000));
-      return true;
-    } catch (error) {
-      console.error('Mobile BLE RTC time sync error:', error);
-      throw error;
-    }
-  }
-
   // Read current RTC time from device
   async readRTCTime() {
     try {
-      if (this.isWeb) {
-        return this.readRTCTimeWeb();
-      } else {
-        return this.readRTCTimeMobile();
+      if (!this.isConnected || !this.transport.hasCharacteristic(RTC_TIME_UUID)) {
+        throw new Error('Device not connected or RTC time characteristic not available');
       }
-    } catch (error) {
-      console.error('Failed to read RTC time:', error);
-      return null;
-    }
-  }
 
-  // Web Bluetooth RTC time read
-  async readRTCTimeWeb() {
-    if (!this.rtcTimeCharacteristic || !this.server || !this.server.connected) {
-      throw new Error('Device not connected or RTC time characteristic not available');
-    }
-
-    try {
-      const value = await this.rtcTimeCharacteristic.readValue();
-      const timeString = new TextDecoder().decode(value);
-      const timestamp = parseInt(timeString);
-      console.log('RTC time read (Web):', new Date(timestamp * 1000));
-      return timestamp;
-    } catch (error) {
-      console.error('Web Bluetooth RTC time read error:', error);
-      throw error;
-    }
-  }
-
-  // Mobile BLE RTC time read
-  async readRTCTimeMobile() {
-    if (!this.device) {
-      throw new Error('Device not connected');
-    }
-
-    try {
-      const characteristic = await this.device.readCharacteristicForService(
-        AIRQ_SERVICE_UUID,
-        RTC_TIME_UUID
-      );
-      
-      if (characteristic?.value) {
-        const timeString = this.decodeBase64ToString(characteristic.value);
-        const timestamp = parseInt(timeString);
-        console.log('RTC time read (Mobile):', new Date(timestamp * 1000));
-        return timestamp;
-      } else {
+      const timestamp = parseInt(decodeText(await this.transport.read(RTC_TIME_UUID)));
+      if (isNaN(timestamp)) {
         throw new Error('No RTC time received from device');
       }
+      console.log('RTC time read:', new Date(timestamp * 1000));
+      return timestamp;
     } catch (error) {
-      console.error('Mobile BLE RTC time read error:', error);
-      throw error;
+      console.error('Failed to read RTC time:', error);
+      return null;
     }
   }
 
@@ -1059,41 +673,16 @@ class PlatformBluetoothService {
     if (this.pollingInterval) {
       clearInterval(this.pollingInterval);
     }
-    
+
     this.pollingInterval = setInterval(async () => {
-      if (!this.isConnected || !this.server || !this.server.connected) {
+      if (!this.isConnected || !this.transport.hasCharacteristic(LIVE_DATA_UUID)) {
         return;
       }
-      
+
       try {
-        if (this.liveDataCharacteristic) {
-          const value = await this.liveDataCharacteristic.readValue();
-          const dataString = new TextDecoder().decode(value);
-          console.log('Polled AirQ data:', dataString);
-          
-          const values = dataString.split(',').map(val => parseFloat(val.trim()));
-          
-          if (values.length >= 4) {
-            const pm25 = values[1] || 0;
-            const calculatedAqi = this.calculateAQI(pm25);
-            
-            const eventData = {
-              pm1: values[0] || 0,
-              pm25: pm25,
-              pm10: values[2] || 0,
-              battery: values[3] || 0,
-              aqi: calculatedAqi,
-              error: null,
-              timestamp: Date.now()
-            };
-            
-            if (this.airQualityCallback) {
-              this.airQualityCallback(eventData);
-            }
-            
-            this.emit('airQualityUpdate', eventData);
-          }
-        }
+        const dataString = decodeText(await this.transport.read(LIVE_DATA_UUID));
+        console.log('Polled AirQ data:', dataString);
+        this.handleLiveData(dataString);
       } catch (error) {
         console.error('Polling failed:', error);
       }
@@ -1107,375 +696,349 @@ class PlatformBluetoothService {
     }
   }
 
-  // Mobile BLE polling fallback (only used if notifications fail)
-  startMobilePolling() {
-    if (this.pollingInterval) {
-      clearInterval(this.pollingInterval);
+  // Download logged data from Arduino flash storage.
+  // Pass { since: unixSeconds } to only fetch entries newer than the last sync.
+  async downloadLoggedData(options = {}) {
+    try {
+      console.log('Downloading logged data from device using chunked transfer...', options);
+
+      return await this.downloadLoggedDataFromDevice(options);
+    } catch (error) {
+      console.error('Failed to download logged data:', error);
+      this.emit('error', 'Failed to download logged data: ' + error.message);
+      throw error;
     }
-    
-    this.pollingInterval = setInterval(async () => {
-      if (!this.isConnected || !this.device) {
-        return;
-      }
-      
-      try {
-        // Read live data characteristic
-        const characteristic = await this.device.readCharacteristicForService(
-          AIRQ_SERVICE_UUID,
-          LIVE_DATA_UUID
-        );
-        
-        if (characteristic?.value) {
-          const dataString = this.decodeBase64ToString(characteristic.value);
-          console.log('Polled AirQ data (mobile):', dataString);
-          
-          const values = dataString.split(',').map(val => parseFloat(val.trim()));
-          
-          if (values.length >= 4) {
-            const pm25 = values[1] || 0;
-            const calculatedAqi = this.calculateAQI(pm25);
-            
-            const eventData = {
-              pm1: values[0] || 0,
-              pm25: pm25,
-              pm10: values[2] || 0,
-              battery: values[3] || 0,
-              aqi: calculatedAqi,
-              error: null,
-              timestamp: Date.now()
-            };
-            
-            if (this.airQualityCallback) {
-              this.airQualityCallback(eventData);
-            }
-            
-            this.emit('airQualityUpdate', eventData);
-          }
-        }
-      } catch (error) {
-        console.error('Mobile polling failed:', error);
-      }
-    }, 5000); // Poll every 5 seconds
   }
 
-  // Calculate AQI from PM2.5 values using US EPA standard
-  calculateAQI(pm25) {
-    if (pm25 < 0 || isNaN(pm25)) {
-      return 0;
+  // Build the chunk request that prepares data on the device: "-1" for the whole log,
+  // "T<timestamp>" for entries after a Unix timestamp (firmware protocol 2+)
+  getPrepareCommand(since) {
+    return since ? `T${since}` : '-1';
+  }
+
+  // Drop entries at or before the requested timestamp (needed for firmware without incremental support)
+  filterEntriesSince(entries, since) {
+    if (!since) {
+      return entries;
     }
+    return entries.filter(entry => entry.timestamp > since);
+  }
 
-    // US EPA PM2.5 AQI breakpoints
-    const breakpoints = [
-      { aqi: [0, 50], pm25: [0, 12.0] },
-      { aqi: [51, 100], pm25: [12.1, 35.4] },
-      { aqi: [101, 150], pm25: [35.5, 55.4] },
-      { aqi: [151, 200], pm25: [55.5, 150.4] },
-      { aqi: [201, 300], pm25: [150.5, 250.4] },
-      { aqi: [301, 500], pm25: [250.5, 500.4] }
-    ];
-
-    for (const bp of breakpoints) {
-      if (pm25 >= bp.pm25[0] && pm25 <= bp.pm25[1]) {
-        // Linear interpolation formula
-        const aqi = ((bp.aqi[1] - bp.aqi[0]) / (bp.pm25[1] - bp.pm25[0])) * (pm25 - bp.pm25[0]) + bp.aqi[0];
-        return Math.round(aqi);
-      }
+  // Interrupted transfer for the given device and request, if one can be resumed
+  getPendingTransfer(deviceId = this.device?.id, since = null) {
+    const pending = this.pendingTransfer;
+    if (!pending || pending.deviceId !== (deviceId || null) || pending.since !== (since || null)) {
+      return null;
+    }
+    return pending;
+  }
+
+  // Re-prepare the log slice of an interrupted transfer and keep the chunks that already arrived.
+  // Returns null when the device log no longer matches (cleared or wrapped around) and a fresh start is needed.
+  async resumePendingTransfer(channel, deviceId, since) {
+    const pending = this.getPendingTransfer(deviceId, since);
+    if (!pending || pending.startIndex === null) {
+      return null;
     }
 
-    // If PM2.5 is above all breakpoints, return max AQI
-    return 500;
+    await this.prepareChunks(channel, `I${pending.startIndex}`);
+    const chunkInfo = await channel.readChunkInfo();
+
+    if (chunkInfo.protocolVersion !== pending.protocolVersion ||
+        chunkInfo.format !== pending.format ||
+        chunkInfo.startIndex !== pending.startIndex ||
+        chunkInfo.totalChunks < pending.totalChunks) {
+      console.log('Pending transfer no longer matches the device log, starting over');
+      this.pendingTransfer = null;
+      return null;
+    }
+
+    const session = resumeTransferSession(pending, chunkInfo.totalChunks);
+    const received = countReceivedChunks(session);
+    console.log(`Resuming transfer: ${received} of ${session.totalChunks} chunks already received`);
+    this.emit('downloadProgress', {
+      stage: 'info',
+      progress: 5,
+      message: `Resuming download (${received} of ${session.totalChunks} chunks already received)...`,
+      currentChunk: received,
+      totalChunks: session.totalChunks
+    });
+    return session;
   }
 
-  // Download logged data from Arduino flash storage
-  async downloadLoggedData() {
-    try {
-      console.log('Downloading logged data from device using chunked transfer...');
+  // Ask the device to prepare a slice of the log and give it time to do so
+  async prepareChunks(channel, command) {
+    await channel.write(command);
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
 
-      if (this.isWeb) {
-        return this.downloadLoggedDataWeb();
-      } else {
-        return this.downloadLoggedDataMobile();
-      }
-    } catch (error) {
-      console.error('Failed to download logged data:', error);
-      this.emit('error', 'Failed to download logged data: ' + error.message);
-      throw error;
+  // Translate transfer engine events into downloadProgress updates (10-95% range)
+  emitTransferProgress(session, event) {
+    const received = countReceivedChunks(session);
+    const progress = Math.round((received / session.totalChunks) * 85) + 10;
+    const chunkNumber = event.chunkIndex + 1;
+
+    if (event.type === 'failed') {
+      console.warn(`Giving up on chunk ${chunkNumber} of ${session.totalChunks}: ${event.error.message}`);
+      return;
+    }
+
+    const speed = event.bytesPerSecond ? ` • ${this.formatThroughput(event.bytesPerSecond)}` : '';
+
+    if (event.type === 'retry') {
+      const reason = event.error instanceof ChunkIntegrityError ? 'failed verification' : 'failed';
+      this.emit('downloadProgress', {
+        stage: 'retrying',
+        progress,
+        message: `Chunk ${chunkNumber} of ${session.totalChunks} ${reason}, retrying (attempt ${event.attempt})...`,
+        currentChunk: chunkNumber,
+        totalChunks: session.totalChunks,
+        attempt: event.attempt,
+        retries: session.retries
+      });
+      return;
     }
+
+    this.emit('downloadProgress', {
+      stage: 'downloading',
+      progress,
+      message: event.type === 'chunk'
+        ? `Streaming chunk ${received} of ${session.totalChunks}${speed}...`
+        : `Downloading chunk ${chunkNumber} of ${session.totalChunks}${speed}...`,
+      currentChunk: event.type === 'chunk' ? received : chunkNumber,
+      totalChunks: session.totalChunks,
+      retries: session.retries,
+      bytesPerSecond: event.bytesPerSecond || 0
+    });
   }
 
-  // Web Bluetooth logged data download with chunking
-  async downloadLoggedDataWeb() {
-    if (!this.loggedDataCharacteristic || !this.server || !this.server.connected) {
-      throw new Error('Device not connected or logged data characteristic not available');
+  // Newest timestamp up to which the log arrived without gaps, or null when no chunk was skipped.
+  // Entries after a damaged chunk are still returned, but the sync point must not move past the gap.
+  getSyncedUntil(session, since) {
+    if (session.failedChunks.length === 0) {
+      return null;
     }
+    const firstFailed = Math.min(...session.failedChunks);
+    const beforeGap = this.decodeLogChunks(session.chunks.slice(0, firstFailed), session.format);
+    return beforeGap.reduce((newest, entry) => Math.max(newest, entry.timestamp), since || 0);
+  }
 
-    console.log('=== CHUNKED DOWNLOAD DEBUG ===');
-    console.log('Chunk info characteristic:', this.chunkInfoCharacteristic ? 'Available' : 'NOT AVAILABLE');
-    console.log('Chunk request characteristic:', this.chunkRequestCharacteristic ? 'Available' : 'NOT AVAILABLE');
+  // Summary of the last chunked download, including syncedUntil for HistoryStore.mergeLoggedData
+  getLastTransferSummary() {
+    return this.lastTransferSummary;
+  }
 
-    if (!this.chunkInfoCharacteristic || !this.chunkRequestCharacteristic) {
-      console.warn('Chunk characteristics not available, falling back to single read');
-      console.log('=== FALLING BACK TO LEGACY ===');
-      return this.downloadLoggedDataWebLegacy();
+  formatThroughput(bytesPerSecond) {
+    return bytesPerSecond >= 1024
+      ? `${(bytesPerSecond / 1024).toFixed(1)} KB/s`
+      : `${bytesPerSecond} B/s`;
+  }
+
+  // Decode received chunk payloads. Binary chunks each start with their own format version byte.
+  decodeLogChunks(chunks, format) {
+    if (format === LOG_FORMAT_BINARY) {
+      return chunks.flatMap(chunk => this.parseBinaryLoggedData(chunk));
     }
+    return this.parseLoggedData(chunks.map(chunk => decodeText(chunk)).join(''));
+  }
+
+  // Chunked download over a chunk channel.
+  // channel: { write(command), readChunkInfo(), readChunk() -> Uint8Array, subscribe(onChunk), requestDelayMs }
+  // legacyDownload: single read used when the device doesn't support chunking
+  async downloadLoggedDataChunked(channel, legacyDownload, since) {
+    const deviceId = this.device?.id || null;
+    let session;
 
     try {
       console.log('=== STARTING CHUNKED TRANSFER ===');
-      // Step 1: Request data preparation (send -1 to chunk request)
-      console.log('Step 1: Requesting data preparation...');
       this.emit('downloadProgress', { stage: 'preparing', progress: 0, message: 'Preparing data for download...' });
-      
-      const encoder = new TextEncoder();
-      await this.chunkRequestCharacteristic.writeValue(encoder.encode('-1'));
-      console.log('Data preparation request sent');
-      
-      // Small delay to let Arduino prepare the data
-      await new Promise(resolve => setTimeout(resolve, 1000));
 
-      // Step 2: Get chunk info (totalChunks, currentChunk)
-      console.log('Step 2: Reading chunk info...');
-      this.emit('downloadProgress', { stage: 'info', progress: 5, message: 'Getting chunk information...' });
-      
-      const chunkInfoValue = await this.chunkInfoCharacteristic.readValue();
-      const chunkInfoString = new TextDecoder().decode(chunkInfoValue);
-      console.log('Raw chunk info received:', chunkInfoString);
-      const [totalChunks, currentChunk] = chunkInfoString.split(',').map(s => parseInt(s.trim()));
-      
-      console.log(`Data prepared for chunked transfer: ${totalChunks} chunks, current: ${currentChunk}`);
+      // Ask for packed binary records before preparing; firmware before protocol 5 ignores this
+      // and keeps sending text, which the chunk info format field tells us
+      await channel.write('B1');
 
-      if (totalChunks <= 0) {
-        console.log('No data available on device');
-        this.emit('downloadProgress', { stage: 'complete', progress: 100, message: 'No data available on device' });
-        return [];
-      }
+      session = await this.resumePendingTransfer(channel, deviceId, since);
 
-      // Step 3: Download all chunks
-      let completeDataString = '';
-      
-      for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-        console.log(`Step 3.${chunkIndex + 1}: Requesting chunk ${chunkIndex}/${totalChunks - 1}...`);
-        
-        const chunkProgress = Math.round(((chunkIndex / totalChunks) * 90) + 10); // 10-100% range
-        this.emit('downloadProgress', { 
-          stage: 'downloading', 
-          progress: chunkProgress, 
-          message: `Downloading chunk ${chunkIndex + 1} of ${totalChunks}...`,
-          currentChunk: chunkIndex + 1,
-          totalChunks: totalChunks
+      if (!session) {
+        // Step 1: Request data preparation ("-1" or "T<timestamp>")
+        await this.prepareChunks(channel, this.getPrepareCommand(since));
+
+        // Step 2: Get chunk info
+        this.emit('downloadProgress', { stage: 'info', progress: 5, message: 'Getting chunk information...' });
+        let chunkInfo = await channel.readChunkInfo();
+
+        // Older firmware doesn't understand incremental requests - prepare the full log and filter here
+        if (since && chunkInfo.protocolVersion < 2) {
+          console.log('Firmware does not support incremental download, requesting full log');
+          await this.prepareChunks(channel, '-1');
+          chunkInfo = await channel.readChunkInfo();
+        }
+
+        console.log(`Data prepared for chunked transfer: ${chunkInfo.totalChunks} ${chunkInfo.format === LOG_FORMAT_BINARY ? 'binary' : 'text'} chunks (protocol ${chunkInfo.protocolVersion})`);
+
+        if (chunkInfo.totalChunks <= 0) {
+          console.log('No data available on device');
+          this.pendingTransfer = null;
+          this.emit('downloadProgress', { stage: 'complete', progress: 100, message: since ? 'No new data since last sync' : 'No data available on device' });
+          return [];
+        }
+
+        session = createTransferSession({
+          deviceId,
+          since: since || null,
+          startIndex: chunkInfo.startIndex,
+          totalChunks: chunkInfo.totalChunks,
+          protocolVersion: chunkInfo.protocolVersion,
+          format: chunkInfo.format,
+          checksummed: chunkInfo.protocolVersion >= 4
         });
-        
-        // Request specific chunk
-        await this.chunkRequestCharacteristic.writeValue(encoder.encode(chunkIndex.toString()));
-        console.log(`Chunk ${chunkIndex} request sent`);
-        
-        // Small delay between chunk requests
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        // Read the chunk data
-        const chunkValue = await this.loggedDataCharacteristic.readValue();
-        const chunkData = new TextDecoder().decode(chunkValue);
-        
-        console.log(`Received chunk ${chunkIndex}: ${chunkData.length} characters - "${chunkData.substring(0, 100)}${chunkData.length > 100 ? '...' : ''}"`);
-        completeDataString += chunkData;
       }
 
-      console.log(`=== CHUNKED TRANSFER COMPLETE ===`);
-      console.log(`Complete data assembled: ${completeDataString.length} characters`);
-      console.log(`First 200 chars: "${completeDataString.substring(0, 200)}${completeDataString.length > 200 ? '...' : ''}"`);
-      
-      this.emit('downloadProgress', { stage: 'parsing', progress: 95, message: 'Parsing downloaded data...' });
-      const parsedData = this.parseLoggedData(completeDataString);
-      
-      this.emit('downloadProgress', { 
-        stage: 'complete', 
-        progress: 100, 
-        message: `Download complete! Received ${parsedData.length} entries`,
-        totalEntries: parsedData.length
-      });
-      
-      console.log(`Chunked transfer completed successfully. Received ${parsedData.length} entries`);
-      return parsedData;
-      
+      // Checksummed chunks are opt-in so older apps keep receiving plain text
+      if (session.checksummed) {
+        await channel.write('C1');
+      }
     } catch (error) {
       console.error('Chunked download failed, trying legacy method:', error);
       this.emit('downloadProgress', { stage: 'error', progress: 0, message: 'Chunked download failed, trying legacy method...' });
-      return this.downloadLoggedDataWebLegacy();
+      return this.filterEntriesSince(await legacyDownload(), since);
     }
-  }
 
-  // Fallback for devices without chunking support
-  async downloadLoggedDataWebLegacy() {
+    // Before protocol 3 the device streams chunks regardless of the requested index,
+    // so a chunk can't be fetched twice - no retries and nothing to resume
+    const retrySafe = session.protocolVersion >= 3;
+    this.pendingTransfer = retrySafe ? session : null;
+
+    // Step 3: Download all missing chunks
+    // Protocol 6 devices can push chunks as notifications, which avoids a write/wait/read round trip per chunk
+    const canStream = session.protocolVersion >= 6 && session.checksummed && channel.subscribe;
+    const transfer = new LogTransfer({
+      requestChunk: index => channel.write(index.toString()),
+      readChunk: () => channel.readChunk(),
+      ...(canStream ? {
+        subscribe: onChunk => channel.subscribe(onChunk),
+        startStream: fromChunk => channel.write(`S${fromChunk}`),
+        ack: chunkIndex => channel.write(`A${chunkIndex}`)
+      } : {})
+    }, {
+      requestDelayMs: channel.requestDelayMs,
+      ...(session.checksummed ? { verifyChunk: verifyChunkFrame } : {}),
+      ...(retrySafe ? {} : { maxRetries: 0 })
+    });
+
+    let receivedChunks;
     try {
-      console.log('=== LEGACY DOWNLOAD DEBUG ===');
-      this.emit('downloadProgress', { stage: 'downloading', progress: 50, message: 'Downloading data (legacy mode)...' });
-      
-      const value = await this.loggedDataCharacteristic.readValue();
-      const dataString = new TextDecoder().decode(value);
-      console.log(`Legacy: Raw logged data received: ${dataString.length} characters`);
-      console.log(`Legacy: Data content: "${dataString.substring(0, 200)}${dataString.length > 200 ? '...' : ''}"`);
-      
-      this.emit('downloadProgress', { stage: 'parsing', progress: 90, message: 'Parsing downloaded data...' });
-      const parsedData = this.parseLoggedData(dataString);
-      
-      this.emit('downloadProgress', { 
-        stage: 'complete', 
-        progress: 100, 
-        message: `Download complete! Received ${parsedData.length} entries`,
-        totalEntries: parsedData.length
-      });
-      
-      console.log(`Legacy: Parsed ${parsedData.length} entries`);
-      return parsedData;
+      const onProgress = event => this.emitTransferProgress(session, event);
+      receivedChunks = canStream
+        ? await transfer.stream(session, onProgress)
+        : await transfer.run(session, onProgress);
     } catch (error) {
-      console.error('Legacy Web Bluetooth logged data read error:', error);
+      if (!retrySafe) {
+        console.error('Chunked download failed, trying legacy method:', error);
+        this.emit('downloadProgress', { stage: 'error', progress: 0, message: 'Chunked download failed, trying legacy method...' });
+        return this.filterEntriesSince(await legacyDownload(), since);
+      }
+
+      const received = countReceivedChunks(session);
+      this.lastTransferSummary = getTransferSummary(session);
+      console.error(`Chunked transfer interrupted with ${received}/${session.totalChunks} chunks received:`, error);
+      this.emit('downloadProgress', {
+        stage: 'interrupted',
+        progress: Math.round((received / session.totalChunks) * 85) + 10,
+        message: `Download interrupted after ${received} of ${session.totalChunks} chunks. Reconnect and download again to resume.`,
+        currentChunk: received,
+        totalChunks: session.totalChunks,
+        retries: session.retries,
+        summary: this.lastTransferSummary
+      });
       throw error;
     }
+
+    const summary = { ...getTransferSummary(session), syncedUntil: this.getSyncedUntil(session, since) };
+    this.lastTransferSummary = summary;
+    // Keep the session while chunks are missing so they can be fetched again without restarting
+    this.pendingTransfer = summary.failed.length > 0 ? session : null;
+    console.log(`=== CHUNKED TRANSFER COMPLETE ===`);
+    console.log(`Received ${receivedChunks.length} chunks`, summary);
+
+    this.emit('downloadProgress', { stage: 'parsing', progress: 95, message: 'Parsing downloaded data...' });
+    const parsedData = this.filterEntriesSince(this.decodeLogChunks(receivedChunks, session.format), since);
+
+    this.emit('downloadProgress', {
+      stage: 'complete',
+      progress: 100,
+      message: (summary.failed.length > 0
+        ? `Download finished with ${summary.failed.length} damaged chunk${summary.failed.length === 1 ? '' : 's'} skipped. Received ${parsedData.length} entries`
+        : `Download complete! Received ${parsedData.length} entries`) +
+        (summary.bytesPerSecond ? ` (${this.formatThroughput(summary.bytesPerSecond)})` : ''),
+      totalEntries: parsedData.length,
+      retries: session.retries,
+      summary
+    });
+
+    console.log(`Chunked transfer completed successfully. Received ${parsedData.length} entries`);
+    return parsedData;
   }
 
-  // Mobile BLE logged data download with chunking
-  async downloadLoggedDataMobile() {
-    if (!this.device) {
-      throw new Error('Device not connected');
+  // Build the chunk channel on top of the transport and run the chunked download
+  async downloadLoggedDataFromDevice({ since = null } = {}) {
+    this.lastTransferSummary = null;
+
+    if (!this.isConnected || !this.transport.hasCharacteristic(LOGGED_DATA_UUID)) {
+      throw new Error('Device not connected or logged data characteristic not available');
     }
 
-    try {
-      // Check if chunk characteristics are available
-      let hasChunkSupport = true;
-      try {
-        await this.device.readCharacteristicForService(AIRQ_SERVICE_UUID, CHUNK_INFO_UUID);
-      } catch (error) {
-        console.warn('Chunk characteristics not available, falling back to single read');
-        hasChunkSupport = false;
-      }
+    if (!this.transport.hasCharacteristic(CHUNK_INFO_UUID) || !this.transport.hasCharacteristic(CHUNK_REQUEST_UUID)) {
+      console.warn('Chunk characteristics not available, falling back to single read');
+      return this.filterEntriesSince(await this.downloadLoggedDataLegacy(), since);
+    }
 
-      if (!hasChunkSupport) {
-        return this.downloadLoggedDataMobileLegacy();
-      }
+    const transport = this.transport;
+    const channel = {
+      write: (command) => transport.write(CHUNK_REQUEST_UUID, encodeText(command)),
+      readChunkInfo: async () => {
+        const chunkInfoString = decodeText(await transport.read(CHUNK_INFO_UUID));
+        console.log('Raw chunk info received:', chunkInfoString);
+        return parseChunkInfo(chunkInfoString);
+      },
+      readChunk: () => transport.read(LOGGED_DATA_UUID),
+      subscribe: (onChunk) => {
+        if (!transport.canNotify(LOGGED_DATA_UUID)) {
+          throw new Error('Logged data characteristic does not support notifications');
+        }
+        return transport.subscribe(LOGGED_DATA_UUID, onChunk);
+      },
+      requestDelayMs: transport.requestDelayMs
+    };
 
-      // Step 1: Request data preparation (send -1 to chunk request)
-      console.log('Requesting data preparation...');
-      this.emit('downloadProgress', { stage: 'preparing', progress: 0, message: 'Preparing data for download...' });
-      
-      const prepareValue = this.encodeBase64('-1');
-      await this.device.writeCharacteristicWithResponseForService(
-        AIRQ_SERVICE_UUID,
-        CHUNK_REQUEST_UUID,
-        prepareValue
-      );
-      
-      // Small delay to let Arduino prepare the data
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    return this.downloadLoggedDataChunked(channel, () => this.downloadLoggedDataLegacy(), since);
+  }
 
-      // Step 2: Get chunk info
-      this.emit('downloadProgress', { stage: 'info', progress: 5, message: 'Getting chunk information...' });
-      
-      const chunkInfoChar = await this.device.readCharacteristicForService(
-        AIRQ_SERVICE_UUID,
-        CHUNK_INFO_UUID
-      );
-      
-      const chunkInfoString = this.decodeBase64ToString(chunkInfoChar.value);
-      const [totalChunks, currentChunk] = chunkInfoString.split(',').map(s => parseInt(s.trim()));
-      
-      console.log(`Data prepared for chunked transfer: ${totalChunks} chunks`);
+  // Fallback for devices without chunking support
+  async downloadLoggedDataLegacy() {
+    try {
+      this.emit('downloadProgress', { stage: 'downloading', progress: 50, message: 'Downloading data (legacy mode)...' });
 
-      if (totalChunks <= 0) {
-        console.log('No data available on device');
-        this.emit('downloadProgress', { stage: 'complete', progress: 100, message: 'No data available on device' });
-        return [];
+      const dataString = decodeText(await this.transport.read(LOGGED_DATA_UUID));
+      if (!dataString) {
+        throw new Error('No logged data received from device');
       }
+      console.log(`Legacy: Raw logged data received: ${dataString.length} characters`);
 
-      // Step 3: Download all chunks
-      let completeDataString = '';
-      
-      for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-        console.log(`Requesting chunk ${chunkIndex}/${totalChunks - 1}...`);
-        
-        const chunkProgress = Math.round(((chunkIndex / totalChunks) * 90) + 10); // 10-100% range
-        this.emit('downloadProgress', { 
-          stage: 'downloading', 
-          progress: chunkProgress, 
-          message: `Downloading chunk ${chunkIndex + 1} of ${totalChunks}...`,
-          currentChunk: chunkIndex + 1,
-          totalChunks: totalChunks
-        });
-        
-        // Request specific chunk
-        const chunkRequestValue = this.encodeBase64(chunkIndex.toString());
-        await this.device.writeCharacteristicWithResponseForService(
-          AIRQ_SERVICE_UUID,
-          CHUNK_REQUEST_UUID,
-          chunkRequestValue
-        );
-        
-        // Small delay between chunk requests
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
-        // Read the chunk data
-        const chunkChar = await this.device.readCharacteristicForService(
-          AIRQ_SERVICE_UUID,
-          LOGGED_DATA_UUID
-        );
-        
-        if (chunkChar?.value) {
-          const chunkData = this.decodeBase64ToString(chunkChar.value);
-          console.log(`Received chunk ${chunkIndex}: ${chunkData.length} characters`);
-          completeDataString += chunkData;
-        }
-      }
+      this.emit('downloadProgress', { stage: 'parsing', progress: 90, message: 'Parsing downloaded data...' });
+      const parsedData = this.parseLoggedData(dataString);
 
-      console.log(`Complete data assembled: ${completeDataString.length} characters`);
-      this.emit('downloadProgress', { stage: 'parsing', progress: 95, message: 'Parsing downloaded data...' });
-      
-      const parsedData = this.parseLoggedData(completeDataString);
-      
-      this.emit('downloadProgress', { 
-        stage: 'complete', 
-        progress: 100, 
+      this.emit('downloadProgress', {
+        stage: 'complete',
+        progress: 100,
         message: `Download complete! Received ${parsedData.length} entries`,
         totalEntries: parsedData.length
       });
-      
-      console.log(`Chunked transfer completed successfully. Received ${parsedData.length} entries`);
-      return parsedData;
-      
-    } catch (error) {
-      console.error('Chunked download failed, trying legacy method:', error);
-      this.emit('downloadProgress', { stage: 'error', progress: 0, message: 'Chunked download failed, trying legacy method...' });
-      return this.downloadLoggedDataMobileLegacy();
-    }
-  }
 
-  // Fallback for devices without chunking support  
-  async downloadLoggedDataMobileLegacy() {
-    try {
-      this.emit('downloadProgress', { stage: 'downloading', progress: 50, message: 'Downloading data (legacy mode)...' });
-      
-      const characteristic = await this.device.readCharacteristicForService(
-        AIRQ_SERVICE_UUID,
-        LOGGED_DATA_UUID
-      );
-      
-      if (characteristic?.value) {
-        const dataString = this.decodeBase64ToString(characteristic.value);
-        console.log('Raw logged data received (Legacy Mobile):', dataString);
-        
-        this.emit('downloadProgress', { stage: 'parsing', progress: 90, message: 'Parsing downloaded data...' });
-        const parsedData = this.parseLoggedData(dataString);
-        
-        this.emit('downloadProgress', { 
-          stage: 'complete', 
-          progress: 100, 
-          message: `Download complete! Received ${parsedData.length} entries`,
-          totalEntries: parsedData.length
-        });
-        
-        return parsedData;
-      } else {
-        throw new Error('No logged data received from device');
-      }
+      console.log(`Legacy: Parsed ${parsedData.length} entries`);
+      return parsedData;
     } catch (error) {
-      console.error('Legacy Mobile BLE logged data read error:', error);
+      console.error('Legacy logged data read error:', error);
       throw error;
     }
   }
@@ -1494,31 +1057,13 @@ class PlatformBluetoothService {
       const values = entry.split(',').map(val => val.trim());
       
       if (values.length >= 5) {
-        const timestamp = parseInt(values[0]) || 0;
-        const pm1 = parseFloat(values[1]) || 0;
-        const pm25 = parseFloat(values[2]) || 0;
-        const pm10 = parseFloat(values[3]) || 0;
-        const battery = parseFloat(values[4]) || 0;
-        const aqi = this.calculateAQI(pm25);
-        
-        // Handle both Unix timestamps (from RTC) and millis timestamps (legacy)
-        let date;
-        if (timestamp > 1609459200) { // After Jan 1, 2021 - likely Unix timestamp
-          date = new Date(timestamp * 1000);
-        } else {
-          // Legacy millis timestamp or invalid - use relative time
-          date = new Date(Date.now() - (timestamp / 1000));
-        }
-        
-        return {
-          timestamp: timestamp,
-          date: date,
-          pm1: pm1,
-          pm25: pm25,
-          pm10: pm10,
-          battery: battery,
-          aqi: aqi
-        };
+        return this.createLoggedEntry(
+          parseInt(values[0]) || 0,
+          parseFloat(values[1]) || 0,
+          parseFloat(values[2]) || 0,
+          parseFloat(values[3]) || 0,
+          parseFloat(values[4]) || 0
+        );
       }
       return null;
     }).filter(entry => entry !== null);
@@ -1527,24 +1072,77 @@ class PlatformBluetoothService {
     return parsedData;
   }
 
-  // Convert logged data to CSV format for download
-  loggedDataToCSV(loggedData) {
+  // Parse one binary chunk: a format version byte followed by packed little-endian records
+  parseBinaryLoggedData(bytes) {
+    if (!bytes || bytes.length === 0) {
+      return [];
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint8(0);
+    if (version !== BINARY_FORMAT_VERSION) {
+      throw new Error(`Unsupported binary log format version ${version}, please update the app`);
+    }
+
+    const parsedData = [];
+    for (let offset = 1; offset + LOG_RECORD_SIZE <= bytes.length; offset += LOG_RECORD_SIZE) {
+      parsedData.push(this.createLoggedEntry(
+        view.getUint32(offset, true),
+        view.getUint16(offset + 4, true),
+        view.getUint16(offset + 6, true),
+        view.getUint16(offset + 8, true),
+        view.getUint8(offset + 10)
+      ));
+    }
+
+    return parsedData;
+  }
+
+  // Build the entry object shared by the text and binary log formats
+  createLoggedEntry(timestamp, pm1, pm25, pm10, battery) {
+    // Handle both Unix timestamps (from RTC) and millis timestamps (legacy)
+    let date;
+    if (timestamp > 1609459200) { // After Jan 1, 2021 - likely Unix timestamp
+      date = new Date(timestamp * 1000);
+    } else {
+      // Legacy millis timestamp or invalid - use relative time
+      date = new Date(Date.now() - (timestamp / 1000));
+    }
+
+    return {
+      timestamp: timestamp,
+      date: date,
+      pm1: pm1,
+      pm25: pm25,
+      pm10: pm10,
+      battery: battery,
+      aqi: calculateAQI({ pm25, pm10 }, SettingsService.get('aqiStandard'))
+    };
+  }
+
+  // Convert logged data to CSV format for download.
+  // The AQI column is recomputed on the selected index standard, whatever the entries were logged with.
+  // With a sensor name (its registry label) every row starts with a Sensor column.
+  loggedDataToCSV(loggedData, standardId = SettingsService.get('aqiStandard'), sensorName = null) {
     if (!loggedData || loggedData.length === 0) {
       return '';
     }
 
-    const headers = ['Timestamp', 'Date', 'PM1.0 (μg/m³)', 'PM2.5 (μg/m³)', 'PM10 (μg/m³)', 'Battery (%)', 'AQI'];
-    const csvRows = [headers.join(',')];
+    const standard = getAQIStandard(standardId);
+    const headers = ['Timestamp', 'Date', 'PM1.0 (μg/m³)', 'PM2.5 (μg/m³)', 'PM10 (μg/m³)', 'Battery (%)', `AQI (${standard.shortName})`];
+    const sensorColumn = sensorName ? [`"${sensorName.replace(/"/g, '""')}"`] : [];
+    const csvRows = [[...(sensorName ? ['Sensor'] : []), ...headers].join(',')];
 
     loggedData.forEach(entry => {
       const row = [
+        ...sensorColumn,
         entry.timestamp,
         entry.date.toISOString(),
         entry.pm1,
         entry.pm25,
         entry.pm10,
         entry.battery,
-        entry.aqi
+        calculateAQI(entry, standard.id)
       ];
       csvRows.push(row.join(','));
     });
@@ -1553,14 +1151,14 @@ class PlatformBluetoothService {
   }
 
   // Download logged data as a CSV file (web only)
-  downloadLoggedDataAsFile(loggedData, filename = 'airq_logged_data.csv') {
+  downloadLoggedDataAsFile(loggedData, filename = 'airq_logged_data.csv', sensorName = null) {
     if (!this.isWeb) {
       console.warn('File download only available on web platform');
       return false;
     }
 
     try {
-      const csvContent = this.loggedDataToCSV(loggedData);
+      const csvContent = this.loggedDataToCSV(loggedData, undefined, sensorName);
       
       if (!csvContent) {
         throw new Error('No data to download');
@@ -1588,52 +1186,60 @@ class PlatformBluetoothService {
     }
   }
 
-  // Get chunked transfer statistics (for debugging)
-  getChunkTransferStats() {
-    return {
-      platform: this.isWeb ? 'web' : 'mobile',
-      hasChunkSupport: Boolean(this.chunkInfoCharacteristic && this.chunkRequestCharacteristic),
-      chunkInfoAvailable: Boolean(this.chunkInfoCharacteristic),
-      chunkRequestAvailable: Boolean(this.chunkRequestCharacteristic),
-      loggedDataAvailable: Boolean(this.loggedDataCharacteristic)
-    };
+  // Download a recorded BLE session as a JSON file (web only)
+  downloadSessionFile(session, filename = `airq_ble_session_${Date.now()}.json`) {
+    if (!this.isWeb) {
+      console.warn('File download only available on web platform');
+      return false;
+    }
+
+    try {
+      const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', filename);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      return true;
+    } catch (error) {
+      console.error('Failed to download session file:', error);
+      return false;
+    }
   }
 
-  // Debug function to list all available characteristics
-  async debugListCharacteristics() {
-    if (!this.isWeb || !this.server || !this.server.connected) {
-      console.log('Cannot list characteristics - not connected via Web Bluetooth');
-      return;
+  // Export a recorded BLE session: a JSON file download on web, the share sheet on mobile
+  async exportSessionFile(session) {
+    if (this.isWeb) {
+      return this.downloadSessionFile(session);
     }
 
     try {
-      console.log('=== LISTING ALL CHARACTERISTICS ===');
-      const airqService = await this.server.getPrimaryService(AIRQ_SERVICE_UUID);
-      
-      // Try to get all known characteristics
-      const knownCharacteristics = [
-        { name: 'Live Data', uuid: LIVE_DATA_UUID },
-        { name: 'Logged Data', uuid: LOGGED_DATA_UUID },
-        { name: 'Battery', uuid: BATTERY_UUID },
-        { name: 'Power Mode', uuid: POWER_MODE_UUID },
-        { name: 'RTC Time', uuid: RTC_TIME_UUID },
-        { name: 'Chunk Info', uuid: CHUNK_INFO_UUID },
-        { name: 'Chunk Request', uuid: CHUNK_REQUEST_UUID }
-      ];
-
-      for (const char of knownCharacteristics) {
-        try {
-          const characteristic = await airqService.getCharacteristic(char.uuid);
-          console.log(`✅ ${char.name}: Found (${char.uuid})`);
-        } catch (error) {
-          console.log(`❌ ${char.name}: NOT FOUND (${char.uuid}) - ${error.message}`);
-        }
-      }
-      console.log('=== END CHARACTERISTIC LIST ===');
+      const result = await Share.share({
+        title: 'AirQ BLE session',
+        message: JSON.stringify(session)
+      });
+      return result.action === Share.sharedAction;
     } catch (error) {
-      console.error('Failed to list characteristics:', error);
+      console.error('Failed to share session file:', error);
+      return false;
     }
   }
+
+  // Get chunked transfer statistics (for debugging)
+  getChunkTransferStats() {
+    return {
+      platform: this.getPlatform(),
+      hasChunkSupport: this.transport.hasCharacteristic(CHUNK_INFO_UUID) && this.transport.hasCharacteristic(CHUNK_REQUEST_UUID),
+      chunkInfoAvailable: this.transport.hasCharacteristic(CHUNK_INFO_UUID),
+      chunkRequestAvailable: this.transport.hasCharacteristic(CHUNK_REQUEST_UUID),
+      loggedDataAvailable: this.transport.hasCharacteristic(LOGGED_DATA_UUID)
+    };
+  }
 }
 
+export { PlatformBluetoothService };
 export default new PlatformBluetoothService();
@@ -0,0 +1,220 @@
+// Automatic reconnect
+// After a link loss (not after disconnect()) the last device is reconnected with exponential
+// backoff: initialDelayMs, then ×multiplier per failed attempt up to maxDelayMs. Once a
+// reconnect succeeds, PlatformBluetoothService sets up notifications and the RTC sync again.
+// Retrying stops when the device comes back, the user connects or disconnects, or giveUpAfterMs
+// has passed since the link was lost. In deep-sleep power mode the sensor drops the link between
+// readings, so this is what keeps the app connected there. An attempt that times out or is
+// cancelled is aborted with disconnect(), and the next one waits until it has settled.
+
+const DEFAULT_OPTIONS = {
+  initialDelayMs: 1000,
+  multiplier: 2,
+  maxDelayMs: 30000,
+  attemptTimeoutMs: 15000,     // A connect to a sleeping device can hang; count it as failed
+  giveUpAfterMs: 5 * 60 * 1000
+};
+
+const IDLE_STATUS = { state: 'idle', attempt: 0, nextAttemptAt: null, giveUpAt: null, error: null };
+
+// Delay before the given attempt (1-based)
+export const getBackoffDelay = (attempt, options = DEFAULT_OPTIONS) =>
+  Math.min(options.initialDelayMs * Math.pow(options.multiplier, attempt - 1), options.maxDelayMs);
+
+class ReconnectManager {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.bluetoothService = null;
+    this.status = { ...IDLE_STATUS };
+    this.timer = null;
+    this.lostAt = null;
+    this.pendingAttempt = null;        // reconnect() promise of the attempt in progress
+    this.settled = Promise.resolve();  // Resolves once the last attempt, and its abort, has finished
+    this.aborting = false;             // Our own disconnect() must not cancel the retrying
+
+    this.listeners = {
+      statusChange: []
+    };
+  }
+
+  // Event listener management
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // Override the backoff or the give-up window
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  getStatus() {
+    return { ...this.status };
+  }
+
+  setStatus(status) {
+    this.status = { ...this.status, ...status };
+    this.emit('statusChange', this.getStatus());
+  }
+
+  // Reconnect after every link loss of a Bluetooth service; returns a detach function
+  attach(bluetoothService) {
+    this.bluetoothService = bluetoothService;
+
+    const handleDisconnected = (info) => {
+      if (info.background) {
+        return; // A background sync closed its own session; the foreground link is not affected
+      }
+      if (info.intentional) {
+        if (!this.aborting) {
+          this.cancel();
+        }
+      } else {
+        this.start(info.timestamp);
+      }
+    };
+    const handleConnectionChange = (connected) => {
+      // Connected some other way, e.g. the user pressed Connect while we were waiting
+      if (connected && this.status.state === 'waiting') {
+        this.cancel();
+      }
+    };
+
+    bluetoothService.addEventListener('disconnected', handleDisconnected);
+    bluetoothService.addEventListener('connectionChange', handleConnectionChange);
+
+    return () => {
+      bluetoothService.removeEventListener('disconnected', handleDisconnected);
+      bluetoothService.removeEventListener('connectionChange', handleConnectionChange);
+      this.cancel();
+      this.bluetoothService = null;
+    };
+  }
+
+  start(now = Date.now()) {
+    this.clearTimer();
+    this.lostAt = now;
+    this.status = { ...IDLE_STATUS, giveUpAt: now + this.options.giveUpAfterMs };
+    this.scheduleAttempt(now);
+  }
+
+  // Stop retrying, e.g. because the user disconnected or connected manually. An attempt in
+  // progress is aborted so it can't complete behind an idle manager.
+  cancel() {
+    this.clearTimer();
+    this.lostAt = null;
+    if (this.pendingAttempt) {
+      this.abortAttempt(this.pendingAttempt);
+    }
+    if (this.status.state !== 'idle') {
+      this.setStatus(IDLE_STATUS);
+    }
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Wait for the next attempt, or give up if it would fall outside the window
+  scheduleAttempt(now = Date.now(), error = null) {
+    const attempt = this.status.attempt + 1;
+    const delay = getBackoffDelay(attempt, this.options);
+    if (now + delay > this.status.giveUpAt) {
+      this.setStatus({ state: 'failed', nextAttemptAt: null, error });
+      return;
+    }
+
+    this.setStatus({ state: 'waiting', nextAttemptAt: now + delay, error });
+    this.timer = setTimeout(() => this.attemptReconnect(), delay);
+  }
+
+  async attemptReconnect() {
+    this.timer = null;
+    const lostAt = this.lostAt;
+    // Never overlap attempts: a hung connect has to be aborted before the next one starts
+    await this.settled;
+    if (this.lostAt !== lostAt) return;
+    this.setStatus({ state: 'connecting', attempt: this.status.attempt + 1, nextAttemptAt: null });
+
+    const attempt = this.bluetoothService.reconnect();
+    this.pendingAttempt = attempt;
+    this.settled = attempt.then(() => {}, () => {});
+    let failure = null;
+    try {
+      await this.withTimeout(attempt);
+    } catch (error) {
+      failure = error;
+    }
+    if (this.pendingAttempt !== attempt) return; // Cancelled meanwhile, cancel() aborted the attempt
+    this.pendingAttempt = null;
+
+    if (failure?.timedOut) {
+      await this.abortAttempt(attempt);
+    }
+    if (this.lostAt !== lostAt) return; // Restarted meanwhile
+
+    if (!failure) {
+      console.log(`Reconnected after ${this.status.attempt} attempt(s)`);
+      this.lostAt = null;
+      this.setStatus({ ...IDLE_STATUS, state: 'connected', attempt: this.status.attempt });
+    } else if (failure.cancelled) {
+      this.cancel(); // The user disconnected while we were connecting
+    } else {
+      console.warn(`Reconnect attempt ${this.status.attempt} failed:`, failure.message);
+      this.scheduleAttempt(Date.now(), failure.message);
+    }
+  }
+
+  // Abort a hung or cancelled attempt and resolve once it has settled. A link it opened anyway is closed.
+  abortAttempt(attempt) {
+    this.pendingAttempt = null;
+    this.settled = (async () => {
+      this.aborting = true;
+      try {
+        await this.bluetoothService.disconnect();
+        const connected = await attempt.then(() => true, () => false);
+        if (connected) {
+          await this.bluetoothService.disconnect();
+        }
+      } catch (error) {
+        console.warn('Failed to abort reconnect attempt:', error.message);
+      } finally {
+        this.aborting = false;
+      }
+    })();
+    return this.settled;
+  }
+
+  withTimeout(promise) {
+    let timeout;
+    return Promise.race([
+      promise,
+      new Promise((resolve, reject) => {
+        timeout = setTimeout(() => {
+          const error = new Error('Reconnect attempt timed out');
+          error.timedOut = true;
+          reject(error);
+        }, this.options.attemptTimeoutMs);
+      })
+    ]).finally(() => clearTimeout(timeout));
+  }
+}
+
+export { ReconnectManager };
+export default new ReconnectManager();
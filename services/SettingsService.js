@@ -0,0 +1,71 @@
+// User settings
+// Persisted as one JSON object through StorageService. Values are available synchronously
+// (defaults until load() has finished) and listeners are told about every change.
+
+import StorageService from './StorageService';
+import { DEFAULT_AQI_STANDARD } from './aqiStandards';
+
+const STORAGE_KEY = 'airq_settings';
+
+export const DEFAULT_SETTINGS = {
+  aqiStandard: DEFAULT_AQI_STANDARD,
+  breathingRate: null // Exposure breathing rate preset, null leaves the inhaled dose out
+};
+
+class SettingsService {
+  constructor() {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.listeners = [];
+    this.loading = null;
+  }
+
+  // Read the stored settings once; later calls return the same promise
+  load() {
+    if (!this.loading) {
+      this.loading = StorageService.getJSON(STORAGE_KEY, {}).then(stored => {
+        this.settings = { ...DEFAULT_SETTINGS, ...stored };
+        this.notify();
+        return this.settings;
+      });
+    }
+    return this.loading;
+  }
+
+  get(key) {
+    return this.settings[key];
+  }
+
+  getAll() {
+    return { ...this.settings };
+  }
+
+  async set(key, value) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    this.settings = { ...this.settings, [key]: value };
+    this.notify();
+    try {
+      await StorageService.setJSON(STORAGE_KEY, this.settings);
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+    }
+  }
+
+  // Returns a function that removes the listener
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify() {
+    const settings = this.getAll();
+    this.listeners.forEach(listener => listener(settings));
+  }
+}
+
+export { SettingsService };
+export default new SettingsService();
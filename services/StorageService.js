@@ -0,0 +1,108 @@
+// Cross-platform persistent key-value storage
+// Uses IndexedDB on web (falling back to localStorage) and AsyncStorage on mobile
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const DB_NAME = 'airq';
+const DB_VERSION = 1;
+const STORE_NAME = 'kv';
+
+class StorageService {
+  constructor() {
+    this.isWeb = Platform.OS === 'web';
+    this.dbPromise = null;
+  }
+
+  // Check if IndexedDB can be used on this platform
+  hasIndexedDB() {
+    return this.isWeb && typeof indexedDB !== 'undefined';
+  }
+
+  // Open (or create) the IndexedDB database once and reuse the handle
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        console.error('Failed to open IndexedDB, falling back to localStorage:', error);
+        this.dbPromise = null;
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run a single request against the IndexedDB object store
+  async runRequest(mode, operation) {
+    const db = await this.openDatabase();
+    if (!db) {
+      return undefined;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getItem(key) {
+    if (this.hasIndexedDB() && await this.openDatabase()) {
+      const value = await this.runRequest('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    }
+    return AsyncStorage.getItem(key);
+  }
+
+  async setItem(key, value) {
+    if (this.hasIndexedDB() && await this.openDatabase()) {
+      await this.runRequest('readwrite', store => store.put(value, key));
+      return;
+    }
+    await AsyncStorage.setItem(key, value);
+  }
+
+  async removeItem(key) {
+    if (this.hasIndexedDB() && await this.openDatabase()) {
+      await this.runRequest('readwrite', store => store.delete(key));
+      return;
+    }
+    await AsyncStorage.removeItem(key);
+  }
+
+  async getAllKeys() {
+    if (this.hasIndexedDB() && await this.openDatabase()) {
+      const keys = await this.runRequest('readonly', store => store.getAllKeys());
+      return (keys || []).map(key => key.toString());
+    }
+    return AsyncStorage.getAllKeys();
+  }
+
+  // JSON helpers - values are always stored as strings so both backends behave the same
+  async getJSON(key, fallback = null) {
+    try {
+      const value = await this.getItem(key);
+      return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+      console.error(`Failed to read ${key} from storage:`, error);
+      return fallback;
+    }
+  }
+
+  async setJSON(key, value) {
+    await this.setItem(key, JSON.stringify(value));
+  }
+}
+
+export default new StorageService();
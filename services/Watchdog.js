@@ -0,0 +1,183 @@
+// Connection watchdog
+// Warns when live readings stop arriving, when the sensor battery drops to the warning or
+// critical level and when the link to the sensor is lost. Readings count as stale once none
+// has arrived for staleMultiplier × expectedIntervalMs. Disconnects requested through
+// disconnect() are reported by the Bluetooth service as intentional and don't warn.
+
+const DEFAULT_OPTIONS = {
+  expectedIntervalMs: 10000,  // The firmware takes a reading every 10 s
+  staleMultiplier: 3,         // Missed intervals before readings count as stale
+  batteryWarningLevel: 50,    // Same levels as the battery card
+  batteryCriticalLevel: 20,
+  batteryHysteresis: 5,       // Percent a level has to recover by before it can warn again
+  checkIntervalMs: 1000
+};
+
+const BATTERY_LEVELS = ['normal', 'warning', 'critical'];
+
+// Battery level ('normal', 'warning' or 'critical') for a reading, given the previous level.
+// Getting worse is immediate; a level is only left once the battery is the hysteresis margin above its limit.
+export const classifyBattery = (battery, previousLevel = 'normal', options = DEFAULT_OPTIONS) => {
+  const { batteryWarningLevel, batteryCriticalLevel, batteryHysteresis } = options;
+  const levelFor = (margin) => {
+    if (battery < batteryCriticalLevel + margin) return 'critical';
+    if (battery < batteryWarningLevel + margin) return 'warning';
+    return 'normal';
+  };
+  const rank = level => BATTERY_LEVELS.indexOf(level);
+
+  const level = levelFor(0);
+  if (rank(level) >= rank(previousLevel)) {
+    return level;
+  }
+  const recovered = levelFor(batteryHysteresis);
+  return rank(recovered) < rank(previousLevel) ? recovered : previousLevel;
+};
+
+class Watchdog {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.connected = false;
+    this.lastReadingAt = null;
+    this.stale = false;
+    this.linkLost = false;
+    this.batteryLevel = 'normal';
+    this.timer = null;
+
+    this.listeners = {
+      warning: [],
+      recovered: []
+    };
+  }
+
+  // Event listener management
+  addEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // Override the expected interval, stale multiplier or battery levels
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  getStaleAfterMs() {
+    return this.options.expectedIntervalMs * this.options.staleMultiplier;
+  }
+
+  // Watch the events of a Bluetooth service; returns a detach function
+  attach(bluetoothService) {
+    const handleConnectionChange = (connected) => {
+      if (connected) {
+        this.start();
+      }
+    };
+    const handleDisconnected = (info) => {
+      this.stop();
+      if (!info.intentional) {
+        this.linkLost = true;
+        this.warn('linkLost', 'Connection lost', 'The sensor disconnected unexpectedly.', info.timestamp);
+      }
+    };
+    const handleAirQualityUpdate = (data) => {
+      this.recordReading(data.timestamp);
+      if (typeof data.battery === 'number') {
+        this.recordBattery(data.battery, data.timestamp);
+      }
+    };
+    const handleBatteryUpdate = (data) => {
+      this.recordBattery(data.batteryLevel, data.timestamp);
+    };
+
+    bluetoothService.addEventListener('connectionChange', handleConnectionChange);
+    bluetoothService.addEventListener('disconnected', handleDisconnected);
+    bluetoothService.addEventListener('airQualityUpdate', handleAirQualityUpdate);
+    bluetoothService.addEventListener('batteryUpdate', handleBatteryUpdate);
+
+    return () => {
+      bluetoothService.removeEventListener('connectionChange', handleConnectionChange);
+      bluetoothService.removeEventListener('disconnected', handleDisconnected);
+      bluetoothService.removeEventListener('airQualityUpdate', handleAirQualityUpdate);
+      bluetoothService.removeEventListener('batteryUpdate', handleBatteryUpdate);
+      this.stop();
+    };
+  }
+
+  // Start watching a new connection. The stale timer counts from now until the first reading.
+  start(now = Date.now()) {
+    this.stop();
+    this.connected = true;
+    this.lastReadingAt = now;
+    this.stale = false;
+    this.batteryLevel = 'normal';
+    this.timer = setInterval(() => this.check(), this.options.checkIntervalMs);
+
+    if (this.linkLost) {
+      this.linkLost = false;
+      this.emit('recovered', { type: 'linkLost', timestamp: now });
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.connected = false;
+  }
+
+  recordReading(timestamp = Date.now()) {
+    this.lastReadingAt = timestamp;
+    if (this.stale) {
+      this.stale = false;
+      this.emit('recovered', { type: 'stale', timestamp });
+    }
+  }
+
+  recordBattery(battery, timestamp = Date.now()) {
+    if (typeof battery !== 'number' || isNaN(battery) || battery <= 0) return;
+
+    const previous = this.batteryLevel;
+    this.batteryLevel = classifyBattery(battery, previous, this.options);
+    if (this.batteryLevel === previous) return;
+
+    if (this.batteryLevel === 'critical') {
+      this.warn('batteryCritical', 'Battery critical', `Sensor battery is at ${battery}%. Charge it soon to keep logging.`, timestamp);
+    } else if (this.batteryLevel === 'warning' && previous === 'normal') {
+      this.warn('batteryWarning', 'Battery low', `Sensor battery is at ${battery}%.`, timestamp);
+    } else if (this.batteryLevel === 'normal') {
+      this.emit('recovered', { type: 'battery', timestamp });
+    }
+  }
+
+  // Warn once when readings go stale; recordReading() re-arms it
+  check(now = Date.now()) {
+    if (!this.connected || this.stale || this.lastReadingAt === null) return;
+
+    const silentMs = now - this.lastReadingAt;
+    if (silentMs > this.getStaleAfterMs()) {
+      this.stale = true;
+      this.warn('stale', 'No new readings', `No reading from the sensor for ${Math.round(silentMs / 1000)}s.`, now);
+    }
+  }
+
+  warn(type, title, message, timestamp = Date.now()) {
+    this.emit('warning', { type, title, message, timestamp });
+  }
+}
+
+export { Watchdog };
+export default new Watchdog();
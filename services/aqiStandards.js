@@ -0,0 +1,233 @@
+// Regional air quality index standards
+// Each standard has a breakpoint table per pollutant and the categories of its scale. Banded
+// indices (EAQI, DAQI, AQHI) map a whole concentration range onto one level, which is expressed
+// as a row whose index range starts and ends on the same value. Concentrations are truncated to
+// the table's precision (decimals) before lookup; readings above the last row get maxIndex.
+
+// Banded rows from the upper concentration limit of each level (1, 2, 3, ...)
+const bands = (upperLimits, decimals) => upperLimits.map((upper, i) => ({
+  concentration: [i === 0 ? 0 : upperLimits[i - 1] + 10 ** -decimals, upper],
+  aqi: [i + 1, i + 1]
+}));
+
+const US_EPA = {
+  id: 'us-epa',
+  name: 'US EPA AQI',
+  shortName: 'US EPA',
+  description: 'United States, 2024 PM2.5 breakpoints. 0-500, higher is worse.',
+  maxIndex: 500,
+  pollutants: {
+    pm25: {
+      decimals: 1,
+      breakpoints: [
+        { concentration: [0.0, 9.0], aqi: [0, 50] },
+        { concentration: [9.1, 35.4], aqi: [51, 100] },
+        { concentration: [35.5, 55.4], aqi: [101, 150] },
+        { concentration: [55.5, 125.4], aqi: [151, 200] },
+        { concentration: [125.5, 225.4], aqi: [201, 300] },
+        { concentration: [225.5, 325.4], aqi: [301, 500] }
+      ]
+    },
+    pm10: {
+      decimals: 0,
+      breakpoints: [
+        { concentration: [0, 54], aqi: [0, 50] },
+        { concentration: [55, 154], aqi: [51, 100] },
+        { concentration: [155, 254], aqi: [101, 150] },
+        { concentration: [255, 354], aqi: [151, 200] },
+        { concentration: [355, 424], aqi: [201, 300] },
+        { concentration: [425, 604], aqi: [301, 500] }
+      ]
+    }
+  },
+  // status maps a category onto the normal/warning/critical indicator of MetricCard
+  categories: [
+    {
+      maxAqi: 50,
+      label: 'Good',
+      color: '#00e400',
+      status: 'normal',
+      healthMessage: 'Air quality is satisfactory and poses little or no risk.'
+    },
+    {
+      maxAqi: 100,
+      label: 'Moderate',
+      color: '#ffff00',
+      status: 'warning',
+      healthMessage: 'Unusually sensitive people should consider reducing prolonged or heavy exertion.'
+    },
+    {
+      maxAqi: 150,
+      label: 'Unhealthy for Sensitive Groups',
+      color: '#ff7e00',
+      status: 'critical',
+      healthMessage: 'People with heart or lung disease, older adults and children should reduce prolonged or heavy exertion.'
+    },
+    {
+      maxAqi: 200,
+      label: 'Unhealthy',
+      color: '#ff0000',
+      status: 'critical',
+      healthMessage: 'Everyone should reduce prolonged or heavy exertion; sensitive groups should avoid it.'
+    },
+    {
+      maxAqi: 300,
+      label: 'Very Unhealthy',
+      color: '#8f3f97',
+      status: 'critical',
+      healthMessage: 'Health alert: everyone should avoid prolonged or heavy exertion.'
+    },
+    {
+      maxAqi: Infinity,
+      label: 'Hazardous',
+      color: '#7e0023',
+      status: 'critical',
+      healthMessage: 'Health warning of emergency conditions: everyone should avoid physical activity outdoors.'
+    }
+  ]
+};
+
+const EU_EAQI = {
+  id: 'eu-eaqi',
+  name: 'European Air Quality Index',
+  shortName: 'EAQI',
+  description: 'European Environment Agency. Levels 1-6 from Good to Extremely poor.',
+  maxIndex: 6,
+  pollutants: {
+    pm25: { decimals: 1, breakpoints: bands([10, 20, 25, 50, 75, 800], 1) },
+    pm10: { decimals: 1, breakpoints: bands([20, 40, 50, 100, 150, 1200], 1) }
+  },
+  categories: [
+    { maxAqi: 1, label: 'Good', color: '#50f0e6', status: 'normal', healthMessage: 'The air quality is good. Enjoy your usual outdoor activities.' },
+    { maxAqi: 2, label: 'Fair', color: '#50ccaa', status: 'normal', healthMessage: 'Enjoy your usual outdoor activities.' },
+    { maxAqi: 3, label: 'Moderate', color: '#f0e641', status: 'warning', healthMessage: 'Consider reducing intense outdoor activities if you experience symptoms.' },
+    { maxAqi: 4, label: 'Poor', color: '#ff5050', status: 'critical', healthMessage: 'Consider reducing intense activities outdoors if you experience symptoms such as sore eyes, a cough or sore throat.' },
+    { maxAqi: 5, label: 'Very poor', color: '#960032', status: 'critical', healthMessage: 'Consider reducing physical activities, particularly outdoors, especially if you experience symptoms.' },
+    { maxAqi: Infinity, label: 'Extremely poor', color: '#7d2181', status: 'critical', healthMessage: 'Reduce physical activities outdoors.' }
+  ]
+};
+
+const UK_DAQI = {
+  id: 'uk-daqi',
+  name: 'UK Daily Air Quality Index',
+  shortName: 'DAQI',
+  description: 'Department for Environment, Food & Rural Affairs. Bands 1-10.',
+  maxIndex: 10,
+  pollutants: {
+    pm25: { decimals: 0, breakpoints: bands([11, 23, 35, 41, 47, 53, 58, 64, 70], 0) },
+    pm10: { decimals: 0, breakpoints: bands([16, 33, 50, 58, 66, 75, 83, 91, 100], 0) }
+  },
+  categories: [
+    { maxAqi: 3, label: 'Low', color: '#31cf00', status: 'normal', healthMessage: 'Enjoy your usual outdoor activities.' },
+    { maxAqi: 6, label: 'Moderate', color: '#ff9a00', status: 'warning', healthMessage: 'Adults and children with lung problems, and adults with heart problems, who experience symptoms should consider reducing strenuous physical activity outdoors.' },
+    { maxAqi: 9, label: 'High', color: '#ff0000', status: 'critical', healthMessage: 'Anyone experiencing discomfort such as sore eyes, cough or sore throat should consider reducing activity, particularly outdoors.' },
+    { maxAqi: Infinity, label: 'Very High', color: '#ce30ff', status: 'critical', healthMessage: 'Reduce physical exertion, particularly outdoors, especially if you experience symptoms such as cough or sore throat.' }
+  ]
+};
+
+const INDIA_NAQI = {
+  id: 'in-naqi',
+  name: 'India National AQI',
+  shortName: 'NAQI',
+  description: 'Central Pollution Control Board. 0-500, higher is worse.',
+  maxIndex: 500,
+  pollutants: {
+    pm25: {
+      decimals: 0,
+      breakpoints: [
+        { concentration: [0, 30], aqi: [0, 50] },
+        { concentration: [31, 60], aqi: [51, 100] },
+        { concentration: [61, 90], aqi: [101, 200] },
+        { concentration: [91, 120], aqi: [201, 300] },
+        { concentration: [121, 250], aqi: [301, 400] },
+        { concentration: [251, 380], aqi: [401, 500] }
+      ]
+    },
+    pm10: {
+      decimals: 0,
+      breakpoints: [
+        { concentration: [0, 50], aqi: [0, 50] },
+        { concentration: [51, 100], aqi: [51, 100] },
+        { concentration: [101, 250], aqi: [101, 200] },
+        { concentration: [251, 350], aqi: [201, 300] },
+        { concentration: [351, 430], aqi: [301, 400] },
+        { concentration: [431, 510], aqi: [401, 500] }
+      ]
+    }
+  },
+  categories: [
+    { maxAqi: 50, label: 'Good', color: '#00b050', status: 'normal', healthMessage: 'Minimal impact.' },
+    { maxAqi: 100, label: 'Satisfactory', color: '#92d050', status: 'warning', healthMessage: 'Minor breathing discomfort to sensitive people.' },
+    { maxAqi: 200, label: 'Moderate', color: '#ffff00', status: 'warning', healthMessage: 'Breathing discomfort to people with lung or heart disease, children and older adults.' },
+    { maxAqi: 300, label: 'Poor', color: '#ff9900', status: 'critical', healthMessage: 'Breathing discomfort to most people on prolonged exposure.' },
+    { maxAqi: 400, label: 'Very Poor', color: '#ff0000', status: 'critical', healthMessage: 'Respiratory illness on prolonged exposure.' },
+    { maxAqi: Infinity, label: 'Severe', color: '#c00000', status: 'critical', healthMessage: 'Affects healthy people and seriously impacts those with existing diseases.' }
+  ]
+};
+
+const CHINA_AQI = {
+  id: 'cn-aqi',
+  name: 'China AQI',
+  shortName: 'AQI (CN)',
+  description: 'Ministry of Ecology and Environment (HJ 633-2012). 0-500, higher is worse.',
+  maxIndex: 500,
+  pollutants: {
+    pm25: {
+      decimals: 0,
+      breakpoints: [
+        { concentration: [0, 35], aqi: [0, 50] },
+        { concentration: [35, 75], aqi: [50, 100] },
+        { concentration: [75, 115], aqi: [100, 150] },
+        { concentration: [115, 150], aqi: [150, 200] },
+        { concentration: [150, 250], aqi: [200, 300] },
+        { concentration: [250, 350], aqi: [300, 400] },
+        { concentration: [350, 500], aqi: [400, 500] }
+      ]
+    },
+    pm10: {
+      decimals: 0,
+      breakpoints: [
+        { concentration: [0, 50], aqi: [0, 50] },
+        { concentration: [50, 150], aqi: [50, 100] },
+        { concentration: [150, 250], aqi: [100, 150] },
+        { concentration: [250, 350], aqi: [150, 200] },
+        { concentration: [350, 420], aqi: [200, 300] },
+        { concentration: [420, 500], aqi: [300, 400] },
+        { concentration: [500, 600], aqi: [400, 500] }
+      ]
+    }
+  },
+  categories: [
+    { maxAqi: 50, label: 'Excellent', color: '#00e400', status: 'normal', healthMessage: 'Air quality is satisfactory with almost no pollution.' },
+    { maxAqi: 100, label: 'Good', color: '#ffff00', status: 'warning', healthMessage: 'Air quality is acceptable; a few unusually sensitive people should reduce outdoor activity.' },
+    { maxAqi: 150, label: 'Lightly Polluted', color: '#ff7e00', status: 'critical', healthMessage: 'Children, older adults and people with heart or lung disease should reduce prolonged, strenuous outdoor exercise.' },
+    { maxAqi: 200, label: 'Moderately Polluted', color: '#ff0000', status: 'critical', healthMessage: 'Sensitive groups should avoid prolonged, strenuous outdoor exercise; everyone else should reduce it.' },
+    { maxAqi: 300, label: 'Heavily Polluted', color: '#99004c', status: 'critical', healthMessage: 'Sensitive groups should stay indoors; everyone should reduce outdoor activity.' },
+    { maxAqi: Infinity, label: 'Severely Polluted', color: '#7e0023', status: 'critical', healthMessage: 'Sensitive groups should stay indoors and avoid exertion; everyone should avoid outdoor activity.' }
+  ]
+};
+
+// AQHI+ (PM2.5 only): one level per 10 μg/m³, "10+" above 100 μg/m³ is reported as 11
+const CANADA_AQHI = {
+  id: 'ca-aqhi',
+  name: 'Canada AQHI+ (PM2.5)',
+  shortName: 'AQHI+',
+  description: 'Environment Canada AQHI-style bands from PM2.5 alone. 1-10, then 10+.',
+  maxIndex: 11,
+  pollutants: {
+    pm25: { decimals: 1, breakpoints: bands([10, 20, 30, 40, 50, 60, 70, 80, 90, 100], 1) }
+  },
+  categories: [
+    { maxAqi: 3, label: 'Low Risk', color: '#0099cc', status: 'normal', healthMessage: 'Ideal air quality for outdoor activities.' },
+    { maxAqi: 6, label: 'Moderate Risk', color: '#ffcc00', status: 'warning', healthMessage: 'No need to change your usual outdoor activities unless you experience symptoms such as coughing and throat irritation.' },
+    { maxAqi: 10, label: 'High Risk', color: '#ff0000', status: 'critical', healthMessage: 'Consider reducing or rescheduling strenuous activities outdoors if you experience symptoms.' },
+    { maxAqi: Infinity, label: 'Very High Risk', color: '#660000', status: 'critical', healthMessage: 'Reduce or reschedule strenuous activities outdoors, especially if you experience symptoms.' }
+  ]
+};
+
+export const AQI_STANDARDS = [US_EPA, EU_EAQI, UK_DAQI, INDIA_NAQI, CHINA_AQI, CANADA_AQHI];
+
+export const DEFAULT_AQI_STANDARD = US_EPA.id;
+
+export const getAQIStandard = (id) =>
+  AQI_STANDARDS.find(standard => standard.id === id) || US_EPA;
@@ -0,0 +1,314 @@
+// react-native-ble-plx transport
+// Adapter over BleManager implementing the same interface as WebBluetoothTransport.
+// ble-plx exchanges characteristic values as base64 strings; they are converted to Uint8Array here
+// so nothing above the transport has to care.
+
+import { Platform } from 'react-native';
+
+export const decodeBase64 = (base64String) => {
+  let binaryString = '';
+  if (typeof atob === 'function') {
+    binaryString = atob(base64String);
+  } else if (typeof Buffer !== 'undefined') {
+    binaryString = Buffer.from(base64String, 'base64').toString('binary');
+  } else {
+    throw new Error('Base64 decoding not supported');
+  }
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes;
+};
+
+export const encodeBase64 = (bytes) => {
+  let binaryString = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binaryString += String.fromCharCode(bytes[i]);
+  }
+  if (typeof btoa === 'function') {
+    return btoa(binaryString);
+  } else if (typeof Buffer !== 'undefined') {
+    return Buffer.from(binaryString, 'binary').toString('base64');
+  }
+  throw new Error('Base64 encoding not supported');
+};
+
+// ble-plx supports a single BleManager per app, so the transports of all connected sensors share it
+let sharedManager = null;
+
+// The BleManager runs one scan at a time and a new scan replaces the running one. The scan started
+// last is tracked so that stopping an older scan can't end a newer one, e.g. the device picker's.
+let activeScan = null;
+
+class BlePlxTransport {
+  constructor({ serviceUUID, characteristics, deviceName, deviceNamePrefix }) {
+    this.serviceUUID = serviceUUID;
+    this.characteristicList = characteristics;
+    this.deviceName = deviceName;
+    this.deviceNamePrefix = deviceNamePrefix;
+    this.supportsAutoConnect = true;
+    this.supportsDeviceList = true;
+    this.requestDelayMs = 200;
+
+    this.manager = null;
+    this.PermissionsAndroid = null;
+    this.ready = null;
+    this.device = null;
+    this.connectingId = null; // Device a connect is in progress for, so disconnect() can abort it
+    this.connected = false;
+    this.characteristics = new Map();
+    this.disconnectListeners = [];
+    this.disconnectSubscription = null;
+  }
+
+  // ble-plx is a native module, so it is only loaded on mobile and only once Bluetooth is used
+  init() {
+    if (!this.ready) {
+      this.ready = this.loadManager();
+    }
+    return this.ready;
+  }
+
+  async loadManager() {
+    try {
+      const { BleManager } = await import('react-native-ble-plx');
+      const { PermissionsAndroid } = await import('react-native');
+
+      if (!sharedManager) {
+        sharedManager = new BleManager();
+      }
+      this.manager = sharedManager;
+      this.PermissionsAndroid = PermissionsAndroid;
+    } catch (error) {
+      console.error('Failed to initialize mobile BLE service:', error);
+    }
+  }
+
+  isSupported() {
+    return !this.ready || this.manager !== null;
+  }
+
+  async requestPermissions() {
+    if (Platform.OS === 'android' && this.PermissionsAndroid) {
+      const granted = await this.PermissionsAndroid.requestMultiple([
+        this.PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
+        this.PermissionsAndroid.PERMISSIONS.BLUETOOTH_SCAN,
+        this.PermissionsAndroid.PERMISSIONS.BLUETOOTH_CONNECT,
+      ]);
+
+      return Object.values(granted).every(
+        permission => permission === this.PermissionsAndroid.RESULTS.GRANTED
+      );
+    }
+    return true;
+  }
+
+  // Check Bluetooth is usable, then report every advertisement from an AirQ device.
+  // Returns a handle for stopScan().
+  async startScan(onDevice, scanOptions = null) {
+    await this.init();
+    if (!this.isSupported()) {
+      throw new Error('Bluetooth is not available on this device');
+    }
+
+    const hasPermissions = await this.requestPermissions();
+    if (!hasPermissions) {
+      throw new Error('Bluetooth permissions not granted');
+    }
+
+    const state = await this.manager.state();
+    if (state !== 'PoweredOn') {
+      throw new Error('Bluetooth is not enabled');
+    }
+
+    const scan = {};
+    activeScan = scan;
+    this.manager.startDeviceScan(null, scanOptions, (error, device) => {
+      if (error) {
+        console.error('Mobile BLE scan error:', error);
+        return;
+      }
+
+      if (activeScan === scan && device && (device.name === this.deviceName || device.name?.includes(this.deviceNamePrefix))) {
+        onDevice(device);
+      }
+    });
+    return scan;
+  }
+
+  // Stop a scan unless a newer one has replaced it
+  stopScan(scan) {
+    if (activeScan === scan) {
+      activeScan = null;
+      this.manager.stopDeviceScan();
+    }
+  }
+
+  // Scan until the first AirQ device shows up (or 30 seconds pass)
+  async scan(onDeviceFound) {
+    console.log('Starting mobile BLE scan...');
+
+    let found = false;
+    let scan = null;
+    let stopTimer = null;
+    scan = await this.startScan((device) => {
+      if (found) return;
+      found = true;
+      clearTimeout(stopTimer);
+      console.log('Found AirQ device:', device.id);
+      this.stopScan(scan);
+      onDeviceFound(device);
+    });
+
+    // Stop scanning after 30 seconds
+    if (!found) {
+      stopTimer = setTimeout(() => this.stopScan(scan), 30000);
+    }
+  }
+
+  // Report every advertisement of every AirQ device with its RSSI until the returned function is called.
+  // iOS reports each device only once unless duplicates are allowed.
+  async watchDevices(onAdvertisement) {
+    console.log('Starting mobile BLE device watch...');
+    const scan = await this.startScan((device) => {
+      onAdvertisement({ id: device.id, name: device.name, rssi: device.rssi, device });
+    }, { allowDuplicates: true });
+
+    return () => this.stopScan(scan);
+  }
+
+  async connect(device) {
+    await this.init();
+    console.log('Connecting to mobile BLE device:', device.id);
+
+    // Streamed log chunks are sent as single notifications, so ask for a large MTU (Android; iOS negotiates itself)
+    this.connectingId = device.id;
+    try {
+      this.device = await device.connect({ requestMTU: 517 });
+    } finally {
+      this.connectingId = null;
+    }
+    await this.discoverCharacteristics();
+  }
+
+  // Connect to a known device by id without scanning
+  async reconnect(deviceId) {
+    await this.init();
+    if (!this.isSupported()) {
+      throw new Error('Bluetooth is not available on this device');
+    }
+    console.log('Reconnecting to mobile BLE device:', deviceId);
+
+    this.connectingId = deviceId;
+    try {
+      this.device = await this.manager.connectToDevice(deviceId, { requestMTU: 517 });
+    } finally {
+      this.connectingId = null;
+    }
+    await this.discoverCharacteristics();
+  }
+
+  // Look up every known characteristic and start watching for link loss
+  async discoverCharacteristics() {
+    await this.device.discoverAllServicesAndCharacteristics();
+    console.log('Mobile BLE services discovered');
+
+    this.characteristics.clear();
+    const found = await this.device.characteristicsForService(this.serviceUUID);
+    for (const { name, uuid } of this.characteristicList) {
+      const characteristic = found.find(c => c.uuid.toLowerCase() === uuid);
+      if (characteristic) {
+        this.characteristics.set(uuid, characteristic);
+        console.log(`✅ ${name}: Found (${uuid})`);
+      } else {
+        console.log(`❌ ${name}: NOT FOUND (${uuid})`);
+      }
+    }
+
+    this.connected = true;
+    this.disconnectSubscription?.remove();
+    this.disconnectSubscription = this.device.onDisconnected(() => this.handleDisconnected());
+    console.log('Mobile BLE connected successfully');
+  }
+
+  async disconnect() {
+    if (this.device && this.connected) {
+      await this.device.cancelConnection();
+    } else if (this.connectingId) {
+      // Rejects the pending connect
+      await this.manager.cancelDeviceConnection(this.connectingId).catch(() => {});
+    }
+    console.log('Disconnected from mobile BLE device');
+  }
+
+  handleDisconnected() {
+    console.log('Mobile BLE device disconnected');
+    this.connected = false;
+    this.characteristics.clear();
+    this.disconnectSubscription?.remove();
+    this.disconnectSubscription = null;
+    this.disconnectListeners.forEach(callback => callback());
+  }
+
+  onDisconnect(callback) {
+    this.disconnectListeners.push(callback);
+    return () => {
+      this.disconnectListeners = this.disconnectListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  getDevice() {
+    return this.device ? { id: this.device.id, name: this.device.name } : null;
+  }
+
+  hasCharacteristic(uuid) {
+    return this.characteristics.has(uuid);
+  }
+
+  canNotify(uuid) {
+    return Boolean(this.characteristics.get(uuid)?.isNotifiable);
+  }
+
+  assertAvailable(uuid) {
+    if (!this.connected || !this.characteristics.has(uuid)) {
+      throw new Error(`Device not connected or characteristic ${uuid} not available`);
+    }
+  }
+
+  async read(uuid) {
+    this.assertAvailable(uuid);
+    const characteristic = await this.device.readCharacteristicForService(this.serviceUUID, uuid);
+    return characteristic?.value ? decodeBase64(characteristic.value) : new Uint8Array(0);
+  }
+
+  async write(uuid, bytes) {
+    this.assertAvailable(uuid);
+    await this.device.writeCharacteristicWithResponseForService(this.serviceUUID, uuid, encodeBase64(bytes));
+  }
+
+  async subscribe(uuid, onValue) {
+    this.assertAvailable(uuid);
+    const subscription = this.device.monitorCharacteristicForService(
+      this.serviceUUID,
+      uuid,
+      (error, characteristic) => {
+        if (error) {
+          // Also reported when the connection drops, which onDisconnect already covers
+          console.warn(`Notification error for ${uuid}:`, error.message);
+          return;
+        }
+        if (characteristic?.value) {
+          onValue(decodeBase64(characteristic.value));
+        }
+      }
+    );
+    return () => subscription.remove();
+  }
+}
+
+export default BlePlxTransport;
@@ -0,0 +1,215 @@
+// Recording transport
+// Transparent wrapper around another transport. While recording it logs every characteristic
+// read, write and notification (plus connects, link losses and failures) with a timestamp,
+// producing a session that ReplayTransport can play back.
+
+import { Platform } from 'react-native';
+import { CHARACTERISTICS } from '../AirQProtocol';
+
+export const SESSION_FORMAT = 'airq-ble-session';
+export const SESSION_VERSION = 1;
+
+export const bytesToHex = (bytes) =>
+  Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const hexToBytes = (hex) => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+// Parse an exported session file, e.g. one shared by a teammate. Throws when it isn't a session
+// this version can replay.
+export const parseSession = (text) => {
+  let session;
+  try {
+    session = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    throw new Error('Session file is not valid JSON');
+  }
+
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error('Not an AirQ BLE session recording');
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session format version ${session.version} is newer than this app supports`);
+  }
+  if (!Array.isArray(session.events) || !Array.isArray(session.characteristics)) {
+    throw new Error('Session recording has no events');
+  }
+  return session;
+};
+
+class RecordingTransport {
+  constructor(transport) {
+    this.transport = transport;
+    this.session = null;
+    this.startedAt = 0;
+  }
+
+  get requestDelayMs() {
+    return this.transport.requestDelayMs;
+  }
+
+  get supportsAutoConnect() {
+    return this.transport.supportsAutoConnect;
+  }
+
+  get supportsDeviceList() {
+    return this.transport.supportsDeviceList;
+  }
+
+  isRecording() {
+    return this.session !== null;
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    this.session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      recordedAt: new Date(this.startedAt).toISOString(),
+      platform: Platform.OS,
+      requestDelayMs: this.transport.requestDelayMs,
+      device: null,
+      characteristics: [],
+      events: []
+    };
+    console.log('BLE session recording started');
+
+    // Recording can start while already connected, so take the connection as the first event
+    if (this.transport.isConnected()) {
+      this.recordConnection();
+    }
+  }
+
+  // Returns the finished session
+  stop() {
+    const session = this.session;
+    this.session = null;
+    if (session) {
+      session.durationMs = Date.now() - this.startedAt;
+      console.log(`BLE session recording stopped: ${session.events.length} events in ${session.durationMs} ms`);
+    }
+    return session;
+  }
+
+  record(type, uuid = null, value = null, error = null) {
+    if (!this.session) {
+      return;
+    }
+    const event = { t: Date.now() - this.startedAt, type };
+    if (uuid) event.uuid = uuid;
+    if (value) event.value = bytesToHex(value);
+    if (error) event.error = error.message || String(error);
+    this.session.events.push(event);
+  }
+
+  recordConnection() {
+    if (!this.session) {
+      return;
+    }
+    this.session.device = this.transport.getDevice();
+    this.session.characteristics = CHARACTERISTICS
+      .filter(({ uuid }) => this.transport.hasCharacteristic(uuid))
+      .map(({ uuid }) => ({ uuid, notify: this.transport.canNotify(uuid) }));
+    this.record('connect');
+  }
+
+  isSupported() {
+    return this.transport.isSupported();
+  }
+
+  scan(onDeviceFound) {
+    return this.transport.scan(onDeviceFound);
+  }
+
+  watchDevices(onAdvertisement) {
+    return this.transport.watchDevices(onAdvertisement);
+  }
+
+  async connect(device) {
+    try {
+      await this.transport.connect(device);
+    } catch (error) {
+      this.record('connect', null, null, error);
+      throw error;
+    }
+    this.recordConnection();
+  }
+
+  async reconnect(deviceId) {
+    try {
+      await this.transport.reconnect(deviceId);
+    } catch (error) {
+      this.record('connect', null, null, error);
+      throw error;
+    }
+    this.recordConnection();
+  }
+
+  async disconnect() {
+    this.record('disconnect');
+    await this.transport.disconnect();
+  }
+
+  onDisconnect(callback) {
+    return this.transport.onDisconnect(() => {
+      this.record('linkLost');
+      callback();
+    });
+  }
+
+  isConnected() {
+    return this.transport.isConnected();
+  }
+
+  getDevice() {
+    return this.transport.getDevice();
+  }
+
+  hasCharacteristic(uuid) {
+    return this.transport.hasCharacteristic(uuid);
+  }
+
+  canNotify(uuid) {
+    return this.transport.canNotify(uuid);
+  }
+
+  async read(uuid) {
+    try {
+      const value = await this.transport.read(uuid);
+      this.record('read', uuid, value);
+      return value;
+    } catch (error) {
+      this.record('read', uuid, null, error);
+      throw error;
+    }
+  }
+
+  async write(uuid, bytes) {
+    try {
+      await this.transport.write(uuid, bytes);
+      this.record('write', uuid, bytes);
+    } catch (error) {
+      this.record('write', uuid, bytes, error);
+      throw error;
+    }
+  }
+
+  async subscribe(uuid, onValue) {
+    try {
+      return await this.transport.subscribe(uuid, (value) => {
+        this.record('notify', uuid, value);
+        onValue(value);
+      });
+    } catch (error) {
+      this.record('subscribe', uuid, null, error);
+      throw error;
+    }
+  }
+}
+
+export default RecordingTransport;
@@ -0,0 +1,260 @@
+// Replay transport
+// Plays a session captured by RecordingTransport back into the app, with the original timing
+// or sped up. Reads return the recorded values for that characteristic in order (including
+// recorded failures), notifications and link losses fire at their recorded times, and writes
+// are compared against the recording so diverging app behaviour shows up in the log.
+// A notification never overtakes a write recorded before it, so answers to a request (such as
+// streamed log chunks) wait for the app to send it even when the app runs slower than it did.
+
+import { SESSION_FORMAT, hexToBytes, bytesToHex } from './RecordingTransport';
+
+class ReplayTransport {
+  constructor(session, { speed = 1 } = {}) {
+    if (!session || session.format !== SESSION_FORMAT) {
+      throw new Error('Not an AirQ BLE session recording');
+    }
+
+    this.session = session;
+    this.speed = speed;
+    this.supportsAutoConnect = false;
+    this.supportsDeviceList = false;
+    this.requestDelayMs = (session.requestDelayMs || 0) / speed;
+
+    this.connected = false;
+    this.position = 0; // Recording time (ms) the replay has reached
+    this.connectedAt = 0;
+    this.connectionStart = 0;
+    this.connectionEnd = Infinity;
+    this.timers = [];
+    this.listeners = new Map();
+    this.disconnectListeners = [];
+    this.mismatches = []; // Writes that differ from the recording
+    this.heldNotifications = []; // Due notifications waiting for an earlier recorded write
+    this.resetQueues();
+  }
+
+  // Recorded reads and writes per characteristic, consumed in order
+  resetQueues() {
+    this.reads = new Map();
+    this.writes = new Map();
+    this.order = new Map(this.session.events.map((event, index) => [event, index]));
+    for (const event of this.session.events) {
+      const queues = event.type === 'read' ? this.reads : event.type === 'write' ? this.writes : null;
+      if (!queues) continue;
+      if (!queues.has(event.uuid)) queues.set(event.uuid, []);
+      queues.get(event.uuid).push(event);
+    }
+  }
+
+  isSupported() {
+    return true;
+  }
+
+  async scan(onDeviceFound) {
+    onDeviceFound(this.session.device || { id: 'replay', name: 'AirQ Replay' });
+  }
+
+  // Each connect continues from the next recorded connect, so sessions with reconnects replay in full
+  async connect() {
+    const connectEvent = this.session.events.find(event => event.type === 'connect' && event.t >= this.position);
+    if (!connectEvent) {
+      throw new Error('Replay finished: no more recorded connections');
+    }
+
+    this.position = connectEvent.t;
+    await this.waitUntil(connectEvent.t);
+    if (connectEvent.error) {
+      this.position = connectEvent.t + 1;
+      throw new Error(connectEvent.error);
+    }
+
+    this.connected = true;
+    this.connectionStart = connectEvent.t;
+    this.connectedAt = Date.now();
+    console.log(`Replaying BLE session from ${this.session.recordedAt} at ${this.speed}x`);
+    this.scheduleEvents(connectEvent);
+  }
+
+  // Schedule notifications and link losses up to the next recorded connect
+  scheduleEvents(connectEvent) {
+    const events = this.session.events;
+    this.connectionEnd = Infinity;
+    for (let i = events.indexOf(connectEvent) + 1; i < events.length; i++) {
+      const event = events[i];
+      if (event.type === 'connect') {
+        this.connectionEnd = event.t;
+        break;
+      }
+
+      const delay = (event.t - this.connectionStart) / this.speed;
+      if (event.type === 'notify') {
+        this.timers.push(setTimeout(() => this.deliver(event), delay));
+      } else if (event.type === 'linkLost') {
+        this.timers.push(setTimeout(() => this.dropConnection(event), delay));
+        break;
+      } else if (event.type === 'disconnect') {
+        break;
+      }
+    }
+  }
+
+  deliver(event) {
+    if (this.heldNotifications.length > 0 || this.awaitsWrite(event)) {
+      this.heldNotifications.push(event);
+      return;
+    }
+    this.notify(event);
+  }
+
+  notify(event) {
+    this.position = Math.max(this.position, event.t);
+    const value = hexToBytes(event.value || '');
+    this.listeners.get(event.uuid)?.forEach(listener => listener(value));
+  }
+
+  // Whether a write recorded before this event hasn't been replayed yet
+  awaitsWrite(event) {
+    const index = this.order.get(event);
+    for (const queue of this.writes.values()) {
+      if (queue.length > 0 && this.order.get(queue[0]) < index) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Deliver held notifications, in order, once the writes ahead of them have been replayed.
+  // Runs after the write has returned to the app, as the device's answer would.
+  releaseNotifications() {
+    this.timers.push(setTimeout(() => {
+      while (this.heldNotifications.length > 0 && !this.awaitsWrite(this.heldNotifications[0])) {
+        this.notify(this.heldNotifications.shift());
+      }
+    }, 0));
+  }
+
+  dropConnection(event) {
+    if (!this.connected) {
+      return;
+    }
+    console.log('Replaying recorded link loss');
+    this.position = event.t + 1;
+    this.stopTimers();
+    this.connected = false;
+    this.listeners.clear();
+    this.disconnectListeners.forEach(callback => callback());
+  }
+
+  stopTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.heldNotifications = [];
+  }
+
+  // A reconnect replays the next recorded connect like any other
+  async reconnect() {
+    await this.connect();
+  }
+
+  async disconnect() {
+    this.position = Math.max(this.position, this.currentTime()) + 1;
+    this.stopTimers();
+    this.connected = false;
+    this.listeners.clear();
+  }
+
+  onDisconnect(callback) {
+    this.disconnectListeners.push(callback);
+    return () => {
+      this.disconnectListeners = this.disconnectListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  getDevice() {
+    return this.connected ? this.session.device : null;
+  }
+
+  hasCharacteristic(uuid) {
+    return this.connected && this.session.characteristics.some(c => c.uuid === uuid);
+  }
+
+  canNotify(uuid) {
+    return this.connected && this.session.characteristics.some(c => c.uuid === uuid && c.notify);
+  }
+
+  // Recording time corresponding to now
+  currentTime() {
+    return this.connectionStart + (Date.now() - this.connectedAt) * this.speed;
+  }
+
+  // Hold an operation back until the replay reaches its recorded time
+  async waitUntil(t) {
+    const delay = this.connected ? (t - this.currentTime()) / this.speed : 0;
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    this.position = Math.max(this.position, t);
+  }
+
+  assertAvailable(uuid) {
+    if (!this.hasCharacteristic(uuid)) {
+      throw new Error(`Device not connected or characteristic ${uuid} not available`);
+    }
+  }
+
+  async read(uuid) {
+    this.assertAvailable(uuid);
+    const event = this.reads.get(uuid)?.shift();
+    if (!event) {
+      throw new Error(`Replay has no more recorded reads of ${uuid}`);
+    }
+
+    await this.waitUntil(event.t);
+    if (event.error) {
+      throw new Error(event.error);
+    }
+    return hexToBytes(event.value || '');
+  }
+
+  async write(uuid, bytes) {
+    this.assertAvailable(uuid);
+    const event = this.writes.get(uuid)?.shift();
+    const value = bytesToHex(bytes);
+
+    if (!event || event.value !== value) {
+      const mismatch = { uuid, expected: event?.value ?? null, actual: value };
+      this.mismatches.push(mismatch);
+      console.warn('Replay write differs from the recording:', mismatch);
+      this.releaseNotifications();
+      return;
+    }
+
+    await this.waitUntil(event.t);
+    this.releaseNotifications();
+    if (event.error) {
+      throw new Error(event.error);
+    }
+  }
+
+  async subscribe(uuid, onValue) {
+    this.assertAvailable(uuid);
+    const failure = this.session.events.find(event =>
+      event.type === 'subscribe' && event.uuid === uuid &&
+      event.t >= this.connectionStart && event.t < this.connectionEnd);
+    if (failure) {
+      throw new Error(failure.error);
+    }
+
+    if (!this.listeners.has(uuid)) {
+      this.listeners.set(uuid, new Set());
+    }
+    this.listeners.get(uuid).add(onValue);
+    return () => this.listeners.get(uuid)?.delete(onValue);
+  }
+}
+
+export default ReplayTransport;
@@ -0,0 +1,466 @@
+// Simulated AirQ device
+// Implements the transport interface on an in-memory model of the AirQ firmware, so the app
+// can be developed and tested without an ESP32. It mirrors the GATT service of AirQ.ino:
+// live data and battery notifications, power mode, RTC time and the chunked log protocol
+// (incremental prepare, addressable chunks, checksums, binary records and streaming).
+
+import {
+  LIVE_DATA_UUID,
+  LOGGED_DATA_UUID,
+  BATTERY_UUID,
+  POWER_MODE_UUID,
+  RTC_TIME_UUID,
+  CHUNK_INFO_UUID,
+  CHUNK_REQUEST_UUID,
+  CHARACTERISTICS,
+  LOG_FORMAT_TEXT,
+  LOG_FORMAT_BINARY,
+  BINARY_FORMAT_VERSION,
+  LOG_RECORD_SIZE,
+  encodeText,
+  decodeText
+} from '../AirQProtocol';
+import { crc32 } from '../LogTransfer';
+import { getScenario } from './simulatorScenarios';
+
+// Same limits as the firmware
+const CHUNK_PROTOCOL_VERSION = 6;
+const ENTRIES_PER_CHUNK = 11;
+const ENTRIES_PER_BINARY_CHUNK = 34;
+const STREAM_WINDOW = 8;
+
+const LOG_INTERVAL_S = 60;
+const NOTIFYING_CHARACTERISTICS = [LIVE_DATA_UUID, LOGGED_DATA_UUID, BATTERY_UUID, POWER_MODE_UUID];
+
+export const SIMULATED_DEVICE = { id: 'SIM-AIRQ-0001', name: 'AirQ Sensor (Simulated)' };
+
+// Small seeded PRNG so a scenario produces the same readings in every test run
+const createNoise = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (((t ^ (t >>> 14)) >>> 0) / 4294967296) * 2 - 1;
+  };
+};
+
+class SimulatedTransport {
+  constructor({
+    scenario = 'clean',
+    seed = 1,
+    historyHours = 24,
+    liveIntervalMs = 2000,
+    latencyMs = 20,
+    battery = 100,
+    device = SIMULATED_DEVICE // Give each simulated sensor its own identity to simulate several at once
+  } = {}) {
+    this.simulatedDevice = device;
+    this.scenario = getScenario(scenario);
+    this.noise = createNoise(seed);
+    this.historyHours = historyHours;
+    this.liveIntervalMs = liveIntervalMs;
+    this.latencyMs = latencyMs;
+    this.supportsAutoConnect = true;
+    this.supportsDeviceList = true;
+    this.rssiNoise = createNoise(seed + 1); // Separate from the readings so scanning doesn't change them
+    this.requestDelayMs = latencyMs;
+
+    // Device state that survives reconnects, like the flash log and settings on the ESP32
+    this.battery = battery;
+    this.lowPowerMode = false;
+    this.rtcOffsetS = 0;
+    this.log = null;
+
+    this.connected = false;
+    this.listeners = new Map();
+    this.disconnectListeners = [];
+    this.timers = [];
+    this.streamTimer = null;
+    this.resetChunkState();
+  }
+
+  // Per-connection chunk transfer state (the firmware resets it on disconnect)
+  resetChunkState() {
+    this.chunk = {
+      total: 0,
+      current: 0,
+      startIndex: 0,
+      totalEntries: 0,
+      format: LOG_FORMAT_TEXT,
+      perChunk: ENTRIES_PER_CHUNK,
+      checksums: false,
+      binaryRequested: false
+    };
+    this.stream = { active: false, next: 0, acked: -1 };
+  }
+
+  isSupported() {
+    return true;
+  }
+
+  getScenario() {
+    return this.scenario;
+  }
+
+  async scan(onDeviceFound) {
+    await this.delay(300);
+    onDeviceFound(this.simulatedDevice);
+  }
+
+  // Advertise once a second with an RSSI wandering around -60 dBm
+  async watchDevices(onAdvertisement) {
+    const advertise = () => onAdvertisement({ ...this.simulatedDevice, rssi: Math.round(-60 + this.rssiNoise() * 8) });
+    await this.delay(300);
+    advertise();
+    const timer = setInterval(advertise, 1000);
+    return () => clearInterval(timer);
+  }
+
+  async connect(device) {
+    await this.delay(300);
+    if (this.battery <= 0) {
+      throw new Error('Simulated device battery is empty');
+    }
+
+    console.log(`Simulated AirQ connected (scenario: ${this.scenario.name})`);
+    this.connected = true;
+    this.resetChunkState();
+
+    if (!this.log) {
+      this.log = this.generateHistory();
+    }
+
+    this.timers.push(setInterval(() => this.tick(), this.liveIntervalMs));
+
+    if (this.scenario.disconnectAfterMs) {
+      const dropAfter = this.scenario.disconnectAfterMs * (0.3 + 0.35 * (this.noise() + 1));
+      this.timers.push(setTimeout(() => this.dropConnection('Simulated link loss'), dropAfter));
+    }
+  }
+
+  async reconnect(deviceId) {
+    if (deviceId !== this.simulatedDevice.id) {
+      throw new Error(`Unknown simulated device: ${deviceId}`);
+    }
+    await this.connect(this.simulatedDevice);
+  }
+
+  async disconnect() {
+    this.stopTimers();
+    this.connected = false;
+    this.listeners.clear();
+    console.log('Disconnected from simulated AirQ device');
+  }
+
+  // Lose the link without the app asking for it
+  dropConnection(reason) {
+    if (!this.connected) {
+      return;
+    }
+    console.log(`${reason}, disconnecting simulated device`);
+    this.stopTimers();
+    this.connected = false;
+    this.listeners.clear();
+    this.disconnectListeners.forEach(callback => callback());
+  }
+
+  stopTimers() {
+    this.timers.forEach(timer => {
+      clearInterval(timer);
+      clearTimeout(timer);
+    });
+    this.timers = [];
+    clearTimeout(this.streamTimer);
+    this.streamTimer = null;
+  }
+
+  onDisconnect(callback) {
+    this.disconnectListeners.push(callback);
+    return () => {
+      this.disconnectListeners = this.disconnectListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  getDevice() {
+    return this.connected ? { ...this.simulatedDevice } : null;
+  }
+
+  hasCharacteristic(uuid) {
+    return this.connected && CHARACTERISTICS.some(c => c.uuid === uuid);
+  }
+
+  canNotify(uuid) {
+    return this.hasCharacteristic(uuid) && NOTIFYING_CHARACTERISTICS.includes(uuid);
+  }
+
+  assertAvailable(uuid) {
+    if (!this.hasCharacteristic(uuid)) {
+      throw new Error(`Device not connected or characteristic ${uuid} not available`);
+    }
+  }
+
+  async read(uuid) {
+    await this.delay(this.latencyMs);
+    this.assertAvailable(uuid);
+
+    switch (uuid) {
+      case LIVE_DATA_UUID:
+        return encodeText(this.formatLiveData(this.sampleReading()));
+      case BATTERY_UUID:
+        return Uint8Array.of(Math.round(this.battery));
+      case POWER_MODE_UUID:
+        return encodeText(this.lowPowerMode ? '1' : '0');
+      case RTC_TIME_UUID:
+        return encodeText(this.now().toString());
+      case CHUNK_INFO_UUID:
+        return encodeText(this.getChunkInfo());
+      case CHUNK_REQUEST_UUID:
+        return encodeText(this.chunk.current.toString());
+      case LOGGED_DATA_UUID:
+        return this.readLoggedDataChunk();
+      default:
+        return new Uint8Array(0);
+    }
+  }
+
+  async write(uuid, bytes) {
+    await this.delay(this.latencyMs);
+    this.assertAvailable(uuid);
+    const value = decodeText(bytes);
+
+    if (uuid === CHUNK_REQUEST_UUID) {
+      this.handleChunkRequest(value);
+    } else if (uuid === POWER_MODE_UUID) {
+      this.lowPowerMode = value === '1';
+      this.notify(POWER_MODE_UUID, encodeText(this.lowPowerMode ? '1' : '0'));
+    } else if (uuid === RTC_TIME_UUID) {
+      const timestamp = parseInt(value);
+      if (!isNaN(timestamp)) {
+        this.rtcOffsetS = timestamp - Math.floor(Date.now() / 1000);
+      }
+    }
+  }
+
+  async subscribe(uuid, onValue) {
+    this.assertAvailable(uuid);
+    if (!this.canNotify(uuid)) {
+      throw new Error(`Characteristic ${uuid} does not support notifications`);
+    }
+
+    if (!this.listeners.has(uuid)) {
+      this.listeners.set(uuid, new Set());
+    }
+    this.listeners.get(uuid).add(onValue);
+    return () => this.listeners.get(uuid)?.delete(onValue);
+  }
+
+  notify(uuid, bytes) {
+    this.listeners.get(uuid)?.forEach(listener => listener(bytes));
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Device clock, including any offset set through the RTC characteristic
+  now() {
+    return Math.floor(Date.now() / 1000) + this.rtcOffsetS;
+  }
+
+  sampleReading(t = this.now()) {
+    const pm25 = Math.max(0, Math.round(this.scenario.sample(t, this.noise)));
+    return {
+      timestamp: t,
+      pm1: Math.max(0, Math.round(pm25 * 0.65 + this.noise())),
+      pm25,
+      pm10: Math.max(pm25, Math.round(pm25 * 1.3 + 2 + this.noise() * 2)),
+      battery: Math.round(this.battery)
+    };
+  }
+
+  formatLiveData({ pm1, pm25, pm10, battery }) {
+    return `${pm1},${pm25},${pm10},${battery}`;
+  }
+
+  // One log entry per minute for the configured history window
+  generateHistory() {
+    const end = this.now();
+    const count = Math.floor((this.historyHours * 3600) / LOG_INTERVAL_S);
+    const entries = [];
+    for (let i = count; i > 0; i--) {
+      entries.push(this.sampleReading(end - i * LOG_INTERVAL_S));
+    }
+    return entries;
+  }
+
+  // Live update: notify the reading, drain the battery and log once per interval
+  tick() {
+    if (!this.connected) {
+      return;
+    }
+
+    this.battery = Math.max(0, this.battery - (this.scenario.batteryDrainPerMinute * this.liveIntervalMs) / 60000);
+    const reading = this.sampleReading();
+
+    const lastLogged = this.log[this.log.length - 1];
+    if (!lastLogged || reading.timestamp - lastLogged.timestamp >= LOG_INTERVAL_S) {
+      this.log.push(reading);
+    }
+
+    this.notify(LIVE_DATA_UUID, encodeText(this.formatLiveData(reading)));
+    this.notify(BATTERY_UUID, Uint8Array.of(reading.battery));
+
+    if (this.battery <= 0) {
+      this.dropConnection('Simulated battery empty');
+    }
+  }
+
+  // --- Chunked log protocol, see MyCharacteristicCallbacks::onWrite in AirQ.ino ---
+
+  handleChunkRequest(command) {
+    const argument = parseInt(command.substring(1));
+
+    if (command.startsWith('T')) {
+      this.prepareChunks(this.findFirstEntryAfter(argument));
+    } else if (command.startsWith('I')) {
+      this.prepareChunks(argument);
+    } else if (command.startsWith('C')) {
+      this.chunk.checksums = argument === 1;
+    } else if (command.startsWith('B')) {
+      this.chunk.binaryRequested = argument === 1;
+    } else if (command.startsWith('S')) {
+      const fromChunk = Math.min(Math.max(argument || 0, 0), this.chunk.total);
+      this.chunk.checksums = true;
+      this.stream = { active: fromChunk < this.chunk.total, next: fromChunk, acked: fromChunk - 1 };
+      this.pumpStream();
+    } else if (command.startsWith('A')) {
+      this.stream.acked = Math.max(this.stream.acked, argument);
+      if (this.stream.acked >= this.chunk.total - 1) {
+        this.stream.active = false;
+      }
+      this.pumpStream();
+    } else {
+      const requestedChunk = parseInt(command);
+      if (requestedChunk === -1) {
+        this.prepareChunks(-1);
+      } else if (requestedChunk >= 0 && requestedChunk < this.chunk.total) {
+        this.chunk.current = requestedChunk;
+      }
+    }
+  }
+
+  prepareChunks(fromIndex) {
+    const logIndex = this.log.length;
+    const startIndex = fromIndex < 0 ? 0 : Math.min(Math.max(fromIndex, 0), logIndex);
+    const format = this.chunk.binaryRequested ? LOG_FORMAT_BINARY : LOG_FORMAT_TEXT;
+    const perChunk = format === LOG_FORMAT_BINARY ? ENTRIES_PER_BINARY_CHUNK : ENTRIES_PER_CHUNK;
+
+    Object.assign(this.chunk, {
+      startIndex,
+      totalEntries: logIndex - startIndex,
+      total: Math.ceil((logIndex - startIndex) / perChunk),
+      current: 0,
+      format,
+      perChunk
+    });
+  }
+
+  findFirstEntryAfter(since) {
+    let low = 0;
+    let high = this.log.length;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (this.log[mid].timestamp <= since) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  getChunkInfo() {
+    const { total, current, startIndex, totalEntries, format } = this.chunk;
+    return `${total},${current},${CHUNK_PROTOCOL_VERSION},${startIndex},${totalEntries},${format}`;
+  }
+
+  readLoggedDataChunk() {
+    if (this.chunk.total === 0) {
+      this.prepareChunks(-1);
+    }
+    if (this.chunk.total === 0) {
+      return encodeText('No data available');
+    }
+    if (this.chunk.current >= this.chunk.total) {
+      return new Uint8Array(0);
+    }
+    return this.buildChunkFrame(this.chunk.current);
+  }
+
+  buildChunkFrame(chunkIndex) {
+    const { startIndex, totalEntries, perChunk, format, checksums } = this.chunk;
+    const entries = this.log.slice(
+      startIndex + chunkIndex * perChunk,
+      startIndex + Math.min((chunkIndex + 1) * perChunk, totalEntries)
+    );
+
+    const payload = format === LOG_FORMAT_BINARY
+      ? this.buildBinaryChunk(entries)
+      : encodeText(entries.map(e => `${e.timestamp},${e.pm1},${e.pm25},${e.pm10},${e.battery};`).join(''));
+
+    if (!checksums) {
+      return payload;
+    }
+
+    const header = encodeText(`${chunkIndex}|${crc32(payload).toString(16).padStart(8, '0')}|`);
+    const frame = new Uint8Array(header.length + payload.length);
+    frame.set(header);
+    frame.set(payload, header.length);
+    return frame;
+  }
+
+  buildBinaryChunk(entries) {
+    const bytes = new Uint8Array(1 + entries.length * LOG_RECORD_SIZE);
+    const view = new DataView(bytes.buffer);
+    view.setUint8(0, BINARY_FORMAT_VERSION);
+    entries.forEach((entry, i) => {
+      const offset = 1 + i * LOG_RECORD_SIZE;
+      view.setUint32(offset, entry.timestamp, true);
+      view.setUint16(offset + 4, entry.pm1, true);
+      view.setUint16(offset + 6, entry.pm25, true);
+      view.setUint16(offset + 8, entry.pm10, true);
+      view.setUint8(offset + 10, entry.battery);
+    });
+    return bytes;
+  }
+
+  // Send chunks up to STREAM_WINDOW ahead of the last acknowledgement, like streamLoggedDataChunks()
+  pumpStream() {
+    if (this.streamTimer) {
+      return;
+    }
+
+    const sendNext = () => {
+      this.streamTimer = null;
+      const { active, next, acked } = this.stream;
+      if (!active || !this.connected || next >= this.chunk.total || next > acked + STREAM_WINDOW) {
+        return;
+      }
+
+      this.chunk.current = next;
+      this.stream.next = next + 1;
+      this.notify(LOGGED_DATA_UUID, this.buildChunkFrame(next));
+      this.streamTimer = setTimeout(sendNext, 5);
+    };
+
+    this.streamTimer = setTimeout(sendNext, 5);
+  }
+}
+
+export default SimulatedTransport;
@@ -0,0 +1,208 @@
+// Web Bluetooth transport
+// Adapter over navigator.bluetooth exposing the primitives PlatformBluetoothService builds on.
+// Every transport implements the same interface, all values are Uint8Array:
+//   isSupported(), scan(onDeviceFound), watchDevices(onAdvertisement) -> stop (where
+//   supportsDeviceList), connect(device), reconnect(deviceId), disconnect(),
+//   isConnected(), getDevice(),
+//   hasCharacteristic(uuid), canNotify(uuid), read(uuid), write(uuid, bytes),
+//   subscribe(uuid, onValue) -> unsubscribe, onDisconnect(callback) -> remove
+
+class WebBluetoothTransport {
+  constructor({ serviceUUID, characteristics, nameFilters }) {
+    this.serviceUUID = serviceUUID;
+    this.characteristicList = characteristics;
+    this.nameFilters = nameFilters;
+    // Without getDevices() the browser needs a user gesture to pick a device every time
+    this.supportsAutoConnect = typeof navigator !== 'undefined' && typeof navigator.bluetooth?.getDevices === 'function';
+    this.supportsDeviceList = false; // The browser's own chooser is the device picker
+    this.requestDelayMs = 300;
+    this.advertisementTimeoutMs = 10000;
+
+    this.device = null;
+    this.server = null;
+    this.characteristics = new Map();
+    this.disconnectListeners = [];
+    this.handleDisconnected = this.handleDisconnected.bind(this);
+  }
+
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'bluetooth' in navigator;
+  }
+
+  // The browser shows its own device chooser, so this resolves with the single device the user picked
+  async scan(onDeviceFound) {
+    if (!this.isSupported()) {
+      throw new Error('Web Bluetooth is not supported in this browser');
+    }
+
+    console.log('Starting Web Bluetooth scan...');
+    const device = await navigator.bluetooth.requestDevice({
+      filters: this.nameFilters,
+      optionalServices: [this.serviceUUID]
+    });
+
+    console.log('Web Bluetooth device selected:', device.name, device.id);
+    onDeviceFound(device);
+  }
+
+  async connect(device) {
+    console.log('Connecting to Web Bluetooth device:', device.id);
+    this.device = device;
+
+    // Handle disconnection events before connecting
+    device.removeEventListener('gattserverdisconnected', this.handleDisconnected);
+    device.addEventListener('gattserverdisconnected', this.handleDisconnected);
+
+    this.server = await device.gatt.connect();
+
+    // Add a small delay to ensure connection is stable
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    if (!this.server || !this.server.connected) {
+      throw new Error('Connection lost immediately after connecting');
+    }
+
+    await this.discoverCharacteristics();
+    console.log('Web Bluetooth connected successfully');
+  }
+
+  // Without a user gesture only a device the user has already granted can be reconnected: the one
+  // picked in this page session, or one returned by getDevices() once it is seen advertising
+  async reconnect(deviceId) {
+    if (this.device && this.device.id === deviceId) {
+      await this.connect(this.device);
+      return;
+    }
+
+    const devices = this.supportsAutoConnect ? await navigator.bluetooth.getDevices() : [];
+    const device = devices.find(candidate => candidate.id === deviceId);
+    if (!device) {
+      throw new Error('Device is not available for reconnecting, connect to it again');
+    }
+
+    await this.waitForAdvertisement(device);
+    await this.connect(device);
+  }
+
+  // gatt.connect() on a device that is out of range can hang, so wait until it is seen first
+  async waitForAdvertisement(device) {
+    if (typeof device.watchAdvertisements !== 'function') {
+      return;
+    }
+
+    const abortController = new AbortController();
+    let onAdvertisement;
+    let timeout;
+    try {
+      await new Promise((resolve, reject) => {
+        onAdvertisement = () => resolve();
+        timeout = setTimeout(() => reject(new Error('Device is not advertising, is it in range?')), this.advertisementTimeoutMs);
+        device.addEventListener('advertisementreceived', onAdvertisement, { once: true });
+        device.watchAdvertisements({ signal: abortController.signal }).catch(reject);
+      });
+    } finally {
+      clearTimeout(timeout);
+      device.removeEventListener('advertisementreceived', onAdvertisement);
+      abortController.abort();
+    }
+  }
+
+  // Look up every known characteristic once; missing ones are simply unavailable
+  async discoverCharacteristics() {
+    this.characteristics.clear();
+
+    let service;
+    try {
+      service = await this.server.getPrimaryService(this.serviceUUID);
+    } catch (error) {
+      console.error('Failed to get AirQ service:', error);
+      return;
+    }
+
+    for (const { name, uuid } of this.characteristicList) {
+      try {
+        this.characteristics.set(uuid, await service.getCharacteristic(uuid));
+        console.log(`✅ ${name}: Found (${uuid})`);
+      } catch (error) {
+        console.log(`❌ ${name}: NOT FOUND (${uuid}) - ${error.message}`);
+      }
+    }
+  }
+
+  async disconnect() {
+    if (this.server && this.server.connected) {
+      this.server.disconnect();
+    } else if (this.device) {
+      // Aborts a gatt.connect() that is still in progress
+      this.device.gatt.disconnect();
+    }
+    console.log('Disconnected from Web Bluetooth device');
+  }
+
+  handleDisconnected() {
+    console.log('Web Bluetooth device disconnected');
+    this.server = null;
+    this.characteristics.clear();
+    this.disconnectListeners.forEach(callback => callback());
+  }
+
+  onDisconnect(callback) {
+    this.disconnectListeners.push(callback);
+    return () => {
+      this.disconnectListeners = this.disconnectListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  isConnected() {
+    return Boolean(this.server && this.server.connected);
+  }
+
+  getDevice() {
+    return this.device ? { id: this.device.id, name: this.device.name } : null;
+  }
+
+  hasCharacteristic(uuid) {
+    return this.characteristics.has(uuid);
+  }
+
+  canNotify(uuid) {
+    return Boolean(this.characteristics.get(uuid)?.properties?.notify);
+  }
+
+  getCharacteristic(uuid) {
+    const characteristic = this.characteristics.get(uuid);
+    if (!characteristic || !this.isConnected()) {
+      throw new Error(`Device not connected or characteristic ${uuid} not available`);
+    }
+    return characteristic;
+  }
+
+  async read(uuid) {
+    const value = await this.getCharacteristic(uuid).readValue();
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice();
+  }
+
+  async write(uuid, bytes) {
+    await this.getCharacteristic(uuid).writeValue(bytes);
+  }
+
+  async subscribe(uuid, onValue) {
+    const characteristic = this.getCharacteristic(uuid);
+    const handleValue = (event) => {
+      const value = event.target.value;
+      onValue(new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice());
+    };
+
+    await characteristic.startNotifications();
+    characteristic.addEventListener('characteristicvaluechanged', handleValue);
+
+    return async () => {
+      characteristic.removeEventListener('characteristicvaluechanged', handleValue);
+      if (this.isConnected()) {
+        await characteristic.stopNotifications();
+      }
+    };
+  }
+}
+
+export default WebBluetoothTransport;
@@ -0,0 +1,37 @@
+// Pick the BLE transport for the current platform
+
+import { Platform } from 'react-native';
+import WebBluetoothTransport from './WebBluetoothTransport';
+import BlePlxTransport from './BlePlxTransport';
+import SimulatedTransport from './SimulatedTransport';
+import RecordingTransport from './RecordingTransport';
+import ReplayTransport from './ReplayTransport';
+import {
+  AIRQ_SERVICE_UUID,
+  CHARACTERISTICS,
+  DEVICE_NAME,
+  DEVICE_NAME_PREFIX
+} from '../AirQProtocol';
+
+export const createPlatformTransport = () => {
+  if (Platform.OS === 'web') {
+    return new WebBluetoothTransport({
+      serviceUUID: AIRQ_SERVICE_UUID,
+      characteristics: CHARACTERISTICS,
+      nameFilters: [
+        { name: DEVICE_NAME },
+        { namePrefix: DEVICE_NAME_PREFIX }
+      ]
+    });
+  }
+
+  return new BlePlxTransport({
+    serviceUUID: AIRQ_SERVICE_UUID,
+    characteristics: CHARACTERISTICS,
+    deviceName: DEVICE_NAME,
+    deviceNamePrefix: DEVICE_NAME_PREFIX
+  });
+};
+
+export { SIMULATOR_SCENARIOS } from './simulatorScenarios';
+export { WebBluetoothTransport, BlePlxTransport, SimulatedTransport, RecordingTransport, ReplayTransport };
@@ -0,0 +1,48 @@
+// Scenarios for the simulated AirQ device.
+// sample(t, noise) returns the PM2.5 concentration (μg/m³) at Unix time t; noise() yields -1..1.
+// batteryDrainPerMinute is applied while connected, disconnectAfterMs drops the link after a random
+// delay up to that long.
+
+// Smooth bump between 0 and 1 for a recurring event: `width` seconds out of every `period`
+const recurringBump = (t, period, width) => {
+  const phase = t % period;
+  if (phase >= width) {
+    return 0;
+  }
+  return (1 - Math.cos((2 * Math.PI * phase) / width)) / 2;
+};
+
+export const SIMULATOR_SCENARIOS = [
+  {
+    id: 'clean',
+    name: 'Clean room',
+    description: 'Filtered indoor air, PM2.5 around 3 μg/m³',
+    sample: (t, noise) => 3 + noise() * 1.5,
+    batteryDrainPerMinute: 0.05
+  },
+  {
+    id: 'wildfire',
+    name: 'Wildfire smoke',
+    description: 'Smoke plumes drifting through every 20 minutes, peaking above 200 μg/m³',
+    sample: (t, noise) => 12 + recurringBump(t, 20 * 60, 8 * 60) * 220 + noise() * 4,
+    batteryDrainPerMinute: 0.05
+  },
+  {
+    id: 'draining-battery',
+    name: 'Draining battery',
+    description: 'Moderate air while the battery runs flat within a few minutes',
+    sample: (t, noise) => 18 + Math.sin(t / 300) * 6 + noise() * 2,
+    batteryDrainPerMinute: 20
+  },
+  {
+    id: 'flaky-connection',
+    name: 'Flaky connection',
+    description: 'Typical indoor air, but the link drops within a minute of connecting',
+    sample: (t, noise) => 8 + Math.sin(t / 600) * 3 + noise() * 2,
+    batteryDrainPerMinute: 0.05,
+    disconnectAfterMs: 60000
+  }
+];
+
+export const getScenario = (id) =>
+  SIMULATOR_SCENARIOS.find(scenario => scenario.id === id) || SIMULATOR_SCENARIOS[0];